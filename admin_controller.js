@@ -5,6 +5,7 @@ const Challenge = require('../models/Challenge');
 const Report = require('../models/Report');
 const Transaction = require('../models/Transaction');
 const Advertisement = require('../models/Advertisement');
+const { buildIntegrityReport } = require('../services/ratingIntegrity.service');
 const asyncHandler = require('../middleware/asyncHandler');
 
 /**
@@ -406,6 +407,38 @@ exports.deleteChallenge = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    تقرير سلامة التقييمات (حسابات جديدة، عناوين وأجهزة مشتركة، موجات تقييم مفاجئة)
+ * @route   GET /api/v1/admin/challenges/:challengeId/rating-integrity
+ * @access  Private (Admin only)
+ */
+exports.getRatingIntegrityReport = asyncHandler(async (req, res) => {
+  const { challengeId } = req.params;
+
+  const challenge = await Challenge.findById(challengeId);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      message: 'المنافسة غير موجودة'
+    });
+  }
+
+  const report = await buildIntegrityReport(challenge);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      challenge: {
+        id: challenge._id,
+        title: challenge.title,
+        status: challenge.status
+      },
+      ...report
+    }
+  });
+});
+
 /**
  * @desc    إدارة الإعلانات
  * @route   GET /api/v1/admin/advertisements
@@ -14,6 +14,7 @@ const {
   getChallenges,
   suspendChallenge,
   deleteChallenge,
+  getRatingIntegrityReport,
   getAdvertisements,
   reviewAdvertisement,
   getFinancialStats
@@ -26,6 +27,7 @@ const {
   updateUserRoleValidator,
   getChallengesValidator,
   suspendChallengeValidator,
+  challengeIdValidator,
   getAdvertisementsValidator,
   reviewAdvertisementValidator,
   getFinancialStatsValidator
@@ -78,6 +80,15 @@ router.put(
 // @desc    حذف منافسة نهائياً
 router.delete('/challenges/:challengeId', deleteChallenge);
 
+// @route   GET /api/v1/admin/challenges/:challengeId/rating-integrity
+// @desc    تقرير سلامة التقييمات وكشف التلاعب
+router.get(
+  '/challenges/:challengeId/rating-integrity',
+  challengeIdValidator,
+  validate,
+  getRatingIntegrityReport
+);
+
 // ========== Advertisements Management ==========
 // @route   GET /api/v1/admin/advertisements
 // @desc    قائمة الإعلانات
@@ -236,6 +247,15 @@ exports.suspendChallengeValidator = [
     .trim()
 ];
 
+/**
+ * Validator: معرف المنافسة
+ */
+exports.challengeIdValidator = [
+  param('challengeId')
+    .isMongoId()
+    .withMessage('معرف المنافسة غير صحيح')
+];
+
 /**
  * Validator: قائمة الإعلانات
  */
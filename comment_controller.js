@@ -2,6 +2,7 @@
 
 const Comment = require('../models/Comment');
 const Challenge = require('../models/Challenge');
+const { publish } = require('../services/eventBus.service');
 const asyncHandler = require('../middleware/asyncHandler');
 
 /**
@@ -71,20 +72,15 @@ exports.addComment = asyncHandler(async (req, res) => {
   }
 
   // إرسال التعليق عبر WebSocket
-  const io = req.app.get('io');
-  if (io) {
-    io.to(`challenge_${challengeId}`).emit('comment_added', {
-      challengeId,
-      comment: {
-        _id: comment._id,
-        content: comment.content,
-        user: comment.user,
-        parentComment: comment.parentComment,
-        createdAt: comment.createdAt
-      },
-      timestamp: new Date()
-    });
-  }
+  publish('comment_added', { challengeId }, {
+    comment: {
+      _id: comment._id,
+      content: comment.content,
+      user: comment.user,
+      parentComment: comment.parentComment,
+      createdAt: comment.createdAt
+    }
+  });
 
   res.status(201).json({
     success: true,
@@ -30,6 +30,18 @@ const generateToken = (userId, role) => {
   );
 };
 
+/**
+ * Generate short-lived guest spectator token (Socket.IO only)
+ * @returns {string} - JWT token
+ */
+const generateGuestToken = () => {
+  return jwt.sign(
+    { guest: true, guestId: crypto.randomBytes(8).toString('hex') },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.GUEST_TOKEN_EXPIRES_IN || '2h' }
+  );
+};
+
 /**
  * Send token in cookie
  * @param {object} user - User object
@@ -199,6 +211,25 @@ exports.login = asyncHandler(async (req, res, next) => {
   sendTokenResponse(user, 200, res);
 });
 
+/**
+ * @desc    Get a guest spectator token for watching live challenges
+ * @route   POST /api/v1/auth/guest
+ * @access  Public
+ */
+exports.getGuestToken = asyncHandler(async (req, res, next) => {
+  const token = generateGuestToken();
+  const { guestId, exp } = jwt.decode(token);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token,
+      guestId,
+      expiresAt: new Date(exp * 1000)
+    }
+  });
+});
+
 /**
  * @desc    Logout user
  * @route   POST /api/v1/auth/logout
@@ -8,6 +8,7 @@ const router = express.Router();
 const {
   register,
   login,
+  getGuestToken,
   logout,
   getMe,
   updateProfile,
@@ -38,6 +39,9 @@ const {
 router.post('/register', registerValidation, validate, register);
 router.post('/login', loginValidation, validate, login);
 
+// Guest spectator token (watch live challenges without an account)
+router.post('/guest', getGuestToken);
+
 // Password Reset
 router.post('/forgot-password', forgotPasswordValidation, validate, forgotPassword);
 router.put('/reset-password/:token', resetPasswordValidation, validate, resetPassword);
@@ -3,9 +3,42 @@
 // Challenge Controller - Complete
 // ============================================
 
-const { Challenge, User, Rating, Comment, ChallengeInvitation, Transaction, Advertisement, Notification } = require('../models');
-const { getYouTubeService, createLiveBroadcast } = require('../config/youtube');
-const { decrypt } = require('../config/encryption');
+const { Challenge, User, Rating, Comment, ChallengeInvitation, Transaction, Advertisement, Notification, ChallengeTemplate, JudgeScore } = require('../models');
+const {
+  buildRatingsSummary,
+  buildRoundScoreboards,
+  buildFinalScoreSummary
+} = require('../services/rating.service');
+const { pauseRounds, resumeRounds } = require('../services/roundEngine.service');
+const {
+  getStartBlocker,
+  launchChallenge,
+  finishChallenge,
+  markParticipantReady,
+  scheduleChallengeJobs,
+  runCloseHandlers
+} = require('../services/challengeLifecycle.service');
+const { expireInvitation, declineCompetingInvitations } = require('../services/invitation.service');
+const { ensureSeries, claimOpenGame, releaseOpenGame, addSeriesGame } = require('../services/series.service');
+const {
+  canViewTemplate,
+  getTemplateVersion,
+  resolveTemplateRules,
+  recordTemplateUse
+} = require('../services/template.service');
+const {
+  MAX_JUDGES,
+  getVocabulary,
+  getRubric,
+  checkStructuredRules,
+  renderRuleSheet
+} = require('../services/ruleBook.service');
+const { publish } = require('../services/eventBus.service');
+const { buildViewerStats } = require('../services/presence.service');
+const { DEFAULT_RESOLUTION, buildRatingTimeline } = require('../services/ratingTimeline.service');
+const { resolveScoring } = require('../services/ratingStrategy.service');
+const { buildScorecard, listScorecards } = require('../services/judging.service');
+const { notifyUser } = require('../utils/helpers');
 const logger = require('../config/logger');
 const asyncHandler = require('../middleware/asyncHandler');
 
@@ -60,6 +93,7 @@ exports.listChallenges = asyncHandler(async (req, res, next) => {
   const challenges = await Challenge.find(query)
     .populate('creator', 'username avatar overallRating')
     .populate('opponent', 'username avatar overallRating')
+    .populate('participants.user', 'username avatar overallRating')
     .sort(sortObj)
     .skip(skip)
     .limit(maxLimit);
@@ -90,7 +124,9 @@ exports.listChallenges = asyncHandler(async (req, res, next) => {
 exports.getChallengeDetails = asyncHandler(async (req, res, next) => {
   const challenge = await Challenge.findById(req.params.id)
     .populate('creator', 'username avatar bio overallRating followerCount')
-    .populate('opponent', 'username avatar bio overallRating followerCount');
+    .populate('opponent', 'username avatar bio overallRating followerCount')
+    .populate('participants.user', 'username avatar bio overallRating followerCount')
+    .populate('judges', 'username avatar');
 
   if (!challenge) {
     return res.status(404).json({
@@ -104,7 +140,28 @@ exports.getChallengeDetails = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: { challenge }
+    data: {
+      challenge,
+      ruleSheet: renderRuleSheet(challenge, req.query.lang)
+    }
+  });
+});
+
+/**
+ * @desc    Structured rules available for a category
+ * @route   GET /api/v1/challenges/rule-vocabulary?category=
+ * @access  Public
+ */
+exports.getRuleVocabulary = asyncHandler(async (req, res, next) => {
+  const { category } = req.query;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      category,
+      rules: getVocabulary(category),
+      rubric: getRubric(category, req.query.language)
+    }
   });
 });
 
@@ -112,6 +169,76 @@ exports.getChallengeDetails = asyncHandler(async (req, res, next) => {
 // CREATE & UPDATE CHALLENGES
 // ============================================
 
+/**
+ * Send the error response for a template that cannot be applied
+ * @returns {boolean} - Whether a response was sent
+ */
+const rejectTemplateRules = (res, resolved) => {
+  if (resolved.lockedViolations.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'TEMPLATE_RULE_LOCKED',
+        message: `This template does not allow changing: ${resolved.lockedViolations.join(', ')}`
+      }
+    });
+    return true;
+  }
+
+  if (resolved.error) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_RULES',
+        message: resolved.error
+      }
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Check a judge panel: distinct existing users, none of them competing
+ * @returns {Promise<string|null>} - Error message or null
+ */
+const checkJudges = async (judges, participantIds) => {
+  const ids = [...new Set(judges.map(String))];
+  const competing = participantIds.map(String);
+
+  if (ids.length !== judges.length || ids.length > MAX_JUDGES) {
+    return `Judges must be up to ${MAX_JUDGES} distinct users`;
+  }
+
+  if (ids.some(id => competing.includes(id))) {
+    return 'Participants cannot judge their own challenge';
+  }
+
+  const found = await User.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? null : 'Judge not found';
+};
+
+/**
+ * Tell users they were put on a challenge's judge panel
+ * @param {object} challenge - Challenge document
+ * @param {Array} judgeIds - Newly nominated judges
+ * @param {object} nominator - User who nominated them
+ */
+const notifyNominatedJudges = async (challenge, judgeIds, nominator) => {
+  for (const userId of judgeIds) {
+    await notifyUser(userId, {
+      type: 'judge_nominated',
+      content: `${nominator.username} اختارك حكماً في منافسة: ${challenge.title}`,
+      link: `/challenges/${challenge._id}`,
+      metadata: {
+        challengeId: challenge._id,
+        userId: nominator._id
+      }
+    });
+  }
+};
+
 /**
  * @desc    Create new challenge
  * @route   POST /api/v1/challenges
@@ -126,7 +253,14 @@ exports.createChallenge = asyncHandler(async (req, res, next) => {
     rules,
     scheduledTime,
     language,
-    country
+    country,
+    maxParticipants,
+    joinMode,
+    mode,
+    teams,
+    team,
+    templateId,
+    judges = []
   } = req.body;
 
   // Validate scheduled time
@@ -140,20 +274,124 @@ exports.createChallenge = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Validate team setup
+  const isTeamMode = mode === 'team';
+  if (isTeamMode && (!Array.isArray(teams) || teams.length !== 2)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_TEAMS',
+        message: 'Team mode requires exactly two named sides'
+      }
+    });
+  }
+
+  const teamNames = isTeamMode ? teams.map(t => (typeof t === 'string' ? t : t.name).trim()) : [];
+  if (isTeamMode && (teamNames[0] === teamNames[1] || (team && !teamNames.includes(team)))) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_TEAMS',
+        message: 'Side names must be distinct and the creator must join one of them'
+      }
+    });
+  }
+
+  // Pre-fill rules from a template; the request may override unlocked ones
+  let template = null;
+  let resolved = null;
+
+  if (templateId) {
+    template = await ChallengeTemplate.findById(templateId);
+
+    if (!template || template.status !== 'active' || !canViewTemplate(template, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TEMPLATE_NOT_FOUND',
+          message: 'Template not found'
+        }
+      });
+    }
+
+    if (category && category !== template.category) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TEMPLATE_CATEGORY_MISMATCH',
+          message: `This template is for the ${template.category} category`
+        }
+      });
+    }
+
+    resolved = resolveTemplateRules(getTemplateVersion(template), rules);
+    if (rejectTemplateRules(res, resolved)) return;
+  }
+
+  const challengeField = field || (template && template.field);
+  if (!challengeField) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'FIELD_REQUIRED',
+        message: 'Field is required'
+      }
+    });
+  }
+
+  // Structured rules and the judge panel
+  const challengeCategory = category || template.category;
+  const challengeRules = resolved ? resolved.rules : rules;
+
+  const rulesError = checkStructuredRules(challengeCategory, challengeRules || {}, judges) ||
+    (judges.length > 0 ? await checkJudges(judges, [req.user._id]) : null);
+
+  if (rulesError) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_RULES',
+        message: rulesError
+      }
+    });
+  }
+
   // Create challenge
   const challenge = await Challenge.create({
     title,
     description,
-    category,
-    field,
-    rules,
+    category: challengeCategory,
+    field: challengeField,
+    rules: challengeRules,
+    judges,
+    template: template ? template._id : undefined,
+    templateVersion: template ? template.version : undefined,
+    templateOverrides: resolved ? resolved.overrides : [],
     scheduledTime: scheduledTime || null,
     language: language || req.user.language,
     country: country || req.user.country,
     creator: req.user._id,
+    participants: [{
+      user: req.user._id,
+      role: 'creator',
+      team: isTeamMode ? (team || teamNames[0]) : undefined
+    }],
+    maxParticipants: maxParticipants || (isTeamMode ? 4 : 2),
+    joinMode: joinMode || 'request',
+    mode: isTeamMode ? 'team' : 'individual',
+    teams: teamNames.map(name => ({ name })),
     status: scheduledTime ? 'scheduled' : 'pending'
   });
 
+  if (template) {
+    await recordTemplateUse(template._id);
+  }
+
+  await notifyNominatedJudges(challenge, challenge.judges, req.user);
+
+  // Reminders, auto-start and no-show check for scheduled challenges
+  await scheduleChallengeJobs(challenge);
+
   await challenge.populate('creator', 'username avatar overallRating');
 
   logger.info(`Challenge created: ${title} by ${req.user.username}`);
@@ -206,7 +444,7 @@ exports.updateChallenge = asyncHandler(async (req, res, next) => {
   }
 
   // Update allowed fields
-  const allowedFields = ['title', 'description', 'rules', 'scheduledTime'];
+  const allowedFields = ['title', 'description', 'rules', 'scheduledTime', 'judges'];
   const updates = {};
   
   allowedFields.forEach(field => {
@@ -215,12 +453,58 @@ exports.updateChallenge = asyncHandler(async (req, res, next) => {
     }
   });
 
+  // Templated challenges keep the template's locked rules and track overrides
+  if (updates.rules !== undefined && challenge.template) {
+    const template = await ChallengeTemplate.findById(challenge.template);
+    const version = template && getTemplateVersion(template, challenge.templateVersion);
+
+    if (version) {
+      const resolved = resolveTemplateRules(version, updates.rules);
+      if (rejectTemplateRules(res, resolved)) return;
+
+      updates.rules = resolved.rules;
+      updates.templateOverrides = resolved.overrides;
+    }
+  }
+
+  if (updates.rules !== undefined || updates.judges !== undefined) {
+    const judges = updates.judges !== undefined ? updates.judges : challenge.judges;
+    const rulesError = checkStructuredRules(challenge.category, updates.rules || challenge.rules, judges) ||
+      (updates.judges !== undefined
+        ? await checkJudges(updates.judges, challenge.getParticipants().map(p => p.user))
+        : null);
+
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_RULES',
+          message: rulesError
+        }
+      });
+    }
+  }
+
+  const previousJudges = challenge.judges.map(String);
+
   challenge = await Challenge.findByIdAndUpdate(
     req.params.id,
     updates,
     { new: true, runValidators: true }
   ).populate('creator', 'username avatar');
 
+  if (updates.scheduledTime !== undefined) {
+    await scheduleChallengeJobs(challenge);
+  }
+
+  if (updates.judges !== undefined) {
+    await notifyNominatedJudges(
+      challenge,
+      challenge.judges.filter(j => !previousJudges.includes(j.toString())),
+      req.user
+    );
+  }
+
   logger.info(`Challenge updated: ${challenge.title}`);
 
   res.status(200).json({
@@ -274,8 +558,17 @@ exports.cancelChallenge = asyncHandler(async (req, res, next) => {
   }
 
   challenge.status = 'cancelled';
+  challenge.cancellationReason = isCreator ? 'creator' : 'admin';
   await challenge.save();
 
+  // Drops any pending reminders / auto-start
+  await scheduleChallengeJobs(challenge);
+
+  // Nobody still waiting on an answer gets a seat
+  await declineCompetingInvitations(challenge);
+
+  await runCloseHandlers(challenge);
+
   logger.info(`Challenge cancelled: ${challenge.title}`);
 
   res.status(200).json({
@@ -328,24 +621,89 @@ exports.requestToJoin = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Check if already has opponent
-  if (challenge.opponent) {
+  // Check if already a participant
+  if (challenge.isParticipant(req.user._id)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'ALREADY_PARTICIPANT',
+        message: 'You are already a participant in this challenge'
+      }
+    });
+  }
+
+  if (challenge.isJudge(req.user._id)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'IS_JUDGE',
+        message: 'Judges cannot compete in the challenge they judge'
+      }
+    });
+  }
+
+  // Check if seats are still available
+  if (challenge.isFull()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: challenge.maxParticipants > 2 ? 'CHALLENGE_FULL' : 'ALREADY_HAS_OPPONENT',
+        message: challenge.maxParticipants > 2
+          ? 'Challenge has no free participant seats'
+          : 'Challenge already has an opponent'
+      }
+    });
+  }
+
+  // Open call: applicants must pitch themselves to the creator
+  if (challenge.joinMode === 'open_call' && !(req.body.message || '').trim()) {
     return res.status(400).json({
       success: false,
       error: {
-        code: 'ALREADY_HAS_OPPONENT',
-        message: 'Challenge already has an opponent'
+        code: 'PITCH_REQUIRED',
+        message: 'Open-call challenges require a short pitch with your application'
       }
     });
   }
 
+  // Team mode: a free seat is needed on the requested side
+  const { team } = req.body;
+  if (challenge.mode === 'team') {
+    if (!team || !challenge.teams.some(t => t.name === team)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TEAM',
+          message: 'Please choose one of the challenge sides'
+        }
+      });
+    }
+
+    if (challenge.isTeamFull(team)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TEAM_FULL',
+          message: `Side "${team}" has no free seats`
+        }
+      });
+    }
+  }
+
   // Check for existing invitation
-  const existingInvitation = await ChallengeInvitation.findOne({
+  let existingInvitation = await ChallengeInvitation.findOne({
     challenge: challenge._id,
-    invitee: req.user._id,
+    inviter: req.user._id,
     status: 'pending'
   });
 
+  // A stale request the sweep has not reached yet no longer blocks a new one
+  if (existingInvitation && existingInvitation.expiresAt <= new Date()) {
+    existingInvitation.challenge = challenge;
+    await expireInvitation(existingInvitation);
+    existingInvitation = null;
+  }
+
   if (existingInvitation) {
     return res.status(409).json({
       success: false,
@@ -362,6 +720,7 @@ exports.requestToJoin = asyncHandler(async (req, res, next) => {
     inviter: req.user._id,
     invitee: challenge.creator,
     message: req.body.message || '',
+    team: challenge.mode === 'team' ? team : undefined,
     expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
   });
 
@@ -435,6 +794,19 @@ exports.acceptRejectJoinRequest = asyncHandler(async (req, res, next) => {
     status: 'pending'
   });
 
+  if (invitation && invitation.expiresAt <= new Date()) {
+    invitation.challenge = challenge;
+    await expireInvitation(invitation);
+
+    return res.status(410).json({
+      success: false,
+      error: {
+        code: 'INVITATION_EXPIRED',
+        message: 'This join request has expired'
+      }
+    });
+  }
+
   if (!invitation) {
     return res.status(404).json({
       success: false,
@@ -446,10 +818,31 @@ exports.acceptRejectJoinRequest = asyncHandler(async (req, res, next) => {
   }
 
   if (action === 'accept') {
-    // Set opponent
-    challenge.opponent = userId;
+    if (challenge.isFull()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CHALLENGE_FULL',
+          message: 'Challenge has no free participant seats'
+        }
+      });
+    }
+
+    if (challenge.mode === 'team' && challenge.isTeamFull(invitation.team)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TEAM_FULL',
+          message: `Side "${invitation.team}" has no free seats`
+        }
+      });
+    }
+
+    // Add participant (the first one to join also fills the opponent seat)
+    challenge.addParticipant(userId, invitation.team);
     challenge.status = challenge.scheduledTime ? 'scheduled' : 'pending';
     await challenge.save();
+    await scheduleChallengeJobs(challenge);
 
     invitation.status = 'accepted';
     invitation.responseMessage = message || '';
@@ -465,9 +858,12 @@ exports.acceptRejectJoinRequest = asyncHandler(async (req, res, next) => {
       metadata: { challengeId: challenge._id }
     });
 
+    // Seats that just filled up can no longer be offered to anyone else
+    await declineCompetingInvitations(challenge);
+
     logger.info(`Join accepted: ${challenge.title}`);
 
-    await challenge.populate(['creator', 'opponent']);
+    await challenge.populate(['creator', 'opponent', 'participants.user']);
 
     res.status(200).json({
       success: true,
@@ -500,19 +896,118 @@ exports.acceptRejectJoinRequest = asyncHandler(async (req, res, next) => {
   }
 });
 
-// ============================================
-// START & END CHALLENGE (LIVE)
-// ============================================
+/**
+ * @desc    Ranked applicant list of an open-call challenge
+ * @route   GET /api/v1/challenges/:id/applicants
+ * @access  Private (creator only)
+ */
+exports.getApplicants = asyncHandler(async (req, res, next) => {
+  const challenge = await Challenge.findById(req.params.id);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
+
+  if (challenge.creator.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'NOT_CREATOR',
+        message: 'Only the creator can view applicants'
+      }
+    });
+  }
+
+  const query = {
+    challenge: challenge._id,
+    kind: { $ne: 'direct_invite' },
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  };
+
+  if (req.query.shortlisted === 'true') {
+    query.shortlisted = true;
+  }
+
+  const applications = await ChallengeInvitation.find(query)
+    .populate('inviter', 'username avatar overallRating totalChallenges reportCount');
+
+  // Last completed challenges of every applicant, for the creator to review
+  const applicantIds = applications.map(a => a.inviter._id);
+  const pastChallenges = await Challenge.find({
+    status: 'completed',
+    $or: [
+      { creator: { $in: applicantIds } },
+      { opponent: { $in: applicantIds } },
+      { 'participants.user': { $in: applicantIds } }
+    ]
+  })
+    .select('title category creator opponent participants.user endedAt')
+    .sort('-endedAt')
+    .limit(applicantIds.length * 5);
+
+  const pastFor = (userId) => pastChallenges
+    .filter(c => c.isParticipant(userId))
+    .slice(0, 5)
+    .map(c => ({
+      id: c._id,
+      title: c.title,
+      category: c.category,
+      endedAt: c.endedAt,
+      link: `/challenges/${c._id}`
+    }));
+
+  // Shortlisted first, then best rated, most experienced, least reported
+  const applicants = applications
+    .map(a => ({
+      user: {
+        id: a.inviter._id,
+        username: a.inviter.username,
+        avatar: a.inviter.avatar,
+        overallRating: a.inviter.overallRating,
+        totalChallenges: a.inviter.totalChallenges,
+        reportCount: a.inviter.reportCount
+      },
+      pitch: a.message,
+      team: a.team,
+      shortlisted: a.shortlisted,
+      appliedAt: a.createdAt,
+      expiresAt: a.expiresAt,
+      pastChallenges: pastFor(a.inviter._id)
+    }))
+    .sort((a, b) =>
+      (b.shortlisted - a.shortlisted) ||
+      (b.user.overallRating - a.user.overallRating) ||
+      (b.user.totalChallenges - a.user.totalChallenges) ||
+      (a.user.reportCount - b.user.reportCount) ||
+      (a.appliedAt - b.appliedAt))
+    .map((applicant, index) => ({ rank: index + 1, ...applicant }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      joinMode: challenge.joinMode,
+      seatsLeft: Math.max((challenge.maxParticipants || 2) - challenge.getParticipants().length, 0),
+      applicants
+    }
+  });
+});
 
 /**
- * @desc    Start live challenge
- * @route   POST /api/v1/challenges/:id/start
- * @access  Private (participants only)
+ * @desc    Add or remove an applicant from the shortlist
+ * @route   PUT /api/v1/challenges/:id/applicants/:userId/shortlist
+ * @access  Private (creator only)
  */
-exports.startChallenge = asyncHandler(async (req, res, next) => {
-  const challenge = await Challenge.findById(req.params.id)
-    .populate('creator')
-    .populate('opponent');
+exports.shortlistApplicant = asyncHandler(async (req, res, next) => {
+  const { id: challengeId, userId } = req.params;
+  const shortlisted = req.body.shortlisted === true || req.body.shortlisted === 'true';
+  const challenge = await Challenge.findById(challengeId);
 
   if (!challenge) {
     return res.status(404).json({
@@ -524,110 +1019,1044 @@ exports.startChallenge = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Check if user is participant
-  const isParticipant = 
-    challenge.creator._id.toString() === req.user._id.toString() ||
-    (challenge.opponent && challenge.opponent._id.toString() === req.user._id.toString());
+  if (challenge.creator.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'NOT_CREATOR',
+        message: 'Only the creator can shortlist applicants'
+      }
+    });
+  }
+
+  const invitation = await ChallengeInvitation.findOneAndUpdate(
+    {
+      challenge: challengeId,
+      inviter: userId,
+      kind: { $ne: 'direct_invite' },
+      status: 'pending'
+    },
+    { shortlisted, shortlistedAt: shortlisted ? new Date() : null },
+    { new: true }
+  );
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'INVITATION_NOT_FOUND',
+        message: 'Application not found'
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: shortlisted ? 'Applicant shortlisted' : 'Applicant removed from shortlist',
+    data: { invitation }
+  });
+});
+
+/**
+ * @desc    Invite a named user to the challenge
+ * @route   POST /api/v1/challenges/:id/invite/:userId
+ * @access  Private (creator only)
+ */
+exports.inviteUser = asyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+  const { message, team } = req.body;
+  const challenge = await Challenge.findById(req.params.id);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
 
-  if (!isParticipant) {
+  // Check ownership
+  if (challenge.creator.toString() !== req.user._id.toString()) {
     return res.status(403).json({
       success: false,
       error: {
-        code: 'NOT_PARTICIPANT',
-        message: 'Only participants can start the challenge'
+        code: 'NOT_CREATOR',
+        message: 'Only the creator can invite opponents'
       }
     });
   }
 
-  // Check if ready to start
-  if (!challenge.opponent) {
+  if (!['pending', 'scheduled'].includes(challenge.status)) {
     return res.status(400).json({
       success: false,
       error: {
-        code: 'NO_OPPONENT',
-        message: 'Challenge needs an opponent to start'
+        code: 'INVALID_STATUS',
+        message: 'Challenge is not open for invitations'
       }
     });
   }
 
-  if (challenge.status === 'live') {
+  if (challenge.isParticipant(userId)) {
     return res.status(400).json({
       success: false,
       error: {
-        code: 'ALREADY_LIVE',
-        message: 'Challenge is already live'
+        code: 'ALREADY_PARTICIPANT',
+        message: 'User is already a participant in this challenge'
       }
     });
   }
 
-  if (challenge.status === 'completed') {
+  if (challenge.isJudge(userId)) {
     return res.status(400).json({
       success: false,
       error: {
-        code: 'ALREADY_COMPLETED',
-        message: 'Challenge is already completed'
+        code: 'IS_JUDGE',
+        message: 'Judges cannot compete in the challenge they judge'
       }
     });
   }
 
-  // Check YouTube linking
-  if (!challenge.creator.youtubeLinked || !challenge.opponent.youtubeLinked) {
+  if (challenge.isFull()) {
     return res.status(400).json({
       success: false,
       error: {
-        code: 'YOUTUBE_NOT_LINKED',
-        message: 'Both participants must link their YouTube accounts'
+        code: 'CHALLENGE_FULL',
+        message: 'Challenge has no free participant seats'
       }
     });
   }
 
-  try {
-    // Create YouTube live broadcasts for both participants
-    const creatorTokens = {
-      access_token: decrypt(JSON.parse(challenge.creator.youtubeAccessToken)),
-      refresh_token: decrypt(JSON.parse(challenge.creator.youtubeRefreshToken))
-    };
+  // Team mode: the invitee is offered a seat on a given side
+  if (challenge.mode === 'team') {
+    if (!team || !challenge.teams.some(t => t.name === team)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TEAM',
+          message: 'Please choose one of the challenge sides'
+        }
+      });
+    }
+
+    if (challenge.isTeamFull(team)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TEAM_FULL',
+          message: `Side "${team}" has no free seats`
+        }
+      });
+    }
+  }
+
+  // Check for an open invitation to the same user
+  let existingInvitation = await ChallengeInvitation.findOne({
+    challenge: challenge._id,
+    inviter: req.user._id,
+    invitee: userId,
+    status: 'pending'
+  });
+
+  if (existingInvitation && existingInvitation.expiresAt <= new Date()) {
+    existingInvitation.challenge = challenge;
+    await expireInvitation(existingInvitation);
+    existingInvitation = null;
+  }
+
+  if (existingInvitation) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'ALREADY_INVITED',
+        message: 'This user already has an open invitation to this challenge'
+      }
+    });
+  }
+
+  const invitation = await ChallengeInvitation.create({
+    challenge: challenge._id,
+    inviter: req.user._id,
+    invitee: userId,
+    kind: 'direct_invite',
+    message: message || '',
+    team: challenge.mode === 'team' ? team : undefined,
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+  });
+
+  // Notify invitee
+  await notifyUser(userId, {
+    type: 'challenge_invite',
+    content: `${req.user.username} دعاك للمشاركة في منافسته: ${challenge.title}`,
+    link: `/challenges/${challenge._id}`,
+    metadata: {
+      challengeId: challenge._id,
+      userId: req.user._id
+    }
+  });
+
+  logger.info(`Direct invite: ${challenge.title} → ${userId}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent successfully',
+    data: { invitation }
+  });
+});
+
+/**
+ * @desc    Accept or decline a direct invitation
+ * @route   PUT /api/v1/challenges/:id/invite/respond
+ * @access  Private (invitee only)
+ */
+exports.respondToInvitation = asyncHandler(async (req, res, next) => {
+  const { action, message } = req.body;
+  const challenge = await Challenge.findById(req.params.id);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
+
+  const invitation = await ChallengeInvitation.findOne({
+    challenge: challenge._id,
+    invitee: req.user._id,
+    kind: 'direct_invite',
+    status: 'pending'
+  });
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'INVITATION_NOT_FOUND',
+        message: 'Invitation not found'
+      }
+    });
+  }
+
+  if (invitation.expiresAt <= new Date()) {
+    invitation.challenge = challenge;
+    await expireInvitation(invitation);
+
+    return res.status(410).json({
+      success: false,
+      error: {
+        code: 'INVITATION_EXPIRED',
+        message: 'This invitation has expired'
+      }
+    });
+  }
+
+  if (action === 'accept') {
+    if (!['pending', 'scheduled'].includes(challenge.status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: 'Challenge is no longer open'
+        }
+      });
+    }
+
+    if (challenge.isFull()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CHALLENGE_FULL',
+          message: 'Challenge has no free participant seats'
+        }
+      });
+    }
+
+    if (challenge.mode === 'team' && challenge.isTeamFull(invitation.team)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TEAM_FULL',
+          message: `Side "${invitation.team}" has no free seats`
+        }
+      });
+    }
+
+    const role = challenge.addParticipant(req.user._id, invitation.team);
+    challenge.status = challenge.scheduledTime ? 'scheduled' : 'pending';
+    await challenge.save();
+    await scheduleChallengeJobs(challenge);
+
+    invitation.status = 'accepted';
+    invitation.responseMessage = message || '';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    // Notify creator
+    await notifyUser(challenge.creator, {
+      type: 'invite_accepted',
+      content: `${req.user.username} قبل دعوتك للمنافسة: ${challenge.title}`,
+      link: `/challenges/${challenge._id}`,
+      metadata: { challengeId: challenge._id, userId: req.user._id }
+    });
+
+    // Seats that just filled up can no longer be offered to anyone else
+    await declineCompetingInvitations(challenge);
+
+    logger.info(`Invite accepted: ${req.user.username} → ${challenge.title} (${role})`);
+
+    await challenge.populate(['creator', 'opponent', 'participants.user']);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: { challenge }
+    });
+  }
+
+  // Decline
+  invitation.status = 'rejected';
+  invitation.responseMessage = message || '';
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  await notifyUser(challenge.creator, {
+    type: 'invite_rejected',
+    content: `${req.user.username} اعتذر عن دعوتك للمنافسة: ${challenge.title}`,
+    link: `/challenges/${challenge._id}`,
+    metadata: { challengeId: challenge._id, userId: req.user._id }
+  });
+
+  logger.info(`Invite declined: ${req.user.username} → ${challenge.title}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation declined'
+  });
+});
+
+/**
+ * @desc    List join requests of a challenge
+ * @route   GET /api/v1/challenges/:id/invitations
+ * @access  Private (creator or admin)
+ */
+exports.getChallengeInvitations = asyncHandler(async (req, res, next) => {
+  const { status, kind, page = 1, limit = 20 } = req.query;
+  const challenge = await Challenge.findById(req.params.id);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
+
+  const isCreator = challenge.creator.toString() === req.user._id.toString();
+  if (!isCreator && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'NOT_CREATOR',
+        message: 'Only the creator can view join requests'
+      }
+    });
+  }
+
+  const query = { challenge: challenge._id };
+  if (status) {
+    query.status = status;
+  }
+
+  // Invitations created before direct invites existed are join requests
+  if (kind) {
+    query.kind = kind === 'direct_invite' ? 'direct_invite' : { $ne: 'direct_invite' };
+  }
+
+  // Pending requests past expiresAt are treated as expired until the sweep runs
+  if (status === 'pending') {
+    query.expiresAt = { $gt: new Date() };
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const maxLimit = Math.min(parseInt(limit), 50);
+
+  const invitations = await ChallengeInvitation.find(query)
+    .populate('inviter', 'username avatar overallRating')
+    .populate('invitee', 'username avatar overallRating')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(maxLimit);
+
+  const total = await ChallengeInvitation.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      invitations,
+      pagination: {
+        page: parseInt(page),
+        limit: maxLimit,
+        total,
+        pages: Math.ceil(total / maxLimit)
+      }
+    }
+  });
+});
+
+// ============================================
+// DECLARED SOURCES
+// ============================================
+
+/**
+ * @desc    Declare the sources you will cite (rules.allowedSources: 'cited')
+ * @route   PUT /api/v1/challenges/:id/sources
+ * @access  Private (participants only, before the start)
+ */
+exports.declareSources = asyncHandler(async (req, res, next) => {
+  const { sources } = req.body;
+  const challenge = await Challenge.findById(req.params.id);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
+
+  const participant = challenge.findParticipant(req.user._id);
+  if (!participant) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'NOT_PARTICIPANT',
+        message: 'Only participants can declare sources'
+      }
+    });
+  }
+
+  if (!['pending', 'scheduled'].includes(challenge.status)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_STATUS',
+        message: 'Sources must be declared before the challenge starts'
+      }
+    });
+  }
+
+  const { allowedSources, maxSources } = challenge.rules;
+
+  if (allowedSources !== 'cited') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'SOURCES_NOT_DECLARABLE',
+        message: allowedSources === 'none'
+          ? 'This challenge does not allow sources'
+          : 'This challenge does not require declared sources'
+      }
+    });
+  }
+
+  if (maxSources && sources.length > maxSources) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'TOO_MANY_SOURCES',
+        message: `At most ${maxSources} sources are allowed`
+      }
+    });
+  }
+
+  if (challenge.participants.length === 0) {
+    challenge.participants = challenge.getParticipants();
+  }
+  challenge.findParticipant(req.user._id).sources = sources;
+  await challenge.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Sources declared',
+    data: { sources }
+  });
+});
+
+// ============================================
+// REMATCH
+// ============================================
+
+/**
+ * @desc    Rematch a finished one-on-one challenge
+ * Clones the rules, category and field, invites the other player and links
+ * both challenges into a series.
+ * @route   POST /api/v1/challenges/:id/rematch
+ * @access  Private (participants only)
+ */
+exports.createRematch = asyncHandler(async (req, res, next) => {
+  const { scheduledTime, message } = req.body;
+  const challenge = await Challenge.findById(req.params.id);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
+
+  if (!challenge.isParticipant(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'NOT_PARTICIPANT',
+        message: 'Only the players of this challenge can ask for a rematch'
+      }
+    });
+  }
+
+  if (challenge.status !== 'completed') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_STATUS',
+        message: 'Only completed challenges can be rematched'
+      }
+    });
+  }
+
+  const participants = challenge.getParticipants();
+  if (challenge.mode !== 'individual' || participants.length !== 2) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'REMATCH_NOT_SUPPORTED',
+        message: 'Rematches are available for one-on-one challenges only'
+      }
+    });
+  }
+
+  if (scheduledTime && new Date(scheduledTime) < new Date()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_SCHEDULE',
+        message: 'Scheduled time must be in the future'
+      }
+    });
+  }
+
+  const opponentEntry = participants.find(p => (p.user._id || p.user).toString() !== req.user._id.toString());
+  const opponent = await User.findById(opponentEntry.user).select('username blockedUsers');
+
+  if (!opponent) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      }
+    });
+  }
+
+  if (opponent.blockedUsers.includes(req.user._id) || req.user.blockedUsers.includes(opponent._id)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'USER_BLOCKED',
+        message: 'You cannot perform this action. One of you has blocked the other.'
+      }
+    });
+  }
+
+  const series = await ensureSeries(challenge);
+
+  // One game at a time per series
+  const rematchId = await claimOpenGame(series);
+  if (!rematchId) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'REMATCH_PENDING',
+        message: 'This series already has a game waiting to be played'
+      }
+    });
+  }
+
+  let rematch;
+  try {
+    rematch = await Challenge.create({
+      _id: rematchId,
+      title: challenge.title,
+      description: challenge.description,
+      category: challenge.category,
+      field: challenge.field,
+      rules: challenge.toObject().rules,
+      judges: challenge.judges,
+      scheduledTime: scheduledTime || null,
+      language: challenge.language,
+      country: challenge.country,
+      creator: req.user._id,
+      participants: [{
+        user: req.user._id,
+        role: 'creator'
+      }],
+      maxParticipants: 2,
+      joinMode: challenge.joinMode,
+      mode: 'individual',
+      status: scheduledTime ? 'scheduled' : 'pending',
+      series: series._id,
+      seriesGame: series.challenges.length + 1,
+      rematchOf: challenge._id
+    });
+  } catch (error) {
+    await releaseOpenGame(series, rematchId);
+    throw error;
+  }
+
+  await addSeriesGame(series, rematch);
+
+  // Reminders, auto-start and no-show check for scheduled challenges
+  await scheduleChallengeJobs(rematch);
+
+  const invitation = await ChallengeInvitation.create({
+    challenge: rematch._id,
+    inviter: req.user._id,
+    invitee: opponent._id,
+    kind: 'direct_invite',
+    message: message || '',
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+  });
+
+  // Notify opponent
+  await notifyUser(opponent._id, {
+    type: 'challenge_invite',
+    content: `${req.user.username} يطلب مباراة إعادة في: ${rematch.title}`,
+    link: `/challenges/${rematch._id}`,
+    metadata: {
+      challengeId: rematch._id,
+      userId: req.user._id
+    }
+  });
+
+  logger.info(`Rematch: ${rematch.title} (series ${series._id}, game ${rematch.seriesGame}) → ${opponent.username}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Rematch created and opponent invited',
+    data: {
+      challenge: rematch,
+      invitation,
+      seriesId: series._id
+    }
+  });
+});
+
+// ============================================
+// JUDGE PANEL
+// ============================================
+
+/**
+ * Check that the user may change the judge panel (creator or admin, before
+ * the challenge goes live)
+ * @returns {boolean} - Whether an error response was sent
+ */
+const rejectPanelChange = (res, challenge, user) => {
+  const isCreator = challenge.creator.toString() === user._id.toString();
+
+  if (!isCreator && user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Only the creator or admin can manage the judge panel'
+      }
+    });
+    return true;
+  }
+
+  if (!['pending', 'scheduled'].includes(challenge.status)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'PANEL_LOCKED',
+        message: 'The judge panel cannot change once the challenge has started'
+      }
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * @desc    Get the judge panel, its rubric and weight
+ * @route   GET /api/v1/challenges/:id/judges
+ * @access  Public (scorecards once completed; judges see their own)
+ */
+exports.getJudgePanel = asyncHandler(async (req, res, next) => {
+  const challenge = await Challenge.findById(req.params.id)
+    .populate('judges', 'username avatar');
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
+
+  // Scorecards stay private until the result is settled
+  let scorecards = [];
+  if (challenge.status === 'completed') {
+    scorecards = await listScorecards(challenge);
+  } else if (req.user && challenge.isJudge(req.user._id)) {
+    scorecards = await listScorecards(challenge, req.user._id);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      judges: challenge.judges,
+      judgeWeight: resolveScoring(challenge).params.judgeWeight,
+      judgeOnlyScoring: Boolean(challenge.rules.judgeOnlyScoring),
+      rubric: getRubric(challenge.category, challenge.language),
+      scorecards
+    }
+  });
+});
+
+/**
+ * @desc    Nominate a judge
+ * @route   POST /api/v1/challenges/:id/judges/:userId
+ * @access  Private (creator or admin)
+ */
+exports.nominateJudge = asyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+  const challenge = await Challenge.findById(req.params.id);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
+
+  if (rejectPanelChange(res, challenge, req.user)) return;
+
+  if (challenge.isJudge(userId)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'ALREADY_JUDGE',
+        message: 'User is already on the judge panel'
+      }
+    });
+  }
+
+  const judgeError = await checkJudges(
+    [...challenge.judges, userId],
+    challenge.getParticipants().map(p => p.user._id || p.user)
+  );
+
+  if (judgeError) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_JUDGE',
+        message: judgeError
+      }
+    });
+  }
+
+  challenge.judges.push(userId);
+  await challenge.save();
+
+  await notifyNominatedJudges(challenge, [userId], req.user);
+
+  logger.info(`Judge nominated: ${challenge.title} → ${userId}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Judge nominated successfully',
+    data: { judges: challenge.judges }
+  });
+});
+
+/**
+ * @desc    Remove a judge from the panel
+ * @route   DELETE /api/v1/challenges/:id/judges/:userId
+ * @access  Private (creator or admin)
+ */
+exports.removeJudge = asyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+  const challenge = await Challenge.findById(req.params.id);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
+
+  if (rejectPanelChange(res, challenge, req.user)) return;
+
+  if (!challenge.isJudge(userId)) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'JUDGE_NOT_FOUND',
+        message: 'User is not on the judge panel'
+      }
+    });
+  }
+
+  const judges = challenge.judges.filter(j => j.toString() !== userId);
+  const rulesError = checkStructuredRules(challenge.category, challenge.rules, judges);
+
+  if (rulesError) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_RULES',
+        message: rulesError
+      }
+    });
+  }
+
+  challenge.judges = judges;
+  await challenge.save();
+
+  logger.info(`Judge removed: ${challenge.title} → ${userId}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Judge removed successfully',
+    data: { judges: challenge.judges }
+  });
+});
+
+/**
+ * @desc    Submit or update a judge scorecard for a participant or side
+ * @route   PUT /api/v1/challenges/:id/scorecards
+ * @access  Private (judges on the panel, while live)
+ */
+exports.submitScorecard = asyncHandler(async (req, res, next) => {
+  const { participant, team, scores, comment } = req.body;
+  const challenge = await Challenge.findById(req.params.id);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
+
+  if (!challenge.isJudge(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'NOT_JUDGE',
+        message: 'Only judges on the panel can submit scorecards'
+      }
+    });
+  }
+
+  if (challenge.status !== 'live') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NOT_LIVE',
+        message: 'Scorecards can only be submitted while the challenge is live'
+      }
+    });
+  }
+
+  // Team scorecards target a side; individual scorecards target a participant
+  if (team) {
+    if (challenge.mode !== 'team' || !challenge.teams.some(t => t.name === team)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TEAM',
+          message: 'Team is not a side in this challenge'
+        }
+      });
+    }
+  } else if (!challenge.isParticipant(participant)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_COMPETITOR',
+        message: 'Competitor is not a participant in this challenge'
+      }
+    });
+  }
+
+  const scorecard = buildScorecard(challenge.category, scores);
+
+  if (scorecard.error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_SCORECARD',
+        message: scorecard.error
+      }
+    });
+  }
+
+  const target = team
+    ? { competitorScored: null, teamScored: team }
+    : { competitorScored: participant, teamScored: null };
+
+  const saved = await JudgeScore.findOneAndUpdate(
+    { challenge: challenge._id, judge: req.user._id, ...target },
+    { $set: { criteria: scorecard.criteria, total: scorecard.total, ...(comment !== undefined && { comment }) } },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  logger.info(`Scorecard saved: ${req.user.username} → ${team || participant} (${scorecard.total})`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Scorecard saved successfully',
+    data: { scorecard: saved }
+  });
+});
+
+// ============================================
+// START & END CHALLENGE (LIVE)
+// ============================================
+
+/**
+ * @desc    Check in for a scheduled challenge
+ * @route   POST /api/v1/challenges/:id/ready
+ * @access  Private (participants only)
+ */
+exports.markReady = asyncHandler(async (req, res, next) => {
+  const challenge = await Challenge.findById(req.params.id);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
 
-    const opponentTokens = {
-      access_token: decrypt(JSON.parse(challenge.opponent.youtubeAccessToken)),
-      refresh_token: decrypt(JSON.parse(challenge.opponent.youtubeRefreshToken))
-    };
+  if (!challenge.isParticipant(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'NOT_PARTICIPANT',
+        message: 'Only participants can check in'
+      }
+    });
+  }
 
-    const creatorYoutube = getYouTubeService(creatorTokens.access_token, creatorTokens.refresh_token);
-    const opponentYoutube = getYouTubeService(opponentTokens.access_token, opponentTokens.refresh_token);
+  if (challenge.status !== 'scheduled') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NOT_SCHEDULED',
+        message: 'Only scheduled challenges accept check-ins'
+      }
+    });
+  }
 
-    const broadcastData = {
-      title: challenge.title,
-      description: challenge.description,
-      scheduledStartTime: new Date()
-    };
-
-    const [creatorBroadcast, opponentBroadcast] = await Promise.all([
-      createLiveBroadcast(creatorYoutube, broadcastData),
-      createLiveBroadcast(opponentYoutube, broadcastData)
-    ]);
-
-    // Update challenge
-    challenge.status = 'live';
-    challenge.startedAt = new Date();
-    challenge.creatorYoutubeUrl = creatorBroadcast.embedUrl;
-    challenge.opponentYoutubeUrl = opponentBroadcast.embedUrl;
-    challenge.creatorStreamKey = creatorBroadcast.streamKey;
-    challenge.opponentStreamKey = opponentBroadcast.streamKey;
-    challenge.creatorBroadcastId = creatorBroadcast.broadcastId;
-    challenge.opponentBroadcastId = opponentBroadcast.broadcastId;
-    await challenge.save();
+  await markParticipantReady(challenge, req.user._id);
 
-    // Notify followers
-    const io = req.app.get('io');
-    io.to(`challenge:${challenge._id}`).emit('challenge_status_changed', {
-      challengeId: challenge._id,
-      status: 'live',
-      message: 'Challenge has started!',
-      timestamp: new Date()
+  res.status(200).json({
+    success: true,
+    message: 'Checked in successfully',
+    data: {
+      participants: challenge.participants.map(p => ({
+        userId: p.user,
+        role: p.role,
+        readyAt: p.readyAt || null
+      }))
+    }
+  });
+});
+
+/**
+ * @desc    Start live challenge
+ * @route   POST /api/v1/challenges/:id/start
+ * @access  Private (participants only)
+ */
+exports.startChallenge = asyncHandler(async (req, res, next) => {
+  const challenge = await Challenge.findById(req.params.id)
+    .populate('creator')
+    .populate('opponent')
+    .populate('participants.user');
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
+
+  // Check if user is participant
+  if (!challenge.isParticipant(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'NOT_PARTICIPANT',
+        message: 'Only participants can start the challenge'
+      }
+    });
+  }
+
+  // Check if ready to start (participants, sides, status, YouTube linking)
+  const blocker = getStartBlocker(challenge);
+  if (blocker) {
+    return res.status(blocker.status).json({
+      success: false,
+      error: {
+        code: blocker.code,
+        message: blocker.message
+      }
     });
+  }
 
-    logger.info(`Challenge started: ${challenge.title}`);
+  try {
+    // Started meanwhile by another participant or the auto-start
+    if (!(await launchChallenge(challenge))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ALREADY_LIVE',
+          message: 'Challenge is already live'
+        }
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -640,7 +2069,15 @@ exports.startChallenge = asyncHandler(async (req, res, next) => {
           creatorYoutubeUrl: challenge.creatorYoutubeUrl,
           opponentYoutubeUrl: challenge.opponentYoutubeUrl,
           creatorStreamKey: challenge.creatorStreamKey,
-          opponentStreamKey: challenge.opponentStreamKey
+          opponentStreamKey: challenge.opponentStreamKey,
+          participants: challenge.participants.map(p => ({
+            userId: p.user._id,
+            username: p.user.username,
+            role: p.role,
+            team: p.team,
+            youtubeUrl: p.youtubeUrl,
+            streamKey: p.streamKey
+          }))
         }
       }
     });
@@ -676,11 +2113,7 @@ exports.endChallenge = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user is participant
-  const isParticipant = 
-    challenge.creator.toString() === req.user._id.toString() ||
-    (challenge.opponent && challenge.opponent.toString() === req.user._id.toString());
-
-  if (!isParticipant) {
+  if (!challenge.isParticipant(req.user._id)) {
     return res.status(403).json({
       success: false,
       error: {
@@ -700,134 +2133,235 @@ exports.endChallenge = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Calculate revenue
-  const displayedAds = challenge.advertisements.filter(ad => ad.status === 'displayed');
-  const totalRevenue = displayedAds.reduce((sum, ad) => {
-    const adDoc = await Advertisement.findById(ad.adId);
-    return sum + (adDoc ? adDoc.paidAmount : 0);
-  }, 0);
+  // Settle revenue, close rounds and notify viewers
+  const finished = await finishChallenge(challenge);
+
+  // Ended meanwhile by another participant or the auto-end
+  if (!finished) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NOT_LIVE',
+        message: 'Challenge is not currently live'
+      }
+    });
+  }
+
+  const { transactions } = finished;
 
-  const platformShare = totalRevenue * 0.20;
-  const competitorsShare = totalRevenue * 0.80;
+  const ratings = buildRatingsSummary(challenge);
 
-  // Get ratings
-  const creatorRatings = await Rating.find({
-    challenge: challenge._id,
-    competitorRated: challenge.creator
+  res.status(200).json({
+    success: true,
+    message: 'Challenge ended successfully',
+    data: {
+      challenge: {
+        status: challenge.status,
+        endedAt: challenge.endedAt,
+        totalRevenue: challenge.totalRevenue,
+        revenueDistribution: challenge.revenueDistribution,
+        creatorAvgRating: ratings.creator ? ratings.creator.average : 0,
+        opponentAvgRating: ratings.opponent ? ratings.opponent.average : 0,
+        participants: ratings.participants
+      },
+      transactions
+    }
   });
+});
 
-  const opponentRatings = await Rating.find({
-    challenge: challenge._id,
-    competitorRated: challenge.opponent
+// ============================================
+// LIVE ROUNDS
+// ============================================
+
+/**
+ * @desc    Get live round state and per-round timestamps
+ * @route   GET /api/v1/challenges/:id/rounds
+ * @access  Public
+ */
+exports.getRoundState = asyncHandler(async (req, res, next) => {
+  const challenge = await Challenge.findById(req.params.id)
+    .select('status rules roundState roundHistory');
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      totalRounds: challenge.rules.rounds,
+      turnScheme: challenge.rules.turnScheme,
+      speakingTimeSeconds: challenge.rules.speakingTimeSeconds || null,
+      rebuttals: challenge.rules.rebuttals || 0,
+      state: challenge.roundState,
+      rounds: challenge.roundHistory
+    }
   });
+});
+
+/**
+ * @desc    Pause or resume the running round
+ * @route   POST /api/v1/challenges/:id/rounds/pause
+ * @route   POST /api/v1/challenges/:id/rounds/resume
+ * @access  Private (participants only)
+ */
+const toggleRounds = (action) => asyncHandler(async (req, res, next) => {
+  const challenge = await Challenge.findById(req.params.id);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
 
-  const creatorTotalScore = creatorRatings.reduce((sum, r) => sum + r.score, 0);
-  const opponentTotalScore = opponentRatings.reduce((sum, r) => sum + r.score, 0);
-  const totalScore = creatorTotalScore + opponentTotalScore;
+  if (!challenge.isParticipant(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'NOT_PARTICIPANT',
+        message: `Only participants can ${action} rounds`
+      }
+    });
+  }
 
-  let creatorRevenue = 0;
-  let opponentRevenue = 0;
+  const expected = action === 'pause' ? 'running' : 'paused';
 
-  if (totalScore > 0) {
-    const creatorPercentage = (creatorTotalScore / totalScore) * 100;
-    const opponentPercentage = (opponentTotalScore / totalScore) * 100;
+  if (challenge.status !== 'live' || challenge.roundState.status !== expected) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ROUND_STATE',
+        message: `Rounds can only be ${action}d while ${expected}`
+      }
+    });
+  }
 
-    creatorRevenue = competitorsShare * (creatorPercentage / 100);
-    opponentRevenue = competitorsShare * (opponentPercentage / 100);
+  if (action === 'pause') {
+    await pauseRounds(challenge, req.user._id);
   } else {
-    // Equal split if no ratings
-    creatorRevenue = competitorsShare / 2;
-    opponentRevenue = competitorsShare / 2;
-  }
-
-  // Update challenge
-  challenge.status = 'completed';
-  challenge.endedAt = new Date();
-  challenge.totalRevenue = totalRevenue;
-  challenge.revenueDistribution = {
-    platform: platformShare,
-    creator: creatorRevenue,
-    opponent: opponentRevenue
-  };
-  await challenge.save();
+    await resumeRounds(challenge, req.user._id);
+  }
 
-  // Create transactions
-  const transactions = [];
+  logger.info(`Rounds ${action}d in challenge ${challenge._id} by ${req.user.username}`);
 
-  if (creatorRevenue > 0) {
-    const creatorTransaction = await Transaction.create({
-      user: challenge.creator,
-      challenge: challenge._id,
-      amount: creatorRevenue,
-      type: 'challenge_earning',
-      status: 'pending',
-      metadata: {
-        ratingPercentage: totalScore > 0 ? (creatorTotalScore / totalScore) * 100 : 50,
-        totalChallengeRevenue: totalRevenue,
-        competitorRole: 'creator'
+  res.status(200).json({
+    success: true,
+    message: `Rounds ${action}d successfully`,
+    data: { state: challenge.roundState }
+  });
+});
+
+exports.pauseChallengeRounds = toggleRounds('pause');
+exports.resumeChallengeRounds = toggleRounds('resume');
+
+// ============================================
+// ADVERTISEMENT MANAGEMENT
+// ============================================
+
+/**
+ * @desc    Show an assigned advertisement to the room
+ * @route   POST /api/v1/challenges/:id/display-ad/:adId
+ * @access  Private (creator or admin, while live)
+ */
+exports.displayAdvertisement = asyncHandler(async (req, res, next) => {
+  const { id: challengeId, adId } = req.params;
+
+  const challenge = await Challenge.findById(challengeId);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
       }
     });
-    transactions.push(creatorTransaction);
+  }
+
+  const isCreator = challenge.creator.toString() === req.user._id.toString();
 
-    // Update user earnings
-    await User.findByIdAndUpdate(challenge.creator, {
-      $inc: { totalEarnings: creatorRevenue, totalChallenges: 1 }
+  if (!isCreator && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Only the creator or admin can display advertisements'
+      }
     });
   }
 
-  if (opponentRevenue > 0) {
-    const opponentTransaction = await Transaction.create({
-      user: challenge.opponent,
-      challenge: challenge._id,
-      amount: opponentRevenue,
-      type: 'challenge_earning',
-      status: 'pending',
-      metadata: {
-        ratingPercentage: totalScore > 0 ? (opponentTotalScore / totalScore) * 100 : 50,
-        totalChallengeRevenue: totalRevenue,
-        competitorRole: 'opponent'
+  if (challenge.status !== 'live') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NOT_LIVE',
+        message: 'Advertisements can only be displayed during live challenges'
+      }
+    });
+  }
+
+  const entry = challenge.advertisements.find(ad => ad.adId.toString() === adId);
+  const advertisement = entry && await Advertisement.findOne({ _id: adId, assignedChallenge: challenge._id });
+
+  if (!advertisement) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'AD_NOT_FOUND',
+        message: 'Advertisement not found in this challenge'
       }
     });
-    transactions.push(opponentTransaction);
+  }
 
-    // Update user earnings
-    await User.findByIdAndUpdate(challenge.opponent, {
-      $inc: { totalEarnings: opponentRevenue, totalChallenges: 1 }
+  if (entry.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'AD_NOT_PENDING',
+        message: `Advertisement is already ${entry.status}`
+      }
     });
   }
 
+  const now = new Date();
+  entry.status = 'displayed';
+  entry.displayTime = now;
+  entry.displayDuration = advertisement.calculatedDuration;
+  await challenge.save();
+
+  advertisement.status = 'displayed';
+  advertisement.displayTime = now;
+  await advertisement.save();
+
   // Notify via WebSocket
-  const io = req.app.get('io');
-  io.to(`challenge:${challenge._id}`).emit('challenge_status_changed', {
-    challengeId: challenge._id,
-    status: 'completed',
-    message: 'Challenge has ended!',
-    timestamp: new Date()
+  publish('ad_display', { challengeId }, {
+    adId,
+    advertiser: advertisement.advertiser,
+    content: advertisement.content,
+    duration: advertisement.calculatedDuration
   });
 
-  logger.info(`Challenge ended: ${challenge.title}, Revenue: $${totalRevenue}`);
+  logger.info(`Ad displayed in challenge ${challengeId} by ${req.user.username}`);
 
   res.status(200).json({
     success: true,
-    message: 'Challenge ended successfully',
+    message: 'Advertisement displayed successfully',
     data: {
-      challenge: {
-        status: challenge.status,
-        endedAt: challenge.endedAt,
-        totalRevenue: challenge.totalRevenue,
-        revenueDistribution: challenge.revenueDistribution,
-        creatorAvgRating: creatorRatings.length > 0 ? creatorTotalScore / creatorRatings.length : 0,
-        opponentAvgRating: opponentRatings.length > 0 ? opponentTotalScore / opponentRatings.length : 0
-      },
-      transactions
+      advertisement: entry
     }
   });
 });
 
-// ============================================
-// ADVERTISEMENT MANAGEMENT
-// ============================================
-
 /**
  * @desc    Reject advertisement
  * @route   POST /api/v1/challenges/:id/reject-ad/:adId
@@ -850,11 +2384,7 @@ exports.rejectAdvertisement = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user is participant
-  const isParticipant = 
-    challenge.creator.toString() === req.user._id.toString() ||
-    (challenge.opponent && challenge.opponent.toString() === req.user._id.toString());
-
-  if (!isParticipant) {
+  if (!challenge.isParticipant(req.user._id)) {
     return res.status(403).json({
       success: false,
       error: {
@@ -894,13 +2424,10 @@ exports.rejectAdvertisement = asyncHandler(async (req, res, next) => {
   });
 
   // Notify via WebSocket
-  const io = req.app.get('io');
-  io.to(`challenge:${challengeId}`).emit('ad_rejected', {
-    challengeId,
+  publish('ad_rejected', { challengeId }, {
     adId,
     rejectedBy: req.user.username,
-    reason: reason || 'Conflicts with principles',
-    timestamp: new Date()
+    reason: reason || 'Conflicts with principles'
   });
 
   logger.info(`Ad rejected in challenge ${challengeId} by ${req.user.username}`);
@@ -939,29 +2466,73 @@ exports.getChallengeRatings = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: {
-      ratings: {
-        creator: {
-          totalScore: challenge.creatorRatingSum,
-          count: challenge.creatorRatingCount,
-          average: challenge.creatorRatingCount > 0 
-            ? challenge.creatorRatingSum / challenge.creatorRatingCount 
-            : 0,
-          percentage: challenge.totalRatings > 0
-            ? (challenge.creatorRatingSum / (challenge.creatorRatingSum + challenge.opponentRatingSum)) * 100
-            : 0
-        },
-        opponent: {
-          totalScore: challenge.opponentRatingSum,
-          count: challenge.opponentRatingCount,
-          average: challenge.opponentRatingCount > 0
-            ? challenge.opponentRatingSum / challenge.opponentRatingCount
-            : 0,
-          percentage: challenge.totalRatings > 0
-            ? (challenge.opponentRatingSum / (challenge.creatorRatingSum + challenge.opponentRatingSum)) * 100
-            : 0
-        },
-        totalRatings: challenge.totalRatings
+      ratings: buildRatingsSummary(challenge),
+      rounds: await buildRoundScoreboards(challenge),
+      finalScores: await buildFinalScoreSummary(challenge)
+    }
+  });
+});
+
+/**
+ * @desc    Get the rating timeline: per-competitor averages and counts per time bucket
+ * @route   GET /api/v1/challenges/:id/ratings/timeline
+ * @access  Public
+ */
+exports.getRatingTimeline = asyncHandler(async (req, res, next) => {
+  const challenge = await Challenge.findById(req.params.id)
+    .select('status mode startedAt endedAt ratingTimeline.resolution ratingTimeline.finalizedAt ratingTimeline.buckets');
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
+      }
+    });
+  }
+
+  const resolution = parseInt(req.query.resolution, 10) || DEFAULT_RESOLUTION;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      status: challenge.status,
+      ...await buildRatingTimeline(challenge, resolution)
+    }
+  });
+});
+
+/**
+ * @desc    Get viewer statistics and the per-minute viewer timeline
+ * @route   GET /api/v1/challenges/:id/viewers
+ * @access  Public
+ */
+exports.getChallengeViewers = asyncHandler(async (req, res, next) => {
+  const challenge = await Challenge.findById(req.params.id)
+    .select('status startedAt endedAt viewerCount');
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CHALLENGE_NOT_FOUND',
+        message: 'Challenge not found'
       }
+    });
+  }
+
+  const { timeline, ...stats } = await buildViewerStats(challenge);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      status: challenge.status,
+      startedAt: challenge.startedAt || null,
+      endedAt: challenge.endedAt || null,
+      currentViewers: challenge.viewerCount,
+      ...stats,
+      timeline
     }
   });
 });
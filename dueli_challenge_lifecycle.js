@@ -0,0 +1,503 @@
+// ============================================
+// FILE: services/challengeLifecycle.service.js
+// Start / End Challenge & Scheduled Transitions
+// ============================================
+
+const { Challenge } = require('../models');
+const { getYouTubeService, createLiveBroadcast } = require('../config/youtube');
+const { decrypt } = require('../config/encryption');
+const { publish } = require('./eventBus.service');
+const { settleChallengeRevenue } = require('./revenue.service');
+const { startRounds, stopRounds } = require('./roundEngine.service');
+const { updateSkillRatings } = require('./skill.service');
+const { finalizeViewerStats } = require('./presence.service');
+const { finalizeRatingTimeline } = require('./ratingTimeline.service');
+const { declineCompetingInvitations } = require('./invitation.service');
+const {
+  registerJobHandler,
+  scheduleJob,
+  cancelJobs,
+  isPersistent,
+  initScheduler
+} = require('./scheduler.service');
+const { idOf, notifyUser } = require('../utils/helpers');
+const logger = require('../config/logger');
+
+const JOB_TYPES = {
+  REMINDER: 'challenge_reminder',
+  AUTO_START: 'challenge_auto_start',
+  NO_SHOW: 'challenge_no_show',
+  AUTO_END: 'challenge_auto_end'
+};
+
+/**
+ * Minutes before scheduledTime at which participants are reminded
+ * (CHALLENGE_REMINDER_LEAD_MINUTES, comma separated, default "60,10")
+ */
+const getReminderLeadMinutes = () =>
+  (process.env.CHALLENGE_REMINDER_LEAD_MINUTES || '60,10')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0);
+
+/**
+ * How long after scheduledTime participants have to check in
+ */
+const getNoShowGraceMs = () =>
+  (parseInt(process.env.CHALLENGE_NO_SHOW_GRACE_MINUTES, 10) || 10) * 60 * 1000;
+
+// Listeners run after a challenge completes or is cancelled (tournaments etc.)
+const closeHandlers = [];
+
+const jobKey = (type, challengeId, suffix) =>
+  [type, challengeId.toString(), suffix].filter(part => part !== undefined).join(':');
+
+const emitStatusChange = (challenge, status, message) => {
+  publish('challenge_status_changed', { challengeId: challenge._id }, { status, message });
+};
+
+/**
+ * Store a notification for every participant and push it to their sockets
+ */
+const notifyParticipants = async (challenge, notification) => {
+  for (const participant of challenge.getParticipants()) {
+    await notifyUser(idOf(participant.user), {
+      ...notification,
+      link: `/challenges/${challenge._id}`,
+      metadata: { challengeId: challenge._id }
+    });
+  }
+};
+
+/**
+ * Register a listener for challenges that completed or were cancelled
+ * @param {Function} handler - async (challenge) => {}
+ */
+const registerCloseHandler = (handler) => {
+  closeHandlers.push(handler);
+};
+
+/**
+ * Run every close listener; a failing listener does not stop the others
+ * @param {object} challenge - Completed or cancelled challenge document
+ */
+const runCloseHandlers = async (challenge) => {
+  for (const handler of closeHandlers) {
+    try {
+      await handler(challenge);
+    } catch (error) {
+      logger.error(`Close handler failed for ${challenge.title}:`, error);
+    }
+  }
+};
+
+// ============================================
+// START & END
+// ============================================
+
+/**
+ * Check whether a challenge can go live
+ * Expects participants' users to be populated.
+ * @param {object} challenge - Challenge document
+ * @returns {object|null} - { status, code, message } or null when startable
+ */
+const getStartBlocker = (challenge) => {
+  if (challenge.getParticipants().length < 2) {
+    return { status: 400, code: 'NO_OPPONENT', message: 'Challenge needs at least two participants to start' };
+  }
+
+  // Team mode: every side needs at least one member
+  const emptySide = challenge.mode === 'team' &&
+    challenge.teams.find(t => !challenge.participants.some(p => p.team === t.name));
+
+  if (emptySide) {
+    return { status: 400, code: 'TEAM_INCOMPLETE', message: `Side "${emptySide.name}" has no members yet` };
+  }
+
+  if (challenge.status === 'live') {
+    return { status: 400, code: 'ALREADY_LIVE', message: 'Challenge is already live' };
+  }
+
+  if (challenge.status === 'completed') {
+    return { status: 400, code: 'ALREADY_COMPLETED', message: 'Challenge is already completed' };
+  }
+
+  if (challenge.getParticipants().some(p => !p.user.youtubeLinked)) {
+    return { status: 400, code: 'YOUTUBE_NOT_LINKED', message: 'All participants must link their YouTube accounts' };
+  }
+
+  return null;
+};
+
+/**
+ * Create the broadcasts, mark the challenge live and start rounds (saves)
+ * Used by the start endpoint and the scheduler. The pending/scheduled → live
+ * transition is claimed before YouTube is called, so a manual start racing
+ * the auto-start creates one set of broadcasts. Throws on YouTube errors
+ * (the claim is given back first).
+ * @param {object} challenge - Challenge with populated participants
+ * @returns {object|null} - The live challenge, or null when another caller started it
+ */
+const launchChallenge = async (challenge) => {
+  const startedAt = new Date();
+  const previous = await Challenge.findOneAndUpdate(
+    { _id: challenge._id, status: { $in: ['pending', 'scheduled'] } },
+    { $set: { status: 'live', startedAt } }
+  );
+  if (!previous) return null;
+
+  // Older documents only have creator/opponent; materialise the participant list
+  if (challenge.participants.length === 0) {
+    challenge.participants = challenge.getParticipants();
+  }
+
+  const broadcastData = {
+    title: challenge.title,
+    description: challenge.description,
+    scheduledStartTime: new Date()
+  };
+
+  // Create one YouTube live broadcast per participant
+  let broadcasts;
+  try {
+    broadcasts = await Promise.all(challenge.participants.map(p => {
+      const youtube = getYouTubeService(
+        decrypt(JSON.parse(p.user.youtubeAccessToken)),
+        decrypt(JSON.parse(p.user.youtubeRefreshToken))
+      );
+      return createLiveBroadcast(youtube, broadcastData);
+    }));
+  } catch (error) {
+    await Challenge.updateOne(
+      { _id: challenge._id, status: 'live' },
+      { $set: { status: previous.status }, $unset: { startedAt: 1 } }
+    );
+    throw error;
+  }
+
+  challenge.participants.forEach((p, index) => {
+    p.youtubeUrl = broadcasts[index].embedUrl;
+    p.streamKey = broadcasts[index].streamKey;
+    p.broadcastId = broadcasts[index].broadcastId;
+
+    // Mirror the two main seats on the legacy fields
+    if (p.role === 'creator' || p.role === 'opponent') {
+      challenge[`${p.role}YoutubeUrl`] = p.youtubeUrl;
+      challenge[`${p.role}StreamKey`] = p.streamKey;
+      challenge[`${p.role}BroadcastId`] = p.broadcastId;
+    }
+  });
+
+  challenge.status = 'live';
+  challenge.startedAt = startedAt;
+  await challenge.save();
+
+  // Start the round timer (round 1, first turn)
+  await startRounds(challenge);
+
+  // Drop pending reminders/no-show checks and arm the duration limit
+  await cancelJobs({ challenge: challenge._id });
+  await scheduleAutoEnd(challenge);
+
+  // Applicants and invitees still waiting will not get a seat now
+  try {
+    await declineCompetingInvitations(challenge);
+  } catch (error) {
+    logger.error(`Declining invitations failed for ${challenge.title}:`, error);
+  }
+
+  emitStatusChange(challenge, 'live', 'Challenge has started!');
+
+  logger.info(`Challenge started: ${challenge.title}`);
+
+  return challenge;
+};
+
+/**
+ * Mark the challenge completed and settle revenue (saves)
+ * The live → completed transition is claimed first, so the auto-end job and
+ * participants ending at once settle the revenue only once.
+ * @param {object} challenge - Live challenge document
+ * @returns {object|null} - { totalRevenue, transactions }, or null when another caller ended it
+ */
+const finishChallenge = async (challenge) => {
+  const endedAt = new Date();
+  const claimed = await Challenge.findOneAndUpdate(
+    { _id: challenge._id, status: 'live' },
+    { $set: { status: 'completed', endedAt } }
+  );
+  if (!claimed) return null;
+
+  challenge.status = 'completed';
+  challenge.endedAt = endedAt;
+
+  // Calculate revenue, split it by rating share and record transactions
+  const { totalRevenue, transactions } = await settleChallengeRevenue(challenge);
+
+  stopRounds(challenge);
+  await challenge.save();
+
+  await cancelJobs({ challenge: challenge._id });
+
+  // Rank competitors on the result; the challenge is already settled either way
+  try {
+    await updateSkillRatings(challenge);
+  } catch (error) {
+    logger.error(`Skill rating update failed for ${challenge.title}:`, error);
+  }
+
+  // Peak, average and unique viewers of the live window
+  try {
+    await finalizeViewerStats(challenge);
+  } catch (error) {
+    logger.error(`Viewer stats failed for ${challenge.title}:`, error);
+  }
+
+  // Rating timeline for replays
+  try {
+    await finalizeRatingTimeline(challenge);
+  } catch (error) {
+    logger.error(`Rating timeline failed for ${challenge.title}:`, error);
+  }
+
+  emitStatusChange(challenge, 'completed', 'Challenge has ended!');
+
+  await runCloseHandlers(challenge);
+
+  logger.info(`Challenge ended: ${challenge.title}, Revenue: $${totalRevenue}`);
+
+  return { totalRevenue, transactions };
+};
+
+// ============================================
+// CHECK-IN
+// ============================================
+
+/**
+ * Whether every seat is taken and has checked in
+ */
+const isEveryoneReady = (challenge) => {
+  const participants = challenge.getParticipants();
+  return participants.length >= 2 && participants.every(p => p.readyAt);
+};
+
+/**
+ * Check a participant in for a scheduled challenge (saves)
+ * Starts right away when the start time has passed and everyone is ready.
+ * @param {object} challenge - Scheduled challenge document
+ * @param {ObjectId} userId - Participant checking in
+ */
+const markParticipantReady = async (challenge, userId) => {
+  if (challenge.participants.length === 0) {
+    challenge.participants = challenge.getParticipants();
+  }
+
+  const participant = challenge.findParticipant(userId);
+  participant.readyAt = participant.readyAt || new Date();
+  await challenge.save();
+
+  publish('participant_ready', { challengeId: challenge._id }, {
+    userId,
+    readyCount: challenge.participants.filter(p => p.readyAt).length,
+    participantCount: challenge.participants.length
+  });
+
+  if (isEveryoneReady(challenge) && challenge.scheduledTime && challenge.scheduledTime <= new Date()) {
+    await scheduleJob({
+      key: jobKey(JOB_TYPES.AUTO_START, challenge._id),
+      type: JOB_TYPES.AUTO_START,
+      challenge: challenge._id,
+      runAt: new Date()
+    });
+  }
+
+  return challenge;
+};
+
+// ============================================
+// SCHEDULED JOBS
+// ============================================
+
+/**
+ * (Re)build reminder, auto-start and no-show jobs from scheduledTime
+ * Cancels them when the challenge is no longer scheduled.
+ * @param {object} challenge - Challenge document
+ */
+const scheduleChallengeJobs = async (challenge) => {
+  await cancelJobs({ challenge: challenge._id });
+
+  if (challenge.status !== 'scheduled' || !challenge.scheduledTime) return;
+
+  const startAt = challenge.scheduledTime.getTime();
+  const now = Date.now();
+
+  for (const leadMinutes of getReminderLeadMinutes()) {
+    const runAt = startAt - leadMinutes * 60 * 1000;
+    if (runAt <= now) continue;
+
+    await scheduleJob({
+      key: jobKey(JOB_TYPES.REMINDER, challenge._id, leadMinutes),
+      type: JOB_TYPES.REMINDER,
+      challenge: challenge._id,
+      runAt,
+      data: { leadMinutes }
+    });
+  }
+
+  await scheduleJob({
+    key: jobKey(JOB_TYPES.AUTO_START, challenge._id),
+    type: JOB_TYPES.AUTO_START,
+    challenge: challenge._id,
+    runAt: startAt
+  });
+
+  await scheduleJob({
+    key: jobKey(JOB_TYPES.NO_SHOW, challenge._id),
+    type: JOB_TYPES.NO_SHOW,
+    challenge: challenge._id,
+    runAt: startAt + getNoShowGraceMs()
+  });
+};
+
+/**
+ * End the challenge automatically once rules.duration has elapsed
+ * @param {object} challenge - Live challenge document
+ */
+const scheduleAutoEnd = async (challenge) => {
+  const duration = (challenge.rules && challenge.rules.duration) || 60;
+
+  await scheduleJob({
+    key: jobKey(JOB_TYPES.AUTO_END, challenge._id),
+    type: JOB_TYPES.AUTO_END,
+    challenge: challenge._id,
+    runAt: challenge.startedAt.getTime() + duration * 60 * 1000
+  });
+};
+
+const handleReminder = async (job) => {
+  const challenge = await Challenge.findById(job.challenge);
+  if (!challenge || challenge.status !== 'scheduled') return;
+
+  const { leadMinutes } = job.data;
+
+  await notifyParticipants(challenge, {
+    type: 'challenge_starting',
+    content: `منافستك "${challenge.title}" تبدأ خلال ${leadMinutes} دقيقة`,
+    priority: 'high'
+  });
+
+  publish('challenge_starting', { challengeId: challenge._id }, {
+    scheduledTime: challenge.scheduledTime,
+    minutesLeft: leadMinutes
+  });
+};
+
+const handleAutoStart = async (job) => {
+  const challenge = await Challenge.findById(job.challenge)
+    .populate('creator')
+    .populate('opponent')
+    .populate('participants.user');
+
+  if (!challenge || challenge.status !== 'scheduled') return;
+
+  // Not everyone has checked in yet; the no-show check decides later
+  if (!isEveryoneReady(challenge)) {
+    logger.info(`Auto-start deferred, waiting for check-ins: ${challenge.title}`);
+    return;
+  }
+
+  const blocker = getStartBlocker(challenge);
+  if (blocker) {
+    logger.warn(`Auto-start skipped for ${challenge.title}: ${blocker.code}`);
+    return;
+  }
+
+  await launchChallenge(challenge);
+};
+
+const handleNoShow = async (job) => {
+  const challenge = await Challenge.findById(job.challenge);
+  if (!challenge || challenge.status !== 'scheduled') return;
+
+  if (challenge.participants.length === 0) {
+    challenge.participants = challenge.getParticipants();
+  }
+
+  const noShows = challenge.participants.filter(p => !p.readyAt);
+
+  if (noShows.length === 0 && challenge.participants.length >= 2) {
+    logger.warn(`Everyone checked in but ${challenge.title} did not start; leaving it for a manual start`);
+    return;
+  }
+
+  noShows.forEach(p => { p.noShow = true; });
+  challenge.status = 'cancelled';
+  challenge.cancellationReason = 'no_show';
+  await challenge.save();
+
+  await cancelJobs({ challenge: challenge._id });
+  await declineCompetingInvitations(challenge);
+
+  await notifyParticipants(challenge, {
+    type: 'challenge_cancelled',
+    content: `تم إلغاء المنافسة "${challenge.title}" لعدم حضور جميع المشاركين`
+  });
+
+  emitStatusChange(challenge, 'cancelled', 'Challenge cancelled: not all participants showed up');
+
+  await runCloseHandlers(challenge);
+
+  logger.info(`Challenge cancelled for no-show: ${challenge.title} (${noShows.length} missing)`);
+};
+
+const handleAutoEnd = async (job) => {
+  const challenge = await Challenge.findById(job.challenge);
+  if (!challenge || challenge.status !== 'live') return;
+
+  await finishChallenge(challenge);
+};
+
+/**
+ * In-process jobs are lost on restart; rebuild them from the challenges
+ */
+const restoreChallengeJobs = async () => {
+  if (isPersistent()) return;
+
+  const scheduled = await Challenge.find({ status: 'scheduled', scheduledTime: { $ne: null } });
+  for (const challenge of scheduled) {
+    await scheduleChallengeJobs(challenge);
+  }
+
+  const live = await Challenge.find({ status: 'live', startedAt: { $ne: null } });
+  for (const challenge of live) {
+    await scheduleAutoEnd(challenge);
+  }
+
+  logger.info(`Restored jobs for ${scheduled.length} scheduled and ${live.length} live challenge(s)`);
+};
+
+/**
+ * Register challenge job handlers and start the scheduler
+ * Called once on server start.
+ */
+const initChallengeScheduler = async (io) => {
+  registerJobHandler(JOB_TYPES.REMINDER, handleReminder);
+  registerJobHandler(JOB_TYPES.AUTO_START, handleAutoStart);
+  registerJobHandler(JOB_TYPES.NO_SHOW, handleNoShow);
+  registerJobHandler(JOB_TYPES.AUTO_END, handleAutoEnd);
+
+  await initScheduler({ io });
+  await restoreChallengeJobs();
+};
+
+module.exports = {
+  JOB_TYPES,
+  getStartBlocker,
+  launchChallenge,
+  finishChallenge,
+  markParticipantReady,
+  scheduleChallengeJobs,
+  registerCloseHandler,
+  runCloseHandlers,
+  initChallengeScheduler
+};
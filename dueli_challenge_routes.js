@@ -9,26 +9,57 @@ const router = express.Router();
 const {
   listChallenges,
   getChallengeDetails,
+  getRuleVocabulary,
   createChallenge,
   updateChallenge,
   cancelChallenge,
   requestToJoin,
   acceptRejectJoinRequest,
+  getApplicants,
+  shortlistApplicant,
+  inviteUser,
+  respondToInvitation,
+  getChallengeInvitations,
+  declareSources,
+  createRematch,
+  markReady,
   startChallenge,
   endChallenge,
+  getRoundState,
+  pauseChallengeRounds,
+  resumeChallengeRounds,
+  displayAdvertisement,
   rejectAdvertisement,
+  getJudgePanel,
+  nominateJudge,
+  removeJudge,
+  submitScorecard,
   getChallengeRatings,
+  getRatingTimeline,
+  getChallengeViewers,
   getChallengeComments
 } = require('../controllers/challenge.controller');
 
 const { protect, optionalAuth } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
+const checkBlocked = require('../middleware/checkBlocked');
 const {
   createChallengeValidation,
   updateChallengeValidation,
   joinRequestValidation,
   acceptRejectValidation,
-  rejectAdValidation
+  shortlistValidation,
+  inviteUserValidation,
+  respondInvitationValidation,
+  listInvitationsValidation,
+  ruleVocabularyValidation,
+  declareSourcesValidation,
+  rematchValidation,
+  rejectAdValidation,
+  displayAdValidation,
+  ratingTimelineValidation,
+  judgeValidation,
+  scorecardValidation
 } = require('../validators/challenge.validator');
 
 // ============================================
@@ -38,15 +69,30 @@ const {
 // List and search challenges
 router.get('/', optionalAuth, listChallenges);
 
+// Structured rules per category (must be before /:id)
+router.get('/rule-vocabulary', ruleVocabularyValidation, validate, getRuleVocabulary);
+
 // Get challenge details
 router.get('/:id', optionalAuth, getChallengeDetails);
 
 // Get challenge ratings (aggregated)
 router.get('/:id/ratings', getChallengeRatings);
 
+// Rating timeline (per-competitor averages per time bucket)
+router.get('/:id/ratings/timeline', ratingTimelineValidation, validate, getRatingTimeline);
+
+// Judge panel, rubric and (once completed) scorecards
+router.get('/:id/judges', optionalAuth, getJudgePanel);
+
 // Get challenge comments
 router.get('/:id/comments', getChallengeComments);
 
+// Viewer statistics and per-minute timeline
+router.get('/:id/viewers', getChallengeViewers);
+
+// Get live round state
+router.get('/:id/rounds', getRoundState);
+
 // ============================================
 // PROTECTED ROUTES
 // ============================================
@@ -66,12 +112,44 @@ router.post('/:id/join', protect, joinRequestValidation, validate, requestToJoin
 // Accept/Reject join request
 router.put('/:id/accept/:userId', protect, acceptRejectValidation, validate, acceptRejectJoinRequest);
 
+// Open-call applicants: ranked list and creator shortlist
+router.get('/:id/applicants', protect, getApplicants);
+router.put('/:id/applicants/:userId/shortlist', protect, shortlistValidation, validate, shortlistApplicant);
+
+// Direct invitation to a named user (creator) and the invitee's answer
+router.post('/:id/invite/:userId', protect, inviteUserValidation, validate, checkBlocked, inviteUser);
+router.put('/:id/invite/respond', protect, respondInvitationValidation, validate, respondToInvitation);
+
+// List join requests and direct invitations (creator)
+router.get('/:id/invitations', protect, listInvitationsValidation, validate, getChallengeInvitations);
+
+// Declare cited sources before the start (participants)
+router.put('/:id/sources', protect, declareSourcesValidation, validate, declareSources);
+
+// Rematch a finished one-on-one challenge (either player)
+router.post('/:id/rematch', protect, rematchValidation, validate, createRematch);
+
+// Judge panel (creator or admin) and judge scorecards
+router.post('/:id/judges/:userId', protect, judgeValidation, validate, nominateJudge);
+router.delete('/:id/judges/:userId', protect, judgeValidation, validate, removeJudge);
+router.put('/:id/scorecards', protect, scorecardValidation, validate, submitScorecard);
+
+// Check in for a scheduled challenge
+router.post('/:id/ready', protect, markReady);
+
 // Start challenge
 router.post('/:id/start', protect, startChallenge);
 
 // End challenge
 router.post('/:id/end', protect, endChallenge);
 
+// Pause/Resume live rounds
+router.post('/:id/rounds/pause', protect, pauseChallengeRounds);
+router.post('/:id/rounds/resume', protect, resumeChallengeRounds);
+
+// Display an assigned advertisement (creator or admin)
+router.post('/:id/display-ad/:adId', protect, displayAdValidation, validate, displayAdvertisement);
+
 // Reject advertisement
 router.post('/:id/reject-ad/:adId', protect, rejectAdValidation, validate, rejectAdvertisement);
 
@@ -83,6 +161,90 @@ module.exports = router;
 // ============================================
 
 const { body, query, param } = require('express-validator');
+const { MAX_JUDGES, MAX_CRITERION_SCORE, checkStructuredRules } = require('../services/ruleBook.service');
+const { STRATEGY_NAMES } = require('../services/ratingStrategy.service');
+const { TIMELINE_RESOLUTIONS } = require('../services/ratingTimeline.service');
+
+/**
+ * Structured rule limits (create, update and templates)
+ */
+const structuredRulesValidation = [
+  body('rules.motion')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 300 })
+    .withMessage('Motion must be between 5 and 300 characters'),
+
+  body('rules.speakingTimeSeconds')
+    .optional()
+    .isInt({ min: 15, max: 900 })
+    .withMessage('Speaking time must be between 15 and 900 seconds'),
+
+  body('rules.rebuttals')
+    .optional()
+    .isInt({ min: 0, max: 5 })
+    .withMessage('Rebuttals must be between 0 and 5'),
+
+  body('rules.allowedSources')
+    .optional()
+    .isIn(['none', 'cited', 'any'])
+    .withMessage('Allowed sources must be none, cited or any'),
+
+  body('rules.maxSources')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Max sources must be between 1 and 20'),
+
+  body('rules.notesAllowed')
+    .optional()
+    .isBoolean()
+    .withMessage('Notes allowed must be true or false')
+    .toBoolean(),
+
+  body('rules.judgeOnlyScoring')
+    .optional()
+    .isBoolean()
+    .withMessage('Judge-only scoring must be true or false')
+    .toBoolean(),
+
+  body('rules.judgeWeight')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Judge weight must be between 0 and 100 percent')
+];
+
+exports.structuredRulesValidation = structuredRulesValidation;
+
+/**
+ * Rating strategy (create, update and templates)
+ */
+const ratingStrategyValidation = [
+  body('rules.ratingStrategy')
+    .optional()
+    .isIn(STRATEGY_NAMES)
+    .withMessage(`Rating strategy must be one of: ${STRATEGY_NAMES.join(', ')}`),
+
+  body('rules.watchTimeMinutes')
+    .optional()
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Watch time must be between 1 and 120 minutes')
+];
+
+exports.ratingStrategyValidation = ratingStrategyValidation;
+
+/**
+ * Judge panel (create and update)
+ */
+const judgesValidation = [
+  body('judges')
+    .optional()
+    .isArray({ max: MAX_JUDGES })
+    .withMessage(`Judges must be a list of at most ${MAX_JUDGES} users`),
+
+  body('judges.*')
+    .isMongoId()
+    .withMessage('Invalid judge ID')
+];
 
 /**
  * Create challenge validation
@@ -101,13 +263,21 @@ exports.createChallengeValidation = [
     .isLength({ max: 1000 })
     .withMessage('Description cannot exceed 1000 characters'),
 
+  body('templateId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+
+  // Category and field may come from the template
   body('category')
+    .if((value, { req }) => !req.body.templateId || value !== undefined)
     .notEmpty()
     .withMessage('Category is required')
     .isIn(['dialogue', 'science', 'talent'])
     .withMessage('Invalid category'),
 
   body('field')
+    .if((value, { req }) => !req.body.templateId || value !== undefined)
     .trim()
     .notEmpty()
     .withMessage('Field is required')
@@ -156,7 +326,78 @@ exports.createChallengeValidation = [
     .isLength({ min: 2, max: 2 })
     .withMessage('Country code must be 2 characters')
     .isAlpha()
-    .withMessage('Country code must contain only letters')
+    .withMessage('Country code must contain only letters'),
+
+  body('maxParticipants')
+    .optional()
+    .isInt({ min: 2, max: 8 })
+    .withMessage('Max participants must be between 2 and 8'),
+
+  body('joinMode')
+    .optional()
+    .isIn(['request', 'open_call'])
+    .withMessage('Join mode must be request or open_call'),
+
+  body('mode')
+    .optional()
+    .isIn(['individual', 'team'])
+    .withMessage('Mode must be individual or team'),
+
+  body('teams')
+    .if(body('mode').equals('team'))
+    .isArray({ min: 2, max: 2 })
+    .withMessage('Team mode requires exactly two sides'),
+
+  body('teams.*')
+    .optional()
+    .custom((value) => {
+      const name = typeof value === 'string' ? value : value && value.name;
+      if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 50) {
+        throw new Error('Each side needs a name of at most 50 characters');
+      }
+      return true;
+    }),
+
+  body('team')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Team name must be between 1 and 50 characters'),
+
+  body('rules.teamRevenueSplit')
+    .optional()
+    .isIn(['equal', 'rating'])
+    .withMessage('Team revenue split must be equal or rating'),
+
+  body('rules.turnScheme')
+    .optional()
+    .isIn(['alternate', 'fixed', 'free'])
+    .withMessage('Turn scheme must be alternate, fixed or free'),
+
+  body('rules.scoringFormula')
+    .optional()
+    .isIn(['sum', 'average', 'weighted_last'])
+    .withMessage('Scoring formula must be sum, average or weighted_last'),
+
+  body('rules.lastRoundWeight')
+    .optional()
+    .isFloat({ min: 1, max: 5 })
+    .withMessage('Last round weight must be between 1 and 5'),
+
+  ...ratingStrategyValidation,
+  ...structuredRulesValidation,
+  ...judgesValidation,
+
+  // Per-category vocabulary (template rules are checked once resolved)
+  body('rules')
+    .optional()
+    .custom((rules, { req }) => {
+      if (!req.body.category) return true;
+
+      const error = checkStructuredRules(req.body.category, rules, req.body.judges);
+      if (error) throw new Error(error);
+      return true;
+    })
 ];
 
 /**
@@ -187,7 +428,55 @@ exports.updateChallengeValidation = [
   body('scheduledTime')
     .optional()
     .isISO8601()
-    .withMessage('Scheduled time must be a valid date')
+    .withMessage('Scheduled time must be a valid date'),
+
+  ...ratingStrategyValidation,
+  ...structuredRulesValidation,
+  ...judgesValidation
+];
+
+/**
+ * Rule vocabulary query validation
+ */
+exports.ruleVocabularyValidation = [
+  query('category')
+    .notEmpty()
+    .withMessage('Category is required')
+    .isIn(['dialogue', 'science', 'talent'])
+    .withMessage('Invalid category'),
+
+  query('language')
+    .optional()
+    .isIn(['ar', 'en'])
+    .withMessage('Rubric language must be ar or en')
+];
+
+/**
+ * Declared sources validation
+ */
+exports.declareSourcesValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID'),
+
+  body('sources')
+    .isArray({ max: 20 })
+    .withMessage('Sources must be a list of at most 20 entries'),
+
+  body('sources.*.title')
+    .trim()
+    .notEmpty()
+    .withMessage('Each source needs a title')
+    .isLength({ max: 200 })
+    .withMessage('Source title cannot exceed 200 characters'),
+
+  body('sources.*.url')
+    .optional()
+    .trim()
+    .isURL()
+    .withMessage('Source URL must be a valid URL')
+    .isLength({ max: 500 })
+    .withMessage('Source URL cannot exceed 500 characters')
 ];
 
 /**
@@ -202,7 +491,13 @@ exports.joinRequestValidation = [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Message cannot exceed 500 characters')
+    .withMessage('Message cannot exceed 500 characters'),
+
+  body('team')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Team name must be between 1 and 50 characters')
 ];
 
 /**
@@ -230,6 +525,188 @@ exports.acceptRejectValidation = [
     .withMessage('Message cannot exceed 500 characters')
 ];
 
+/**
+ * Shortlist applicant validation
+ */
+exports.shortlistValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID'),
+
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  body('shortlisted')
+    .isBoolean()
+    .withMessage('Shortlisted must be true or false')
+];
+
+/**
+ * Direct invitation validation
+ */
+exports.inviteUserValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID'),
+
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+
+  body('team')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Side name must be between 1 and 50 characters')
+];
+
+/**
+ * Judge nomination / removal validation
+ */
+exports.judgeValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID'),
+
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+/**
+ * Judge scorecard validation (criteria are checked against the rubric)
+ */
+exports.scorecardValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID'),
+
+  body('participant')
+    .if(body('team').not().exists())
+    .notEmpty()
+    .withMessage('Participant or team is required')
+    .isMongoId()
+    .withMessage('Invalid participant ID'),
+
+  body('team')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Side name must be between 1 and 50 characters'),
+
+  body('scores')
+    .isObject()
+    .withMessage('Scores must be an object of criterion scores'),
+
+  body('scores.*')
+    .isInt({ min: 1, max: MAX_CRITERION_SCORE })
+    .withMessage(`Criterion scores must be between 1 and ${MAX_CRITERION_SCORE}`)
+    .toInt(),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters')
+];
+
+/**
+ * Respond to direct invitation validation
+ */
+exports.respondInvitationValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID'),
+
+  body('action')
+    .notEmpty()
+    .withMessage('Action is required')
+    .isIn(['accept', 'decline'])
+    .withMessage('Action must be either accept or decline'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+];
+
+/**
+ * Rematch validation
+ */
+exports.rematchValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID'),
+
+  body('scheduledTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Scheduled time must be a valid date')
+    .custom((value) => {
+      if (new Date(value) < new Date()) {
+        throw new Error('Scheduled time must be in the future');
+      }
+      return true;
+    }),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+];
+
+/**
+ * List invitations query validation
+ */
+exports.listInvitationsValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'rejected', 'expired'])
+    .withMessage('Invalid invitation status'),
+
+  query('direction')
+    .optional()
+    .isIn(['received', 'sent'])
+    .withMessage('Direction must be received or sent'),
+
+  query('kind')
+    .optional()
+    .isIn(['join_request', 'direct_invite'])
+    .withMessage('Kind must be join_request or direct_invite'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+/**
+ * Display advertisement validation
+ */
+exports.displayAdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID'),
+
+  param('adId')
+    .isMongoId()
+    .withMessage('Invalid advertisement ID')
+];
+
 /**
  * Reject advertisement validation
  */
@@ -249,6 +726,20 @@ exports.rejectAdValidation = [
     .withMessage('Reason cannot exceed 500 characters')
 ];
 
+/**
+ * Rating timeline query validation
+ */
+exports.ratingTimelineValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID'),
+
+  query('resolution')
+    .optional()
+    .isIn(TIMELINE_RESOLUTIONS.map(String))
+    .withMessage(`Resolution must be one of ${TIMELINE_RESOLUTIONS.join(', ')} seconds`)
+];
+
 /**
  * List challenges query validation
  */
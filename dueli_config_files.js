@@ -115,17 +115,263 @@ module.exports = logger;
 // ============================================
 
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Challenge, Comment, Tournament } = require('../models');
+const { buildRatingsSummary } = require('../services/rating.service');
+const { subscribe, isGuestEvent } = require('../services/eventBus.service');
+const {
+  whenRealtimeReady,
+  recordChallengeEvent,
+  getLatestSeq,
+  getMissedEvents
+} = require('../services/realtime.service');
+const {
+  viewerIdentity,
+  enterChallenge,
+  leaveChallenge,
+  getViewerCounts,
+  getViewerCountsMap
+} = require('../services/presence.service');
 const logger = require('./logger');
+const { clientAddress } = require('./proxy');
 
-// Store active connections
-const activeConnections = new Map();
+// Socket.IO server (set by initializeSocketIO)
+let ioServer = null;
+
+// Every socket of a user joins this room, on whichever node it is connected
+const userRoom = (userId) => `user:${userId}`;
+
+// Guest spectators: open guest sockets per client IP. The map is local to this
+// node, so with several API instances the cap applies per instance.
+const guestConnections = new Map();
+
+const GUEST_MAX_CONNECTIONS_PER_IP = parseInt(process.env.GUEST_MAX_CONNECTIONS_PER_IP) || 5;
+
+// Viewer events guests receive besides the guest-visible bus events
+const VIEWER_EVENTS = ['viewer_joined', 'viewer_left', 'viewer_count_update'];
+
+// The only events clients may emit; broadcasts come from the event bus
+// guests: whether guest spectators may emit it
+const CLIENT_EVENTS = {
+  join_challenge: { guests: true },
+  leave_challenge: { guests: true },
+  resume: { guests: true },
+  join_tournament: { guests: false },
+  leave_tournament: { guests: false }
+};
+
+const guestRoom = (challengeId) => `challenge_guests:${challengeId}`;
+
+/**
+ * Broadcast to a challenge room (and its guest room for guest-visible events)
+ * @param {object} io - Socket.IO server
+ * @param {string} challengeId - Challenge ID
+ * @param {string} event - Event name
+ * @param {object} data - Payload
+ */
+const emitToChallenge = (io, challengeId, event, data) => {
+  const rooms = [`challenge:${challengeId}`];
+  if (VIEWER_EVENTS.includes(event) || isGuestEvent(event)) rooms.push(guestRoom(challengeId));
+  io.to(rooms).emit(event, data);
+};
+
+const releaseGuestConnection = (ip) => {
+  const count = (guestConnections.get(ip) || 1) - 1;
+  if (count > 0) guestConnections.set(ip, count);
+  else guestConnections.delete(ip);
+};
+
+// Latest comments included in a resume snapshot
+const SNAPSHOT_COMMENTS = 50;
+
+/**
+ * Room state sent on join (seq: resume point for the resume handshake)
+ */
+const sendChallengeData = async (socket, challenge, counts) => {
+  socket.emit('challenge_data', {
+    challengeId: challenge._id,
+    ...counts,
+    seq: await getLatestSeq(challenge._id),
+    ratings: buildRatingsSummary(challenge)
+  });
+};
+
+/**
+ * Current state of a challenge room, for clients too far behind to replay
+ */
+const buildSnapshot = async (challenge, guest) => {
+  const comments = await Comment.find({ challenge: challenge._id, isDeleted: false })
+    .sort('-timestamp')
+    .limit(SNAPSHOT_COMMENTS)
+    .populate('author', 'username avatar');
+
+  return {
+    status: challenge.status,
+    ratings: buildRatingsSummary(challenge),
+    roundState: guest ? undefined : challenge.roundState,
+    ...(await getViewerCounts(challenge._id)),
+    comments: comments.reverse().map(comment => ({
+      id: comment._id,
+      author: {
+        id: comment.author._id,
+        username: comment.author.username,
+        avatar: comment.author.avatar
+      },
+      content: comment.content,
+      timestamp: comment.timestamp
+    }))
+  };
+};
+
+/**
+ * Resume handshake: replay events after lastSeq, or send a snapshot when the
+ * replay buffer no longer covers the gap
+ */
+const sendResume = async (socket, challenge, lastSeq) => {
+  const challengeId = challenge._id.toString();
+  const { latestSeq, events } = await getMissedEvents(challengeId, lastSeq);
+
+  if (events) {
+    return socket.emit('resume_result', {
+      challengeId,
+      mode: 'replay',
+      seq: latestSeq,
+      events: events
+        .filter(entry => !socket.guest || entry.guests)
+        .map(entry => ({
+          seq: entry.seq,
+          event: entry.event,
+          data: { challengeId, seq: entry.seq, ...entry.payload }
+        }))
+    });
+  }
+
+  socket.emit('resume_result', {
+    challengeId,
+    mode: 'snapshot',
+    seq: latestSeq,
+    snapshot: await buildSnapshot(challenge, Boolean(socket.guest))
+  });
+};
+
+const parseLastSeq = (value) => {
+  const lastSeq = Number(value);
+  return Number.isInteger(lastSeq) && lastSeq >= 0 ? lastSeq : null;
+};
+
+/**
+ * Guest spectators: watch one challenge at a time, cannot emit room events
+ */
+const registerGuestHandlers = (io, socket) => {
+  const { ip } = socket.guest;
+  const identity = viewerIdentity(socket);
+  let watching = null;
+
+  const leave = async (challengeId) => {
+    socket.leave(guestRoom(challengeId));
+    watching = null;
+
+    // Other tabs with the same guest token keep the viewer in the room
+    const { last } = await leaveChallenge(challengeId, identity);
+    if (!last) return;
+
+    emitToChallenge(io, challengeId, 'viewer_left', {
+      ...(await getViewerCounts(challengeId)),
+      user: null,
+      guest: true
+    });
+  };
+
+  // Returns { challenge, counts }, or null when the challenge does not exist
+  const join = async (challengeId) => {
+    const challenge = await Challenge.findById(challengeId);
+    if (!challenge) {
+      socket.emit('error', { message: 'Challenge not found' });
+      return null;
+    }
+
+    if (watching === challengeId) {
+      return { challenge, counts: await getViewerCounts(challengeId) };
+    }
+    if (watching) await leave(watching);
+
+    socket.join(guestRoom(challengeId));
+    watching = challengeId;
+
+    const { first } = await enterChallenge(challengeId, identity);
+
+    const counts = await getViewerCounts(challengeId);
+
+    if (first) {
+      emitToChallenge(io, challengeId, 'viewer_joined', {
+        ...counts,
+        user: null,
+        guest: true
+      });
+    }
+
+    return { challenge, counts };
+  };
+
+  socket.on('join_challenge', async (data) => {
+    try {
+      const joined = await join(data.challengeId);
+      if (joined) await sendChallengeData(socket, joined.challenge, joined.counts);
+    } catch (error) {
+      logger.error('Error joining challenge as guest:', error);
+      socket.emit('error', { message: 'Failed to join challenge' });
+    }
+  });
+
+  socket.on('resume', async (data) => {
+    try {
+      const lastSeq = parseLastSeq(data.lastSeq);
+      if (lastSeq === null) {
+        return socket.emit('error', { message: 'Invalid sequence number' });
+      }
+
+      const joined = await join(data.challengeId);
+      if (joined) await sendResume(socket, joined.challenge, lastSeq);
+    } catch (error) {
+      logger.error('Error resuming challenge as guest:', error);
+      socket.emit('error', { message: 'Failed to resume challenge' });
+    }
+  });
+
+  socket.on('leave_challenge', async (data) => {
+    try {
+      const { challengeId } = data;
+      if (watching === challengeId) await leave(challengeId);
+    } catch (error) {
+      logger.error('Error leaving challenge as guest:', error);
+    }
+  });
+
+  socket.on('disconnect', async (reason) => {
+    logger.info(`Guest socket disconnected: ${socket.id} (${reason})`);
+
+    releaseGuestConnection(ip);
+
+    try {
+      if (watching) await leave(watching);
+    } catch (error) {
+      logger.error('Error updating viewer count:', error);
+    }
+  });
+
+  socket.on('error', (error) => {
+    logger.error('Socket error:', error);
+  });
+};
 
 const initializeSocketIO = (io) => {
+  ioServer = io;
   
   // Authentication middleware for Socket.IO
   io.use(async (socket, next) => {
     try {
+      // No room joins before the cluster adapter is attached
+      await whenRealtimeReady();
+
       const token = socket.handshake.auth.token;
       
       if (!token) {
@@ -134,6 +380,21 @@ const initializeSocketIO = (io) => {
 
       // Verify JWT token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Guest spectator token (POST /auth/guest)
+      if (decoded.guest) {
+        // Client IP from the trusted X-Forwarded-For (TRUST_PROXY), not the proxy's
+        const ip = clientAddress(socket.request);
+        const open = guestConnections.get(ip) || 0;
+
+        if (open >= GUEST_MAX_CONNECTIONS_PER_IP) {
+          return next(new Error('Connection limit reached: Too many guest connections from this address'));
+        }
+
+        guestConnections.set(ip, open + 1);
+        socket.guest = { id: decoded.guestId, ip };
+        return next();
+      }
       
       // Get user from database
       const user = await User.findById(decoded.userId).select('-passwordHash');
@@ -158,225 +419,175 @@ const initializeSocketIO = (io) => {
 
   // Connection handler
   io.on('connection', (socket) => {
+    // Reject anything but the room events this socket may emit
+    socket.use(([event], next) => {
+      const allowed = CLIENT_EVENTS[event];
+
+      if (!allowed || (socket.guest && !allowed.guests)) {
+        logger.warn(`Rejected client event "${event}" from socket ${socket.id}`);
+        return socket.emit('error', {
+          code: 'CLIENT_EVENT_FORBIDDEN',
+          event,
+          message: `Clients cannot emit "${event}"`
+        });
+      }
+
+      next();
+    });
+
+    if (socket.guest) {
+      logger.info(`Guest socket connected: ${socket.id} (Guest: ${socket.guest.id})`);
+      return registerGuestHandlers(io, socket);
+    }
+
     logger.info(`Socket connected: ${socket.id} (User: ${socket.user.username})`);
     
-    // Store connection
-    activeConnections.set(socket.id, {
-      userId: socket.user._id.toString(),
-      username: socket.user.username,
-      connectedAt: new Date()
-    });
+    // Personal room for user-scoped bus events (emitToUser)
+    socket.join(userRoom(socket.user._id));
+
+    // Challenge rooms this socket is counted in
+    const identity = viewerIdentity(socket);
+    const watching = new Set();
+
+    // Viewer counts are per user: only the user's last socket in a room leaves
+    const leave = async (challengeId) => {
+      const { last } = await leaveChallenge(challengeId, identity);
+      if (!last) return;
+
+      emitToChallenge(io, challengeId, 'viewer_left', {
+        ...(await getViewerCounts(challengeId)),
+        user: {
+          id: socket.user._id,
+          username: socket.user.username
+        }
+      });
+    };
 
     // ===== CHALLENGE ROOM MANAGEMENT =====
     
-    // Join challenge room
-    socket.on('join_challenge', async (data) => {
-      try {
-        const { challengeId } = data;
-        
-        // Join the room
-        socket.join(`challenge:${challengeId}`);
-        
-        logger.info(`User ${socket.user.username} joined challenge ${challengeId}`);
-        
-        // Get current viewer count
-        const room = io.sockets.adapter.rooms.get(`challenge:${challengeId}`);
-        const viewerCount = room ? room.size : 0;
-        
-        // Notify all viewers in room
-        io.to(`challenge:${challengeId}`).emit('viewer_joined', {
-          viewerCount,
-          user: {
-            id: socket.user._id,
-            username: socket.user.username
-          }
-        });
-        
-        // Send current challenge data to newly joined user
-        socket.emit('challenge_data', {
-          challengeId,
-          viewerCount
-        });
-        
-      } catch (error) {
-        logger.error('Error joining challenge:', error);
-        socket.emit('error', { message: 'Failed to join challenge' });
+    // Join challenge room; returns { challenge, counts }, or null when the
+    // challenge does not exist
+    const join = async (challengeId) => {
+      const challenge = await Challenge.findById(challengeId);
+      if (!challenge) {
+        socket.emit('error', { message: 'Challenge not found' });
+        return null;
       }
-    });
+      
+      // Join the room
+      socket.join(`challenge:${challengeId}`);
+      
+      logger.info(`User ${socket.user.username} joined challenge ${challengeId}`);
 
-    // Leave challenge room
-    socket.on('leave_challenge', async (data) => {
-      try {
-        const { challengeId } = data;
-        
-        socket.leave(`challenge:${challengeId}`);
-        
-        logger.info(`User ${socket.user.username} left challenge ${challengeId}`);
-        
-        // Get updated viewer count
-        const room = io.sockets.adapter.rooms.get(`challenge:${challengeId}`);
-        const viewerCount = room ? room.size : 0;
-        
-        // Notify remaining viewers
-        io.to(`challenge:${challengeId}`).emit('viewer_left', {
-          viewerCount,
+      // First socket of this user in the room (any tab, any API node)
+      let first = false;
+      if (!watching.has(challengeId)) {
+        watching.add(challengeId);
+        ({ first } = await enterChallenge(challengeId, identity));
+      }
+      
+      // Get current viewer counts (all API nodes)
+      const counts = await getViewerCounts(challengeId);
+      
+      // Notify all viewers in room
+      if (first) {
+        emitToChallenge(io, challengeId, 'viewer_joined', {
+          ...counts,
           user: {
             id: socket.user._id,
             username: socket.user.username
           }
         });
-        
-      } catch (error) {
-        logger.error('Error leaving challenge:', error);
       }
-    });
 
-    // ===== RATING EVENTS =====
-    
-    // Real-time rating update (triggered from API)
-    // This is called by the API after saving rating to DB
-    socket.on('rating_submitted', async (data) => {
+      return { challenge, counts };
+    };
+
+    socket.on('join_challenge', async (data) => {
       try {
-        const { challengeId, aggregatedRatings } = data;
-        
-        // Broadcast rating update to all viewers in challenge room
-        io.to(`challenge:${challengeId}`).emit('ratings_update', {
-          challengeId,
-          ratings: aggregatedRatings,
-          timestamp: new Date()
-        });
+        const joined = await join(data.challengeId);
+
+        // Send current challenge data (incl. participant/side aggregates) to newly joined user
+        if (joined) await sendChallengeData(socket, joined.challenge, joined.counts);
         
       } catch (error) {
-        logger.error('Error broadcasting rating:', error);
+        logger.error('Error joining challenge:', error);
+        socket.emit('error', { message: 'Failed to join challenge' });
       }
     });
 
-    // ===== COMMENT EVENTS =====
-    
-    // New comment (triggered from API)
-    socket.on('comment_posted', async (data) => {
+    // Rejoin after a dropped connection: missed events or a snapshot
+    socket.on('resume', async (data) => {
       try {
-        const { challengeId, comment } = data;
-        
-        // Broadcast comment to all viewers
-        io.to(`challenge:${challengeId}`).emit('comment_added', {
-          challengeId,
-          comment,
-          timestamp: new Date()
-        });
+        const lastSeq = parseLastSeq(data.lastSeq);
+        if (lastSeq === null) {
+          return socket.emit('error', { message: 'Invalid sequence number' });
+        }
+
+        const joined = await join(data.challengeId);
+        if (joined) await sendResume(socket, joined.challenge, lastSeq);
         
       } catch (error) {
-        logger.error('Error broadcasting comment:', error);
+        logger.error('Error resuming challenge:', error);
+        socket.emit('error', { message: 'Failed to resume challenge' });
       }
     });
 
-    // ===== ADVERTISEMENT EVENTS =====
-    
-    // Display advertisement
-    socket.on('display_ad', async (data) => {
+    // Leave challenge room
+    socket.on('leave_challenge', async (data) => {
       try {
-        const { challengeId, advertisement } = data;
+        const { challengeId } = data;
         
-        // Broadcast ad to all viewers
-        io.to(`challenge:${challengeId}`).emit('ad_display', {
-          challengeId,
-          ad: advertisement,
-          timestamp: new Date()
-        });
+        socket.leave(`challenge:${challengeId}`);
         
-      } catch (error) {
-        logger.error('Error displaying ad:', error);
-      }
-    });
+        logger.info(`User ${socket.user.username} left challenge ${challengeId}`);
 
-    // Advertisement rejected
-    socket.on('ad_rejected', async (data) => {
-      try {
-        const { challengeId, adId, rejectedBy, reason } = data;
-        
-        // Broadcast rejection to all viewers
-        io.to(`challenge:${challengeId}`).emit('ad_rejected', {
-          challengeId,
-          adId,
-          rejectedBy,
-          reason,
-          timestamp: new Date()
-        });
+        // Notify remaining viewers
+        if (watching.delete(challengeId)) await leave(challengeId);
         
       } catch (error) {
-        logger.error('Error broadcasting ad rejection:', error);
+        logger.error('Error leaving challenge:', error);
       }
     });
 
-    // ===== CHALLENGE STATUS EVENTS =====
-    
-    // Challenge status changed
-    socket.on('challenge_status_changed', async (data) => {
+    // ===== TOURNAMENT ROOM MANAGEMENT =====
+
+    // Follow live bracket updates (tournament_updated)
+    socket.on('join_tournament', async (data) => {
       try {
-        const { challengeId, status, message } = data;
-        
-        // Broadcast status change to all viewers
-        io.to(`challenge:${challengeId}`).emit('challenge_status_changed', {
-          challengeId,
-          status,
-          message,
-          timestamp: new Date()
-        });
-        
+        const { tournamentId } = data;
+
+        if (!(await Tournament.exists({ _id: tournamentId }))) {
+          return socket.emit('error', { message: 'Tournament not found' });
+        }
+
+        socket.join(`tournament:${tournamentId}`);
+        logger.info(`User ${socket.user.username} joined tournament ${tournamentId}`);
       } catch (error) {
-        logger.error('Error broadcasting status change:', error);
+        logger.error('Error joining tournament:', error);
+        socket.emit('error', { message: 'Failed to join tournament' });
       }
     });
 
-    // ===== NOTIFICATION EVENTS =====
-    
-    // Send notification to specific user
-    socket.on('send_notification', async (data) => {
-      try {
-        const { userId, notification } = data;
-        
-        // Find all sockets for this user
-        const userSockets = Array.from(activeConnections.entries())
-          .filter(([_, conn]) => conn.userId === userId.toString())
-          .map(([socketId, _]) => socketId);
-        
-        // Send to all user's connected sockets
-        userSockets.forEach(socketId => {
-          io.to(socketId).emit('notification_received', notification);
-        });
-        
-      } catch (error) {
-        logger.error('Error sending notification:', error);
-      }
+    socket.on('leave_tournament', (data) => {
+      const { tournamentId } = data;
+      socket.leave(`tournament:${tournamentId}`);
     });
 
     // ===== DISCONNECT HANDLER =====
     
-    socket.on('disconnect', (reason) => {
+    socket.on('disconnect', async (reason) => {
       logger.info(`Socket disconnected: ${socket.id} (${reason})`);
       
-      // Remove from active connections
-      activeConnections.delete(socket.id);
-      
-      // Get all rooms this socket was in
-      const rooms = Array.from(socket.rooms);
-      
-      // Update viewer count for challenge rooms
-      rooms.forEach(room => {
-        if (room.startsWith('challenge:')) {
-          const challengeId = room.split(':')[1];
-          const remainingRoom = io.sockets.adapter.rooms.get(room);
-          const viewerCount = remainingRoom ? remainingRoom.size : 0;
-          
-          io.to(room).emit('viewer_left', {
-            viewerCount,
-            user: {
-              id: socket.user._id,
-              username: socket.user.username
-            }
-          });
+      // Update viewer count for the challenge rooms it was in
+      try {
+        for (const challengeId of watching) {
+          await leave(challengeId);
         }
-      });
+        watching.clear();
+      } catch (error) {
+        logger.error('Error updating viewer count:', error);
+      }
     });
 
     // ===== ERROR HANDLER =====
@@ -386,45 +597,76 @@ const initializeSocketIO = (io) => {
     });
   });
 
+  // Deliver server-published events (services/eventBus.service.js)
+  // Challenge room events are numbered and buffered for resume
+  subscribe(async ({ event, scope, target, guests, payload }) => {
+    try {
+      if (scope === 'challenge') {
+        const seq = await recordChallengeEvent(target, { event, payload, guests });
+        emitToChallenge(io, target, event, { challengeId: target, seq, ...payload });
+      } else if (scope === 'user') {
+        emitToUser(io, target, event, payload);
+      } else if (scope === 'tournament') {
+        io.to(`tournament:${target}`).emit(event, { tournamentId: target, ...payload });
+      }
+    } catch (error) {
+      logger.error(`Error delivering ${event}:`, error);
+    }
+  });
+
   // Periodic viewer count update (every 5 seconds)
-  setInterval(() => {
-    const challengeRooms = Array.from(io.sockets.adapter.rooms.entries())
-      .filter(([room, _]) => room.startsWith('challenge:'));
-    
-    challengeRooms.forEach(([room, sockets]) => {
-      const challengeId = room.split(':')[1];
-      io.to(room).emit('viewer_count_update', {
-        challengeId,
-        viewerCount: sockets.size,
-        timestamp: new Date()
+  // Each node sends cluster-wide counts to its own sockets only
+  let counting = false;
+  setInterval(async () => {
+    if (counting) return;
+    counting = true;
+
+    try {
+      const challengeIds = [...new Set(Array.from(io.sockets.adapter.rooms.keys())
+        .filter(room => room.startsWith('challenge:') || room.startsWith('challenge_guests:'))
+        .map(room => room.split(':')[1]))];
+
+      const counts = await getViewerCountsMap(challengeIds);
+
+      challengeIds.forEach(challengeId => {
+        io.local.to([`challenge:${challengeId}`, guestRoom(challengeId)]).emit('viewer_count_update', {
+          challengeId,
+          ...(counts.get(challengeId) || { viewerCount: 0, guestCount: 0 }),
+          timestamp: new Date()
+        });
       });
-    });
+    } catch (error) {
+      logger.error('Error updating viewer counts:', error);
+    } finally {
+      counting = false;
+    }
   }, 5000);
 
   logger.info('Socket.IO initialized successfully');
 };
 
-// Helper function to emit to specific user
+// Helper function to emit to specific user (all their sockets, all nodes)
 const emitToUser = (io, userId, event, data) => {
-  const userSockets = Array.from(activeConnections.entries())
-    .filter(([_, conn]) => conn.userId === userId.toString())
-    .map(([socketId, _]) => socketId);
-  
-  userSockets.forEach(socketId => {
-    io.to(socketId).emit(event, data);
-  });
+  io.to(userRoom(userId)).emit(event, data);
 };
 
-// Helper function to get active connections count
+// Helper function to get active connections count (this node)
 const getActiveConnectionsCount = () => {
-  return activeConnections.size;
+  if (!ioServer) return 0;
+  return ioServer.of('/').sockets.size - getGuestConnectionsCount();
+};
+
+// Helper function to get guest spectator connections count
+const getGuestConnectionsCount = () => {
+  let total = 0;
+  guestConnections.forEach(count => { total += count; });
+  return total;
 };
 
 module.exports = {
   initializeSocketIO,
-  emitToUser,
   getActiveConnectionsCount,
-  activeConnections
+  getGuestConnectionsCount
 };
 
 // ============================================
@@ -649,4 +891,48 @@ module.exports = {
   getYouTubeService,
   createLiveBroadcast,
   oauth2Client
-};
\ No newline at end of file
+};
+// ============================================
+// FILE: config/proxy.js
+// Reverse Proxy Trust Setting
+// ============================================
+
+const proxyaddr = require('proxy-addr');
+
+/**
+ * Express 'trust proxy' value from TRUST_PROXY
+ * "true" trusts every proxy, a number trusts that many hops, anything else is
+ * a comma-separated list of trusted addresses/subnets (e.g. "loopback, 10.0.0.0/8").
+ * Unset or "false": X-Forwarded-For is ignored and req.ip is the socket address.
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+};
+
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+
+// Same rules Express compiles for app.set('trust proxy', trustProxy)
+const compileTrust = (value) => {
+  if (value === true) return () => true;
+  if (typeof value === 'number') return (address, hop) => hop < value;
+  if (typeof value === 'string') return proxyaddr.compile(value.split(',').map(part => part.trim()));
+  return () => false;
+};
+
+const isTrusted = compileTrust(trustProxy);
+
+/**
+ * Client address of a raw HTTP request (e.g. a Socket.IO handshake),
+ * resolved like Express's req.ip
+ * @param {object} req - Node IncomingMessage
+ * @returns {string} - IP address
+ */
+const clientAddress = (req) => proxyaddr(req, isTrusted);
+
+module.exports = {
+  trustProxy,
+  clientAddress
+};
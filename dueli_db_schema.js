@@ -112,6 +112,28 @@ const userSchema = new mongoose.Schema({
     min: 0
   },
 
+  // Competitive skill per category (Elo, updated when challenges end)
+  skillRatings: [{
+    category: {
+      type: String,
+      enum: ['dialogue', 'science', 'talent'],
+      required: true
+    },
+    rating: {
+      type: Number,
+      default: 1500
+    },
+    peak: {
+      type: Number,
+      default: 1500
+    },
+    matches: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: Date
+  }],
+
   // Social Connections
   followers: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -155,6 +177,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ language: 1, country: 1 });
 userSchema.index({ youtubeChannelId: 1 });
+userSchema.index({ 'skillRatings.category': 1, 'skillRatings.rating': -1 });
 
 // Virtual for full profile URL
 userSchema.virtual('profileUrl').get(function() {
@@ -193,6 +216,105 @@ const challengeSchema = new mongoose.Schema({
     ref: 'User',
     index: true
   },
+  participants: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['creator', 'opponent', 'panelist', 'performer'],
+      default: 'opponent'
+    },
+    team: {
+      type: String,
+      maxlength: 50
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    // Check-in for scheduled challenges
+    readyAt: Date,
+    noShow: {
+      type: Boolean,
+      default: false
+    },
+
+    // Sources declared before the start (rules.allowedSources: 'cited')
+    sources: [{
+      _id: false,
+      title: {
+        type: String,
+        maxlength: 200
+      },
+      url: {
+        type: String,
+        maxlength: 500
+      }
+    }],
+
+    // Per-participant stream
+    youtubeUrl: String,
+    streamKey: String,
+    broadcastId: String,
+
+    // Per-participant rating summary
+    ratingSum: {
+      type: Number,
+      default: 0
+    },
+    ratingCount: {
+      type: Number,
+      default: 0
+    },
+    averageRating: {
+      type: Number,
+      default: 0
+    }
+  }],
+  maxParticipants: {
+    type: Number,
+    min: 2,
+    max: 8,
+    default: 2
+  },
+
+  // Admission: 'request' (creator answers requests one by one) or
+  // 'open_call' (applicants pitch, creator shortlists and selects)
+  joinMode: {
+    type: String,
+    enum: ['request', 'open_call'],
+    default: 'request'
+  },
+
+  // Team Mode (participants grouped into named sides)
+  mode: {
+    type: String,
+    enum: ['individual', 'team'],
+    default: 'individual'
+  },
+  teams: [{
+    name: {
+      type: String,
+      required: true,
+      maxlength: 50
+    },
+    ratingSum: {
+      type: Number,
+      default: 0
+    },
+    ratingCount: {
+      type: Number,
+      default: 0
+    },
+    averageRating: {
+      type: Number,
+      default: 0
+    }
+  }],
 
   // Classification
   category: {
@@ -237,6 +359,178 @@ const challengeSchema = new mongoose.Schema({
     customRules: {
       type: String,
       maxlength: 2000
+    },
+    teamRevenueSplit: {
+      type: String,
+      enum: ['equal', 'rating'],
+      default: 'equal'
+    },
+    turnScheme: {
+      type: String,
+      enum: ['alternate', 'fixed', 'free'],
+      default: 'alternate'
+    },
+    scoringFormula: {
+      type: String,
+      enum: ['sum', 'average', 'weighted_last'],
+      default: 'sum'
+    },
+    lastRoundWeight: {
+      type: Number,
+      min: 1,
+      max: 5,
+      default: 2
+    },
+    // How ratings become per-round scores (services/ratingStrategy.service.js)
+    ratingStrategy: {
+      type: String,
+      enum: ['sum', 'average', 'bayesian', 'trust_weighted', 'watch_time'],
+      default: 'trust_weighted'
+    },
+    // watch_time strategy: minutes a rater must have watched to count
+    watchTimeMinutes: {
+      type: Number,
+      min: 1,
+      max: 120,
+      default: 5
+    },
+
+    // Structured rules (vocabulary per category: services/ruleBook.service.js)
+    motion: {
+      type: String,
+      maxlength: 300
+    },
+    speakingTimeSeconds: {
+      type: Number,
+      min: 15,
+      max: 900
+    },
+    rebuttals: {
+      type: Number,
+      min: 0,
+      max: 5
+    },
+    allowedSources: {
+      type: String,
+      enum: ['none', 'cited', 'any']
+    },
+    maxSources: {
+      type: Number,
+      min: 1,
+      max: 20
+    },
+    notesAllowed: Boolean,
+    judgeOnlyScoring: Boolean,
+    // Share of the final result decided by the judge panel's scorecards (%)
+    judgeWeight: {
+      type: Number,
+      min: 0,
+      max: 100
+    }
+  },
+
+  // Judge panel: scores per criterion (JudgeScore); the only raters when
+  // rules.judgeOnlyScoring is on
+  judges: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // Live Round State (driven by the round engine)
+  roundState: {
+    status: {
+      type: String,
+      enum: ['not_started', 'running', 'paused', 'finished'],
+      default: 'not_started'
+    },
+    currentRound: {
+      type: Number,
+      default: 0
+    },
+    turnIndex: {
+      type: Number,
+      default: 0
+    },
+    currentTurn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    phaseEndsAt: Date,
+    remainingMs: Number,
+    pausedAt: Date,
+    pausedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  roundHistory: [{
+    number: Number,
+    startedAt: Date,
+    endedAt: Date,
+    pausedMs: {
+      type: Number,
+      default: 0
+    },
+    turns: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      kind: {
+        type: String,
+        enum: ['opening', 'rebuttal']
+      },
+      startedAt: Date,
+      endedAt: Date
+    }]
+  }],
+
+  // Sequence number of the last realtime event sent to the challenge room
+  realtimeSeq: {
+    type: Number,
+    default: 0
+  },
+
+  // Claimed by the first skill rating update so a retry never applies Elo twice
+  skillRatingsApplied: {
+    type: Boolean,
+    default: false
+  },
+
+  // Strategy and parameters the final scores were settled with; together
+  // with Rating.weight they reproduce the revenue percentages
+  scoring: {
+    strategy: String,
+    formula: String,
+    params: {
+      bayesConfidence: Number,
+      watchTimeMinutes: Number,
+      lastRoundWeight: Number,
+      judgeWeight: Number
+    },
+    settledAt: Date
+  },
+
+  // Rating sums per time bucket of the live window, stored on completion
+  // (services/ratingTimeline.service.js). Buckets are left out of queries
+  // unless selected.
+  ratingTimeline: {
+    resolution: Number,
+    finalizedAt: Date,
+    buckets: {
+      type: [{
+        _id: false,
+        bucket: Number,
+        participant: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        team: String,
+        totalScore: Number,
+        count: Number,
+        deleted: Number
+      }],
+      select: false
     }
   },
 
@@ -253,6 +547,52 @@ const challengeSchema = new mongoose.Schema({
     default: 'pending',
     index: true
   },
+  cancellationReason: {
+    type: String,
+    enum: ['creator', 'admin', 'no_show', 'match_declined', 'tournament_cancelled', 'season_ended']
+  },
+
+  // How the challenge was created
+  origin: {
+    type: String,
+    enum: ['manual', 'matchmaking', 'tournament', 'league'],
+    default: 'manual'
+  },
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament'
+  },
+  tournamentMatch: String,
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season'
+  },
+  seasonDivision: Number,
+  seasonRound: Number,
+
+  // Rematch series: one-on-one challenges replayed by the same two players
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Series'
+  },
+  seriesGame: Number,
+  rematchOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge'
+  },
+
+  // Template the rules were pre-filled from, and the rules changed from it
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChallengeTemplate'
+  },
+  templateVersion: Number,
+  templateOverrides: [{
+    _id: false,
+    rule: String,
+    templateValue: mongoose.Schema.Types.Mixed,
+    value: mongoose.Schema.Types.Mixed
+  }],
 
   // YouTube Streaming
   creatorYoutubeUrl: String,
@@ -298,20 +638,49 @@ const challengeSchema = new mongoose.Schema({
     opponent: {
       type: Number,
       default: 0
-    }
-  },
-
-  // Statistics
+    },
+    participants: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      role: String,
+      team: String,
+      ratingPercentage: Number,
+      amount: Number
+    }],
+    teams: [{
+      name: String,
+      ratingPercentage: Number,
+      amount: Number
+    }]
+  },
+
+  // Statistics (viewer figures count people, not sockets; see ViewerSession)
+  // Unique viewers in the room right now
   viewerCount: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Most concurrent viewers while live
   peakViewers: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Mean concurrent viewers while live (set when the challenge ends)
+  averageViewers: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Distinct users and guests that watched while live (set when the challenge ends)
+  uniqueViewers: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   totalComments: {
     type: Number,
     default: 0,
@@ -378,8 +747,12 @@ challengeSchema.index({ status: 1, scheduledTime: 1 });
 challengeSchema.index({ category: 1, field: 1 });
 challengeSchema.index({ creator: 1, status: 1 });
 challengeSchema.index({ opponent: 1, status: 1 });
+challengeSchema.index({ 'participants.user': 1, status: 1 });
 challengeSchema.index({ language: 1, country: 1, status: 1 });
 challengeSchema.index({ createdAt: -1 });
+challengeSchema.index({ season: 1, seasonDivision: 1, seasonRound: 1 });
+challengeSchema.index({ series: 1, seriesGame: 1 });
+challengeSchema.index({ rematchOf: 1, status: 1 });
 
 // Virtual: Average creator rating
 challengeSchema.virtual('creatorAvgRating').get(function() {
@@ -395,6 +768,79 @@ challengeSchema.virtual('opponentAvgRating').get(function() {
     : 0;
 });
 
+// Method: Participant list, falling back to creator/opponent for older documents
+challengeSchema.methods.getParticipants = function() {
+  if (this.participants && this.participants.length > 0) {
+    return this.participants;
+  }
+
+  const legacy = [{ user: this.creator, role: 'creator' }];
+  if (this.opponent) {
+    legacy.push({ user: this.opponent, role: 'opponent' });
+  }
+  return legacy;
+};
+
+// Method: Find participant entry for a user (works with populated refs)
+challengeSchema.methods.findParticipant = function(userId) {
+  if (!userId) return null;
+
+  return this.getParticipants().find(p => {
+    const id = p.user && p.user._id ? p.user._id : p.user;
+    return id && id.toString() === userId.toString();
+  }) || null;
+};
+
+// Method: Check if user competes in this challenge
+challengeSchema.methods.isParticipant = function(userId) {
+  return this.findParticipant(userId) !== null;
+};
+
+// Method: Check if user sits on the judge panel
+challengeSchema.methods.isJudge = function(userId) {
+  if (!userId) return false;
+  return (this.judges || []).some(j => (j._id || j).toString() === userId.toString());
+};
+
+// Method: Check if all seats are taken
+challengeSchema.methods.isFull = function() {
+  return this.getParticipants().length >= (this.maxParticipants || 2);
+};
+
+// Method: Seats per side in team mode
+challengeSchema.methods.getTeamSize = function() {
+  return this.teams.length > 0 ? Math.floor(this.maxParticipants / this.teams.length) : 0;
+};
+
+// Method: Check if a named side has no free seats
+challengeSchema.methods.isTeamFull = function(teamName) {
+  const members = this.participants.filter(p => p.team === teamName);
+  return members.length >= this.getTeamSize();
+};
+
+// Method: Seat a new participant (does not save)
+// The first one to join also fills the legacy opponent seat.
+challengeSchema.methods.addParticipant = function(userId, teamName) {
+  if (this.participants.length === 0) {
+    this.participants = this.getParticipants();
+  }
+
+  let role = 'opponent';
+  if (this.opponent) {
+    role = this.category === 'talent' ? 'performer' : 'panelist';
+  } else {
+    this.opponent = userId;
+  }
+
+  this.participants.push({
+    user: userId,
+    role,
+    team: this.mode === 'team' ? teamName : undefined
+  });
+
+  return role;
+};
+
 const Challenge = mongoose.model('Challenge', challengeSchema);
 
 // ============================================
@@ -416,9 +862,18 @@ const ratingSchema = new mongoose.Schema({
   competitorRated: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: function() { return !this.teamRated; },
     index: true
   },
+  teamRated: {
+    type: String,
+    maxlength: 50
+  },
+  round: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
   score: {
     type: Number,
     required: true,
@@ -429,6 +884,31 @@ const ratingSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
     index: true
+  },
+
+  // Integrity (services/ratingIntegrity.service.js)
+  // Keyed hashes of the submitting IP and X-Device-Id header, never the raw values
+  ipHash: {
+    type: String,
+    select: false
+  },
+  deviceHash: {
+    type: String,
+    select: false
+  },
+  // Trust score (1 until the challenge is settled)
+  trust: {
+    type: Number,
+    default: 1,
+    min: 0,
+    max: 1
+  },
+  trustSignals: [String],
+  // Weight in final scores under the challenge's rating strategy (set at settlement)
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0
   }
 }, {
   timestamps: false
@@ -437,7 +917,9 @@ const ratingSchema = new mongoose.Schema({
 // Compound indexes for aggregation
 ratingSchema.index({ challenge: 1, competitorRated: 1 });
 ratingSchema.index({ challenge: 1, timestamp: 1 });
-ratingSchema.index({ rater: 1, challenge: 1, competitorRated: 1 }, { unique: true });
+ratingSchema.index({ challenge: 1, teamRated: 1 });
+ratingSchema.index({ challenge: 1, round: 1 });
+ratingSchema.index({ rater: 1, challenge: 1, competitorRated: 1, teamRated: 1, round: 1 }, { unique: true });
 
 const Rating = mongoose.model('Rating', ratingSchema);
 
@@ -524,6 +1006,13 @@ const reportSchema = new mongoose.Schema({
     maxlength: 500
   },
 
+  // rules_violation: the challenge's structured rules that were broken
+  violatedRules: [{
+    _id: false,
+    rule: String,
+    text: String
+  }],
+
   // Status
   status: {
     type: String,
@@ -626,7 +1115,7 @@ const transactionSchema = new mongoose.Schema({
     totalChallengeRevenue: Number,
     competitorRole: {
       type: String,
-      enum: ['creator', 'opponent']
+      enum: ['creator', 'opponent', 'panelist', 'performer']
     }
   },
 
@@ -833,8 +1322,18 @@ const notificationSchema = new mongoose.Schema({
       'challenge_invite',
       'invite_accepted',
       'invite_rejected',
+      'invite_expired',
+      'match_found',
+      'match_confirmed',
+      'match_cancelled',
+      'tournament_match_ready',
+      'tournament_completed',
+      'season_started',
+      'season_completed',
       'challenge_starting',
       'challenge_completed',
+      'challenge_cancelled',
+      'judge_nominated',
       'new_comment',
       'new_follower',
       'new_message',
@@ -930,6 +1429,27 @@ const challengeInvitationSchema = new mongoose.Schema({
     maxlength: 500
   },
 
+  // Requested side (team mode)
+  team: {
+    type: String,
+    maxlength: 50
+  },
+
+  // join_request: inviter asks the creator (invitee) for a seat
+  // direct_invite: the creator (inviter) invites a named user (invitee)
+  kind: {
+    type: String,
+    enum: ['join_request', 'direct_invite'],
+    default: 'join_request'
+  },
+
+  // Creator shortlist (open-call challenges)
+  shortlisted: {
+    type: Boolean,
+    default: false
+  },
+  shortlistedAt: Date,
+
   // Response
   responseMessage: {
     type: String,
@@ -954,11 +1474,1136 @@ const challengeInvitationSchema = new mongoose.Schema({
 });
 
 // Indexes
-challengeInvitationSchema.index({ challenge: 1, invitee: 1 }, { unique: true });
+// One open request per requester; answered/expired ones are kept as history
+challengeInvitationSchema.index(
+  { challenge: 1, inviter: 1, invitee: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
 challengeInvitationSchema.index({ invitee: 1, status: 1 });
+challengeInvitationSchema.index({ inviter: 1, status: 1 });
+challengeInvitationSchema.index({ status: 1, expiresAt: 1 });
 
 const ChallengeInvitation = mongoose.model('ChallengeInvitation', challengeInvitationSchema);
 
+// ============================================
+// 11. SCHEDULED JOB MODEL (background scheduler)
+// ============================================
+const scheduledJobSchema = new mongoose.Schema({
+  // Unique job key, e.g. "challenge_reminder:<challengeId>:10"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    index: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'done', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  completedAt: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+// Indexes
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+// ============================================
+// 12. MATCHMAKING TICKET MODEL
+// ============================================
+const matchmakingTicketSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // What the user is looking for
+  category: {
+    type: String,
+    enum: ['dialogue', 'science', 'talent'],
+    required: true
+  },
+  field: {
+    type: String,
+    maxlength: 100
+  },
+  language: {
+    type: String,
+    enum: ['ar', 'en', 'fr', 'es', 'de', 'tr', 'ur'],
+    required: true
+  },
+
+  // Preferred time window for the challenge
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  windowEnd: {
+    type: Date,
+    required: true
+  },
+
+  // Skill snapshot taken when queueing
+  skillRating: {
+    type: Number,
+    default: 1500
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: ['searching', 'matched', 'confirmed', 'declined', 'cancelled', 'expired'],
+    default: 'searching'
+  },
+
+  // Match
+  matchedTicket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MatchmakingTicket'
+  },
+  matchedWith: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge'
+  },
+  matchedAt: Date,
+  confirmedAt: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+// Indexes
+matchmakingTicketSchema.index({ status: 1, category: 1, language: 1, createdAt: 1 });
+matchmakingTicketSchema.index({ user: 1, status: 1 });
+matchmakingTicketSchema.index({ challenge: 1 });
+
+const MatchmakingTicket = mongoose.model('MatchmakingTicket', matchmakingTicketSchema);
+
+// ============================================
+// 13. SKILL RATING HISTORY MODEL
+// ============================================
+const ratingHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    required: true
+  },
+
+  // Leaderboard dimensions (snapshots at the time of the challenge)
+  category: {
+    type: String,
+    enum: ['dialogue', 'science', 'talent'],
+    required: true
+  },
+  field: String,
+  language: String,
+  country: String,
+
+  // Rating change
+  before: {
+    type: Number,
+    required: true
+  },
+  after: {
+    type: Number,
+    required: true
+  },
+  delta: {
+    type: Number,
+    required: true
+  },
+  // Average match outcome against the other side(s), 0..1
+  outcome: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+// Indexes
+ratingHistorySchema.index({ user: 1, category: 1, createdAt: -1 });
+ratingHistorySchema.index({ category: 1, createdAt: -1 });
+ratingHistorySchema.index({ challenge: 1, user: 1 }, { unique: true });
+
+const RatingHistory = mongoose.model('RatingHistory', ratingHistorySchema);
+
+// ============================================
+// 14. TOURNAMENT MODEL
+// ============================================
+const tournamentMatchSlotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Nobody will ever fill this slot (short bracket or bye chain)
+  bye: {
+    type: Boolean,
+    default: false
+  },
+  score: Number
+}, { _id: false });
+
+const tournamentMatchSchema = new mongoose.Schema({
+  // e.g. WB1-2, LB3-1, GF, RR2-4, SW1-3
+  matchId: {
+    type: String,
+    required: true
+  },
+  bracket: {
+    type: String,
+    enum: ['winners', 'losers', 'grand_final', 'round_robin', 'swiss'],
+    required: true
+  },
+  round: {
+    type: Number,
+    required: true
+  },
+  position: {
+    type: Number,
+    required: true
+  },
+  slots: [tournamentMatchSlotSchema],
+
+  // Where the winner/loser go next (elimination formats)
+  winnerTo: {
+    match: String,
+    slot: Number
+  },
+  loserTo: {
+    match: String,
+    slot: Number
+  },
+
+  status: {
+    type: String,
+    enum: ['waiting', 'ready', 'scheduled', 'awaiting_result', 'completed', 'bye'],
+    default: 'waiting'
+  },
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge'
+  },
+
+  // Result
+  winner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  loser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isDraw: {
+    type: Boolean,
+    default: false
+  },
+  decidedBy: {
+    type: String,
+    enum: ['score', 'seed', 'forfeit', 'organizer', 'bye']
+  },
+  completedAt: Date
+}, { _id: false });
+
+const tournamentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Classification (copied to every match challenge)
+  category: {
+    type: String,
+    enum: ['dialogue', 'science', 'talent'],
+    required: [true, 'Category is required']
+  },
+  field: {
+    type: String,
+    required: [true, 'Field is required'],
+    maxlength: 100
+  },
+  language: {
+    type: String,
+    default: 'ar'
+  },
+  country: {
+    type: String,
+    default: 'EG'
+  },
+
+  // Format
+  format: {
+    type: String,
+    enum: ['single_elimination', 'double_elimination', 'round_robin', 'swiss'],
+    required: [true, 'Format is required']
+  },
+  seeding: {
+    type: String,
+    enum: ['rating', 'random'],
+    default: 'rating'
+  },
+  maxEntrants: {
+    type: Number,
+    min: 2,
+    max: 128,
+    default: 16
+  },
+  // Swiss only; defaults to ceil(log2(entrants))
+  swissRounds: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+
+  // Match settings
+  rules: {
+    duration: {
+      type: Number,
+      min: 5,
+      max: 300,
+      default: 60
+    },
+    rounds: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 1
+    },
+    roundDuration: {
+      type: Number,
+      min: 1,
+      max: 60
+    },
+    scoringFormula: {
+      type: String,
+      enum: ['sum', 'average', 'weighted_last'],
+      default: 'sum'
+    }
+  },
+  startTime: Date,
+  // Lead time between a match becoming playable and its scheduled start
+  matchLeadMinutes: {
+    type: Number,
+    min: 5,
+    max: 1440,
+    default: 30
+  },
+
+  // Entrants
+  entrants: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    seed: Number,
+    rating: Number,
+    points: {
+      type: Number,
+      default: 0
+    },
+    wins: {
+      type: Number,
+      default: 0
+    },
+    losses: {
+      type: Number,
+      default: 0
+    },
+    draws: {
+      type: Number,
+      default: 0
+    },
+    byes: {
+      type: Number,
+      default: 0
+    },
+    // Sum of final scores, used as a tiebreak
+    scoreFor: {
+      type: Number,
+      default: 0
+    },
+    eliminated: {
+      type: Boolean,
+      default: false
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Bracket
+  matches: [tournamentMatchSchema],
+  currentRound: {
+    type: Number,
+    default: 0
+  },
+  totalRounds: Number,
+
+  // Status
+  status: {
+    type: String,
+    enum: ['registration', 'in_progress', 'completed', 'cancelled'],
+    default: 'registration',
+    index: true
+  },
+  champion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: Date,
+  completedAt: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+}, {
+  timestamps: true,
+  // Results from concurrent matches must not overwrite each other
+  optimisticConcurrency: true
+});
+
+// Indexes
+tournamentSchema.index({ status: 1, startTime: 1 });
+tournamentSchema.index({ category: 1, status: 1 });
+tournamentSchema.index({ 'entrants.user': 1 });
+
+// Method: Find entrant entry for a user
+tournamentSchema.methods.findEntrant = function(userId) {
+  if (!userId) return null;
+  return this.entrants.find(e => (e.user._id || e.user).toString() === userId.toString()) || null;
+};
+
+// Method: Find a bracket match by its ID
+tournamentSchema.methods.findMatch = function(matchId) {
+  return this.matches.find(m => m.matchId === matchId) || null;
+};
+
+const Tournament = mongoose.model('Tournament', tournamentSchema);
+
+// ============================================
+// 15. LEAGUE SEASON MODEL
+// ============================================
+const seasonSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    maxlength: 200
+  },
+  // Running number within the category/language league
+  number: {
+    type: Number,
+    default: 1
+  },
+  category: {
+    type: String,
+    enum: ['dialogue', 'science', 'talent'],
+    required: [true, 'Category is required']
+  },
+  language: {
+    type: String,
+    default: 'ar'
+  },
+  field: {
+    type: String,
+    default: 'General',
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Calendar
+  registrationOpensAt: {
+    type: Date,
+    default: Date.now
+  },
+  registrationClosesAt: {
+    type: Date,
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  roundIntervalDays: {
+    type: Number,
+    min: 1,
+    max: 30,
+    default: 7
+  },
+  // Set when fixtures are generated
+  endDate: Date,
+
+  // League structure
+  divisionSize: {
+    type: Number,
+    min: 4,
+    max: 20,
+    default: 8
+  },
+  promotionSpots: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 2
+  },
+  relegationSpots: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 2
+  },
+
+  // Fixture settings
+  rules: {
+    duration: {
+      type: Number,
+      min: 5,
+      max: 300,
+      default: 60
+    },
+    rounds: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 1
+    },
+    roundDuration: {
+      type: Number,
+      min: 1,
+      max: 60
+    },
+    scoringFormula: {
+      type: String,
+      enum: ['sum', 'average', 'weighted_last'],
+      default: 'sum'
+    }
+  },
+
+  registrants: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Level 1 is the top division
+  divisions: [{
+    level: {
+      type: Number,
+      required: true
+    },
+    name: String,
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Final table, archived when the season completes
+    standings: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      rank: Number,
+      played: Number,
+      wins: Number,
+      draws: Number,
+      losses: Number,
+      points: Number,
+      averageShare: Number,
+      movement: {
+        type: String,
+        enum: ['promoted', 'relegated', 'stayed']
+      }
+    }]
+  }],
+
+  // Rating shares of every settled fixture
+  results: [{
+    challenge: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Challenge'
+    },
+    division: Number,
+    round: Number,
+    shares: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      share: Number
+    }],
+    decidedBy: {
+      type: String,
+      enum: ['score', 'forfeit']
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Status
+  status: {
+    type: String,
+    enum: ['registration', 'active', 'completed', 'cancelled'],
+    default: 'registration'
+  },
+  kickedOffAt: Date,
+  completedAt: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+seasonSchema.index({ category: 1, language: 1, status: 1 });
+seasonSchema.index({ status: 1, completedAt: -1 });
+seasonSchema.index({ 'registrants.user': 1 });
+
+const Season = mongoose.model('Season', seasonSchema);
+
+// ============================================
+// 16. CHALLENGE SERIES MODEL (rematches)
+// ============================================
+const seriesSchema = new mongoose.Schema({
+  // The two players, in the order of the first game (creator first)
+  players: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }],
+  category: {
+    type: String,
+    enum: ['dialogue', 'science', 'talent'],
+    required: true
+  },
+  field: {
+    type: String,
+    required: true
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Games in play order; the first is the original challenge
+  challenges: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge'
+  }],
+
+  // The one game waiting to be played; claimed before the rematch is created
+  openGame: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    default: null
+  },
+
+  lastChallengeAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+seriesSchema.index({ players: 1, lastChallengeAt: -1 });
+
+const Series = mongoose.model('Series', seriesSchema);
+
+// ============================================
+// 17. CHALLENGE TEMPLATE MODEL (rule presets)
+// ============================================
+
+// Same limits as challenge rules, without defaults: a template only
+// pre-fills the rules it sets
+const templateRulesSchema = new mongoose.Schema({
+  duration: {
+    type: Number,
+    min: 5,
+    max: 300
+  },
+  rounds: {
+    type: Number,
+    min: 1,
+    max: 10
+  },
+  roundDuration: {
+    type: Number,
+    min: 1,
+    max: 60
+  },
+  customRules: {
+    type: String,
+    maxlength: 2000
+  },
+  teamRevenueSplit: {
+    type: String,
+    enum: ['equal', 'rating']
+  },
+  turnScheme: {
+    type: String,
+    enum: ['alternate', 'fixed', 'free']
+  },
+  scoringFormula: {
+    type: String,
+    enum: ['sum', 'average', 'weighted_last']
+  },
+  lastRoundWeight: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  ratingStrategy: {
+    type: String,
+    enum: ['sum', 'average', 'bayesian', 'trust_weighted', 'watch_time']
+  },
+  watchTimeMinutes: {
+    type: Number,
+    min: 1,
+    max: 120
+  },
+  motion: {
+    type: String,
+    maxlength: 300
+  },
+  speakingTimeSeconds: {
+    type: Number,
+    min: 15,
+    max: 900
+  },
+  rebuttals: {
+    type: Number,
+    min: 0,
+    max: 5
+  },
+  allowedSources: {
+    type: String,
+    enum: ['none', 'cited', 'any']
+  },
+  maxSources: {
+    type: Number,
+    min: 1,
+    max: 20
+  },
+  notesAllowed: Boolean,
+  judgeOnlyScoring: Boolean,
+  judgeWeight: {
+    type: Number,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const TEMPLATE_RULE_KEYS = Object.keys(templateRulesSchema.paths);
+
+const challengeTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  category: {
+    type: String,
+    enum: ['dialogue', 'science', 'talent'],
+    required: true,
+    index: true
+  },
+  field: {
+    type: String,
+    maxlength: 100
+  },
+
+  // personal: owner only; shared: everyone can use it; official: admin-curated
+  scope: {
+    type: String,
+    enum: ['personal', 'shared', 'official'],
+    default: 'personal'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Current rules; challenges cannot change the locked ones
+  rules: {
+    type: templateRulesSchema,
+    default: {}
+  },
+  lockedRules: [{
+    type: String,
+    enum: TEMPLATE_RULE_KEYS
+  }],
+
+  // Versioning: every edit of rules or locks adds a version
+  version: {
+    type: Number,
+    default: 1
+  },
+  versions: [{
+    _id: false,
+    version: {
+      type: Number,
+      required: true
+    },
+    rules: templateRulesSchema,
+    lockedRules: [String],
+    note: {
+      type: String,
+      maxlength: 200
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'archived'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+challengeTemplateSchema.index({ scope: 1, category: 1, status: 1, usageCount: -1 });
+challengeTemplateSchema.index({ owner: 1, status: 1 });
+
+const ChallengeTemplate = mongoose.model('ChallengeTemplate', challengeTemplateSchema);
+
+// ============================================
+// 18. REALTIME EVENT MODEL (challenge room replay buffer)
+// ============================================
+const realtimeEventSchema = new mongoose.Schema({
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    required: true
+  },
+  // Challenge.realtimeSeq at publish time
+  seq: {
+    type: Number,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Whether guest spectators receive it
+  guests: {
+    type: Boolean,
+    default: false
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+// Indexes
+realtimeEventSchema.index({ challenge: 1, seq: 1 }, { unique: true });
+realtimeEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 6 * 60 * 60 });
+
+const RealtimeEvent = mongoose.model('RealtimeEvent', realtimeEventSchema);
+
+// ============================================
+// 19. VIEWER SESSION MODEL (one person watching a challenge, join to leave)
+// ============================================
+const viewerSessionSchema = new mongoose.Schema({
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    required: true
+  },
+  // "user:<id>" or "guest:<guestId>"; all tabs of one viewer share a session
+  viewer: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  guest: {
+    type: Boolean,
+    default: false
+  },
+
+  // Open sockets of this viewer in the room, across all API nodes
+  connections: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Refreshed by the nodes holding the sockets; stale sessions are closed
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  leftAt: Date,
+  durationSeconds: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: false
+});
+
+// Indexes
+viewerSessionSchema.index(
+  { challenge: 1, viewer: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+viewerSessionSchema.index({ challenge: 1, active: 1 });
+viewerSessionSchema.index({ challenge: 1, joinedAt: 1 });
+viewerSessionSchema.index({ active: 1, lastSeenAt: 1 });
+viewerSessionSchema.index({ user: 1, challenge: 1 });
+
+const ViewerSession = mongoose.model('ViewerSession', viewerSessionSchema);
+
+// ============================================
+// 20. JUDGE SCORE MODEL (one judge's scorecard for one competitor or side)
+// ============================================
+const judgeScoreSchema = new mongoose.Schema({
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    required: true,
+    index: true
+  },
+  judge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Scored participant, or side name in team mode (exactly one is set)
+  competitorScored: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  teamScored: {
+    type: String,
+    default: null
+  },
+
+  // One entry per rubric criterion (services/ruleBook.service.js)
+  criteria: [{
+    _id: false,
+    criterion: {
+      type: String,
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 10
+    }
+  }],
+  // Weighted mean of the criteria with the rubric in force when scored
+  total: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 10
+  },
+  comment: {
+    type: String,
+    maxlength: 1000
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+judgeScoreSchema.index(
+  { challenge: 1, judge: 1, competitorScored: 1, teamScored: 1 },
+  { unique: true }
+);
+
+const JudgeScore = mongoose.model('JudgeScore', judgeScoreSchema);
+
+// ============================================
+// 21. RATING EVENT MODEL (append-only log of submitted scores)
+// ============================================
+
+// A Rating holds each rater's latest score; every submission (and deletion)
+// is also logged here, so the rating timeline keeps scores that were later
+// changed
+const ratingEventSchema = new mongoose.Schema({
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    required: true
+  },
+  rater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  competitorRated: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  teamRated: {
+    type: String,
+    default: null
+  },
+  round: {
+    type: Number,
+    default: 1
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  // 'deleted' entries carry the score of the rating that was removed
+  action: {
+    type: String,
+    enum: ['submitted', 'deleted'],
+    default: 'submitted'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+// Indexes
+ratingEventSchema.index({ challenge: 1, timestamp: 1 });
+
+const RatingEvent = mongoose.model('RatingEvent', ratingEventSchema);
+
 // ============================================
 // EXPORT ALL MODELS
 // ============================================
@@ -972,5 +2617,16 @@ module.exports = {
   Advertisement,
   Message,
   Notification,
-  ChallengeInvitation
+  ChallengeInvitation,
+  ScheduledJob,
+  MatchmakingTicket,
+  RatingHistory,
+  Tournament,
+  Season,
+  Series,
+  ChallengeTemplate,
+  RealtimeEvent,
+  ViewerSession,
+  JudgeScore,
+  RatingEvent
 };
\ No newline at end of file
@@ -9,6 +9,9 @@
 NODE_ENV=development
 PORT=5000
 FRONTEND_URL=http://localhost:3000
+# Reverse proxies whose X-Forwarded-For is trusted for the client IP:
+# true, a hop count (e.g. 1) or addresses/subnets (e.g. loopback, 10.0.0.0/8)
+TRUST_PROXY=false
 
 # ===========================================
 # DATABASE CONFIGURATION
@@ -23,6 +26,9 @@ MONGODB_TEST_URI=mongodb://localhost:27017/dueli_test
 # You can use: openssl rand -base64 32
 JWT_SECRET=your_super_secret_jwt_key_min_32_characters_long_change_this
 JWT_EXPIRES_IN=7d
+# Guest spectator tokens (read-only Socket.IO access)
+GUEST_TOKEN_EXPIRES_IN=2h
+GUEST_MAX_CONNECTIONS_PER_IP=5
 
 # ===========================================
 # ENCRYPTION CONFIGURATION (AES-256)
@@ -69,6 +75,58 @@ RATE_LIMIT_MAX_REQUESTS=100
 AUTH_RATE_LIMIT_MAX=5
 INTERACTION_RATE_LIMIT_MAX=50
 
+# ===========================================
+# RATING INTEGRITY
+# ===========================================
+# Key for IP/device hashes on ratings (defaults to JWT_SECRET)
+RATING_FINGERPRINT_SECRET=
+# Accounts younger than this (days) count less
+RATING_TRUST_MIN_ACCOUNT_DAYS=7
+# Burst: at least MIN_RATERS first ratings of a competitor within one window,
+# and FACTOR times the competitor's median per window
+RATING_BURST_WINDOW_SECONDS=60
+RATING_BURST_MIN_RATERS=10
+RATING_BURST_FACTOR=4
+# Ratings below this trust are flagged in the admin report
+RATING_TRUST_FLAG_BELOW=0.5
+# bayesian rating strategy: virtual ratings at the challenge mean added per round
+RATING_BAYES_CONFIDENCE=5
+# Seconds of the live stream a viewer must watch before rating (0 disables)
+RATING_MIN_WATCH_SECONDS=60
+# Default percent of the final result decided by judge scorecards (rules.judgeWeight)
+JUDGE_SCORE_WEIGHT=50
+
+# ===========================================
+# SCHEDULER
+# ===========================================
+# memory = in-process timers (single instance)
+# mongo  = ScheduledJob collection (survives restarts, shared by instances)
+SCHEDULER_DRIVER=memory
+SCHEDULER_POLL_INTERVAL_MS=5000
+# Reminder lead times before scheduledTime (minutes, comma separated)
+CHALLENGE_REMINDER_LEAD_MINUTES=60,10
+# Minutes after scheduledTime before missing participants are marked no-show
+CHALLENGE_NO_SHOW_GRACE_MINUTES=10
+# Join request expiry sweep and how long answered/expired requests are kept
+INVITATION_SWEEP_INTERVAL_MINUTES=15
+INVITATION_RETENTION_DAYS=30
+# Matchmaking queue re-match interval and confirmation window
+MATCHMAKING_SWEEP_SECONDS=30
+MATCH_CONFIRM_MINUTES=15
+
+# ===========================================
+# REALTIME (Socket.IO)
+# ===========================================
+# memory = in-process adapter and replay buffer (single instance)
+# mongo  = @socket.io/mongo-adapter broadcasts + RealtimeEvent replay
+#          (several instances; MongoDB must run as a replica set)
+REALTIME_DRIVER=memory
+REALTIME_MONGO_COLLECTION=socket_io_events
+# Challenge room events kept per challenge for reconnecting clients (resume)
+REALTIME_REPLAY_BUFFER=200
+# Viewer session refresh; sessions not refreshed for 3 intervals are closed
+PRESENCE_HEARTBEAT_MS=30000
+
 # ===========================================
 # LOGGING
 # ===========================================
@@ -0,0 +1,102 @@
+// ============================================
+// FILE: services/eventBus.service.js
+// Server-side Realtime Event Bus
+// ============================================
+
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(20);
+
+// Publish target key per scope
+const TARGET_KEYS = {
+  challenge: 'challengeId',
+  user: 'userId',
+  tournament: 'tournamentId'
+};
+
+/**
+ * Realtime events the server may push. Clients cannot publish any of them;
+ * controllers and services publish after the change is persisted.
+ * scope: who receives it (challenge room, one user, tournament room)
+ * guests: whether guest spectators of the challenge receive it
+ */
+const EVENTS = {
+  // Challenge room
+  ratings_update: { scope: 'challenge', guests: true },
+  rating_timeline: { scope: 'challenge', guests: true },
+  comment_added: { scope: 'challenge', guests: true },
+  ad_display: { scope: 'challenge', guests: true },
+  ad_rejected: { scope: 'challenge', guests: true },
+  round_scoreboard: { scope: 'challenge', guests: false },
+  challenge_status_changed: { scope: 'challenge', guests: false },
+  participant_ready: { scope: 'challenge', guests: false },
+  challenge_starting: { scope: 'challenge', guests: false },
+  round_started: { scope: 'challenge', guests: false },
+  turn_changed: { scope: 'challenge', guests: false },
+  round_ended: { scope: 'challenge', guests: false },
+  rounds_completed: { scope: 'challenge', guests: false },
+  rounds_paused: { scope: 'challenge', guests: false },
+  rounds_resumed: { scope: 'challenge', guests: false },
+
+  // One user (all their sockets)
+  notification_received: { scope: 'user' },
+  match_found: { scope: 'user' },
+  new_message: { scope: 'user' },
+  message_read: { scope: 'user' },
+
+  // Tournament room
+  tournament_updated: { scope: 'tournament' }
+};
+
+/**
+ * Publish a realtime event
+ * @param {string} event - Event name (see EVENTS)
+ * @param {object} target - { challengeId } | { userId } | { tournamentId }
+ * @param {object} payload - Event data or a Mongoose document (timestamp added when missing)
+ */
+const publish = (event, target, payload = {}) => {
+  const definition = EVENTS[event];
+
+  if (!definition) {
+    throw new Error(`Unknown realtime event "${event}"`);
+  }
+
+  const key = TARGET_KEYS[definition.scope];
+  if (!target || !target[key]) {
+    throw new Error(`Realtime event "${event}" needs a ${key}`);
+  }
+
+  // Saved documents (e.g. Notification.create()) are sent as plain objects
+  const data = typeof payload.toObject === 'function' ? payload.toObject() : payload;
+
+  bus.emit('publish', {
+    event,
+    scope: definition.scope,
+    target: target[key].toString(),
+    guests: Boolean(definition.guests),
+    payload: { ...data, timestamp: data.timestamp || new Date() }
+  });
+};
+
+/**
+ * Receive every published event (socket delivery, replay logs, ...)
+ * @param {Function} listener - ({ event, scope, target, guests, payload }) => {}
+ * @returns {Function} - Unsubscribe
+ */
+const subscribe = (listener) => {
+  bus.on('publish', listener);
+  return () => bus.off('publish', listener);
+};
+
+/**
+ * Whether guest spectators receive a challenge event
+ */
+const isGuestEvent = (event) => Boolean(EVENTS[event] && EVENTS[event].guests);
+
+module.exports = {
+  EVENTS,
+  publish,
+  subscribe,
+  isGuestEvent
+};
@@ -0,0 +1,37 @@
+// ============================================
+// FILE: utils/helpers.js
+// Shared Helpers: References & User Notifications
+// ============================================
+
+const { Notification } = require('../models');
+const { publish } = require('../services/eventBus.service');
+
+/**
+ * ID of a reference, populated or not
+ * @param {object} ref - Document or ObjectId
+ * @returns {object} - ObjectId
+ */
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Whether two references (populated or not) point to the same user
+ */
+const sameUser = (a, b) => Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+/**
+ * Save a notification and push it to every socket of the user
+ * @param {ObjectId} userId - Recipient
+ * @param {object} notification - { type, content, link, metadata }
+ * @returns {Promise<object>} - Saved Notification document
+ */
+const notifyUser = async (userId, notification) => {
+  const saved = await Notification.create({ ...notification, user: userId });
+  publish('notification_received', { userId }, saved);
+  return saved;
+};
+
+module.exports = {
+  idOf,
+  sameUser,
+  notifyUser
+};
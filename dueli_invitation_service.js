@@ -0,0 +1,216 @@
+// ============================================
+// FILE: services/invitation.service.js
+// Invitation Expiry, Cleanup & Seat Conflicts
+// ============================================
+
+const { ChallengeInvitation } = require('../models');
+const { registerJobHandler, scheduleJob } = require('./scheduler.service');
+const { notifyUser } = require('../utils/helpers');
+const logger = require('../config/logger');
+
+const SWEEP_JOB = 'invitation_expiry_sweep';
+
+// How often the sweep runs (INVITATION_SWEEP_INTERVAL_MINUTES, default 15)
+const getSweepIntervalMs = () =>
+  (parseInt(process.env.INVITATION_SWEEP_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+
+// How long answered/expired invitations are kept (INVITATION_RETENTION_DAYS, default 30)
+const getRetentionMs = () =>
+  (parseInt(process.env.INVITATION_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Flip a pending invitation to expired and notify both sides
+ * @param {object} invitation - ChallengeInvitation document (challenge populated or not)
+ * @returns {boolean} - Whether this call expired it
+ */
+const expireInvitation = async (invitation) => {
+  // Conditional update so concurrent sweeps/requests expire it only once
+  const result = await ChallengeInvitation.updateOne(
+    { _id: invitation._id, status: 'pending' },
+    { $set: { status: 'expired', respondedAt: new Date() } }
+  );
+
+  if (result.modifiedCount === 0) return false;
+
+  invitation.status = 'expired';
+
+  const challengeId = invitation.challenge._id || invitation.challenge;
+  const title = invitation.challenge.title ? `: ${invitation.challenge.title}` : '';
+
+  const notifications = invitation.kind === 'direct_invite'
+    ? [
+      {
+        user: invitation.inviter,
+        content: `انتهت صلاحية دعوتك للمنافسة دون رد${title}`
+      },
+      {
+        user: invitation.invitee,
+        content: `انتهت صلاحية الدعوة الموجهة إليك للمنافسة${title}`
+      }
+    ]
+    : [
+      {
+        user: invitation.inviter,
+        content: `انتهت صلاحية طلبك للانضمام للمنافسة${title}`
+      },
+      {
+        user: invitation.invitee,
+        content: `انتهت صلاحية طلب انضمام لم يتم الرد عليه في منافستك${title}`
+      }
+    ];
+
+  for (const { user, content } of notifications) {
+    await notifyUser(user, {
+      type: 'invite_expired',
+      content,
+      link: `/challenges/${challengeId}`,
+      metadata: {
+        challengeId,
+        userId: invitation.inviter
+      }
+    });
+  }
+
+  return true;
+};
+
+// Why the remaining invitations of a challenge that no longer takes players go
+const CLOSED_REASONS = {
+  live: {
+    responseMessage: 'Challenge started',
+    direct: 'تم سحب الدعوة لأن المنافسة بدأت',
+    request: 'بدأت المنافسة قبل قبول طلبك'
+  },
+  cancelled: {
+    responseMessage: 'Challenge cancelled',
+    direct: 'تم سحب الدعوة لإلغاء المنافسة',
+    request: 'تم رفض طلبك لإلغاء المنافسة'
+  }
+};
+
+/**
+ * Decline pending invitations whose seat is no longer available
+ * Everything goes once the challenge is full, has started or was cancelled;
+ * in team mode, requests for a side that just filled up go too. The
+ * requester/invitee is notified.
+ * @param {object} challenge - Challenge document (after the new seat or status was saved)
+ * @returns {number} - Number of invitations declined
+ */
+const declineCompetingInvitations = async (challenge) => {
+  const pending = await ChallengeInvitation.find({
+    challenge: challenge._id,
+    status: 'pending'
+  });
+
+  const closed = CLOSED_REASONS[challenge.status];
+  const competing = pending.filter(invitation => closed || challenge.isFull() ||
+    (challenge.mode === 'team' && invitation.team && challenge.isTeamFull(invitation.team)));
+
+  for (const invitation of competing) {
+    invitation.status = 'rejected';
+    invitation.responseMessage = closed ? closed.responseMessage : 'No seats left';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    // The other party is the one waiting on an answer
+    const user = invitation.kind === 'direct_invite' ? invitation.invitee : invitation.inviter;
+    let content;
+    if (closed) {
+      content = `${invitation.kind === 'direct_invite' ? closed.direct : closed.request}: ${challenge.title}`;
+    } else if (invitation.kind === 'direct_invite') {
+      content = `تم سحب الدعوة للمنافسة بعد اكتمال المقاعد: ${challenge.title}`;
+    } else {
+      content = challenge.joinMode === 'open_call'
+        ? `اختار المنشئ متقدمين آخرين للمنافسة: ${challenge.title}`
+        : `تم رفض طلبك تلقائياً لاكتمال المقاعد في المنافسة: ${challenge.title}`;
+    }
+
+    await notifyUser(user, {
+      type: 'invite_rejected',
+      content,
+      link: `/challenges/${challenge._id}`,
+      metadata: { challengeId: challenge._id }
+    });
+  }
+
+  if (competing.length > 0) {
+    logger.info(`Declined ${competing.length} competing invitation(s) for ${challenge.title}`);
+  }
+
+  return competing.length;
+};
+
+/**
+ * Expire every pending invitation past its expiresAt
+ * @returns {number} - Number of invitations expired
+ */
+const expireStaleInvitations = async () => {
+  const stale = await ChallengeInvitation.find({
+    status: 'pending',
+    expiresAt: { $lte: new Date() }
+  }).populate('challenge', 'title');
+
+  let expired = 0;
+  for (const invitation of stale) {
+    if (await expireInvitation(invitation)) expired += 1;
+  }
+
+  return expired;
+};
+
+/**
+ * Delete answered/expired invitations older than the retention window
+ * @returns {number} - Number of invitations deleted
+ */
+const purgeOldInvitations = async () => {
+  const { deletedCount } = await ChallengeInvitation.deleteMany({
+    status: { $in: ['accepted', 'rejected', 'expired'] },
+    createdAt: { $lt: new Date(Date.now() - getRetentionMs()) }
+  });
+
+  return deletedCount;
+};
+
+/**
+ * Scheduler handler: expire, purge, then schedule the next sweep
+ */
+const handleSweep = async () => {
+  try {
+    const expired = await expireStaleInvitations();
+    const purged = await purgeOldInvitations();
+
+    if (expired || purged) {
+      logger.info(`Invitation sweep: ${expired} expired, ${purged} purged`);
+    }
+  } finally {
+    await scheduleInvitationSweep(getSweepIntervalMs());
+  }
+};
+
+/**
+ * Register the sweep handler (before the scheduler starts)
+ */
+const registerInvitationJobs = () => {
+  registerJobHandler(SWEEP_JOB, handleSweep);
+};
+
+/**
+ * Schedule the next sweep (after the scheduler starts)
+ * @param {number} delayMs - Delay before the sweep runs
+ */
+const scheduleInvitationSweep = async (delayMs = 0) => {
+  await scheduleJob({
+    key: SWEEP_JOB,
+    type: SWEEP_JOB,
+    runAt: Date.now() + delayMs
+  });
+};
+
+module.exports = {
+  expireInvitation,
+  expireStaleInvitations,
+  declineCompetingInvitations,
+  purgeOldInvitations,
+  registerInvitationJobs,
+  scheduleInvitationSweep
+};
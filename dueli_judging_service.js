@@ -0,0 +1,83 @@
+// ============================================
+// FILE: services/judging.service.js
+// Judge Panel: Rubric Scorecards & Panel Scores
+// ============================================
+
+const { JudgeScore } = require('../models');
+const { JUDGING_RUBRICS } = require('./ruleBook.service');
+
+/**
+ * Build a scorecard from per-criterion scores
+ * Every criterion of the category's rubric must be scored, and nothing else.
+ * @param {string} category - Challenge category
+ * @param {object} scores - { criterion: score (1-10) }
+ * @returns {object} - { criteria: [{ criterion, score }], total } or { error }
+ */
+const buildScorecard = (category, scores = {}) => {
+  const rubric = JUDGING_RUBRICS[category] || [];
+
+  const unknown = Object.keys(scores).find(key => !rubric.some(c => c.criterion === key));
+  if (unknown) {
+    return { error: `Unknown criterion "${unknown}" for the ${category} rubric` };
+  }
+
+  const missing = rubric.find(c => scores[c.criterion] === undefined);
+  if (missing) {
+    return { error: `Missing score for criterion "${missing.criterion}"` };
+  }
+
+  const criteria = rubric.map(c => ({ criterion: c.criterion, score: Number(scores[c.criterion]) }));
+  const weights = rubric.reduce((sum, c) => sum + c.weight, 0);
+  const weighted = rubric.reduce((sum, c, index) => sum + criteria[index].score * c.weight, 0);
+
+  return {
+    criteria,
+    total: Math.round((weighted / weights) * 100) / 100
+  };
+};
+
+/**
+ * Mean scorecard total per competitor (or side) over the current panel
+ * Scorecards of judges removed from the panel do not count.
+ * @param {object} challenge - Challenge document
+ * @param {string} field - 'competitorRated' or 'teamRated'
+ * @returns {Map} - targetId => { score, judges }
+ */
+const computePanelScores = async (challenge, field = 'competitorRated') => {
+  const judgeIds = (challenge.judges || []).map(j => j._id || j);
+  if (judgeIds.length === 0) return new Map();
+
+  const key = field === 'teamRated' ? 'teamScored' : 'competitorScored';
+
+  const rows = await JudgeScore.aggregate([
+    { $match: { challenge: challenge._id, judge: { $in: judgeIds }, [key]: { $ne: null } } },
+    {
+      $group: {
+        _id: `$${key}`,
+        score: { $avg: '$total' },
+        judges: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), { score: row.score, judges: row.judges }]));
+};
+
+/**
+ * Scorecards of a challenge, optionally of one judge
+ * @param {object} challenge - Challenge document
+ * @param {string} judgeId - Optional judge filter
+ * @returns {Array} - JudgeScore documents with the judge populated
+ */
+const listScorecards = (challenge, judgeId = null) => JudgeScore.find({
+  challenge: challenge._id,
+  ...(judgeId ? { judge: judgeId } : {})
+})
+  .populate('judge', 'username avatar')
+  .sort('createdAt');
+
+module.exports = {
+  buildScorecard,
+  computePanelScores,
+  listScorecards
+};
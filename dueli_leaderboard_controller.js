@@ -0,0 +1,156 @@
+// ============================================
+// FILE: controllers/leaderboard.controller.js
+// Leaderboard Controller
+// ============================================
+
+const { User, RatingHistory } = require('../models');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const WINDOW_DAYS = {
+  week: 7,
+  month: 30
+};
+
+const PUBLIC_USER_FIELDS = {
+  username: 1,
+  avatar: 1,
+  country: 1,
+  language: 1,
+  overallRating: 1
+};
+
+/**
+ * @desc    Get the skill leaderboard for a category
+ * @route   GET /api/v1/leaderboards
+ * @access  Public
+ *
+ * All-time boards rank by current rating. Weekly/monthly boards rank by
+ * rating gained inside the window. Filtering by field reads the rating
+ * history, since a user's rating is kept per category only.
+ */
+exports.getLeaderboard = asyncHandler(async (req, res, next) => {
+  const { category, field, country, language, window = 'all', page = 1, limit = 20 } = req.query;
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const maxLimit = Math.min(parseInt(limit), 50);
+
+  let rows;
+  let total;
+
+  if (window === 'all' && !field) {
+    // Current ratings straight from the users
+    const match = {
+      isActive: true,
+      isSuspended: { $ne: true },
+      'skillRatings.category': category
+    };
+    if (country) match.country = country.toUpperCase();
+    if (language) match.language = language;
+
+    const [result] = await User.aggregate([
+      { $match: match },
+      { $unwind: '$skillRatings' },
+      { $match: { 'skillRatings.category': category } },
+      { $sort: { 'skillRatings.rating': -1, 'skillRatings.matches': -1 } },
+      {
+        $facet: {
+          rows: [
+            { $skip: skip },
+            { $limit: maxLimit },
+            {
+              $project: {
+                ...PUBLIC_USER_FIELDS,
+                rating: '$skillRatings.rating',
+                peak: '$skillRatings.peak',
+                matches: '$skillRatings.matches'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    rows = result.rows.map(row => {
+      const { _id, rating, peak, matches, ...user } = row;
+      return { user: { _id, ...user }, rating, peak, matches };
+    });
+    total = result.total.length > 0 ? result.total[0].count : 0;
+  } else {
+    // Aggregate the rating history inside the window
+    const match = { category };
+    if (field) match.field = field;
+    if (country) match.country = country.toUpperCase();
+    if (language) match.language = language;
+    if (WINDOW_DAYS[window]) {
+      match.createdAt = { $gte: new Date(Date.now() - WINDOW_DAYS[window] * 24 * 60 * 60 * 1000) };
+    }
+
+    const sort = window === 'all'
+      ? { rating: -1, matches: -1 }
+      : { gain: -1, rating: -1 };
+
+    const [result] = await RatingHistory.aggregate([
+      { $match: match },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: '$user',
+          rating: { $last: '$after' },
+          gain: { $sum: '$delta' },
+          matches: { $sum: 1 }
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      { $unwind: '$user' },
+      { $match: { 'user.isActive': true, 'user.isSuspended': { $ne: true } } },
+      { $sort: sort },
+      {
+        $facet: {
+          rows: [
+            { $skip: skip },
+            { $limit: maxLimit },
+            {
+              $project: {
+                _id: 0,
+                rating: 1,
+                gain: 1,
+                matches: 1,
+                user: { _id: 1, ...PUBLIC_USER_FIELDS }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    rows = result.rows;
+    total = result.total.length > 0 ? result.total[0].count : 0;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      category,
+      window,
+      leaderboard: rows.map((row, index) => ({ rank: skip + index + 1, ...row })),
+      pagination: {
+        page: parseInt(page),
+        limit: maxLimit,
+        total,
+        pages: Math.ceil(total / maxLimit)
+      }
+    }
+  });
+});
+
+module.exports = exports;
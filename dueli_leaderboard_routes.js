@@ -0,0 +1,71 @@
+// ============================================
+// FILE: routes/leaderboard.routes.js
+// Leaderboard Routes
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+
+const { getLeaderboard } = require('../controllers/leaderboard.controller');
+
+const { validate } = require('../middleware/validate');
+const { leaderboardValidation } = require('../validators/leaderboard.validator');
+
+// ============================================
+// PUBLIC ROUTES
+// ============================================
+
+router.get('/', leaderboardValidation, validate, getLeaderboard);
+
+module.exports = router;
+
+// ============================================
+// FILE: validators/leaderboard.validator.js
+// Leaderboard Validation Rules
+// ============================================
+
+const { query } = require('express-validator');
+
+/**
+ * Leaderboard query validation
+ */
+exports.leaderboardValidation = [
+  query('category')
+    .notEmpty()
+    .withMessage('Category is required')
+    .isIn(['dialogue', 'science', 'talent'])
+    .withMessage('Category must be dialogue, science, or talent'),
+
+  query('field')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Field cannot exceed 100 characters'),
+
+  query('country')
+    .optional()
+    .isLength({ min: 2, max: 2 })
+    .withMessage('Country code must be 2 characters')
+    .isAlpha()
+    .withMessage('Country code must contain only letters'),
+
+  query('language')
+    .optional()
+    .isIn(['ar', 'en', 'fr', 'es', 'de', 'tr', 'ur'])
+    .withMessage('Invalid language code'),
+
+  query('window')
+    .optional()
+    .isIn(['week', 'month', 'all'])
+    .withMessage('Window must be week, month, or all'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
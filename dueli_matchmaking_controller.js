@@ -0,0 +1,182 @@
+// ============================================
+// FILE: controllers/matchmaking.controller.js
+// Matchmaking Controller
+// ============================================
+
+const { MatchmakingTicket } = require('../models');
+const { enqueue, respondToMatch, getSkillTolerance } = require('../services/matchmaking.service');
+const logger = require('../config/logger');
+const asyncHandler = require('../middleware/asyncHandler');
+
+/**
+ * @desc    Enter the matchmaking queue
+ * @route   POST /api/v1/matchmaking/queue
+ * @access  Private
+ */
+exports.joinQueue = asyncHandler(async (req, res, next) => {
+  const { windowStart, windowEnd } = req.body;
+
+  // One open ticket per user
+  const activeTicket = await MatchmakingTicket.findOne({
+    user: req.user._id,
+    status: { $in: ['searching', 'matched'] },
+    windowEnd: { $gt: new Date() }
+  });
+
+  if (activeTicket) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'ALREADY_QUEUED',
+        message: 'You already have an open matchmaking ticket'
+      }
+    });
+  }
+
+  if (windowStart && windowEnd && new Date(windowEnd) <= new Date(windowStart)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_WINDOW',
+        message: 'Time window end must be after its start'
+      }
+    });
+  }
+
+  if (windowEnd && new Date(windowEnd) <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_WINDOW',
+        message: 'Time window must end in the future'
+      }
+    });
+  }
+
+  const { ticket, challenge } = await enqueue(req.user, req.body);
+
+  logger.info(`Matchmaking: ${req.user.username} queued for ${ticket.category} (${ticket.skillRating})`);
+
+  res.status(201).json({
+    success: true,
+    message: challenge ? 'Match found, please confirm' : 'Added to matchmaking queue',
+    data: {
+      ticket,
+      challengeId: challenge ? challenge._id : null
+    }
+  });
+});
+
+/**
+ * @desc    Get my open matchmaking ticket
+ * @route   GET /api/v1/matchmaking/queue
+ * @access  Private
+ */
+exports.getMyTicket = asyncHandler(async (req, res, next) => {
+  const ticket = await MatchmakingTicket.findOne({
+    user: req.user._id,
+    status: { $in: ['searching', 'matched', 'confirmed'] }
+  })
+    .sort('-createdAt')
+    .populate('matchedWith', 'username avatar overallRating')
+    .populate('challenge', 'title category field scheduledTime status');
+
+  if (!ticket) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'TICKET_NOT_FOUND',
+        message: 'You are not in the matchmaking queue'
+      }
+    });
+  }
+
+  const data = { ticket };
+  if (ticket.status === 'searching') {
+    data.skillTolerance = getSkillTolerance(ticket);
+    data.queuedAhead = await MatchmakingTicket.countDocuments({
+      status: 'searching',
+      category: ticket.category,
+      language: ticket.language,
+      createdAt: { $lt: ticket.createdAt }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+/**
+ * @desc    Leave the matchmaking queue
+ * @route   DELETE /api/v1/matchmaking/queue
+ * @access  Private
+ */
+exports.leaveQueue = asyncHandler(async (req, res, next) => {
+  const ticket = await MatchmakingTicket.findOneAndUpdate(
+    { user: req.user._id, status: 'searching' },
+    { status: 'cancelled' },
+    { new: true }
+  );
+
+  if (!ticket) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'TICKET_NOT_FOUND',
+        message: 'You are not searching for a match'
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Left matchmaking queue'
+  });
+});
+
+/**
+ * @desc    Confirm or decline a found match
+ * @route   POST /api/v1/matchmaking/tickets/:id/respond
+ * @access  Private (ticket owner)
+ */
+exports.respondToTicket = asyncHandler(async (req, res, next) => {
+  const { action } = req.body;
+  const ticket = await MatchmakingTicket.findById(req.params.id);
+
+  if (!ticket || ticket.user.toString() !== req.user._id.toString()) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'TICKET_NOT_FOUND',
+        message: 'Matchmaking ticket not found'
+      }
+    });
+  }
+
+  if (ticket.status !== 'matched') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NOT_MATCHED',
+        message: 'This ticket has no match waiting for confirmation'
+      }
+    });
+  }
+
+  const result = await respondToMatch(ticket, action);
+
+  res.status(200).json({
+    success: true,
+    message: action === 'accept'
+      ? (result.challenge ? 'Match confirmed by both sides' : 'Waiting for your opponent to confirm')
+      : 'Match declined',
+    data: {
+      ticket: result.ticket,
+      challenge: result.challenge
+    }
+  });
+});
+
+module.exports = exports;
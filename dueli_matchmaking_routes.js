@@ -0,0 +1,89 @@
+// ============================================
+// FILE: routes/matchmaking.routes.js
+// Matchmaking Routes
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  joinQueue,
+  getMyTicket,
+  leaveQueue,
+  respondToTicket
+} = require('../controllers/matchmaking.controller');
+
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  joinQueueValidation,
+  respondTicketValidation
+} = require('../validators/matchmaking.validator');
+
+// ============================================
+// PROTECTED ROUTES
+// ============================================
+
+// Queue
+router.post('/queue', protect, joinQueueValidation, validate, joinQueue);
+router.get('/queue', protect, getMyTicket);
+router.delete('/queue', protect, leaveQueue);
+
+// Confirm/Decline a found match
+router.post('/tickets/:id/respond', protect, respondTicketValidation, validate, respondToTicket);
+
+module.exports = router;
+
+// ============================================
+// FILE: validators/matchmaking.validator.js
+// Matchmaking Validation Rules
+// ============================================
+
+const { body, param } = require('express-validator');
+
+/**
+ * Join queue validation
+ */
+exports.joinQueueValidation = [
+  body('category')
+    .notEmpty()
+    .withMessage('Category is required')
+    .isIn(['dialogue', 'science', 'talent'])
+    .withMessage('Category must be dialogue, science, or talent'),
+
+  body('field')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Field cannot exceed 100 characters'),
+
+  body('language')
+    .optional()
+    .isIn(['ar', 'en', 'fr', 'es', 'de', 'tr', 'ur'])
+    .withMessage('Invalid language code'),
+
+  body('windowStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Window start must be a valid date'),
+
+  body('windowEnd')
+    .optional()
+    .isISO8601()
+    .withMessage('Window end must be a valid date')
+];
+
+/**
+ * Respond to match validation
+ */
+exports.respondTicketValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ticket ID'),
+
+  body('action')
+    .notEmpty()
+    .withMessage('Action is required')
+    .isIn(['accept', 'decline'])
+    .withMessage('Action must be either accept or decline')
+];
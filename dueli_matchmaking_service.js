@@ -0,0 +1,397 @@
+// ============================================
+// FILE: services/matchmaking.service.js
+// Skill-based Matchmaking Queue
+// ============================================
+
+const { Challenge, MatchmakingTicket, User } = require('../models');
+const { publish } = require('./eventBus.service');
+const { getSkillRating } = require('./skill.service');
+const { scheduleChallengeJobs } = require('./challengeLifecycle.service');
+const { registerJobHandler, scheduleJob, cancelJobs } = require('./scheduler.service');
+const { notifyUser } = require('../utils/helpers');
+const logger = require('../config/logger');
+
+const SWEEP_JOB = 'matchmaking_sweep';
+const CONFIRM_TIMEOUT_JOB = 'matchmaking_confirm_timeout';
+
+// Skill gap accepted right away, widened the longer a ticket waits
+const BASE_SKILL_TOLERANCE = 100;
+const TOLERANCE_STEP_PER_MINUTE = 25;
+const MAX_SKILL_TOLERANCE = 400;
+
+// How often queued tickets are re-matched (MATCHMAKING_SWEEP_SECONDS, default 30)
+const getSweepIntervalMs = () =>
+  (parseInt(process.env.MATCHMAKING_SWEEP_SECONDS, 10) || 30) * 1000;
+
+// How long both sides have to confirm a match (MATCH_CONFIRM_MINUTES, default 15)
+const getConfirmTimeoutMs = () =>
+  (parseInt(process.env.MATCH_CONFIRM_MINUTES, 10) || 15) * 60 * 1000;
+
+/**
+ * Skill gap a ticket accepts at the moment
+ * @param {object} ticket - MatchmakingTicket document
+ * @returns {number} - Rating points
+ */
+const getSkillTolerance = (ticket) => {
+  const waitedMinutes = (Date.now() - ticket.createdAt.getTime()) / 60000;
+  return Math.min(
+    BASE_SKILL_TOLERANCE + Math.floor(waitedMinutes) * TOLERANCE_STEP_PER_MINUTE,
+    MAX_SKILL_TOLERANCE
+  );
+};
+
+const sameField = (a, b) => !a || !b || a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Whether two tickets can be paired (skill aside)
+ */
+const isCompatible = (ticket, candidate, ticketUser, candidateUser) => {
+  const overlapStart = Math.max(ticket.windowStart.getTime(), candidate.windowStart.getTime());
+  const overlapEnd = Math.min(ticket.windowEnd.getTime(), candidate.windowEnd.getTime());
+
+  return overlapStart < overlapEnd &&
+    sameField(ticket.field, candidate.field) &&
+    !ticketUser.blockedUsers.some(id => id.toString() === candidateUser._id.toString()) &&
+    !candidateUser.blockedUsers.some(id => id.toString() === ticketUser._id.toString());
+};
+
+/**
+ * Create the challenge for a fresh pair and ask both sides to confirm
+ * The ticket that queued first becomes the creator; the other seat is
+ * filled once both confirm.
+ */
+const createMatch = async (first, second) => {
+  const [creator, opponent] = [first, second].sort((a, b) => a.createdAt - b.createdAt);
+  const creatorUser = await User.findById(creator.user);
+
+  const overlapStart = new Date(Math.max(creator.windowStart.getTime(), opponent.windowStart.getTime()));
+  const scheduledTime = overlapStart > new Date() ? overlapStart : null;
+  const field = creator.field || opponent.field || 'General';
+
+  const challenge = await Challenge.create({
+    title: `Matchmaking: ${field}`,
+    category: creator.category,
+    field,
+    language: creator.language,
+    country: creatorUser.country,
+    creator: creator.user,
+    participants: [{ user: creator.user, role: 'creator' }],
+    scheduledTime,
+    status: 'pending',
+    origin: 'matchmaking'
+  });
+
+  const now = new Date();
+  for (const [ticket, partner] of [[creator, opponent], [opponent, creator]]) {
+    ticket.status = 'matched';
+    ticket.matchedTicket = partner._id;
+    ticket.matchedWith = partner.user;
+    ticket.challenge = challenge._id;
+    ticket.matchedAt = now;
+    await ticket.save();
+
+    await notifyUser(ticket.user, {
+      type: 'match_found',
+      content: `تم العثور على منافس لك في ${field}، يرجى تأكيد المنافسة`,
+      link: `/matchmaking/tickets/${ticket._id}`,
+      priority: 'high',
+      metadata: { challengeId: challenge._id, userId: partner.user }
+    });
+
+    publish('match_found', { userId: ticket.user }, {
+      ticketId: ticket._id,
+      challengeId: challenge._id,
+      opponentId: partner.user,
+      confirmBy: new Date(now.getTime() + getConfirmTimeoutMs()),
+      timestamp: now
+    });
+  }
+
+  await scheduleJob({
+    key: `${CONFIRM_TIMEOUT_JOB}:${challenge._id}`,
+    type: CONFIRM_TIMEOUT_JOB,
+    challenge: challenge._id,
+    runAt: now.getTime() + getConfirmTimeoutMs()
+  });
+
+  logger.info(`Match found: ${creator.user} vs ${opponent.user} (challenge ${challenge._id})`);
+
+  return challenge;
+};
+
+/**
+ * Try to pair a searching ticket with the closest compatible one
+ * @param {object} ticket - Searching MatchmakingTicket document
+ * @returns {object|null} - Created challenge or null
+ */
+const tryMatch = async (ticket) => {
+  const tolerance = getSkillTolerance(ticket);
+
+  const candidates = await MatchmakingTicket.find({
+    _id: { $ne: ticket._id },
+    user: { $ne: ticket.user },
+    status: 'searching',
+    category: ticket.category,
+    language: ticket.language,
+    windowEnd: { $gt: new Date() },
+    skillRating: { $gte: ticket.skillRating - tolerance, $lte: ticket.skillRating + tolerance }
+  }).populate('user', 'blockedUsers');
+
+  if (candidates.length === 0) return null;
+
+  const ticketUser = await User.findById(ticket.user).select('blockedUsers');
+
+  const ranked = candidates
+    .filter(c => isCompatible(ticket, c, ticketUser, c.user))
+    .sort((a, b) =>
+      Math.abs(a.skillRating - ticket.skillRating) - Math.abs(b.skillRating - ticket.skillRating) ||
+      a.createdAt - b.createdAt);
+
+  for (const candidate of ranked) {
+    // Claim both tickets atomically; another worker may have taken either
+    const claimed = await MatchmakingTicket.findOneAndUpdate(
+      { _id: candidate._id, status: 'searching' },
+      { status: 'matched' },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    const own = await MatchmakingTicket.findOneAndUpdate(
+      { _id: ticket._id, status: 'searching' },
+      { status: 'matched' },
+      { new: true }
+    );
+
+    if (!own) {
+      await MatchmakingTicket.updateOne({ _id: claimed._id }, { status: 'searching' });
+      return null;
+    }
+
+    return createMatch(own, claimed);
+  }
+
+  return null;
+};
+
+/**
+ * Put a user in the queue and look for a match right away
+ * @param {object} user - User document
+ * @param {object} preferences - { category, field, language, windowStart, windowEnd }
+ * @returns {object} - { ticket, challenge }
+ */
+const enqueue = async (user, preferences) => {
+  const { category, field, language, windowStart, windowEnd } = preferences;
+  const { rating } = await getSkillRating(user, category);
+
+  const start = windowStart ? new Date(windowStart) : new Date();
+  const ticket = await MatchmakingTicket.create({
+    user: user._id,
+    category,
+    field,
+    language: language || user.language,
+    windowStart: start,
+    windowEnd: windowEnd ? new Date(windowEnd) : new Date(start.getTime() + 2 * 60 * 60 * 1000),
+    skillRating: rating
+  });
+
+  const challenge = await tryMatch(ticket);
+
+  return {
+    ticket: challenge ? await MatchmakingTicket.findById(ticket._id) : ticket,
+    challenge
+  };
+};
+
+/**
+ * Put a matched ticket back in the queue (its partner declined or timed out)
+ */
+const requeue = async (ticket) => {
+  const stillOpen = ticket.windowEnd > new Date();
+
+  ticket.status = stillOpen ? 'searching' : 'expired';
+  ticket.matchedTicket = null;
+  ticket.matchedWith = null;
+  ticket.challenge = null;
+  ticket.matchedAt = null;
+  ticket.confirmedAt = null;
+  await ticket.save();
+};
+
+/**
+ * Call off a match: cancel its challenge and requeue whoever confirmed
+ * @param {object} challengeId - Match challenge ID
+ * @param {Array} droppedTicketIds - Tickets that declined or timed out
+ * @param {string} droppedStatus - 'declined' or 'expired'
+ */
+const cancelMatch = async (challengeId, droppedTicketIds, droppedStatus) => {
+  const tickets = await MatchmakingTicket.find({ challenge: challengeId });
+  const dropped = droppedTicketIds.map(id => id.toString());
+
+  for (const ticket of tickets) {
+    if (dropped.includes(ticket._id.toString())) {
+      ticket.status = droppedStatus;
+      await ticket.save();
+    } else {
+      await requeue(ticket);
+      await notifyUser(ticket.user, {
+        type: 'match_cancelled',
+        content: ticket.status === 'searching'
+          ? 'لم يؤكد المنافس المباراة، عدت إلى قائمة الانتظار'
+          : 'لم يؤكد المنافس المباراة وانتهت نافذة الوقت المفضلة لديك',
+        link: '/matchmaking',
+        metadata: { challengeId }
+      });
+    }
+  }
+
+  await Challenge.updateOne(
+    { _id: challengeId, status: 'pending' },
+    { status: 'cancelled', cancellationReason: 'match_declined' }
+  );
+  await cancelJobs({ challenge: challengeId });
+};
+
+/**
+ * Seat the second side once both tickets are confirmed
+ */
+const finaliseMatch = async (ticket, partner) => {
+  const match = await Challenge.findById(ticket.challenge).select('creator');
+  if (!match) return null;
+
+  const joiner = match.creator.toString() === ticket.user.toString() ? partner.user : ticket.user;
+
+  // Only one of two concurrent confirmations may fill the seat
+  const challenge = await Challenge.findOneAndUpdate(
+    { _id: ticket.challenge, status: 'pending', opponent: null },
+    { opponent: joiner },
+    { new: true }
+  );
+  if (!challenge) return null;
+
+  challenge.participants.push({ user: joiner, role: 'opponent' });
+  if (challenge.scheduledTime && challenge.scheduledTime <= new Date()) {
+    challenge.scheduledTime = null;
+  }
+  challenge.status = challenge.scheduledTime ? 'scheduled' : 'pending';
+  await challenge.save();
+
+  await cancelJobs({ key: `${CONFIRM_TIMEOUT_JOB}:${challenge._id}` });
+  await scheduleChallengeJobs(challenge);
+
+  for (const userId of [ticket.user, partner.user]) {
+    await notifyUser(userId, {
+      type: 'match_confirmed',
+      content: `تم تأكيد المنافسة: ${challenge.title}`,
+      link: `/challenges/${challenge._id}`,
+      metadata: { challengeId: challenge._id }
+    });
+  }
+
+  logger.info(`Match confirmed: challenge ${challenge._id}`);
+
+  return challenge;
+};
+
+/**
+ * Confirm or decline a found match
+ * @param {object} ticket - Matched ticket of the responding user
+ * @param {string} action - 'accept' or 'decline'
+ * @returns {object} - { ticket, challenge }
+ */
+const respondToMatch = async (ticket, action) => {
+  if (action === 'decline') {
+    await cancelMatch(ticket.challenge, [ticket._id], 'declined');
+    return { ticket: await MatchmakingTicket.findById(ticket._id), challenge: null };
+  }
+
+  // Conditional flip: of two simultaneous confirmations, the later write
+  // always reads its partner as confirmed
+  const confirmed = await MatchmakingTicket.findOneAndUpdate(
+    { _id: ticket._id, status: 'matched' },
+    { status: 'confirmed', confirmedAt: new Date() },
+    { new: true }
+  );
+  if (!confirmed) {
+    return { ticket: await MatchmakingTicket.findById(ticket._id), challenge: null };
+  }
+
+  const partner = await MatchmakingTicket.findById(confirmed.matchedTicket);
+  const challenge = partner && partner.status === 'confirmed'
+    ? await finaliseMatch(confirmed, partner)
+    : null;
+
+  return { ticket: confirmed, challenge };
+};
+
+// ============================================
+// SCHEDULED JOBS
+// ============================================
+
+/**
+ * Expire tickets past their window and retry matching the rest
+ */
+const handleSweep = async () => {
+  try {
+    await MatchmakingTicket.updateMany(
+      { status: 'searching', windowEnd: { $lte: new Date() } },
+      { status: 'expired' }
+    );
+
+    const searching = await MatchmakingTicket.find({ status: 'searching' }).sort('createdAt');
+    for (const ticket of searching) {
+      // A previous iteration may already have matched this one
+      const fresh = await MatchmakingTicket.findById(ticket._id);
+      if (fresh && fresh.status === 'searching') {
+        await tryMatch(fresh);
+      }
+    }
+  } finally {
+    await scheduleMatchmakingSweep(getSweepIntervalMs());
+  }
+};
+
+/**
+ * Drop matches that were not confirmed in time
+ * A pair that both confirmed but was never seated is finalised instead.
+ */
+const handleConfirmTimeout = async (job) => {
+  const tickets = await MatchmakingTicket.find({ challenge: job.challenge });
+  const unconfirmed = tickets.filter(t => t.status === 'matched');
+
+  if (unconfirmed.length === 0) {
+    const [ticket, partner] = tickets.filter(t => t.status === 'confirmed');
+    if (ticket && partner) await finaliseMatch(ticket, partner);
+    return;
+  }
+
+  await cancelMatch(job.challenge, unconfirmed.map(t => t._id), 'expired');
+};
+
+/**
+ * Register matchmaking job handlers (before the scheduler starts)
+ */
+const registerMatchmakingJobs = () => {
+  registerJobHandler(SWEEP_JOB, handleSweep);
+  registerJobHandler(CONFIRM_TIMEOUT_JOB, handleConfirmTimeout);
+};
+
+/**
+ * Schedule the next queue sweep (after the scheduler starts)
+ * @param {number} delayMs - Delay before the sweep runs
+ */
+const scheduleMatchmakingSweep = async (delayMs = 0) => {
+  await scheduleJob({
+    key: SWEEP_JOB,
+    type: SWEEP_JOB,
+    runAt: Date.now() + delayMs
+  });
+};
+
+module.exports = {
+  getSkillTolerance,
+  enqueue,
+  tryMatch,
+  respondToMatch,
+  registerMatchmakingJobs,
+  scheduleMatchmakingSweep
+};
@@ -38,6 +38,17 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Guest spectator tokens only open read-only sockets
+      if (decoded.guest) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'GUEST_NOT_ALLOWED',
+            message: 'Guest tokens can only be used to watch challenges. Please login.'
+          }
+        });
+      }
+
       // Get user from database
       const user = await User.findById(decoded.userId).select('-passwordHash');
 
@@ -393,12 +404,12 @@ const { User } = require('../models');
 
 /**
  * Check if sender is blocked by receiver
- * Used for messaging and following
+ * Used for messaging, following and direct challenge invitations
  */
 const checkBlocked = async (req, res, next) => {
   try {
     const senderId = req.user._id;
-    const receiverId = req.body.receiver || req.params.id;
+    const receiverId = req.body.receiver || req.params.userId || req.params.id;
 
     if (!receiverId) {
       return next();
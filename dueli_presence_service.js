@@ -0,0 +1,455 @@
+// ============================================
+// FILE: services/presence.service.js
+// Live Room Presence: Unique Viewers, Watch Sessions & Viewer Timeline
+// ============================================
+
+const mongoose = require('mongoose');
+const { Challenge, ViewerSession } = require('../models');
+const logger = require('../config/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Sessions whose nodes stopped refreshing them for this many heartbeats are closed
+const STALE_HEARTBEATS = 3;
+
+// Viewers held by this node: challengeId => Map(viewer key => { identity, connections })
+const held = new Map();
+
+let interval = null;
+
+const getHeartbeatMs = () => parseInt(process.env.PRESENCE_HEARTBEAT_MS, 10) || 30000;
+
+// 0 disables the rating watch time requirement
+const getMinRatingWatchSeconds = () => {
+  const seconds = parseInt(process.env.RATING_MIN_WATCH_SECONDS, 10);
+  return Number.isNaN(seconds) ? 60 : Math.max(seconds, 0);
+};
+
+/**
+ * Viewer identity of a socket; every tab of a user (or guest token) shares it
+ * @param {object} socket - Authenticated socket (socket.user or socket.guest)
+ * @returns {object} - { key, user, guest }
+ */
+const viewerIdentity = (socket) => (socket.guest
+  ? { key: `guest:${socket.guest.id}`, user: null, guest: true }
+  : { key: `user:${socket.user._id}`, user: socket.user._id, guest: false });
+
+const holdLocally = (challengeId, identity, delta) => {
+  const viewers = held.get(challengeId) || new Map();
+  const entry = viewers.get(identity.key) || { identity, connections: 0 };
+  entry.connections += delta;
+
+  if (entry.connections > 0) viewers.set(identity.key, entry);
+  else viewers.delete(identity.key);
+
+  if (viewers.size > 0) held.set(challengeId, viewers);
+  else held.delete(challengeId);
+};
+
+/**
+ * Write the current unique viewer count (and the live peak) to the challenge
+ */
+const refreshViewerCount = async (challengeId) => {
+  const viewers = await ViewerSession.countDocuments({ challenge: challengeId, active: true });
+
+  await Challenge.updateOne({ _id: challengeId }, { $set: { viewerCount: viewers } });
+  await Challenge.updateOne({ _id: challengeId, status: 'live' }, { $max: { peakViewers: viewers } });
+};
+
+/**
+ * Unique viewers of several challenges, counted from the active watch sessions
+ * (so every API node reports the same numbers)
+ * @param {Array} challengeIds - Challenge IDs
+ * @returns {Map} - challengeId => { viewerCount, guestCount }
+ */
+const getViewerCountsMap = async (challengeIds) => {
+  const result = new Map(challengeIds.map(id => [id.toString(), { viewerCount: 0, guestCount: 0 }]));
+  if (challengeIds.length === 0) return result;
+
+  const rows = await ViewerSession.aggregate([
+    {
+      $match: {
+        challenge: { $in: challengeIds.map(id => new mongoose.Types.ObjectId(id.toString())) },
+        active: true
+      }
+    },
+    {
+      $group: {
+        _id: '$challenge',
+        viewerCount: { $sum: 1 },
+        guestCount: { $sum: { $cond: ['$guest', 1, 0] } }
+      }
+    }
+  ]);
+
+  rows.forEach(row => {
+    result.set(row._id.toString(), { viewerCount: row.viewerCount, guestCount: row.guestCount });
+  });
+
+  return result;
+};
+
+/**
+ * Unique viewers of one challenge
+ * @param {string} challengeId - Challenge ID
+ * @returns {object} - { viewerCount, guestCount }
+ */
+const getViewerCounts = async (challengeId) => {
+  const counts = await getViewerCountsMap([challengeId]);
+  return counts.get(challengeId.toString());
+};
+
+const openSession = (challengeId, identity, now) => ViewerSession.findOneAndUpdate(
+  { challenge: challengeId, viewer: identity.key, active: true },
+  {
+    $inc: { connections: 1 },
+    $set: { lastSeenAt: now },
+    $setOnInsert: { user: identity.user, guest: identity.guest, joinedAt: now }
+  },
+  { upsert: true, new: true }
+);
+
+/**
+ * A socket entered a challenge room
+ * @param {string} challengeId - Challenge ID
+ * @param {object} identity - From viewerIdentity()
+ * @returns {object} - { first }: true when this viewer had no other socket in the room
+ */
+const enterChallenge = async (challengeId, identity) => {
+  const id = challengeId.toString();
+  const now = new Date();
+
+  let session;
+  try {
+    session = await openSession(id, identity, now);
+  } catch (error) {
+    // Two sockets of the same viewer opened the session at once; join the winner's
+    if (error.code !== 11000) throw error;
+    session = await openSession(id, identity, now);
+  }
+
+  holdLocally(id, identity, 1);
+
+  const first = session.connections === 1;
+  if (first) await refreshViewerCount(id);
+
+  return { first };
+};
+
+/**
+ * Sockets left a challenge room (leave or disconnect)
+ * @param {string} challengeId - Challenge ID
+ * @param {object} identity - From viewerIdentity()
+ * @param {number} connections - Sockets leaving (default 1)
+ * @returns {object} - { last }: true when the viewer has no socket left in the room
+ */
+const leaveChallenge = async (challengeId, identity, connections = 1) => {
+  const id = challengeId.toString();
+  const now = new Date();
+
+  holdLocally(id, identity, -connections);
+
+  const session = await ViewerSession.findOneAndUpdate(
+    { challenge: id, viewer: identity.key, active: true },
+    { $inc: { connections: -connections }, $set: { lastSeenAt: now } },
+    { new: true }
+  );
+
+  // Already closed as stale, or another tab is still open
+  if (!session || session.connections > 0) return { last: false };
+
+  const closed = await ViewerSession.updateOne(
+    { _id: session._id, active: true, connections: { $lte: 0 } },
+    {
+      $set: {
+        active: false,
+        leftAt: now,
+        durationSeconds: Math.round((now - session.joinedAt) / 1000)
+      }
+    }
+  );
+
+  const last = closed.modifiedCount === 1;
+  if (last) await refreshViewerCount(id);
+
+  return { last };
+};
+
+/**
+ * Refresh the sessions this node holds and close those nobody refreshes
+ * (their node crashed). A closed session ends at its last refresh.
+ */
+const heartbeat = async () => {
+  const now = new Date();
+
+  try {
+    for (const [challengeId, viewers] of held) {
+      await ViewerSession.updateMany(
+        { challenge: challengeId, viewer: { $in: [...viewers.keys()] }, active: true },
+        { $set: { lastSeenAt: now } }
+      );
+    }
+
+    const stale = await ViewerSession.find({
+      active: true,
+      lastSeenAt: { $lt: new Date(now - getHeartbeatMs() * STALE_HEARTBEATS) }
+    }).select('challenge');
+
+    if (stale.length === 0) return;
+
+    await ViewerSession.updateMany(
+      { _id: { $in: stale.map(session => session._id) }, active: true },
+      [{
+        $set: {
+          active: false,
+          leftAt: '$lastSeenAt',
+          durationSeconds: {
+            $round: [{ $divide: [{ $subtract: ['$lastSeenAt', '$joinedAt'] }, 1000] }, 0]
+          }
+        }
+      }]
+    );
+
+    const challengeIds = [...new Set(stale.map(session => session.challenge.toString()))];
+    for (const challengeId of challengeIds) {
+      await refreshViewerCount(challengeId);
+    }
+
+    logger.info(`Closed ${stale.length} stale viewer session(s)`);
+  } catch (error) {
+    logger.error('Viewer presence heartbeat error:', error);
+  }
+};
+
+/**
+ * Start refreshing this node's viewer sessions (PRESENCE_HEARTBEAT_MS)
+ */
+const initPresence = () => {
+  if (interval) return;
+  interval = setInterval(heartbeat, getHeartbeatMs());
+};
+
+/**
+ * Close the sessions of this node's sockets (graceful shutdown)
+ */
+const stopPresence = async () => {
+  clearInterval(interval);
+  interval = null;
+
+  for (const [challengeId, viewers] of [...held]) {
+    for (const { identity, connections } of [...viewers.values()]) {
+      await leaveChallenge(challengeId, identity, connections);
+    }
+  }
+};
+
+// ============================================
+// VIEWER STATISTICS
+// ============================================
+
+/**
+ * Live window of a challenge: startedAt to endedAt (or now while live)
+ */
+const getLiveWindow = (challenge) => {
+  if (!challenge.startedAt) return null;
+
+  const start = challenge.startedAt.getTime();
+  const end = (challenge.endedAt || new Date()).getTime();
+  return end > start ? { start, end } : null;
+};
+
+/**
+ * Sessions clipped to the live window: [{ viewer, guest, from, to }]
+ * @param {object} filter - Extra session filter (e.g. { user })
+ */
+const loadWatchIntervals = async (challenge, window, filter = {}) => {
+  const sessions = await ViewerSession.find({
+    ...filter,
+    challenge: challenge._id,
+    joinedAt: { $lt: new Date(window.end) }
+  })
+    .select('viewer guest active joinedAt lastSeenAt leftAt')
+    .lean();
+
+  const now = Date.now();
+
+  return sessions
+    .map(session => ({
+      viewer: session.viewer,
+      guest: session.guest,
+      from: Math.max(session.joinedAt.getTime(), window.start),
+      to: Math.min(
+        session.active ? now : (session.leftAt || session.lastSeenAt).getTime(),
+        window.end
+      )
+    }))
+    .filter(interval => interval.to > interval.from);
+};
+
+/**
+ * Viewer statistics and per-minute timeline of a challenge's live window
+ * Timeline points hold the mean concurrent viewers during each minute.
+ * @param {object} challenge - Challenge document (startedAt, endedAt)
+ * @returns {object} - { uniqueViewers, uniqueGuests, peakViewers, averageViewers, averageWatchSeconds, timeline }
+ */
+const buildViewerStats = async (challenge) => {
+  const empty = {
+    uniqueViewers: 0,
+    uniqueGuests: 0,
+    peakViewers: 0,
+    averageViewers: 0,
+    averageWatchSeconds: 0,
+    timeline: []
+  };
+
+  const window = getLiveWindow(challenge);
+  if (!window) return empty;
+
+  const intervals = await loadWatchIntervals(challenge, window);
+
+  // Per-minute watched milliseconds (all viewers and guests only)
+  const minutes = Math.ceil((window.end - window.start) / MINUTE_MS);
+  const watched = Array.from({ length: minutes }, () => ({ viewers: 0, guests: 0 }));
+
+  const viewers = new Set();
+  const guests = new Set();
+  const changes = [];
+  let totalMs = 0;
+
+  intervals.forEach(({ viewer, guest, from, to }) => {
+    viewers.add(viewer);
+    if (guest) guests.add(viewer);
+
+    changes.push([from, 1], [to, -1]);
+    totalMs += to - from;
+
+    for (let minute = Math.floor((from - window.start) / MINUTE_MS); minute < minutes; minute++) {
+      const minuteStart = window.start + minute * MINUTE_MS;
+      if (minuteStart >= to) break;
+
+      const overlap = Math.min(to, minuteStart + MINUTE_MS) - Math.max(from, minuteStart);
+      watched[minute].viewers += overlap;
+      if (guest) watched[minute].guests += overlap;
+    }
+  });
+
+  // Peak concurrency; leaves sort before joins at the same instant
+  changes.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let concurrent = 0;
+  let peakViewers = 0;
+  changes.forEach(([, delta]) => {
+    concurrent += delta;
+    peakViewers = Math.max(peakViewers, concurrent);
+  });
+
+  const round = (value) => Math.round(value * 10) / 10;
+
+  return {
+    uniqueViewers: viewers.size,
+    uniqueGuests: guests.size,
+    peakViewers,
+    averageViewers: round(totalMs / (window.end - window.start)),
+    averageWatchSeconds: viewers.size > 0 ? Math.round(totalMs / viewers.size / 1000) : 0,
+    timeline: watched.map((minute, index) => {
+      const minuteStart = window.start + index * MINUTE_MS;
+      const length = Math.min(MINUTE_MS, window.end - minuteStart);
+
+      return {
+        minute: new Date(minuteStart),
+        viewers: round(minute.viewers / length),
+        guests: round(minute.guests / length)
+      };
+    })
+  };
+};
+
+/**
+ * Seconds each registered viewer watched during the live window
+ * @param {object} challenge - Challenge document (startedAt, endedAt)
+ * @returns {Map} - userId => seconds
+ */
+const getWatchTimes = async (challenge) => {
+  const watchTimes = new Map();
+
+  const window = getLiveWindow(challenge);
+  if (!window) return watchTimes;
+
+  const intervals = await loadWatchIntervals(challenge, window);
+  intervals.forEach(({ viewer, guest, from, to }) => {
+    if (guest) return;
+
+    const userId = viewer.slice('user:'.length);
+    watchTimes.set(userId, (watchTimes.get(userId) || 0) + (to - from) / 1000);
+  });
+
+  return watchTimes;
+};
+
+/**
+ * Whether a user has watched enough of the live window to rate
+ * Watch time is the sum of the user's sessions (all tabs and reconnects)
+ * since the challenge went live; the minimum is RATING_MIN_WATCH_SECONDS.
+ * @param {object} challenge - Live challenge document
+ * @param {string} userId - Rater
+ * @returns {object} - { eligible, watchedSeconds, requiredSeconds, remainingSeconds }
+ */
+const getRatingEligibility = async (challenge, userId) => {
+  const requiredSeconds = getMinRatingWatchSeconds();
+  let watchedMs = 0;
+
+  const window = requiredSeconds > 0 ? getLiveWindow(challenge) : null;
+  if (window) {
+    // Overlapping sessions of the same user (e.g. a stale one not yet closed) count once
+    const intervals = (await loadWatchIntervals(challenge, window, { user: userId }))
+      .sort((a, b) => a.from - b.from);
+
+    let coveredTo = -Infinity;
+    intervals.forEach(({ from, to }) => {
+      if (to <= coveredTo) return;
+      watchedMs += to - Math.max(from, coveredTo);
+      coveredTo = to;
+    });
+  }
+
+  const watchedSeconds = Math.floor(watchedMs / 1000);
+  const remainingSeconds = Math.max(requiredSeconds - watchedSeconds, 0);
+
+  return {
+    eligible: remainingSeconds === 0,
+    watchedSeconds,
+    requiredSeconds,
+    remainingSeconds
+  };
+};
+
+/**
+ * Persist peak, average and unique viewers when a challenge ends
+ * @param {object} challenge - Completed challenge document (updated in place)
+ */
+const finalizeViewerStats = async (challenge) => {
+  const { peakViewers, averageViewers, uniqueViewers } = await buildViewerStats(challenge);
+
+  challenge.peakViewers = peakViewers;
+  challenge.averageViewers = averageViewers;
+  challenge.uniqueViewers = uniqueViewers;
+
+  await Challenge.updateOne(
+    { _id: challenge._id },
+    { $set: { peakViewers, averageViewers, uniqueViewers } }
+  );
+};
+
+module.exports = {
+  viewerIdentity,
+  enterChallenge,
+  leaveChallenge,
+  getViewerCounts,
+  getViewerCountsMap,
+  initPresence,
+  stopPresence,
+  buildViewerStats,
+  getLiveWindow,
+  getWatchTimes,
+  getRatingEligibility,
+  finalizeViewerStats
+};
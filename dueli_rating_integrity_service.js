@@ -0,0 +1,311 @@
+// ============================================
+// FILE: services/ratingIntegrity.service.js
+// Rating Integrity: Trust Scores & Brigading Detection
+// ============================================
+
+const crypto = require('crypto');
+const { Rating, User } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trust multipliers per signal; a rating's trust is the product of its
+ * signals' multipliers. Shared IP/device clusters use 1 / cluster size
+ * instead, so one person behind N accounts counts about once.
+ */
+const SIGNAL_WEIGHTS = {
+  new_account: 0.3,        // account created less than a day before rating
+  young_account: 0.6,      // account younger than RATING_TRUST_MIN_ACCOUNT_DAYS
+  no_prior_activity: 0.6,  // never rated another challenge nor competed
+  follows_competitor: 0.7, // rater follows the rated competitor (or a team member)
+  burst: 0.5               // arrived in a burst of first ratings for the same target
+};
+
+const getSettings = () => ({
+  minAccountDays: parseInt(process.env.RATING_TRUST_MIN_ACCOUNT_DAYS, 10) || 7,
+  burstWindowMs: (parseInt(process.env.RATING_BURST_WINDOW_SECONDS, 10) || 60) * 1000,
+  burstMinRaters: parseInt(process.env.RATING_BURST_MIN_RATERS, 10) || 10,
+  burstFactor: parseFloat(process.env.RATING_BURST_FACTOR) || 4,
+  flagBelow: parseFloat(process.env.RATING_TRUST_FLAG_BELOW) || 0.5
+});
+
+const hashValue = (value) => crypto
+  .createHmac('sha256', process.env.RATING_FINGERPRINT_SECRET || process.env.JWT_SECRET)
+  .update(value)
+  .digest('hex')
+  .slice(0, 32);
+
+/**
+ * Hashed network and device fingerprint of a rating request
+ * The device ID comes from the client's X-Device-Id header (optional).
+ * @param {object} req - Express request
+ * @returns {object} - { ipHash, deviceHash }
+ */
+const ratingFingerprint = (req) => {
+  const deviceId = req.get('x-device-id');
+
+  return {
+    ipHash: req.ip ? hashValue(req.ip) : undefined,
+    deviceHash: deviceId ? hashValue(deviceId.slice(0, 200)) : undefined
+  };
+};
+
+const targetOf = (rating) => (rating.teamRated
+  ? `team:${rating.teamRated}`
+  : `user:${rating.competitorRated}`);
+
+/**
+ * Distinct raters per IP/device hash, for clusters of two or more accounts
+ * @returns {Map} - hash => Set(raterId)
+ */
+const findClusters = (ratings, field) => {
+  const raters = new Map();
+
+  ratings.forEach(rating => {
+    if (!rating[field]) return;
+    if (!raters.has(rating[field])) raters.set(rating[field], new Set());
+    raters.get(rating[field]).add(rating.rater.toString());
+  });
+
+  raters.forEach((set, hash) => {
+    if (set.size < 2) raters.delete(hash);
+  });
+
+  return raters;
+};
+
+/**
+ * Windows in which unusually many raters rated a target for the first time
+ * A window is a burst when it holds at least burstMinRaters arrivals and
+ * burstFactor times the target's median arrivals per active window.
+ * @returns {object} - { bursts: [{ target, from, to, raters }], bursting: Set("target|raterId") }
+ */
+const findBursts = (ratings, settings) => {
+  // First rating of each rater per target
+  const arrivals = new Map();
+  ratings.forEach(rating => {
+    const key = `${targetOf(rating)}|${rating.rater}`;
+    const existing = arrivals.get(key);
+    if (!existing || rating.timestamp < existing.timestamp) arrivals.set(key, rating);
+  });
+
+  const byTarget = new Map();
+  arrivals.forEach(rating => {
+    const target = targetOf(rating);
+    const slot = Math.floor(rating.timestamp.getTime() / settings.burstWindowMs);
+
+    if (!byTarget.has(target)) byTarget.set(target, new Map());
+    const windows = byTarget.get(target);
+    if (!windows.has(slot)) windows.set(slot, []);
+    windows.get(slot).push(rating.rater.toString());
+  });
+
+  const bursts = [];
+  const bursting = new Set();
+
+  byTarget.forEach((windows, target) => {
+    const counts = [...windows.values()].map(raters => raters.length).sort((a, b) => a - b);
+    const median = counts[Math.floor((counts.length - 1) / 2)];
+
+    windows.forEach((raters, slot) => {
+      if (raters.length < settings.burstMinRaters || raters.length < median * settings.burstFactor) return;
+
+      bursts.push({
+        target,
+        from: new Date(slot * settings.burstWindowMs),
+        to: new Date((slot + 1) * settings.burstWindowMs),
+        raters: raters.length
+      });
+      raters.forEach(raterId => bursting.add(`${target}|${raterId}`));
+    });
+  });
+
+  return { bursts, bursting };
+};
+
+/**
+ * Score every rating of a challenge for trust
+ * Collective signals (bursts, shared IPs/devices) need the full set of
+ * ratings, so scores are final only once the challenge has ended.
+ * @param {object} challenge - Challenge document
+ * @param {object} options - { persist }: store trust/trustSignals on the ratings
+ * @returns {object} - { ratings: [rating + trust, trustSignals], raters, bursts, clusters }
+ */
+const scoreChallengeRatings = async (challenge, { persist = false } = {}) => {
+  const settings = getSettings();
+
+  const ratings = await Rating.find({ challenge: challenge._id })
+    .select('rater competitorRated teamRated round score timestamp +ipHash +deviceHash')
+    .lean();
+
+  if (ratings.length === 0) return { ratings: [], raters: new Map(), bursts: [], clusters: [] };
+
+  const raterIds = [...new Set(ratings.map(r => r.rater.toString()))];
+  const raters = new Map((await User.find({ _id: { $in: raterIds } })
+    .select('username createdAt following totalChallenges')
+    .lean())
+    .map(user => [user._id.toString(), user]));
+
+  // Raters with ratings on other challenges
+  const active = new Set((await Rating.distinct('rater', {
+    rater: { $in: raterIds },
+    challenge: { $ne: challenge._id }
+  })).map(id => id.toString()));
+
+  // Team ratings: a rater following any member of the side counts as a tie
+  const teamMembers = new Map((challenge.teams || []).map(team => [
+    team.name,
+    challenge.getParticipants()
+      .filter(p => p.team === team.name)
+      .map(p => (p.user._id || p.user).toString())
+  ]));
+
+  const ipClusters = findClusters(ratings, 'ipHash');
+  const deviceClusters = findClusters(ratings, 'deviceHash');
+  const { bursts, bursting } = findBursts(ratings, settings);
+
+  const scored = ratings.map(rating => {
+    const raterId = rating.rater.toString();
+    const rater = raters.get(raterId);
+    const signals = [];
+    let trust = 1;
+
+    const flag = (signal, multiplier = SIGNAL_WEIGHTS[signal]) => {
+      signals.push(signal);
+      trust *= multiplier;
+    };
+
+    if (rater) {
+      const ageDays = (rating.timestamp - rater.createdAt) / DAY_MS;
+      if (ageDays < 1) flag('new_account');
+      else if (ageDays < settings.minAccountDays) flag('young_account');
+
+      if (!active.has(raterId) && !rater.totalChallenges) flag('no_prior_activity');
+
+      const following = new Set((rater.following || []).map(id => id.toString()));
+      const competitors = rating.teamRated
+        ? teamMembers.get(rating.teamRated) || []
+        : [rating.competitorRated.toString()];
+      if (competitors.some(id => following.has(id))) flag('follows_competitor');
+    }
+
+    // One share per cluster: the larger of the IP and device clusters applies
+    const ipCluster = rating.ipHash && ipClusters.get(rating.ipHash);
+    const deviceCluster = rating.deviceHash && deviceClusters.get(rating.deviceHash);
+    const clusterSize = Math.max(ipCluster ? ipCluster.size : 1, deviceCluster ? deviceCluster.size : 1);
+    if (ipCluster) signals.push('shared_ip');
+    if (deviceCluster) signals.push('shared_device');
+    if (clusterSize > 1) trust /= clusterSize;
+
+    if (bursting.has(`${targetOf(rating)}|${raterId}`)) flag('burst');
+
+    return {
+      ...rating,
+      trust: Math.round(Math.min(Math.max(trust, 0), 1) * 1000) / 1000,
+      trustSignals: signals
+    };
+  });
+
+  if (persist) {
+    await Rating.bulkWrite(scored.map(rating => ({
+      updateOne: {
+        filter: { _id: rating._id },
+        update: { $set: { trust: rating.trust, trustSignals: rating.trustSignals } }
+      }
+    })));
+  }
+
+  const clusters = [
+    ...[...ipClusters].map(([hash, set]) => ({ type: 'ip', hash, raters: [...set] })),
+    ...[...deviceClusters].map(([hash, set]) => ({ type: 'device', hash, raters: [...set] }))
+  ].sort((a, b) => b.raters.length - a.raters.length);
+
+  return { ratings: scored, raters, bursts, clusters };
+};
+
+/**
+ * Per-challenge anomaly report for admins
+ * @param {object} challenge - Challenge document
+ * @returns {object} - Totals, per-target raw vs trust-weighted scores, signal counts,
+ *                     IP/device clusters, bursts and the least trusted raters
+ */
+const buildIntegrityReport = async (challenge) => {
+  const { flagBelow } = getSettings();
+  const { ratings, raters, bursts, clusters } = await scoreChallengeRatings(challenge);
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const nameOf = (raterId) => {
+    const rater = raters.get(raterId);
+    return { id: raterId, username: rater ? rater.username : null };
+  };
+
+  const signals = {};
+  const targets = new Map();
+  const byRater = new Map();
+
+  ratings.forEach(rating => {
+    rating.trustSignals.forEach(signal => { signals[signal] = (signals[signal] || 0) + 1; });
+
+    const target = targetOf(rating);
+    const entry = targets.get(target) || { target, ratings: 0, flagged: 0, rawScore: 0, weightedScore: 0 };
+    entry.ratings += 1;
+    entry.rawScore += rating.score;
+    entry.weightedScore += rating.score * rating.trust;
+    if (rating.trust < flagBelow) entry.flagged += 1;
+    targets.set(target, entry);
+
+    const raterId = rating.rater.toString();
+    const rater = byRater.get(raterId) || { trust: 1, signals: new Set(), ratings: 0 };
+    rater.trust = Math.min(rater.trust, rating.trust);
+    rating.trustSignals.forEach(signal => rater.signals.add(signal));
+    rater.ratings += 1;
+    byRater.set(raterId, rater);
+  });
+
+  const rawTotal = [...targets.values()].reduce((sum, t) => sum + t.rawScore, 0);
+  const weightedTotal = [...targets.values()].reduce((sum, t) => sum + t.weightedScore, 0);
+
+  const flagged = ratings.filter(r => r.trust < flagBelow);
+
+  return {
+    totals: {
+      ratings: ratings.length,
+      raters: byRater.size,
+      flaggedRatings: flagged.length,
+      averageTrust: ratings.length > 0
+        ? round(ratings.reduce((sum, r) => sum + r.trust, 0) / ratings.length)
+        : 1,
+      flagBelow
+    },
+    targets: [...targets.values()].map(t => ({
+      ...t,
+      weightedScore: round(t.weightedScore),
+      rawShare: rawTotal > 0 ? round((t.rawScore / rawTotal) * 100) : 0,
+      weightedShare: weightedTotal > 0 ? round((t.weightedScore / weightedTotal) * 100) : 0
+    })),
+    signals,
+    clusters: clusters.slice(0, 20).map(cluster => ({
+      type: cluster.type,
+      hash: cluster.hash.slice(0, 8),
+      raters: cluster.raters.map(nameOf)
+    })),
+    bursts,
+    flaggedRaters: [...byRater]
+      .filter(([, rater]) => rater.trust < flagBelow)
+      .sort((a, b) => a[1].trust - b[1].trust)
+      .slice(0, 50)
+      .map(([raterId, rater]) => ({
+        rater: nameOf(raterId),
+        trust: rater.trust,
+        ratings: rater.ratings,
+        signals: [...rater.signals]
+      }))
+  };
+};
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  ratingFingerprint,
+  scoreChallengeRatings,
+  buildIntegrityReport
+};
@@ -0,0 +1,535 @@
+// ============================================
+// FILE: services/rating.service.js
+// Rating Aggregation Service
+// ============================================
+
+const { Rating } = require('../models');
+const { RATING_STRATEGIES, resolveScoring } = require('./ratingStrategy.service');
+const { computePanelScores } = require('./judging.service');
+const { recordRatingEvent, queueTimelinePush } = require('./ratingTimeline.service');
+const { publish } = require('./eventBus.service');
+
+/**
+ * Aggregate rating sums and counts per competitor
+ * @param {ObjectId} challengeId - Challenge ID
+ * @returns {Map} - competitorId => { sum, count }
+ */
+const aggregateScores = async (challengeId) => {
+  const rows = await Rating.aggregate([
+    { $match: { challenge: challengeId, competitorRated: { $ne: null } } },
+    {
+      $group: {
+        _id: '$competitorRated',
+        sum: { $sum: '$score' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), { sum: row.sum, count: row.count }]));
+};
+
+/**
+ * Aggregate rating sums and counts per side (team mode)
+ * @param {ObjectId} challengeId - Challenge ID
+ * @returns {Map} - teamName => { sum, count }
+ */
+const aggregateTeamScores = async (challengeId) => {
+  const rows = await Rating.aggregate([
+    { $match: { challenge: challengeId, teamRated: { $ne: null } } },
+    {
+      $group: {
+        _id: '$teamRated',
+        sum: { $sum: '$score' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id, { sum: row.sum, count: row.count }]));
+};
+
+/**
+ * Recalculate per-participant rating summaries on a challenge
+ * Keeps the legacy creator/opponent fields in sync. Does not save.
+ * @param {object} challenge - Challenge document
+ * @returns {object} - The same challenge document
+ */
+const refreshParticipantRatings = async (challenge) => {
+  const scores = await aggregateScores(challenge._id);
+  let totalRatings = 0;
+
+  if (challenge.participants.length === 0) {
+    challenge.participants = challenge.getParticipants();
+  }
+
+  challenge.participants.forEach(participant => {
+    const userId = participant.user._id || participant.user;
+    const entry = scores.get(userId.toString()) || { sum: 0, count: 0 };
+
+    participant.ratingSum = entry.sum;
+    participant.ratingCount = entry.count;
+    participant.averageRating = entry.count > 0 ? entry.sum / entry.count : 0;
+    totalRatings += entry.count;
+  });
+
+  const creatorId = challenge.creator._id || challenge.creator;
+  const creatorEntry = scores.get(creatorId.toString()) || { sum: 0, count: 0 };
+  challenge.creatorRatingSum = creatorEntry.sum;
+  challenge.creatorRatingCount = creatorEntry.count;
+
+  if (challenge.opponent) {
+    const opponentId = challenge.opponent._id || challenge.opponent;
+    const opponentEntry = scores.get(opponentId.toString()) || { sum: 0, count: 0 };
+    challenge.opponentRatingSum = opponentEntry.sum;
+    challenge.opponentRatingCount = opponentEntry.count;
+  }
+
+  if (challenge.mode === 'team') {
+    const teamScores = await aggregateTeamScores(challenge._id);
+
+    challenge.teams.forEach(team => {
+      const entry = teamScores.get(team.name) || { sum: 0, count: 0 };
+
+      team.ratingSum = entry.sum;
+      team.ratingCount = entry.count;
+      team.averageRating = entry.count > 0 ? entry.sum / entry.count : 0;
+      totalRatings += entry.count;
+    });
+  }
+
+  challenge.totalRatings = totalRatings;
+
+  return challenge;
+};
+
+/**
+ * Build the public ratings summary (REST responses & ratings_update events)
+ * @param {object} challenge - Challenge document with refreshed summaries
+ * @returns {object} - Ratings summary
+ */
+const buildRatingsSummary = (challenge) => {
+  const participants = challenge.getParticipants().map(p => ({
+    userId: p.user._id || p.user,
+    role: p.role,
+    totalScore: p.ratingSum || 0,
+    count: p.ratingCount || 0
+  }));
+
+  // Legacy documents without participants[] only carry creator/opponent sums
+  if (challenge.participants.length === 0) {
+    participants[0].totalScore = challenge.creatorRatingSum;
+    participants[0].count = challenge.creatorRatingCount;
+    if (participants[1]) {
+      participants[1].totalScore = challenge.opponentRatingSum;
+      participants[1].count = challenge.opponentRatingCount;
+    }
+  }
+
+  const grandTotal = participants.reduce((sum, p) => sum + p.totalScore, 0);
+
+  if (challenge.mode === 'team') {
+    participants.forEach(p => {
+      const entry = challenge.findParticipant(p.userId);
+      p.team = entry ? entry.team : null;
+    });
+  }
+
+  const summary = participants.map(p => ({
+    ...p,
+    average: p.count > 0 ? p.totalScore / p.count : 0,
+    percentage: grandTotal > 0 ? (p.totalScore / grandTotal) * 100 : 0
+  }));
+
+  const byRole = (role) => summary.find(p => p.role === role) || null;
+
+  const result = {
+    creator: byRole('creator'),
+    opponent: byRole('opponent'),
+    participants: summary,
+    totalRatings: challenge.totalRatings
+  };
+
+  if (challenge.mode === 'team') {
+    const teamTotal = challenge.teams.reduce((sum, t) => sum + t.ratingSum, 0);
+
+    result.teams = challenge.teams.map(t => ({
+      name: t.name,
+      totalScore: t.ratingSum,
+      count: t.ratingCount,
+      average: t.averageRating,
+      percentage: teamTotal > 0 ? (t.ratingSum / teamTotal) * 100 : 0,
+      members: summary.filter(p => p.team === t.name).map(p => p.userId)
+    }));
+  }
+
+  return result;
+};
+
+// ============================================
+// PER-ROUND SCORING
+// ============================================
+
+/**
+ * Aggregate rating sums and counts per target and round
+ * Ratings stored before rounds existed count as round 1. Weighted
+ * aggregates count each rating by its strategy weight (Rating.weight).
+ * @param {ObjectId} challengeId - Challenge ID
+ * @param {string} field - 'competitorRated' or 'teamRated'
+ * @param {boolean} weighted - Weight scores and counts by Rating.weight
+ * @returns {Map} - targetId => Map(round => { sum, count })
+ */
+const aggregateRoundScores = async (challengeId, field = 'competitorRated', weighted = false) => {
+  const weight = { $ifNull: ['$weight', 1] };
+
+  const rows = await Rating.aggregate([
+    { $match: { challenge: challengeId, [field]: { $ne: null } } },
+    {
+      $group: {
+        _id: { target: `$${field}`, round: { $ifNull: ['$round', 1] } },
+        sum: { $sum: weighted ? { $multiply: ['$score', weight] } : '$score' },
+        count: { $sum: weighted ? weight : 1 }
+      }
+    }
+  ]);
+
+  const result = new Map();
+  rows.forEach(row => {
+    const key = row._id.target.toString();
+    if (!result.has(key)) result.set(key, new Map());
+    result.get(key).set(row._id.round, { sum: row.sum, count: row.count });
+  });
+
+  return result;
+};
+
+/**
+ * Number of rounds that count for scoring (played rounds, at least one)
+ */
+const getScoredRounds = (challenge) =>
+  Math.max(challenge.roundHistory ? challenge.roundHistory.length : 0, 1);
+
+const roundAverages = (rounds, totalRounds) => {
+  const averages = [];
+  for (let round = 1; round <= totalRounds; round += 1) {
+    const entry = rounds.get(round);
+    averages.push(entry && entry.count > 0 ? entry.sum / entry.count : 0);
+  }
+  return averages;
+};
+
+/**
+ * Final-score formulas (rules.scoringFormula)
+ * - sum: total of all scores (the original "sum of scores" ratio)
+ * - average: mean of per-round averages
+ * - weighted_last: per-round averages, last round weighted by rules.lastRoundWeight
+ */
+const SCORING_FORMULAS = {
+  sum: (rounds) => Array.from(rounds.values()).reduce((total, r) => total + r.sum, 0),
+
+  average: (rounds, { totalRounds }) => {
+    const averages = roundAverages(rounds, totalRounds);
+    return averages.reduce((total, avg) => total + avg, 0) / averages.length;
+  },
+
+  weighted_last: (rounds, { totalRounds, lastRoundWeight }) => {
+    const averages = roundAverages(rounds, totalRounds);
+    let weightedTotal = 0;
+    let weights = 0;
+
+    averages.forEach((avg, index) => {
+      const weight = index === averages.length - 1 ? lastRoundWeight : 1;
+      weightedTotal += avg * weight;
+      weights += weight;
+    });
+
+    return weights > 0 ? weightedTotal / weights : 0;
+  }
+};
+
+/**
+ * Mean weighted score over all targets and rounds (Bayesian prior)
+ */
+const meanScore = (roundScores) => {
+  let sum = 0;
+  let count = 0;
+
+  roundScores.forEach(rounds => rounds.forEach(entry => {
+    sum += entry.sum;
+    count += entry.count;
+  }));
+
+  return count > 0 ? sum / count : 0;
+};
+
+/**
+ * Compute final scores with the challenge's rating strategy and scoring formula
+ * The strategy reduces each round's weighted ratings, then the formula
+ * combines rounds. Ratings carry weight 1 until the challenge is settled;
+ * after that the stored weights and challenge.scoring reproduce the result.
+ * @param {object} challenge - Challenge document
+ * @param {string} field - 'competitorRated' or 'teamRated'
+ * @returns {Map} - targetId => final score
+ */
+const computeFinalScores = async (challenge, field = 'competitorRated') => {
+  const { strategy, formula: formulaName, params } = resolveScoring(challenge);
+  const formula = SCORING_FORMULAS[formulaName] || SCORING_FORMULAS.sum;
+  const { reduce } = RATING_STRATEGIES[strategy];
+  const options = {
+    totalRounds: getScoredRounds(challenge),
+    lastRoundWeight: params.lastRoundWeight
+  };
+
+  const roundScores = await aggregateRoundScores(challenge._id, field, true);
+  const reduceOptions = { ...params, prior: meanScore(roundScores) };
+  const scores = new Map();
+
+  roundScores.forEach((rounds, target) => {
+    const reduced = new Map();
+    rounds.forEach((entry, round) => {
+      if (entry.count > 0) reduced.set(round, reduce(entry, reduceOptions));
+    });
+
+    scores.set(target, formula(reduced, options));
+  });
+
+  return scores;
+};
+
+/**
+ * Blend audience and judge panel shares into final percentages
+ * Audience scores (computeFinalScores) and panel scores (mean scorecard
+ * totals) become shares of their own totals first, then mix by the judge
+ * weight. Without scorecards the audience decides alone, and without
+ * ratings the panel does.
+ * @param {object} challenge - Challenge document
+ * @param {Array} targets - Target IDs (participant IDs or side names)
+ * @param {string} field - 'competitorRated' or 'teamRated'
+ * @returns {object} - { judgeWeight, shares: Map(targetId => { score, judgeScore, audiencePercentage, judgePercentage, percentage }) }
+ */
+const computeBlendedShares = async (challenge, targets, field = 'competitorRated') => {
+  const { params } = resolveScoring(challenge);
+  const audience = await computeFinalScores(challenge, field);
+  const panel = await computePanelScores(challenge, field);
+
+  const audienceTotal = targets.reduce((sum, id) => sum + (audience.get(id) || 0), 0);
+  const panelTotal = targets.reduce((sum, id) => sum + (panel.has(id) ? panel.get(id).score : 0), 0);
+
+  let judgeWeight = 0;
+  if (panelTotal > 0) judgeWeight = audienceTotal > 0 ? (params.judgeWeight || 0) / 100 : 1;
+
+  const shares = new Map(targets.map(id => {
+    const score = audience.get(id) || 0;
+    const judgeScore = panel.has(id) ? panel.get(id).score : null;
+    const audiencePercentage = audienceTotal > 0 ? (score / audienceTotal) * 100 : 0;
+    const judgePercentage = panelTotal > 0 ? ((judgeScore || 0) / panelTotal) * 100 : 0;
+
+    return [id, {
+      score,
+      judgeScore,
+      audiencePercentage,
+      judgePercentage,
+      percentage: audiencePercentage * (1 - judgeWeight) + judgePercentage * judgeWeight
+    }];
+  }));
+
+  return { judgeWeight: judgeWeight * 100, shares };
+};
+
+/**
+ * Final blended percentage of every participant (or side) of a challenge
+ * What revenue, skill ratings, tournaments and seasons decide results by.
+ * @param {object} challenge - Challenge document
+ * @param {string} field - 'competitorRated' or 'teamRated'
+ * @returns {Map} - targetId => percentage (0-100)
+ */
+const computeResultScores = async (challenge, field = 'competitorRated') => {
+  const targets = field === 'teamRated'
+    ? challenge.teams.map(t => t.name)
+    : challenge.getParticipants().map(p => (p.user._id || p.user).toString());
+
+  const { shares } = await computeBlendedShares(challenge, targets, field);
+  return new Map([...shares].map(([target, share]) => [target, share.percentage]));
+};
+
+/**
+ * Final scores and shares under the challenge's rating strategy, scoring
+ * formula and judge weight
+ * @param {object} challenge - Challenge document
+ * @returns {object} - { strategy, formula, judgeWeight, settledAt, participants, teams? }
+ */
+const buildFinalScoreSummary = async (challenge) => {
+  const { strategy, formula } = resolveScoring(challenge);
+
+  const participantIds = challenge.getParticipants().map(p => (p.user._id || p.user).toString());
+  const { judgeWeight, shares } = await computeBlendedShares(challenge, participantIds, 'competitorRated');
+
+  const summary = {
+    strategy,
+    formula,
+    judgeWeight,
+    settledAt: (challenge.scoring && challenge.scoring.settledAt) || null,
+    participants: challenge.getParticipants().map(p => {
+      const userId = p.user._id || p.user;
+      return { userId, role: p.role, ...shares.get(userId.toString()) };
+    })
+  };
+
+  if (challenge.mode === 'team') {
+    const teamNames = challenge.teams.map(t => t.name);
+    const { shares: teamShares } = await computeBlendedShares(challenge, teamNames, 'teamRated');
+    summary.teams = teamNames.map(name => ({ name, ...teamShares.get(name) }));
+  }
+
+  return summary;
+};
+
+/**
+ * Build per-round scoreboards for participants (and sides in team mode)
+ * @param {object} challenge - Challenge document
+ * @param {number} onlyRound - Optional single round to build
+ * @returns {Array} - [{ round, participants, teams? }]
+ */
+const buildRoundScoreboards = async (challenge, onlyRound = null) => {
+  const participantRounds = await aggregateRoundScores(challenge._id, 'competitorRated');
+  const teamRounds = challenge.mode === 'team'
+    ? await aggregateRoundScores(challenge._id, 'teamRated')
+    : new Map();
+
+  const entryFor = (rounds, round) => {
+    const entry = (rounds && rounds.get(round)) || { sum: 0, count: 0 };
+    return {
+      totalScore: entry.sum,
+      count: entry.count,
+      average: entry.count > 0 ? entry.sum / entry.count : 0
+    };
+  };
+
+  const roundNumbers = onlyRound
+    ? [onlyRound]
+    : Array.from({ length: getScoredRounds(challenge) }, (_, i) => i + 1);
+
+  return roundNumbers.map(round => {
+    const board = {
+      round,
+      participants: challenge.getParticipants().map(p => {
+        const userId = p.user._id || p.user;
+        return { userId, role: p.role, ...entryFor(participantRounds.get(userId.toString()), round) };
+      })
+    };
+
+    if (challenge.mode === 'team') {
+      board.teams = challenge.teams.map(t => ({ name: t.name, ...entryFor(teamRounds.get(t.name), round) }));
+    }
+
+    return board;
+  });
+};
+
+/**
+ * Store a viewer's score for the current round and update the room
+ * The rater's Rating for the competitor (or side) and round is created or
+ * replaced, the submission is logged for the rating timeline, the stored
+ * aggregates are refreshed and ratings_update / round_scoreboard are
+ * published. Callers check eligibility first.
+ * @param {object} challenge - Live challenge document (saved)
+ * @param {object} submission - { rater, competitorRated, team, score, comment, fingerprint }
+ * @returns {object} - { rating, round }
+ */
+const recordRating = async (challenge, {
+  rater,
+  competitorRated = null,
+  team = null,
+  score,
+  comment,
+  fingerprint = {}
+}) => {
+  // Ratings are scoped to the round that is currently running
+  const round = challenge.roundState.currentRound || 1;
+  const target = team
+    ? { competitorRated: null, teamRated: team, round }
+    : { competitorRated, teamRated: null, round };
+
+  let rating = await Rating.findOne({ challenge: challenge._id, rater, ...target });
+
+  if (rating) {
+    rating.set({ score, timestamp: new Date(), ...fingerprint });
+    if (comment) rating.comment = comment;
+    await rating.save();
+  } else {
+    rating = await Rating.create({
+      challenge: challenge._id,
+      rater,
+      ...target,
+      score,
+      comment,
+      ...fingerprint
+    });
+  }
+
+  // Every submission stays on the rating timeline
+  await recordRatingEvent({ challenge: challenge._id, rater, ...target, score });
+
+  await refreshParticipantRatings(challenge);
+  await challenge.save();
+
+  publish('ratings_update', { challengeId: challenge._id }, {
+    ratings: buildRatingsSummary(challenge)
+  });
+
+  const [scoreboard] = await buildRoundScoreboards(challenge, round);
+  publish('round_scoreboard', { challengeId: challenge._id }, scoreboard);
+
+  // Incremental rating timeline buckets (batched)
+  queueTimelinePush(challenge);
+
+  return { rating, round };
+};
+
+/**
+ * Delete a rating while the challenge is live and update the room
+ * The deletion is logged for the rating timeline; the submissions stay.
+ * @param {object} challenge - Live challenge document (saved)
+ * @param {object} rating - Rating document
+ */
+const removeRating = async (challenge, rating) => {
+  await rating.deleteOne();
+
+  await recordRatingEvent({
+    challenge: challenge._id,
+    rater: rating.rater,
+    competitorRated: rating.competitorRated,
+    teamRated: rating.teamRated,
+    round: rating.round,
+    score: rating.score,
+    action: 'deleted'
+  });
+
+  await refreshParticipantRatings(challenge);
+  await challenge.save();
+
+  publish('ratings_update', { challengeId: challenge._id }, {
+    ratings: buildRatingsSummary(challenge)
+  });
+
+  const [scoreboard] = await buildRoundScoreboards(challenge, rating.round || 1);
+  publish('round_scoreboard', { challengeId: challenge._id }, scoreboard);
+
+  queueTimelinePush(challenge);
+};
+
+module.exports = {
+  aggregateScores,
+  aggregateTeamScores,
+  refreshParticipantRatings,
+  buildRatingsSummary,
+  aggregateRoundScores,
+  computeFinalScores,
+  computeBlendedShares,
+  computeResultScores,
+  buildFinalScoreSummary,
+  buildRoundScoreboards,
+  recordRating,
+  removeRating,
+  SCORING_FORMULAS
+};
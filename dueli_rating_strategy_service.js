@@ -0,0 +1,128 @@
+// ============================================
+// FILE: services/ratingStrategy.service.js
+// Rating Aggregation Strategies (rules.ratingStrategy)
+// ============================================
+
+const { Rating } = require('../models');
+const { scoreChallengeRatings } = require('./ratingIntegrity.service');
+const { getWatchTimes } = require('./presence.service');
+
+const DEFAULT_STRATEGY = 'trust_weighted';
+
+/**
+ * How ratings become a competitor's score in one round
+ * weigh: weight of each rating, stored on the rating at settlement (Rating.weight)
+ * reduce: per-round { sum, count } of weighted scores => the entry the scoring
+ *         formula sees. Volume strategies keep it; normalising strategies
+ *         collapse it to one virtual rating so rater numbers stop mattering.
+ */
+const RATING_STRATEGIES = {
+  // Every rating counts fully; more raters, more points
+  sum: {
+    weigh: () => 1,
+    reduce: (entry) => entry
+  },
+
+  // Mean score per round
+  average: {
+    weigh: () => 1,
+    reduce: (entry) => ({ sum: entry.count > 0 ? entry.sum / entry.count : 0, count: 1 })
+  },
+
+  // Mean pulled towards the challenge-wide mean by bayesConfidence virtual ratings
+  bayesian: {
+    weigh: () => 1,
+    reduce: (entry, { bayesConfidence, prior }) => ({
+      sum: (bayesConfidence * prior + entry.sum) / (bayesConfidence + entry.count),
+      count: 1
+    })
+  },
+
+  // Points weighted by rating trust (ratingIntegrity.service)
+  trust_weighted: {
+    weigh: (rating) => rating.trust,
+    reduce: (entry) => entry
+  },
+
+  // Only raters who watched at least watchTimeMinutes of the live window count
+  watch_time: {
+    weigh: (rating, { watchTimes, watchTimeMinutes }) =>
+      ((watchTimes.get(rating.rater.toString()) || 0) >= watchTimeMinutes * 60 ? 1 : 0),
+    reduce: (entry) => entry
+  }
+};
+
+const STRATEGY_NAMES = Object.keys(RATING_STRATEGIES);
+
+/**
+ * Strategy and parameters of a challenge's final scores
+ * Settled challenges use what was recorded in challenge.scoring, so their
+ * percentages can be recomputed from the stored rating weights.
+ * @param {object} challenge - Challenge document
+ * @returns {object} - { strategy, formula, params: { bayesConfidence, watchTimeMinutes, lastRoundWeight, judgeWeight } }
+ */
+const resolveScoring = (challenge) => {
+  if (challenge.scoring && challenge.scoring.settledAt) {
+    const { strategy, formula, params } = challenge.scoring;
+    return { strategy, formula, params: { ...params } };
+  }
+
+  const rules = challenge.rules || {};
+  const defaultJudgeWeight = parseInt(process.env.JUDGE_SCORE_WEIGHT, 10);
+
+  return {
+    strategy: RATING_STRATEGIES[rules.ratingStrategy] ? rules.ratingStrategy : DEFAULT_STRATEGY,
+    formula: rules.scoringFormula || 'sum',
+    params: {
+      bayesConfidence: parseFloat(process.env.RATING_BAYES_CONFIDENCE) || 5,
+      watchTimeMinutes: rules.watchTimeMinutes || 5,
+      lastRoundWeight: rules.lastRoundWeight || 2,
+      judgeWeight: Number.isFinite(rules.judgeWeight)
+        ? rules.judgeWeight
+        : (Number.isNaN(defaultJudgeWeight) ? 50 : defaultJudgeWeight)
+    }
+  };
+};
+
+/**
+ * Weight every rating with the challenge's strategy and record the strategy
+ * Scores trust first (kept for the admin integrity report whatever the
+ * strategy). Sets challenge.scoring (does not save the challenge).
+ * @param {object} challenge - Challenge document being settled
+ * @returns {object} - challenge.scoring
+ */
+const settleRatingWeights = async (challenge) => {
+  const { strategy, formula, params } = resolveScoring(challenge);
+
+  const { ratings } = await scoreChallengeRatings(challenge, { persist: true });
+  const context = {
+    ...params,
+    watchTimes: strategy === 'watch_time' ? await getWatchTimes(challenge) : new Map()
+  };
+
+  if (ratings.length > 0) {
+    await Rating.bulkWrite(ratings.map(rating => ({
+      updateOne: {
+        filter: { _id: rating._id },
+        update: { $set: { weight: RATING_STRATEGIES[strategy].weigh(rating, context) } }
+      }
+    })));
+  }
+
+  challenge.scoring = {
+    strategy,
+    formula,
+    params,
+    settledAt: new Date()
+  };
+
+  return challenge.scoring;
+};
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  RATING_STRATEGIES,
+  STRATEGY_NAMES,
+  resolveScoring,
+  settleRatingWeights
+};
@@ -0,0 +1,221 @@
+// ============================================
+// FILE: services/ratingTimeline.service.js
+// Rating Timeline: Bucketed Scores Over the Live Window & Live Updates
+// ============================================
+
+const { Challenge, RatingEvent } = require('../models');
+const { publish } = require('./eventBus.service');
+const { getLiveWindow } = require('./presence.service');
+const logger = require('../config/logger');
+
+// Ratings are bucketed (and stored) at this many seconds; every selectable
+// resolution is a multiple of it
+const BASE_RESOLUTION = 30;
+const TIMELINE_RESOLUTIONS = [30, 60, 120, 300, 600];
+const DEFAULT_RESOLUTION = 60;
+
+// At most one rating_timeline event per challenge and API node in this window
+const PUSH_DELAY_MS = 5000;
+
+// Challenges with a push waiting: challengeId => { timer, from }
+const pending = new Map();
+
+/**
+ * Log a submitted (or deleted) score for the timeline
+ * Ratings keep only each rater's latest score; the log keeps every one.
+ * @param {object} entry - { challenge, rater, competitorRated, teamRated, round, score, action? }
+ */
+const recordRatingEvent = (entry) => RatingEvent.create(entry);
+
+/**
+ * Rating sums per base bucket and target, from the rating event log
+ * @param {object} challenge - Challenge document
+ * @param {object} window - { start, end }
+ * @param {number} from - Only ratings at or after this time (ms)
+ * Deletions are counted apart and do not take part in the averages.
+ * @returns {Array} - [{ bucket, participant, team, totalScore, count, deleted }]
+ */
+const aggregateBuckets = async (challenge, window, from = window.start) => {
+  const rows = await RatingEvent.aggregate([
+    {
+      $match: {
+        challenge: challenge._id,
+        timestamp: { $gte: new Date(from), $lte: new Date(window.end) }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          bucket: {
+            $floor: {
+              $divide: [{ $subtract: ['$timestamp', new Date(window.start)] }, BASE_RESOLUTION * 1000]
+            }
+          },
+          participant: '$competitorRated',
+          team: '$teamRated'
+        },
+        totalScore: { $sum: { $cond: [{ $eq: ['$action', 'deleted'] }, 0, '$score'] } },
+        count: { $sum: { $cond: [{ $eq: ['$action', 'deleted'] }, 0, 1] } },
+        deleted: { $sum: { $cond: [{ $eq: ['$action', 'deleted'] }, 1, 0] } }
+      }
+    },
+    { $sort: { '_id.bucket': 1 } }
+  ]);
+
+  return rows.map(row => ({
+    bucket: row._id.bucket,
+    participant: row._id.participant || null,
+    team: row._id.team || null,
+    totalScore: row.totalScore,
+    count: row.count,
+    deleted: row.deleted
+  }));
+};
+
+/**
+ * Merge base buckets into buckets of the requested resolution
+ * Only buckets with ratings are listed.
+ * @returns {Array} - [{ at, participants: [{ userId, totalScore, count, deleted, average }], teams? }]
+ */
+const formatBuckets = (challenge, entries, start, baseResolution, resolution) => {
+  const factor = Math.max(Math.round(resolution / baseResolution), 1);
+  const buckets = new Map();
+
+  entries.forEach(entry => {
+    const index = Math.floor(entry.bucket / factor);
+    const bucket = buckets.get(index) || { participants: new Map(), teams: new Map() };
+    const [targets, key] = entry.team
+      ? [bucket.teams, entry.team]
+      : [bucket.participants, entry.participant.toString()];
+
+    const target = targets.get(key) || { totalScore: 0, count: 0, deleted: 0 };
+    target.totalScore += entry.totalScore;
+    target.count += entry.count;
+    target.deleted += entry.deleted || 0;
+    targets.set(key, target);
+
+    buckets.set(index, bucket);
+  });
+
+  const withAverage = (target) => ({
+    ...target,
+    average: target.count > 0 ? Math.round((target.totalScore / target.count) * 100) / 100 : 0
+  });
+
+  return [...buckets]
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, bucket]) => {
+      const result = {
+        at: new Date(start + index * factor * baseResolution * 1000),
+        participants: [...bucket.participants].map(([userId, target]) => ({ userId, ...withAverage(target) }))
+      };
+
+      if (challenge.mode === 'team') {
+        result.teams = [...bucket.teams].map(([name, target]) => ({ name, ...withAverage(target) }));
+      }
+
+      return result;
+    });
+};
+
+/**
+ * Per-competitor averages and counts over the live window
+ * Completed challenges are served from their stored timeline.
+ * @param {object} challenge - Challenge document (with +ratingTimeline.buckets once completed)
+ * @param {number} resolution - Bucket size in seconds (TIMELINE_RESOLUTIONS)
+ * @returns {object} - { resolution, startedAt, endedAt, finalized, buckets }
+ */
+const buildRatingTimeline = async (challenge, resolution = DEFAULT_RESOLUTION) => {
+  const window = getLiveWindow(challenge);
+  const stored = challenge.ratingTimeline && challenge.ratingTimeline.finalizedAt
+    ? challenge.ratingTimeline
+    : null;
+
+  if (!window) {
+    return { resolution, startedAt: null, endedAt: null, finalized: false, buckets: [] };
+  }
+
+  const baseResolution = stored ? stored.resolution : BASE_RESOLUTION;
+  const entries = stored ? stored.buckets : await aggregateBuckets(challenge, window);
+
+  return {
+    resolution,
+    startedAt: challenge.startedAt,
+    endedAt: challenge.endedAt || null,
+    finalized: Boolean(stored),
+    buckets: formatBuckets(challenge, entries, window.start, baseResolution, resolution)
+  };
+};
+
+/**
+ * Publish the base buckets touched since the first queued rating
+ */
+const pushTimeline = async (challenge) => {
+  const key = challenge._id.toString();
+  const { from } = pending.get(key);
+  pending.delete(key);
+
+  const window = getLiveWindow(challenge);
+  if (!window || challenge.endedAt) return;
+
+  const bucketMs = BASE_RESOLUTION * 1000;
+  const firstBucket = window.start + Math.floor((from - window.start) / bucketMs) * bucketMs;
+
+  const entries = await aggregateBuckets(challenge, window, firstBucket);
+
+  publish('rating_timeline', { challengeId: challenge._id }, {
+    resolution: BASE_RESOLUTION,
+    buckets: formatBuckets(challenge, entries, window.start, BASE_RESOLUTION, BASE_RESOLUTION)
+  });
+};
+
+/**
+ * Queue a rating_timeline push after a rating was stored
+ * Pushes are batched per challenge (PUSH_DELAY_MS).
+ * @param {object} challenge - Live challenge document
+ */
+const queueTimelinePush = (challenge) => {
+  const key = challenge._id.toString();
+  if (pending.has(key) || !challenge.startedAt) return;
+
+  const timer = setTimeout(() => {
+    pushTimeline(challenge).catch(error => {
+      logger.error(`Rating timeline push failed for ${key}:`, error);
+    });
+  }, PUSH_DELAY_MS);
+  if (timer.unref) timer.unref();
+
+  pending.set(key, { timer, from: Date.now() });
+};
+
+/**
+ * Store the timeline of a completed challenge at the base resolution
+ * @param {object} challenge - Completed challenge document (updated in place)
+ */
+const finalizeRatingTimeline = async (challenge) => {
+  const key = challenge._id.toString();
+  if (pending.has(key)) {
+    clearTimeout(pending.get(key).timer);
+    pending.delete(key);
+  }
+
+  const window = getLiveWindow(challenge);
+  const ratingTimeline = {
+    resolution: BASE_RESOLUTION,
+    finalizedAt: new Date(),
+    buckets: window ? await aggregateBuckets(challenge, window) : []
+  };
+
+  challenge.ratingTimeline = ratingTimeline;
+
+  await Challenge.updateOne({ _id: challenge._id }, { $set: { ratingTimeline } });
+};
+
+module.exports = {
+  TIMELINE_RESOLUTIONS,
+  DEFAULT_RESOLUTION,
+  recordRatingEvent,
+  buildRatingTimeline,
+  queueTimelinePush,
+  finalizeRatingTimeline
+};
@@ -0,0 +1,241 @@
+// ============================================
+// FILE: services/realtime.service.js
+// Realtime Layer: Socket.IO Adapter & Event Replay (pluggable drivers)
+// ============================================
+
+const os = require('os');
+const mongoose = require('mongoose');
+const { Challenge, RealtimeEvent } = require('../models');
+const logger = require('../config/logger');
+
+const NODE_ID = `${os.hostname()}:${process.pid}`;
+
+let driver = null;
+let resolveReady;
+const ready = new Promise((resolve) => { resolveReady = resolve; });
+
+// Trim the Mongo replay buffer every this many events
+const TRIM_EVERY = 50;
+
+// ============================================
+// IN-PROCESS DRIVER
+// ============================================
+
+/**
+ * Keeps Socket.IO's default in-memory adapter and the replay buffers in
+ * process. Only correct with a single API node (development, tests). Replay
+ * buffers are kept for the most recently active maxRooms challenges.
+ */
+const createMemoryDriver = ({ bufferSize = 200, maxRooms = 1000 } = {}) => {
+  // challengeId => { seq, events }, in least recently used order
+  const rooms = new Map();
+
+  const touchRoom = (challengeId) => {
+    const key = challengeId.toString();
+    const room = rooms.get(key) || { seq: 0, events: [] };
+
+    rooms.delete(key);
+    rooms.set(key, room);
+
+    if (rooms.size > maxRooms) rooms.delete(rooms.keys().next().value);
+    return room;
+  };
+
+  return {
+    name: 'memory',
+    clustered: false,
+
+    attach: async () => {},
+
+    stop: async () => {
+      rooms.clear();
+    },
+
+    record: async (challengeId, entry) => {
+      const room = touchRoom(challengeId);
+      room.seq += 1;
+      room.events.push({ ...entry, seq: room.seq });
+
+      if (room.events.length > bufferSize) room.events.shift();
+      return room.seq;
+    },
+
+    latestSeq: async (challengeId) => {
+      const room = rooms.get(challengeId.toString());
+      return room ? room.seq : 0;
+    },
+
+    since: async (challengeId, afterSeq) => {
+      const room = rooms.get(challengeId.toString());
+      return room ? room.events.filter(e => e.seq > afterSeq) : [];
+    }
+  };
+};
+
+// ============================================
+// MONGODB DRIVER
+// ============================================
+
+/**
+ * Broadcasts through @socket.io/mongo-adapter (change streams on a TTL
+ * collection, needs a replica set) and keeps the replay buffers in the
+ * RealtimeEvent collection, so every node can replay any room.
+ */
+const createMongoDriver = ({
+  collection = 'socket_io_events',
+  bufferSize = 200
+} = {}) => ({
+  name: 'mongo',
+  clustered: true,
+
+  attach: async (io) => {
+    // Loaded lazily so single-node setups do not need the package
+    const { createAdapter } = require('@socket.io/mongo-adapter');
+
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connection.asPromise();
+    }
+
+    const events = mongoose.connection.db.collection(collection);
+    await events.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600, background: true });
+
+    io.adapter(createAdapter(events, { addCreatedAtField: true }));
+  },
+
+  stop: async () => {},
+
+  // Sequence numbers come from Challenge.realtimeSeq, so every node agrees
+  record: async (challengeId, entry) => {
+    const challenge = await Challenge.findByIdAndUpdate(
+      challengeId,
+      { $inc: { realtimeSeq: 1 } },
+      { new: true, projection: { realtimeSeq: 1 } }
+    );
+    if (!challenge) return null;
+
+    const seq = challenge.realtimeSeq;
+    await RealtimeEvent.create({ challenge: challengeId, seq, ...entry });
+
+    if (seq % TRIM_EVERY === 0) {
+      await RealtimeEvent.deleteMany({ challenge: challengeId, seq: { $lte: seq - bufferSize } });
+    }
+
+    return seq;
+  },
+
+  latestSeq: async (challengeId) => {
+    const challenge = await Challenge.findById(challengeId).select('realtimeSeq');
+    return challenge ? challenge.realtimeSeq : 0;
+  },
+
+  since: (challengeId, afterSeq) => RealtimeEvent.find({
+    challenge: challengeId,
+    seq: { $gt: afterSeq }
+  })
+    .sort('seq')
+    .limit(bufferSize)
+    .lean()
+});
+
+const DRIVERS = {
+  memory: createMemoryDriver,
+  mongo: createMongoDriver
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Create the configured driver and attach its adapter to Socket.IO
+ * Driver is picked from REALTIME_DRIVER ('memory' or 'mongo').
+ * @param {object} io - Socket.IO server
+ * @param {object} options - { driver, collection, bufferSize }
+ */
+const initRealtime = async (io, options = {}) => {
+  const name = options.driver || process.env.REALTIME_DRIVER || 'memory';
+  const createDriver = DRIVERS[name];
+
+  if (!createDriver) {
+    throw new Error(`Unknown realtime driver "${name}"`);
+  }
+
+  driver = createDriver({
+    collection: options.collection || process.env.REALTIME_MONGO_COLLECTION || 'socket_io_events',
+    bufferSize: options.bufferSize || parseInt(process.env.REALTIME_REPLAY_BUFFER, 10) || 200
+  });
+  await driver.attach(io);
+  resolveReady();
+
+  logger.info(`Realtime layer initialized (${name} driver, node ${NODE_ID})`);
+};
+
+/**
+ * Resolves once the adapter is attached (sockets must not join rooms before)
+ */
+const whenRealtimeReady = () => ready;
+
+/**
+ * Number a challenge room event and keep it in the replay buffer
+ * @param {string} challengeId - Challenge ID
+ * @param {object} entry - { event, payload, guests }
+ * @returns {number|null} - Sequence number
+ */
+const recordChallengeEvent = async (challengeId, entry) => {
+  if (!driver) return null;
+  return driver.record(challengeId, entry);
+};
+
+/**
+ * Sequence number of the last event sent to a challenge room
+ */
+const getLatestSeq = async (challengeId) => {
+  if (!driver) return 0;
+  return driver.latestSeq(challengeId);
+};
+
+/**
+ * Events a client missed after lastSeq
+ * events is null when the buffer no longer holds all of them (snapshot needed).
+ * @param {string} challengeId - Challenge ID
+ * @param {number} lastSeq - Last sequence number the client received
+ * @returns {object} - { latestSeq, events: [{ seq, event, payload, guests }] | null }
+ */
+const getMissedEvents = async (challengeId, lastSeq) => {
+  const latestSeq = await getLatestSeq(challengeId);
+
+  if (lastSeq === latestSeq) return { latestSeq, events: [] };
+  if (lastSeq > latestSeq) return { latestSeq, events: null };
+
+  const events = await driver.since(challengeId, lastSeq);
+  const missed = events.filter(e => e.seq <= latestSeq);
+
+  // Gaps mean trimmed (or still in-flight) events
+  const complete = missed.length === latestSeq - lastSeq &&
+    missed.every((e, index) => e.seq === lastSeq + index + 1);
+
+  return { latestSeq, events: complete ? missed : null };
+};
+
+/**
+ * Whether broadcasts reach sockets on other API nodes
+ */
+const isClustered = () => Boolean(driver && driver.clustered);
+
+/**
+ * Release the driver (graceful shutdown)
+ */
+const stopRealtime = async () => {
+  if (driver) await driver.stop();
+};
+
+module.exports = {
+  NODE_ID,
+  initRealtime,
+  whenRealtimeReady,
+  recordChallengeEvent,
+  getLatestSeq,
+  getMissedEvents,
+  isClustered,
+  stopRealtime
+};
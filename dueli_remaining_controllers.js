@@ -3,7 +3,15 @@
 // Rating Controller
 // ============================================
 
-const { Rating, Challenge } = require('../models');
+const { Challenge } = require('../models');
+const {
+  buildRatingsSummary,
+  buildRoundScoreboards,
+  buildFinalScoreSummary,
+  recordRating
+} = require('../services/rating.service');
+const { ratingFingerprint } = require('../services/ratingIntegrity.service');
+const { getRatingEligibility } = require('../services/presence.service');
 const logger = require('../config/logger');
 const asyncHandler = require('../middleware/asyncHandler');
 
@@ -13,7 +21,7 @@ const asyncHandler = require('../middleware/asyncHandler');
  * @access  Private (registered viewers only)
  */
 exports.submitRating = asyncHandler(async (req, res, next) => {
-  const { challenge: challengeId, competitorRated, score } = req.body;
+  const { challenge: challengeId, competitorRated, team, score } = req.body;
 
   // Get challenge
   const challenge = await Challenge.findById(challengeId);
@@ -39,12 +47,29 @@ exports.submitRating = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Check if competitor is participant
-  const isParticipant = 
-    competitorRated === challenge.creator.toString() ||
-    competitorRated === challenge.opponent.toString();
+  // Only the judge panel rates (rules.judgeOnlyScoring)
+  if (challenge.rules.judgeOnlyScoring && !challenge.isJudge(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'JUDGES_ONLY',
+        message: 'Only the judge panel can rate this challenge'
+      }
+    });
+  }
 
-  if (!isParticipant) {
+  // Team ratings target a side; individual ratings target a participant
+  if (team) {
+    if (challenge.mode !== 'team' || !challenge.teams.some(t => t.name === team)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TEAM',
+          message: 'Team is not a side in this challenge'
+        }
+      });
+    }
+  } else if (!challenge.isParticipant(competitorRated)) {
     return res.status(400).json({
       success: false,
       error: {
@@ -54,68 +79,31 @@ exports.submitRating = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Check if user already rated this competitor
-  const existingRating = await Rating.findOne({
-    challenge: challengeId,
-    rater: req.user._id,
-    competitorRated
-  });
-
-  if (existingRating) {
-    // Update existing rating
-    existingRating.score = score;
-    existingRating.timestamp = new Date();
-    await existingRating.save();
-  } else {
-    // Create new rating
-    await Rating.create({
-      challenge: challengeId,
-      rater: req.user._id,
-      competitorRated,
-      score
+  // Raters must have watched the stream for RATING_MIN_WATCH_SECONDS
+  const { eligible, ...watchTime } = await getRatingEligibility(challenge, req.user._id);
+  if (!eligible) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'NOT_ENOUGH_WATCH_TIME',
+        message: `Watch the stream for ${watchTime.remainingSeconds} more seconds before rating`,
+        ...watchTime
+      }
     });
   }
 
-  // Update challenge stats
-  const creatorRatings = await Rating.find({
-    challenge: challengeId,
-    competitorRated: challenge.creator
-  });
-
-  const opponentRatings = await Rating.find({
-    challenge: challengeId,
-    competitorRated: challenge.opponent
+  const { round } = await recordRating(challenge, {
+    rater: req.user._id,
+    competitorRated,
+    team,
+    score,
+    // Network/device fingerprint for trust scoring
+    fingerprint: ratingFingerprint(req)
   });
 
-  challenge.creatorRatingSum = creatorRatings.reduce((sum, r) => sum + r.score, 0);
-  challenge.creatorRatingCount = creatorRatings.length;
-  challenge.opponentRatingSum = opponentRatings.reduce((sum, r) => sum + r.score, 0);
-  challenge.opponentRatingCount = opponentRatings.length;
-  challenge.totalRatings = creatorRatings.length + opponentRatings.length;
-  await challenge.save();
-
-  // Broadcast rating update via WebSocket
-  const io = req.app.get('io');
-  io.to(`challenge:${challengeId}`).emit('ratings_update', {
-    challengeId,
-    ratings: {
-      creator: {
-        totalScore: challenge.creatorRatingSum,
-        count: challenge.creatorRatingCount,
-        average: challenge.creatorRatingCount > 0 
-          ? challenge.creatorRatingSum / challenge.creatorRatingCount 
-          : 0
-      },
-      opponent: {
-        totalScore: challenge.opponentRatingSum,
-        count: challenge.opponentRatingCount,
-        average: challenge.opponentRatingCount > 0
-          ? challenge.opponentRatingSum / challenge.opponentRatingCount
-          : 0
-      }
-    },
-    timestamp: new Date()
-  });
+  const competitor = team
+    ? challenge.teams.find(t => t.name === team)
+    : challenge.findParticipant(competitorRated);
 
   logger.info(`Rating submitted: ${req.user.username} → ${score} stars`);
 
@@ -125,17 +113,15 @@ exports.submitRating = asyncHandler(async (req, res, next) => {
     data: {
       rating: {
         challenge: challengeId,
-        competitorRated,
+        competitorRated: team ? null : competitorRated,
+        team: team || null,
+        round,
         score,
         timestamp: new Date()
       },
       aggregated: {
-        average: competitorRated === challenge.creator.toString()
-          ? challenge.creatorRatingSum / challenge.creatorRatingCount
-          : challenge.opponentRatingSum / challenge.opponentRatingCount,
-        count: competitorRated === challenge.creator.toString()
-          ? challenge.creatorRatingCount
-          : challenge.opponentRatingCount
+        average: competitor.averageRating,
+        count: competitor.ratingCount
       }
     }
   });
@@ -159,34 +145,12 @@ exports.getChallengeRatings = asyncHandler(async (req, res, next) => {
     });
   }
 
-  const totalRatings = challenge.creatorRatingSum + challenge.opponentRatingSum;
-
   res.status(200).json({
     success: true,
     data: {
-      ratings: {
-        creator: {
-          totalScore: challenge.creatorRatingSum,
-          count: challenge.creatorRatingCount,
-          average: challenge.creatorRatingCount > 0
-            ? challenge.creatorRatingSum / challenge.creatorRatingCount
-            : 0,
-          percentage: totalRatings > 0
-            ? (challenge.creatorRatingSum / totalRatings) * 100
-            : 0
-        },
-        opponent: {
-          totalScore: challenge.opponentRatingSum,
-          count: challenge.opponentRatingCount,
-          average: challenge.opponentRatingCount > 0
-            ? challenge.opponentRatingSum / challenge.opponentRatingCount
-            : 0,
-          percentage: totalRatings > 0
-            ? (challenge.opponentRatingSum / totalRatings) * 100
-            : 0
-        },
-        totalRatings: challenge.totalRatings
-      }
+      ratings: buildRatingsSummary(challenge),
+      rounds: await buildRoundScoreboards(challenge),
+      finalScores: await buildFinalScoreSummary(challenge)
     }
   });
 });
@@ -200,6 +164,7 @@ module.exports = exports;
 
 const { Comment, Challenge } = require('../models');
 const logger = require('../config/logger');
+const { publish } = require('../services/eventBus.service');
 const asyncHandler = require('../middleware/asyncHandler');
 
 /**
@@ -248,9 +213,7 @@ exports.postComment = asyncHandler(async (req, res, next) => {
   await challenge.save();
 
   // Broadcast comment via WebSocket
-  const io = req.app.get('io');
-  io.to(`challenge:${challengeId}`).emit('comment_added', {
-    challengeId,
+  publish('comment_added', { challengeId }, {
     comment: {
       id: comment._id,
       author: {
@@ -260,8 +223,7 @@ exports.postComment = asyncHandler(async (req, res, next) => {
       },
       content: comment.content,
       timestamp: comment.timestamp
-    },
-    timestamp: new Date()
+    }
   });
 
   logger.info(`Comment posted: ${req.user.username} on challenge ${challengeId}`);
@@ -0,0 +1,204 @@
+// ============================================
+// FILE: services/revenue.service.js
+// Revenue Calculator (80/20 distribution)
+// ============================================
+
+const { User, Transaction, Advertisement } = require('../models');
+const { computeResultScores } = require('./rating.service');
+const { settleRatingWeights } = require('./ratingStrategy.service');
+
+const PLATFORM_SHARE = 0.20;
+const COMPETITORS_SHARE = 0.80;
+
+/**
+ * Sum the paid amounts of all displayed advertisements
+ * @param {object} challenge - Challenge document
+ * @returns {number} - Total revenue
+ */
+const calculateAdRevenue = async (challenge) => {
+  const displayedAdIds = challenge.advertisements
+    .filter(ad => ad.status === 'displayed')
+    .map(ad => ad.adId);
+
+  if (displayedAdIds.length === 0) return 0;
+
+  const ads = await Advertisement.find({ _id: { $in: displayedAdIds } }).select('paidAmount');
+  return ads.reduce((sum, ad) => sum + ad.paidAmount, 0);
+};
+
+/**
+ * Split the competitors' share by rating share
+ * Falls back to an equal split when nobody was rated.
+ * @param {number} totalRevenue - Total challenge revenue
+ * @param {Array} scores - [{ user, role, score }]
+ * @returns {object} - { platformShare, competitorsShare, shares }
+ */
+const splitRevenue = (totalRevenue, scores) => {
+  const platformShare = totalRevenue * PLATFORM_SHARE;
+  const competitorsShare = totalRevenue * COMPETITORS_SHARE;
+  const totalScore = scores.reduce((sum, s) => sum + s.score, 0);
+
+  const shares = scores.map(s => {
+    const ratingPercentage = totalScore > 0
+      ? (s.score / totalScore) * 100
+      : 100 / scores.length;
+
+    return {
+      user: s.user,
+      role: s.role,
+      score: s.score,
+      ratingPercentage,
+      amount: competitorsShare * (ratingPercentage / 100)
+    };
+  });
+
+  return { platformShare, competitorsShare, shares };
+};
+
+/**
+ * Split the competitors' share between sides, then within each side
+ * Sides share by team rating; members share equally or by their own
+ * rating depending on rules.teamRevenueSplit.
+ * @param {number} totalRevenue - Total challenge revenue
+ * @param {Array} teamScores - [{ name, score, members: [{ user, role, score }] }]
+ * @param {string} withinTeam - 'equal' or 'rating'
+ * @returns {object} - { platformShare, competitorsShare, teams, shares }
+ */
+const splitTeamRevenue = (totalRevenue, teamScores, withinTeam = 'equal') => {
+  const { platformShare, competitorsShare, shares: teamShares } = splitRevenue(
+    totalRevenue,
+    teamScores.map(t => ({ user: null, role: t.name, score: t.score }))
+  );
+
+  const teams = [];
+  const shares = [];
+
+  teamScores.forEach((team, index) => {
+    const teamAmount = teamShares[index].amount;
+    teams.push({
+      name: team.name,
+      ratingPercentage: teamShares[index].ratingPercentage,
+      amount: teamAmount
+    });
+
+    if (team.members.length === 0) return;
+
+    const members = withinTeam === 'rating'
+      ? team.members
+      : team.members.map(m => ({ ...m, score: 0 }));
+    const memberTotal = members.reduce((sum, m) => sum + m.score, 0);
+
+    members.forEach(m => {
+      const memberPercentage = memberTotal > 0
+        ? m.score / memberTotal
+        : 1 / members.length;
+      const amount = teamAmount * memberPercentage;
+
+      shares.push({
+        user: m.user,
+        role: m.role,
+        team: team.name,
+        score: m.score,
+        ratingPercentage: competitorsShare > 0 ? (amount / competitorsShare) * 100 : 0,
+        amount
+      });
+    });
+  });
+
+  return { platformShare, competitorsShare, teams, shares };
+};
+
+/**
+ * Calculate and record revenue for a finished challenge
+ * Sets totalRevenue/revenueDistribution on the challenge (does not save it),
+ * creates earning transactions and updates participants' totals.
+ * Ratings are weighted by the challenge's rating strategy first (recorded
+ * in challenge.scoring), so the split can be recomputed later. Shares blend
+ * audience ratings with the judge panel's scorecards (rules.judgeWeight).
+ * @param {object} challenge - Challenge document
+ * @returns {object} - { totalRevenue, shares, transactions }
+ */
+const settleChallengeRevenue = async (challenge) => {
+  const totalRevenue = await calculateAdRevenue(challenge);
+
+  await settleRatingWeights(challenge);
+  const scoreMap = await computeResultScores(challenge, 'competitorRated');
+
+  const scores = challenge.getParticipants().map(p => {
+    const userId = p.user._id || p.user;
+    return { user: userId, role: p.role, score: scoreMap.get(userId.toString()) || 0 };
+  });
+
+  let split;
+
+  if (challenge.mode === 'team') {
+    const teamScoreMap = await computeResultScores(challenge, 'teamRated');
+    const teamScores = challenge.teams.map(team => {
+      return {
+        name: team.name,
+        score: teamScoreMap.get(team.name) || 0,
+        members: challenge.participants
+          .filter(p => p.team === team.name)
+          .map(p => scores.find(s => s.user.toString() === (p.user._id || p.user).toString()))
+      };
+    });
+
+    split = splitTeamRevenue(totalRevenue, teamScores, challenge.rules.teamRevenueSplit);
+  } else {
+    split = splitRevenue(totalRevenue, scores);
+  }
+
+  const { platformShare, shares } = split;
+  const shareFor = (role) => shares.filter(s => s.role === role).reduce((sum, s) => sum + s.amount, 0);
+
+  challenge.totalRevenue = totalRevenue;
+  challenge.revenueDistribution = {
+    platform: platformShare,
+    creator: shareFor('creator'),
+    opponent: shareFor('opponent'),
+    participants: shares.map(s => ({
+      user: s.user,
+      role: s.role,
+      team: s.team,
+      ratingPercentage: s.ratingPercentage,
+      amount: s.amount
+    })),
+    teams: split.teams || []
+  };
+
+  const transactions = [];
+
+  for (const share of shares) {
+    if (share.amount > 0) {
+      const transaction = await Transaction.create({
+        user: share.user,
+        challenge: challenge._id,
+        amount: share.amount,
+        type: 'challenge_earning',
+        status: 'pending',
+        metadata: {
+          ratingPercentage: share.ratingPercentage,
+          totalChallengeRevenue: totalRevenue,
+          competitorRole: share.role
+        }
+      });
+      transactions.push(transaction);
+
+      // Zero-amount shares count neither as earnings nor as a challenge
+      await User.findByIdAndUpdate(share.user, {
+        $inc: { totalEarnings: share.amount, totalChallenges: 1 }
+      });
+    }
+  }
+
+  return { totalRevenue, shares, transactions };
+};
+
+module.exports = {
+  PLATFORM_SHARE,
+  COMPETITORS_SHARE,
+  calculateAdRevenue,
+  splitRevenue,
+  splitTeamRevenue,
+  settleChallengeRevenue
+};
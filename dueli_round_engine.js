@@ -0,0 +1,388 @@
+// ============================================
+// FILE: services/roundEngine.service.js
+// Live Round Engine (rules.rounds / roundDuration / speakingTimeSeconds / rebuttals)
+// ============================================
+
+const { Challenge } = require('../models');
+const { publish } = require('./eventBus.service');
+const logger = require('../config/logger');
+
+// Pending transition timers: challengeId => timeout. Several API nodes may
+// hold a timer for the same phase (restarts, pause on one node and resume on
+// another); advance() applies a transition only to the phase it was armed
+// for, so the first timer wins and the others do nothing.
+const timers = new Map();
+
+/**
+ * Length of one round in milliseconds
+ * Falls back to an even split of rules.duration when roundDuration is not set.
+ * @param {object} challenge - Challenge document
+ * @returns {number} - Round length in ms
+ */
+const getRoundDurationMs = (challenge) => {
+  const { duration = 60, rounds = 1, roundDuration } = challenge.rules || {};
+  const minutes = roundDuration || Math.max(1, Math.floor(duration / rounds));
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Opening speakers of a round under the challenge's turn scheme
+ * - alternate: the opening speaker rotates every round
+ * - fixed: same order every round
+ * - free: no turns, the whole round is open
+ */
+const getOpeningOrder = (challenge, round) => {
+  const scheme = (challenge.rules && challenge.rules.turnScheme) || 'alternate';
+  if (scheme === 'free') return [];
+
+  const ids = challenge.getParticipants().map(p => (p.user._id || p.user).toString());
+  if (scheme === 'fixed' || ids.length === 0) return ids;
+
+  const offset = (round - 1) % ids.length;
+  return [...ids.slice(offset), ...ids.slice(0, offset)];
+};
+
+/**
+ * Speaking order for a round: opening turns, then rules.rebuttals passes of
+ * rebuttal turns in reverse order (the last opener rebuts first)
+ * @param {object} challenge - Challenge document
+ * @param {number} round - Round number (1-based)
+ * @returns {Array<string>} - Ordered participant user IDs (one entry per turn)
+ */
+const getTurnOrder = (challenge, round) => {
+  const openings = getOpeningOrder(challenge, round);
+  const rebuttals = (challenge.rules && challenge.rules.rebuttals) || 0;
+
+  const order = [...openings];
+  for (let i = 0; i < rebuttals; i++) {
+    order.push(...[...openings].reverse());
+  }
+  return order;
+};
+
+/**
+ * Whether a turn is an opening or a rebuttal
+ */
+const getTurnKind = (challenge, round, turnIndex) =>
+  (turnIndex < getOpeningOrder(challenge, round).length ? 'opening' : 'rebuttal');
+
+/**
+ * Length of the current phase (one turn, or the whole round when turns are off)
+ * Turns are capped at rules.speakingTimeSeconds; a round whose turns end
+ * early closes early.
+ */
+const getPhaseDurationMs = (challenge, round) => {
+  const order = getTurnOrder(challenge, round);
+  const evenSplit = Math.floor(getRoundDurationMs(challenge) / Math.max(order.length, 1));
+  const { speakingTimeSeconds } = challenge.rules || {};
+
+  return order.length > 0 && speakingTimeSeconds
+    ? Math.min(evenSplit, speakingTimeSeconds * 1000)
+    : evenSplit;
+};
+
+const emitToRoom = (challengeId, event, data) => {
+  publish(event, { challengeId }, data);
+};
+
+// Room events are queued while a transition is built and sent once it is saved
+const flushEvents = (challengeId, events) => {
+  events.forEach(([event, data]) => emitToRoom(challengeId, event, data));
+};
+
+const clearTimer = (challengeId) => {
+  const key = challengeId.toString();
+  if (timers.has(key)) {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  }
+};
+
+/**
+ * Arm the timer that ends the current phase at roundState.phaseEndsAt
+ * @param {object} challenge - Challenge document with a running phase
+ */
+const scheduleTransition = (challenge) => {
+  clearTimer(challenge._id);
+  const key = challenge._id.toString();
+  const { currentRound, turnIndex, phaseEndsAt } = challenge.roundState;
+  const phase = { round: currentRound, turnIndex, phaseEndsAt };
+  const delayMs = phaseEndsAt ? phaseEndsAt.getTime() - Date.now() : 0;
+
+  timers.set(key, setTimeout(() => {
+    timers.delete(key);
+    advance(key, phase).catch(error => {
+      logger.error(`Round engine error for challenge ${key}:`, error);
+    });
+  }, Math.max(delayMs, 0)));
+};
+
+const currentRoundEntry = (challenge) =>
+  challenge.roundHistory.find(r => r.number === challenge.roundState.currentRound);
+
+/**
+ * Open the turn at turnIndex of the current round (does not save)
+ * @param {Array} events - Room events to send after saving
+ */
+const beginPhase = (challenge, turnIndex, events) => {
+  const state = challenge.roundState;
+  const round = state.currentRound;
+  const order = getTurnOrder(challenge, round);
+  const phaseMs = getPhaseDurationMs(challenge, round);
+  const now = new Date();
+
+  state.turnIndex = turnIndex;
+  state.phaseEndsAt = new Date(now.getTime() + phaseMs);
+
+  if (order.length > 0) {
+    const kind = getTurnKind(challenge, round, turnIndex);
+
+    state.currentTurn = order[turnIndex];
+    currentRoundEntry(challenge).turns.push({ user: order[turnIndex], kind, startedAt: now });
+
+    events.push(['turn_changed', {
+      round,
+      turnIndex,
+      kind,
+      currentTurn: order[turnIndex],
+      nextTurn: order[turnIndex + 1] || null,
+      endsAt: state.phaseEndsAt
+    }]);
+  } else {
+    state.currentTurn = null;
+  }
+
+  return phaseMs;
+};
+
+/**
+ * Open a new round and its first turn (does not save)
+ * @param {Array} events - Room events to send after saving
+ */
+const beginRound = (challenge, round, events) => {
+  const state = challenge.roundState;
+  const now = new Date();
+
+  state.currentRound = round;
+  challenge.roundHistory.push({ number: round, startedAt: now, turns: [] });
+
+  const turns = getTurnOrder(challenge, round).length;
+  const roundMs = turns > 0 ? getPhaseDurationMs(challenge, round) * turns : getRoundDurationMs(challenge);
+
+  events.push(['round_started', {
+    round,
+    totalRounds: challenge.rules.rounds,
+    startedAt: now,
+    endsAt: new Date(now.getTime() + roundMs)
+  }]);
+
+  return beginPhase(challenge, 0, events);
+};
+
+/**
+ * Close the open turn entry of the current round (does not save)
+ */
+const closeTurn = (challenge, now) => {
+  const entry = currentRoundEntry(challenge);
+  const openTurn = entry && entry.turns.find(t => !t.endedAt);
+  if (openTurn) openTurn.endedAt = now;
+};
+
+/**
+ * Save a transition only if the phase it ends is still the current one
+ * @param {object} challenge - Challenge document with the transition applied
+ * @param {object} phase - { round, turnIndex, phaseEndsAt } the timer was armed for
+ * @returns {boolean} - Whether this call applied it
+ */
+const saveTransition = async (challenge, phase) => {
+  const { roundState, roundHistory } = challenge.toObject();
+
+  const result = await Challenge.updateOne(
+    {
+      _id: challenge._id,
+      status: 'live',
+      'roundState.status': 'running',
+      'roundState.currentRound': phase.round,
+      'roundState.turnIndex': phase.turnIndex,
+      'roundState.phaseEndsAt': phase.phaseEndsAt
+    },
+    { $set: { roundState, roundHistory } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Timer callback: move to the next turn, the next round, or finish
+ * @param {string} challengeId - Challenge ID
+ * @param {object} phase - { round, turnIndex, phaseEndsAt } the timer was armed for
+ */
+const advance = async (challengeId, phase) => {
+  const challenge = await Challenge.findById(challengeId);
+
+  if (!challenge || challenge.status !== 'live' || challenge.roundState.status !== 'running') {
+    return;
+  }
+
+  const state = challenge.roundState;
+  const now = new Date();
+  const order = getTurnOrder(challenge, state.currentRound);
+  const events = [];
+
+  closeTurn(challenge, now);
+
+  // Next speaker in the same round
+  if (state.turnIndex + 1 < order.length) {
+    beginPhase(challenge, state.turnIndex + 1, events);
+    if (!(await saveTransition(challenge, phase))) return;
+
+    flushEvents(challenge._id, events);
+    scheduleTransition(challenge);
+    return;
+  }
+
+  // Round is over
+  currentRoundEntry(challenge).endedAt = now;
+  events.push(['round_ended', {
+    round: state.currentRound,
+    totalRounds: challenge.rules.rounds,
+    endedAt: now
+  }]);
+
+  if (state.currentRound < challenge.rules.rounds) {
+    beginRound(challenge, state.currentRound + 1, events);
+    if (!(await saveTransition(challenge, phase))) return;
+
+    flushEvents(challenge._id, events);
+    scheduleTransition(challenge);
+    return;
+  }
+
+  state.status = 'finished';
+  state.currentTurn = null;
+  state.phaseEndsAt = null;
+  if (!(await saveTransition(challenge, phase))) return;
+
+  events.push(['rounds_completed', { totalRounds: challenge.rules.rounds }]);
+  flushEvents(challenge._id, events);
+
+  logger.info(`All rounds completed for challenge ${challenge._id}`);
+};
+
+/**
+ * Start round 1 for a challenge that just went live (saves the challenge)
+ * @param {object} challenge - Live challenge document
+ */
+const startRounds = async (challenge) => {
+  challenge.roundState.status = 'running';
+  challenge.roundHistory = [];
+
+  const events = [];
+  beginRound(challenge, 1, events);
+  await challenge.save();
+
+  flushEvents(challenge._id, events);
+  scheduleTransition(challenge);
+};
+
+/**
+ * Pause the running round (saves the challenge)
+ * @param {object} challenge - Challenge document
+ * @param {ObjectId} userId - Participant pausing
+ */
+const pauseRounds = async (challenge, userId) => {
+  const state = challenge.roundState;
+  const now = new Date();
+
+  clearTimer(challenge._id);
+
+  state.status = 'paused';
+  state.pausedAt = now;
+  state.pausedBy = userId;
+  state.remainingMs = Math.max(state.phaseEndsAt.getTime() - now.getTime(), 0);
+  await challenge.save();
+
+  emitToRoom(challenge._id, 'rounds_paused', {
+    round: state.currentRound,
+    pausedBy: userId,
+    remainingMs: state.remainingMs
+  });
+};
+
+/**
+ * Resume a paused round (saves the challenge)
+ * @param {object} challenge - Challenge document
+ * @param {ObjectId} userId - Participant resuming
+ */
+const resumeRounds = async (challenge, userId) => {
+  const state = challenge.roundState;
+  const now = new Date();
+  const entry = currentRoundEntry(challenge);
+
+  if (entry && state.pausedAt) {
+    entry.pausedMs = (entry.pausedMs || 0) + (now.getTime() - state.pausedAt.getTime());
+  }
+
+  state.status = 'running';
+  state.phaseEndsAt = new Date(now.getTime() + state.remainingMs);
+  state.pausedAt = null;
+  state.pausedBy = null;
+  await challenge.save();
+
+  scheduleTransition(challenge);
+
+  emitToRoom(challenge._id, 'rounds_resumed', {
+    round: state.currentRound,
+    resumedBy: userId,
+    currentTurn: state.currentTurn,
+    endsAt: state.phaseEndsAt
+  });
+};
+
+/**
+ * Stop tracking rounds for a challenge (e.g. when it ends). Does not save.
+ * @param {object} challenge - Challenge document
+ */
+const stopRounds = (challenge) => {
+  clearTimer(challenge._id);
+
+  const state = challenge.roundState;
+  if (state.status === 'running' || state.status === 'paused') {
+    const now = new Date();
+    closeTurn(challenge, now);
+
+    const entry = currentRoundEntry(challenge);
+    if (entry && !entry.endedAt) entry.endedAt = now;
+
+    state.status = 'finished';
+    state.currentTurn = null;
+    state.phaseEndsAt = null;
+  }
+};
+
+/**
+ * Re-arm timers of running challenges
+ * Called once on server start.
+ */
+const initRoundEngine = async () => {
+  const running = await Challenge.find({
+    status: 'live',
+    'roundState.status': 'running'
+  });
+
+  // Other nodes may re-arm the same challenges; only one timer per phase applies
+  running.forEach(challenge => scheduleTransition(challenge));
+
+  logger.info(`Round engine initialized (${running.length} running challenge(s) restored)`);
+};
+
+module.exports = {
+  initRoundEngine,
+  startRounds,
+  pauseRounds,
+  resumeRounds,
+  stopRounds,
+  getRoundDurationMs,
+  getTurnOrder,
+  getTurnKind
+};
@@ -0,0 +1,232 @@
+// ============================================
+// FILE: services/ruleBook.service.js
+// Structured Challenge Rules: Vocabulary, Checks & Rendering
+// ============================================
+
+const CATEGORIES = ['dialogue', 'science', 'talent'];
+
+const MAX_JUDGES = 5;
+
+// Judge scores per criterion run from 1 to this
+const MAX_CRITERION_SCORE = 10;
+
+/**
+ * Structured rule vocabulary
+ * Each rule lists the categories it applies to; limits match the Challenge
+ * schema (rules.*) and the request validators.
+ */
+const RULE_VOCABULARY = {
+  motion: {
+    type: 'string',
+    maxLength: 300,
+    categories: ['dialogue', 'science'],
+    label: { ar: 'المقولة', en: 'Motion' }
+  },
+  speakingTimeSeconds: {
+    type: 'integer',
+    min: 15,
+    max: 900,
+    categories: CATEGORIES,
+    label: { ar: 'مدة الكلام في الدور', en: 'Speaking time per turn' }
+  },
+  rebuttals: {
+    type: 'integer',
+    min: 0,
+    max: 5,
+    categories: ['dialogue'],
+    label: { ar: 'الردود', en: 'Rebuttals' }
+  },
+  allowedSources: {
+    type: 'enum',
+    values: ['none', 'cited', 'any'],
+    categories: ['dialogue', 'science'],
+    label: { ar: 'المصادر', en: 'Sources' }
+  },
+  maxSources: {
+    type: 'integer',
+    min: 1,
+    max: 20,
+    categories: ['dialogue', 'science'],
+    label: { ar: 'الحد الأقصى للمصادر', en: 'Maximum sources' }
+  },
+  notesAllowed: {
+    type: 'boolean',
+    categories: ['dialogue', 'science'],
+    label: { ar: 'الملاحظات المكتوبة', en: 'Written notes' }
+  },
+  judgeOnlyScoring: {
+    type: 'boolean',
+    categories: CATEGORIES,
+    label: { ar: 'التقييم', en: 'Scoring' }
+  },
+  judgeWeight: {
+    type: 'integer',
+    min: 0,
+    max: 100,
+    categories: CATEGORIES,
+    label: { ar: 'وزن لجنة الحكام', en: 'Judge panel weight' }
+  }
+};
+
+/**
+ * Judging rubric per category: the criteria every judge scorecard covers
+ * Weights set each criterion's share of a scorecard's total.
+ */
+const JUDGING_RUBRICS = {
+  dialogue: [
+    { criterion: 'argument', weight: 3, label: { ar: 'قوة الحجة', en: 'Argument' } },
+    { criterion: 'evidence', weight: 2, label: { ar: 'الأدلة', en: 'Evidence' } },
+    { criterion: 'rebuttal', weight: 2, label: { ar: 'الرد والتفنيد', en: 'Rebuttal' } },
+    { criterion: 'delivery', weight: 1, label: { ar: 'الإلقاء', en: 'Delivery' } }
+  ],
+  science: [
+    { criterion: 'accuracy', weight: 3, label: { ar: 'الدقة العلمية', en: 'Accuracy' } },
+    { criterion: 'methodology', weight: 2, label: { ar: 'المنهجية', en: 'Methodology' } },
+    { criterion: 'clarity', weight: 2, label: { ar: 'وضوح الشرح', en: 'Clarity' } },
+    { criterion: 'originality', weight: 1, label: { ar: 'الأصالة', en: 'Originality' } }
+  ],
+  talent: [
+    { criterion: 'technique', weight: 3, label: { ar: 'الإتقان', en: 'Technique' } },
+    { criterion: 'creativity', weight: 2, label: { ar: 'الإبداع', en: 'Creativity' } },
+    { criterion: 'performance', weight: 2, label: { ar: 'الأداء', en: 'Performance' } },
+    { criterion: 'presentation', weight: 1, label: { ar: 'العرض', en: 'Presentation' } }
+  ]
+};
+
+const STRUCTURED_RULE_KEYS = Object.keys(RULE_VOCABULARY);
+
+// Viewer-facing sentence for each rule value
+const RULE_TEXT = {
+  motion: {
+    ar: v => `المقولة: ${v}`,
+    en: v => `Motion: ${v}`
+  },
+  speakingTimeSeconds: {
+    ar: v => `${v} ثانية لكل متحدث في الدور الواحد`,
+    en: v => `${v} seconds per speaking turn`
+  },
+  rebuttals: {
+    ar: v => (v > 0 ? `${v} رد لكل متحدث في كل جولة` : 'لا توجد ردود'),
+    en: v => (v > 0 ? `${v} rebuttal turn(s) per speaker each round` : 'No rebuttals')
+  },
+  allowedSources: {
+    ar: v => ({ none: 'لا يسمح بالاستشهاد بالمصادر', cited: 'المصادر المعلنة قبل البدء فقط', any: 'يسمح بأي مصادر' })[v],
+    en: v => ({ none: 'No sources allowed', cited: 'Only sources declared before the start', any: 'Any sources allowed' })[v]
+  },
+  maxSources: {
+    ar: v => `${v} مصادر كحد أقصى لكل مشارك`,
+    en: v => `At most ${v} sources per participant`
+  },
+  notesAllowed: {
+    ar: v => (v ? 'يسمح بالملاحظات المكتوبة' : 'لا يسمح بالملاحظات المكتوبة'),
+    en: v => (v ? 'Written notes allowed' : 'No written notes')
+  },
+  judgeOnlyScoring: {
+    ar: v => (v ? 'التقييم للحكام فقط' : 'التقييم مفتوح للمشاهدين'),
+    en: v => (v ? 'Only judges score' : 'Viewers score')
+  },
+  judgeWeight: {
+    ar: v => `لجنة الحكام تحدد ${v}% من النتيجة النهائية`,
+    en: v => `The judge panel decides ${v}% of the final result`
+  }
+};
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+const isTrue = (value) => value === true || value === 'true';
+
+/**
+ * Rules available for a category
+ * @param {string} category - Challenge category
+ * @returns {Array} - [{ rule, type, min?, max?, maxLength?, values?, label }]
+ */
+const getVocabulary = (category) => STRUCTURED_RULE_KEYS
+  .filter(rule => RULE_VOCABULARY[rule].categories.includes(category))
+  .map(rule => {
+    const { categories, ...definition } = RULE_VOCABULARY[rule];
+    return { rule, ...definition };
+  });
+
+/**
+ * Judging rubric of a category, with labels in one language
+ * @param {string} category - Challenge category
+ * @param {string} language - 'ar' or 'en' (default)
+ * @returns {Array} - [{ criterion, weight, label, maxScore }]
+ */
+const getRubric = (category, language = 'en') => {
+  const lang = language === 'ar' ? 'ar' : 'en';
+
+  return (JUDGING_RUBRICS[category] || []).map(({ criterion, weight, label }) => ({
+    criterion,
+    weight,
+    label: label[lang],
+    maxScore: MAX_CRITERION_SCORE
+  }));
+};
+
+/**
+ * Checks the per-field limits cannot express
+ * @param {string} category - Challenge category
+ * @param {object} rules - Effective rules
+ * @param {Array|null} judges - Judge user IDs (null skips the judge check, e.g. templates)
+ * @returns {string|null} - Error message or null
+ */
+const checkStructuredRules = (category, rules = {}, judges = []) => {
+  const misplaced = STRUCTURED_RULE_KEYS.find(rule =>
+    isSet(rules[rule]) && !RULE_VOCABULARY[rule].categories.includes(category));
+
+  if (misplaced) {
+    return `Rule "${misplaced}" is not available in the ${category} category`;
+  }
+
+  if (isSet(rules.maxSources) && rules.allowedSources !== 'cited') {
+    return 'maxSources only applies when allowedSources is "cited"';
+  }
+
+  if (judges !== null && isTrue(rules.judgeOnlyScoring) && (!Array.isArray(judges) || judges.length === 0)) {
+    return 'Judge-only scoring needs at least one judge';
+  }
+
+  if (isSet(rules.speakingTimeSeconds) && isSet(rules.roundDuration) &&
+    Number(rules.speakingTimeSeconds) > Number(rules.roundDuration) * 60) {
+    return 'Speaking time per turn cannot exceed the round duration';
+  }
+
+  return null;
+};
+
+/**
+ * Rule sheet shown to viewers, in the challenge's language (Arabic or English)
+ * @param {object} challenge - Challenge document
+ * @param {string} language - Optional language override
+ * @returns {object} - { language, items: [{ rule, label, value, text }], customRules }
+ */
+const renderRuleSheet = (challenge, language = challenge.language) => {
+  const lang = language === 'ar' ? 'ar' : 'en';
+  const rules = challenge.rules || {};
+
+  return {
+    language: lang,
+    items: STRUCTURED_RULE_KEYS
+      .filter(rule => isSet(rules[rule]))
+      .map(rule => ({
+        rule,
+        label: RULE_VOCABULARY[rule].label[lang],
+        value: rules[rule],
+        text: RULE_TEXT[rule][lang](rules[rule])
+      })),
+    customRules: rules.customRules || null
+  };
+};
+
+module.exports = {
+  MAX_JUDGES,
+  MAX_CRITERION_SCORE,
+  RULE_VOCABULARY,
+  STRUCTURED_RULE_KEYS,
+  JUDGING_RUBRICS,
+  getVocabulary,
+  getRubric,
+  checkStructuredRules,
+  renderRuleSheet
+};
@@ -0,0 +1,281 @@
+// ============================================
+// FILE: services/scheduler.service.js
+// Background Job Scheduler (pluggable drivers)
+// ============================================
+
+const os = require('os');
+const { ScheduledJob } = require('../models');
+const logger = require('../config/logger');
+
+// Longest delay setTimeout accepts (~24.8 days); longer waits are chained
+const MAX_TIMEOUT_MS = 2147483647;
+
+// Job type => async handler(job, context)
+const handlers = new Map();
+
+let driver = null;
+let context = {};
+
+/**
+ * Run a job through its registered handler
+ * @param {object} job - { key, type, challenge, data, runAt }
+ */
+const runHandler = async (job) => {
+  const handler = handlers.get(job.type);
+
+  if (!handler) {
+    throw new Error(`No handler registered for job type "${job.type}"`);
+  }
+
+  await handler(job, context);
+};
+
+// ============================================
+// IN-PROCESS DRIVER
+// ============================================
+
+/**
+ * Keeps jobs in memory with timers. Jobs are lost on restart, so callers
+ * rebuild them on boot (see persistent flag).
+ */
+const createMemoryDriver = () => {
+  const jobs = new Map();
+
+  const arm = (key) => {
+    const entry = jobs.get(key);
+    if (!entry) return;
+
+    const delay = entry.job.runAt.getTime() - Date.now();
+
+    entry.timeout = setTimeout(() => {
+      if (delay > MAX_TIMEOUT_MS) return arm(key);
+
+      jobs.delete(key);
+      runHandler(entry.job).catch(error => {
+        logger.error(`Scheduled job ${key} failed:`, error);
+      });
+    }, Math.min(Math.max(delay, 0), MAX_TIMEOUT_MS));
+  };
+
+  const remove = (key) => {
+    const entry = jobs.get(key);
+    if (entry) {
+      clearTimeout(entry.timeout);
+      jobs.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+    persistent: false,
+
+    start: async () => {},
+
+    stop: async () => {
+      Array.from(jobs.keys()).forEach(remove);
+    },
+
+    schedule: async (job) => {
+      remove(job.key);
+      jobs.set(job.key, { job });
+      arm(job.key);
+    },
+
+    cancel: async ({ key, challenge }) => {
+      Array.from(jobs.entries())
+        .filter(([jobKey, entry]) => (key && jobKey === key) ||
+          (challenge && entry.job.challenge && entry.job.challenge.toString() === challenge.toString()))
+        .forEach(([jobKey]) => remove(jobKey));
+    }
+  };
+};
+
+// ============================================
+// MONGODB DRIVER
+// ============================================
+
+/**
+ * Stores jobs in the ScheduledJob collection and polls for due ones.
+ * Jobs are claimed atomically, so several app instances can share the queue.
+ */
+const createMongoDriver = ({
+  pollIntervalMs = 5000,
+  lockTimeoutMs = 5 * 60 * 1000,
+  maxAttempts = 3
+} = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  let interval = null;
+  let polling = false;
+
+  const claimNext = () => ScheduledJob.findOneAndUpdate(
+    { status: 'pending', runAt: { $lte: new Date() } },
+    {
+      $set: { status: 'running', lockedAt: new Date(), lockedBy: workerId },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+
+  // Release jobs whose worker died mid-run
+  const releaseStale = () => ScheduledJob.updateMany(
+    { status: 'running', lockedAt: { $lt: new Date(Date.now() - lockTimeoutMs) } },
+    { $set: { status: 'pending', lockedAt: null, lockedBy: null } }
+  );
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+
+    try {
+      await releaseStale();
+
+      let job = await claimNext();
+      while (job) {
+        const result = { lockedAt: null, lockedBy: null };
+
+        try {
+          await runHandler(job);
+          result.status = 'done';
+          result.completedAt = new Date();
+        } catch (error) {
+          logger.error(`Scheduled job ${job.key} failed:`, error);
+          result.lastError = error.message;
+          result.status = job.attempts >= maxAttempts ? 'failed' : 'pending';
+        }
+
+        // Only while still running: a handler may have rescheduled its own key
+        await ScheduledJob.updateOne({ _id: job._id, status: 'running' }, { $set: result });
+
+        job = await claimNext();
+      }
+    } catch (error) {
+      logger.error('Scheduler poll error:', error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  return {
+    name: 'mongo',
+    persistent: true,
+
+    start: async () => {
+      interval = setInterval(poll, pollIntervalMs);
+      await poll();
+    },
+
+    stop: async () => {
+      clearInterval(interval);
+      interval = null;
+    },
+
+    schedule: async (job) => {
+      await ScheduledJob.findOneAndUpdate(
+        { key: job.key },
+        {
+          $set: {
+            type: job.type,
+            challenge: job.challenge,
+            data: job.data,
+            runAt: job.runAt,
+            status: 'pending',
+            attempts: 0,
+            lastError: null
+          }
+        },
+        { upsert: true }
+      );
+    },
+
+    cancel: async ({ key, challenge }) => {
+      const filter = { status: 'pending' };
+      if (key) filter.key = key;
+      if (challenge) filter.challenge = challenge;
+
+      await ScheduledJob.updateMany(filter, { $set: { status: 'cancelled' } });
+    }
+  };
+};
+
+const DRIVERS = {
+  memory: createMemoryDriver,
+  mongo: createMongoDriver
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (job, context) => {}
+ */
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Schedule (or reschedule) a job. Jobs with the same key are replaced.
+ * @param {object} job - { key, type, runAt, challenge?, data? }
+ */
+const scheduleJob = async ({ key, type, runAt, challenge = null, data = {} }) => {
+  if (!driver) {
+    throw new Error('Scheduler is not initialized');
+  }
+
+  await driver.schedule({ key, type, runAt: new Date(runAt), challenge, data });
+};
+
+/**
+ * Cancel pending jobs by key or by challenge
+ * @param {object} filter - { key } or { challenge }
+ */
+const cancelJobs = async (filter) => {
+  if (!driver) return;
+  await driver.cancel(filter);
+};
+
+/**
+ * Whether scheduled jobs survive a restart with the active driver
+ */
+const isPersistent = () => Boolean(driver && driver.persistent);
+
+/**
+ * Create the configured driver and start processing jobs
+ * Driver is picked from SCHEDULER_DRIVER ('memory' or 'mongo').
+ * @param {object} ctx - Shared handler context (e.g. { io })
+ * @param {object} options - { driver, pollIntervalMs }
+ */
+const initScheduler = async (ctx = {}, options = {}) => {
+  const name = options.driver || process.env.SCHEDULER_DRIVER || 'memory';
+  const createDriver = DRIVERS[name];
+
+  if (!createDriver) {
+    throw new Error(`Unknown scheduler driver "${name}"`);
+  }
+
+  context = ctx;
+  driver = createDriver({
+    pollIntervalMs: options.pollIntervalMs || parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 5000
+  });
+  await driver.start();
+
+  logger.info(`Scheduler initialized (${name} driver)`);
+};
+
+/**
+ * Stop timers/polling (graceful shutdown)
+ */
+const stopScheduler = async () => {
+  if (driver) await driver.stop();
+};
+
+module.exports = {
+  registerJobHandler,
+  scheduleJob,
+  cancelJobs,
+  isPersistent,
+  initScheduler,
+  stopScheduler
+};
@@ -262,6 +262,48 @@ if (require.main === module) {
 
 module.exports = seedData;
 
+// ============================================
+// FILE: scripts/syncIndexes.js
+// Index Migration for Existing Databases
+// ============================================
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Rating, ChallengeInvitation } = require('../models');
+
+// Mongoose creates new indexes on start but never drops old ones. Models
+// whose unique indexes changed are listed here; syncIndexes() drops what the
+// schema no longer declares and builds the rest:
+// - Rating: rater_1_challenge_1_competitorRated_1 became per round and side
+// - ChallengeInvitation: challenge_1_invitee_1 became one pending request per
+//   requester, so open-call applicants and re-requests after an expiry fit
+const MODELS = [Rating, ChallengeInvitation];
+
+const syncIndexes = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    for (const Model of MODELS) {
+      const dropped = await Model.syncIndexes();
+      console.log(`${Model.modelName}: ${dropped.length ? `dropped ${dropped.join(', ')}` : 'up to date'}`);
+    }
+
+    console.log('✅ Indexes synced successfully!');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error syncing indexes:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  syncIndexes();
+}
+
+module.exports = syncIndexes;
+
 // ============================================
 // FILE: scripts/cleanup.js
 // Database Cleanup Script
@@ -279,7 +321,18 @@ const {
   Advertisement,
   Message,
   Notification,
-  ChallengeInvitation
+  ChallengeInvitation,
+  ScheduledJob,
+  MatchmakingTicket,
+  RatingHistory,
+  Tournament,
+  Season,
+  Series,
+  ChallengeTemplate,
+  RealtimeEvent,
+  ViewerSession,
+  JudgeScore,
+  RatingEvent
 } = require('../models');
 
 const cleanup = async () => {
@@ -304,6 +357,17 @@ const cleanup = async () => {
     await Message.deleteMany({});
     await Notification.deleteMany({});
     await ChallengeInvitation.deleteMany({});
+    await ScheduledJob.deleteMany({});
+    await MatchmakingTicket.deleteMany({});
+    await RatingHistory.deleteMany({});
+    await Tournament.deleteMany({});
+    await Season.deleteMany({});
+    await Series.deleteMany({});
+    await ChallengeTemplate.deleteMany({});
+    await RealtimeEvent.deleteMany({});
+    await ViewerSession.deleteMany({});
+    await JudgeScore.deleteMany({});
+    await RatingEvent.deleteMany({});
 
     console.log('✅ All data deleted successfully!');
     
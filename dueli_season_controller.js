@@ -0,0 +1,353 @@
+// ============================================
+// FILE: controllers/season.controller.js
+// League Season Controller
+// ============================================
+
+const { Season, Challenge } = require('../models');
+const {
+  buildDivisionTable,
+  getSeasonTables,
+  scheduleSeasonJobs,
+  cancelSeason
+} = require('../services/season.service');
+const logger = require('../config/logger');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'SEASON_NOT_FOUND',
+    message: 'Season not found'
+  }
+});
+
+/**
+ * @desc    List seasons
+ * @route   GET /api/v1/seasons
+ * @access  Public
+ */
+exports.listSeasons = asyncHandler(async (req, res, next) => {
+  const { category, language, status, page = 1, limit = 20 } = req.query;
+
+  // Build query
+  const query = {};
+  if (category) query.category = category;
+  if (language) query.language = language;
+  if (status) query.status = status;
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const maxLimit = Math.min(parseInt(limit), 50);
+
+  const seasons = await Season.find(query)
+    .select('-results -divisions.standings -registrants')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(maxLimit);
+
+  const total = await Season.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      seasons,
+      pagination: {
+        page: parseInt(page),
+        limit: maxLimit,
+        total,
+        pages: Math.ceil(total / maxLimit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Archive of completed seasons with each division's top three
+ * @route   GET /api/v1/seasons/archive
+ * @access  Public
+ */
+exports.getSeasonArchive = asyncHandler(async (req, res, next) => {
+  const { category, language, page = 1, limit = 10 } = req.query;
+
+  const query = { status: 'completed' };
+  if (category) query.category = category;
+  if (language) query.language = language;
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const maxLimit = Math.min(parseInt(limit), 50);
+
+  const seasons = await Season.find(query)
+    .select('name number category language startDate endDate completedAt divisions')
+    .populate('divisions.standings.user', 'username avatar')
+    .sort('-completedAt')
+    .skip(skip)
+    .limit(maxLimit);
+
+  const total = await Season.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      seasons: seasons.map(season => ({
+        _id: season._id,
+        name: season.name,
+        number: season.number,
+        category: season.category,
+        language: season.language,
+        startDate: season.startDate,
+        endDate: season.endDate,
+        completedAt: season.completedAt,
+        divisions: season.divisions.map(division => ({
+          level: division.level,
+          name: division.name,
+          podium: division.standings.slice(0, 3)
+        }))
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: maxLimit,
+        total,
+        pages: Math.ceil(total / maxLimit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Get season with divisions and points tables
+ * @route   GET /api/v1/seasons/:id
+ * @access  Public
+ */
+exports.getSeason = asyncHandler(async (req, res, next) => {
+  const season = await Season.findById(req.params.id)
+    .populate('divisions.members', 'username avatar country');
+
+  if (!season) {
+    return notFound(res);
+  }
+
+  // Results are summarised in the tables; the raw list is per division
+  const { results, ...data } = season.toObject();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      season: { ...data, fixturesPlayed: results.length },
+      tables: getSeasonTables(season)
+    }
+  });
+});
+
+/**
+ * @desc    Get a division's table and fixtures
+ * @route   GET /api/v1/seasons/:id/divisions/:level
+ * @access  Public
+ */
+exports.getDivision = asyncHandler(async (req, res, next) => {
+  const season = await Season.findById(req.params.id);
+
+  if (!season) {
+    return notFound(res);
+  }
+
+  const level = parseInt(req.params.level);
+  const division = season.divisions.find(d => d.level === level);
+
+  if (!division) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'DIVISION_NOT_FOUND',
+        message: 'Division not found in this season'
+      }
+    });
+  }
+
+  const fixtures = await Challenge.find({ season: season._id, seasonDivision: level })
+    .select('title creator opponent scheduledTime status cancellationReason seasonRound')
+    .populate('creator', 'username avatar')
+    .populate('opponent', 'username avatar')
+    .sort('seasonRound scheduledTime');
+
+  const table = season.status === 'completed'
+    ? division.standings
+    : buildDivisionTable(season, division);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      level,
+      name: division.name,
+      table,
+      fixtures,
+      results: season.results.filter(r => r.division === level)
+    }
+  });
+});
+
+/**
+ * @desc    Create season
+ * @route   POST /api/v1/seasons
+ * @access  Private (admin)
+ */
+exports.createSeason = asyncHandler(async (req, res, next) => {
+  const {
+    name,
+    category,
+    language,
+    field,
+    registrationOpensAt,
+    registrationClosesAt,
+    startDate,
+    roundIntervalDays,
+    divisionSize,
+    promotionSpots,
+    relegationSpots,
+    rules
+  } = req.body;
+
+  const opensAt = registrationOpensAt ? new Date(registrationOpensAt) : new Date();
+
+  if (new Date(registrationClosesAt) <= opensAt || new Date(startDate) < new Date(registrationClosesAt)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_DATES',
+        message: 'Registration must close after it opens, and the season must start after registration closes'
+      }
+    });
+  }
+
+  const previousCount = await Season.countDocuments({ category, language: language || 'ar' });
+
+  const season = await Season.create({
+    name,
+    number: previousCount + 1,
+    category,
+    language,
+    field,
+    createdBy: req.user._id,
+    registrationOpensAt: opensAt,
+    registrationClosesAt,
+    startDate,
+    roundIntervalDays,
+    divisionSize,
+    promotionSpots,
+    relegationSpots,
+    rules
+  });
+
+  await scheduleSeasonJobs(season);
+
+  logger.info(`Season created: ${season.name} (${season.category}/${season.language})`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Season created successfully',
+    data: { season }
+  });
+});
+
+/**
+ * @desc    Register for a season
+ * @route   POST /api/v1/seasons/:id/register
+ * @access  Private
+ */
+exports.registerForSeason = asyncHandler(async (req, res, next) => {
+  const season = await Season.findById(req.params.id).select('status registrationOpensAt registrationClosesAt registrants');
+
+  if (!season) {
+    return notFound(res);
+  }
+
+  const now = new Date();
+  if (season.status !== 'registration' || now < season.registrationOpensAt || now >= season.registrationClosesAt) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'REGISTRATION_CLOSED',
+        message: 'Registration for this season is not open'
+      }
+    });
+  }
+
+  const result = await Season.updateOne(
+    { _id: season._id, status: 'registration', 'registrants.user': { $ne: req.user._id } },
+    { $push: { registrants: { user: req.user._id } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'ALREADY_REGISTERED',
+        message: 'You are already registered for this season'
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Registered for season'
+  });
+});
+
+/**
+ * @desc    Withdraw from a season before registration closes
+ * @route   DELETE /api/v1/seasons/:id/register
+ * @access  Private
+ */
+exports.withdrawFromSeason = asyncHandler(async (req, res, next) => {
+  const result = await Season.updateOne(
+    { _id: req.params.id, status: 'registration', 'registrants.user': req.user._id },
+    { $pull: { registrants: { user: req.user._id } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NOT_REGISTERED',
+        message: 'You are not registered for an open season with this ID'
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Withdrawn from season'
+  });
+});
+
+/**
+ * @desc    Cancel season
+ * @route   POST /api/v1/seasons/:id/cancel
+ * @access  Private (admin)
+ */
+exports.cancelSeason = asyncHandler(async (req, res, next) => {
+  const season = await Season.findById(req.params.id);
+
+  if (!season) {
+    return notFound(res);
+  }
+
+  if (['completed', 'cancelled'].includes(season.status)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'CANNOT_CANCEL',
+        message: `Season is already ${season.status}`
+      }
+    });
+  }
+
+  await cancelSeason(season);
+
+  res.status(200).json({
+    success: true,
+    message: 'Season cancelled successfully'
+  });
+});
+
+module.exports = exports;
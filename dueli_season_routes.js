@@ -0,0 +1,205 @@
+// ============================================
+// FILE: routes/season.routes.js
+// League Season Routes
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  listSeasons,
+  getSeasonArchive,
+  getSeason,
+  getDivision,
+  createSeason,
+  registerForSeason,
+  withdrawFromSeason,
+  cancelSeason
+} = require('../controllers/season.controller');
+
+const { protect, adminOnly } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  listSeasonsValidation,
+  seasonIdValidation,
+  divisionValidation,
+  createSeasonValidation
+} = require('../validators/season.validator');
+
+// ============================================
+// PUBLIC ROUTES
+// ============================================
+
+router.get('/', listSeasonsValidation, validate, listSeasons);
+
+// Completed seasons (must be before /:id)
+router.get('/archive', listSeasonsValidation, validate, getSeasonArchive);
+
+// Season, divisions and tables
+router.get('/:id', seasonIdValidation, validate, getSeason);
+router.get('/:id/divisions/:level', divisionValidation, validate, getDivision);
+
+// ============================================
+// PROTECTED ROUTES
+// ============================================
+
+// Registration
+router.post('/:id/register', protect, seasonIdValidation, validate, registerForSeason);
+router.delete('/:id/register', protect, seasonIdValidation, validate, withdrawFromSeason);
+
+// Admin
+router.post('/', protect, adminOnly, createSeasonValidation, validate, createSeason);
+router.post('/:id/cancel', protect, adminOnly, seasonIdValidation, validate, cancelSeason);
+
+module.exports = router;
+
+// ============================================
+// FILE: validators/season.validator.js
+// League Season Validation Rules
+// ============================================
+
+const { body, param, query } = require('express-validator');
+
+/**
+ * Season ID parameter validation
+ */
+exports.seasonIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid season ID')
+];
+
+/**
+ * Division parameter validation
+ */
+exports.divisionValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid season ID'),
+
+  param('level')
+    .isInt({ min: 1 })
+    .withMessage('Division level must be a positive integer')
+];
+
+/**
+ * List seasons validation
+ */
+exports.listSeasonsValidation = [
+  query('category')
+    .optional()
+    .isIn(['dialogue', 'science', 'talent'])
+    .withMessage('Invalid category'),
+
+  query('language')
+    .optional()
+    .isIn(['ar', 'en', 'fr', 'es', 'de', 'tr', 'ur'])
+    .withMessage('Invalid language code'),
+
+  query('status')
+    .optional()
+    .isIn(['registration', 'active', 'completed', 'cancelled'])
+    .withMessage('Invalid status'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+/**
+ * Create season validation
+ */
+exports.createSeasonValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Name must be between 5 and 200 characters'),
+
+  body('category')
+    .notEmpty()
+    .withMessage('Category is required')
+    .isIn(['dialogue', 'science', 'talent'])
+    .withMessage('Invalid category'),
+
+  body('language')
+    .optional()
+    .isIn(['ar', 'en', 'fr', 'es', 'de', 'tr', 'ur'])
+    .withMessage('Invalid language code'),
+
+  body('field')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Field must be between 1 and 100 characters'),
+
+  body('registrationOpensAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Registration opening must be a valid date'),
+
+  body('registrationClosesAt')
+    .notEmpty()
+    .withMessage('Registration closing date is required')
+    .isISO8601()
+    .withMessage('Registration closing must be a valid date')
+    .custom((value) => {
+      if (new Date(value) < new Date()) {
+        throw new Error('Registration closing must be in the future');
+      }
+      return true;
+    }),
+
+  body('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  body('roundIntervalDays')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Round interval must be between 1 and 30 days'),
+
+  body('divisionSize')
+    .optional()
+    .isInt({ min: 4, max: 20 })
+    .withMessage('Division size must be between 4 and 20'),
+
+  body('promotionSpots')
+    .optional()
+    .isInt({ min: 0, max: 5 })
+    .withMessage('Promotion spots must be between 0 and 5'),
+
+  body('relegationSpots')
+    .optional()
+    .isInt({ min: 0, max: 5 })
+    .withMessage('Relegation spots must be between 0 and 5'),
+
+  body('rules.duration')
+    .optional()
+    .isInt({ min: 5, max: 300 })
+    .withMessage('Duration must be between 5 and 300 minutes'),
+
+  body('rules.rounds')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Rounds must be between 1 and 10'),
+
+  body('rules.roundDuration')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Round duration must be between 1 and 60 minutes'),
+
+  body('rules.scoringFormula')
+    .optional()
+    .isIn(['sum', 'average', 'weighted_last'])
+    .withMessage('Scoring formula must be sum, average or weighted_last')
+];
@@ -0,0 +1,512 @@
+// ============================================
+// FILE: services/season.service.js
+// League Seasons: Divisions, Fixtures, Tables & Promotion
+// ============================================
+
+const { Season, Challenge } = require('../models');
+const { computeResultScores } = require('./rating.service');
+const { getSkillRating } = require('./skill.service');
+const { roundRobinRounds } = require('./tournament.service');
+const { scheduleChallengeJobs, registerCloseHandler } = require('./challengeLifecycle.service');
+const { registerJobHandler, scheduleJob, cancelJobs, isPersistent } = require('./scheduler.service');
+const { idOf, sameUser, notifyUser } = require('../utils/helpers');
+const logger = require('../config/logger');
+
+const JOB_TYPES = {
+  KICKOFF: 'season_kickoff',
+  END: 'season_end'
+};
+
+const LEAGUE_POINTS = { win: 3, draw: 1, loss: 0 };
+
+// Fixtures never start sooner than this after being generated
+const FIXTURE_LEAD_MS = 30 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const jobKey = (type, seasonId) => `${type}:${seasonId}`;
+
+// ============================================
+// TABLES
+// ============================================
+
+/**
+ * Points table of a division from the recorded fixture results
+ * A fixture is won with more than half of the rating share (3 points),
+ * drawn at exactly half (1 point). Ties in points go to the higher average
+ * share, then more wins.
+ * @param {object} season - Season document
+ * @param {object} division - Division entry
+ * @returns {Array} - [{ rank, user, played, wins, draws, losses, points, averageShare }]
+ */
+const buildDivisionTable = (season, division) => {
+  const rows = new Map(division.members.map(member => [idOf(member).toString(), {
+    user: idOf(member),
+    played: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    points: 0,
+    shareTotal: 0
+  }]));
+
+  season.results
+    .filter(result => result.division === division.level)
+    .forEach(result => {
+      result.shares.forEach(({ user, share }) => {
+        const row = rows.get(idOf(user).toString());
+        if (!row) return;
+
+        row.played += 1;
+        row.shareTotal += share;
+
+        if (share > 50) {
+          row.wins += 1;
+          row.points += LEAGUE_POINTS.win;
+        } else if (share === 50) {
+          row.draws += 1;
+          row.points += LEAGUE_POINTS.draw;
+        } else {
+          row.losses += 1;
+          row.points += LEAGUE_POINTS.loss;
+        }
+      });
+    });
+
+  return Array.from(rows.values())
+    .map(({ shareTotal, ...row }) => ({
+      ...row,
+      averageShare: row.played > 0 ? Math.round((shareTotal / row.played) * 100) / 100 : 0
+    }))
+    .sort((a, b) => b.points - a.points || b.averageShare - a.averageShare || b.wins - a.wins)
+    .map((row, index) => ({ rank: index + 1, ...row }));
+};
+
+/**
+ * Promotion/relegation for a final table position
+ */
+const movementFor = (season, division, rank, size) => {
+  if (division.level > 1 && rank <= season.promotionSpots) return 'promoted';
+  if (division.level < season.divisions.length && rank > size - season.relegationSpots) return 'relegated';
+  return 'stayed';
+};
+
+/**
+ * Live tables (active season) or archived standings (completed season)
+ * @param {object} season - Season document
+ * @returns {Array} - [{ level, name, table }]
+ */
+const getSeasonTables = (season) => season.divisions.map(division => ({
+  level: division.level,
+  name: division.name,
+  table: season.status === 'completed'
+    ? division.standings
+    : buildDivisionTable(season, division).map(row => ({
+      ...row,
+      movement: movementFor(season, division, row.rank, division.members.length)
+    }))
+}));
+
+// ============================================
+// DIVISIONS & FIXTURES
+// ============================================
+
+/**
+ * Order registrants for division placement
+ * Returning players keep their division after promotion/relegation from the
+ * previous season of the same league; newcomers follow, by skill rating.
+ */
+const rankRegistrants = async (season) => {
+  const previous = await Season.findOne({
+    category: season.category,
+    language: season.language,
+    status: 'completed',
+    _id: { $ne: season._id }
+  }).sort('-completedAt');
+
+  const placement = new Map();
+
+  if (previous) {
+    previous.divisions.forEach(division => {
+      division.standings.forEach(row => {
+        const shift = row.movement === 'promoted' ? -1 : row.movement === 'relegated' ? 1 : 0;
+        placement.set(row.user.toString(), {
+          level: division.level + shift,
+          position: division.level * 1000 + row.rank
+        });
+      });
+    });
+  }
+
+  const entries = [];
+
+  for (const registrant of season.registrants) {
+    const previousPlace = placement.get(registrant.user.toString());
+    const { rating } = await getSkillRating(registrant.user, season.category);
+
+    entries.push({
+      user: registrant.user,
+      level: previousPlace ? previousPlace.level : Infinity,
+      position: previousPlace ? previousPlace.position : Infinity,
+      rating
+    });
+  }
+
+  // Infinity - Infinity is NaN (falsy), so newcomers fall through to rating
+  entries.sort((a, b) => (a.level - b.level) || (a.position - b.position) || (b.rating - a.rating));
+
+  return entries.map(entry => entry.user);
+};
+
+/**
+ * Split ordered players into divisions of roughly divisionSize (top first)
+ */
+const buildDivisions = (season, players) => {
+  const count = Math.max(1, Math.ceil(players.length / season.divisionSize));
+  const base = Math.floor(players.length / count);
+  const extra = players.length % count;
+  const divisions = [];
+  let offset = 0;
+
+  for (let level = 1; level <= count; level++) {
+    const size = base + (level <= extra ? 1 : 0);
+    divisions.push({
+      level,
+      name: `Division ${level}`,
+      members: players.slice(offset, offset + size)
+    });
+    offset += size;
+  }
+
+  return divisions;
+};
+
+/**
+ * Create the scheduled challenges for a division's round robin
+ * @returns {number} - Number of rounds
+ */
+const createDivisionFixtures = async (season, division) => {
+  const rounds = roundRobinRounds(division.members);
+  const earliest = Date.now() + FIXTURE_LEAD_MS;
+
+  for (const [index, pairs] of rounds.entries()) {
+    const round = index + 1;
+    const scheduledTime = new Date(Math.max(
+      season.startDate.getTime() + index * season.roundIntervalDays * DAY_MS,
+      earliest
+    ));
+
+    for (const pair of pairs) {
+      // Alternate who hosts from round to round
+      const [creator, opponent] = round % 2 === 0 ? [pair[1], pair[0]] : pair;
+
+      const challenge = await Challenge.create({
+        title: `${season.name} - ${division.name}, R${round}`.slice(0, 200),
+        category: season.category,
+        field: season.field,
+        language: season.language,
+        creator,
+        opponent,
+        participants: [
+          { user: creator, role: 'creator' },
+          { user: opponent, role: 'opponent' }
+        ],
+        rules: {
+          duration: season.rules.duration,
+          rounds: season.rules.rounds,
+          roundDuration: season.rules.roundDuration,
+          scoringFormula: season.rules.scoringFormula
+        },
+        scheduledTime,
+        status: 'scheduled',
+        origin: 'league',
+        season: season._id,
+        seasonDivision: division.level,
+        seasonRound: round
+      });
+
+      await scheduleChallengeJobs(challenge);
+    }
+  }
+
+  return rounds.length;
+};
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Arm the kickoff (registration close) or end-of-season job
+ * @param {object} season - Season document
+ */
+const scheduleSeasonJobs = async (season) => {
+  await cancelJobs({ key: jobKey(JOB_TYPES.KICKOFF, season._id) });
+  await cancelJobs({ key: jobKey(JOB_TYPES.END, season._id) });
+
+  if (season.status === 'registration') {
+    await scheduleJob({
+      key: jobKey(JOB_TYPES.KICKOFF, season._id),
+      type: JOB_TYPES.KICKOFF,
+      runAt: season.registrationClosesAt,
+      data: { seasonId: season._id.toString() }
+    });
+  } else if (season.status === 'active' && season.endDate) {
+    await scheduleJob({
+      key: jobKey(JOB_TYPES.END, season._id),
+      type: JOB_TYPES.END,
+      runAt: season.endDate,
+      data: { seasonId: season._id.toString() }
+    });
+  }
+};
+
+/**
+ * Close registration, place registrants into divisions and generate fixtures (saves)
+ * Seasons with fewer than two registrants are cancelled.
+ * @param {object} season - Season in registration
+ */
+const kickoffSeason = async (season) => {
+  if (season.registrants.length < 2) {
+    season.status = 'cancelled';
+    await season.save();
+    logger.info(`Season cancelled, not enough registrants: ${season.name}`);
+    return season;
+  }
+
+  season.divisions = buildDivisions(season, await rankRegistrants(season));
+  season.status = 'active';
+  season.kickedOffAt = new Date();
+  await season.save();
+
+  let longest = 0;
+  for (const division of season.divisions) {
+    longest = Math.max(longest, await createDivisionFixtures(season, division));
+  }
+
+  // Last round's start plus one interval to play it
+  const firstRound = Math.max(season.startDate.getTime(), Date.now() + FIXTURE_LEAD_MS);
+  season.endDate = new Date(firstRound + longest * season.roundIntervalDays * DAY_MS);
+  await season.save();
+
+  await scheduleSeasonJobs(season);
+
+  for (const division of season.divisions) {
+    for (const member of division.members) {
+      await notifyUser(member, {
+        type: 'season_started',
+        content: `بدأ موسم "${season.name}"، أنت في ${division.name}`,
+        link: `/seasons/${season._id}`,
+        metadata: {}
+      });
+    }
+  }
+
+  logger.info(`Season kicked off: ${season.name} (${season.registrants.length} players, ${season.divisions.length} division(s))`);
+
+  return season;
+};
+
+/**
+ * Void unplayed fixtures, archive the final tables and apply promotion/relegation
+ * Fixtures still live keep the season active: the close handler of the last
+ * one finalizes it, so their results count. Runs once: the first caller
+ * claims the season.
+ * @param {ObjectId} seasonId - Season ID
+ * @returns {object|null} - Completed season, or null if it was not (yet) finalized
+ */
+const finalizeSeason = async (seasonId) => {
+  if (!(await Season.exists({ _id: seasonId, status: 'active' }))) return null;
+
+  const unplayed = await Challenge.find({ season: seasonId, status: { $in: ['pending', 'scheduled'] } });
+  for (const challenge of unplayed) {
+    challenge.status = 'cancelled';
+    challenge.cancellationReason = 'season_ended';
+    await challenge.save();
+    await scheduleChallengeJobs(challenge);
+  }
+
+  if (await Challenge.exists({ season: seasonId, status: 'live' })) {
+    logger.info(`Season ${seasonId} waits for its live fixtures before completing`);
+    return null;
+  }
+
+  const season = await Season.findOneAndUpdate(
+    { _id: seasonId, status: 'active' },
+    { $set: { status: 'completed', completedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!season) return null;
+
+  season.divisions.forEach(division => {
+    division.standings = buildDivisionTable(season, division).map(row => ({
+      ...row,
+      movement: movementFor(season, division, row.rank, division.members.length)
+    }));
+  });
+  await season.save();
+
+  await cancelJobs({ key: jobKey(JOB_TYPES.END, season._id) });
+
+  const movementText = {
+    promoted: ' وصعدت للدرجة الأعلى',
+    relegated: ' وهبطت للدرجة الأدنى',
+    stayed: ''
+  };
+
+  for (const division of season.divisions) {
+    for (const row of division.standings) {
+      await notifyUser(row.user, {
+        type: 'season_completed',
+        content: `انتهى موسم "${season.name}": حللت في المركز ${row.rank} في ${division.name}${movementText[row.movement]}`,
+        link: `/seasons/${season._id}`,
+        metadata: {}
+      });
+    }
+  }
+
+  logger.info(`Season completed: ${season.name} (${unplayed.length} unplayed fixture(s) voided)`);
+
+  return season;
+};
+
+/**
+ * Cancel a season and its fixtures that have not started (saves)
+ */
+const cancelSeason = async (season) => {
+  season.status = 'cancelled';
+  await season.save();
+
+  const fixtures = await Challenge.find({ season: season._id, status: { $in: ['pending', 'scheduled'] } });
+  for (const challenge of fixtures) {
+    challenge.status = 'cancelled';
+    challenge.cancellationReason = 'season_ended';
+    await challenge.save();
+    await scheduleChallengeJobs(challenge);
+  }
+
+  await scheduleSeasonJobs(season);
+
+  logger.info(`Season cancelled: ${season.name}`);
+
+  return season;
+};
+
+/**
+ * Rating shares (0-100) of a closed fixture, or null when it does not count
+ * Completed fixtures use the final scores; a no-show or a creator who
+ * cancels forfeits the fixture.
+ */
+const fixtureShares = async (challenge) => {
+  const players = challenge.getParticipants();
+
+  if (challenge.status === 'completed') {
+    const scoreMap = await computeResultScores(challenge, 'competitorRated');
+    const scores = players.map(p => scoreMap.get(idOf(p.user).toString()) || 0);
+    const total = scores.reduce((sum, score) => sum + score, 0);
+
+    return {
+      decidedBy: 'score',
+      shares: players.map((p, index) => ({
+        user: idOf(p.user),
+        share: total > 0 ? Math.round((scores[index] / total) * 10000) / 100 : 100 / players.length
+      }))
+    };
+  }
+
+  if (challenge.cancellationReason === 'no_show') {
+    return {
+      decidedBy: 'forfeit',
+      shares: players.map(p => ({ user: idOf(p.user), share: p.noShow ? 0 : 100 }))
+    };
+  }
+
+  if (challenge.cancellationReason === 'creator') {
+    return {
+      decidedBy: 'forfeit',
+      shares: players.map(p => ({ user: idOf(p.user), share: sameUser(p.user, challenge.creator) ? 0 : 100 }))
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Close handler: record a fixture's result and end the season once
+ * nothing is left to play
+ */
+const handleChallengeClosed = async (challenge) => {
+  if (challenge.origin !== 'league' || !challenge.season) return;
+
+  const result = await fixtureShares(challenge);
+
+  if (result) {
+    await Season.updateOne(
+      { _id: challenge.season, status: 'active', 'results.challenge': { $ne: challenge._id } },
+      {
+        $push: {
+          results: {
+            challenge: challenge._id,
+            division: challenge.seasonDivision,
+            round: challenge.seasonRound,
+            ...result
+          }
+        }
+      }
+    );
+  }
+
+  const remaining = await Challenge.exists({
+    season: challenge.season,
+    status: { $in: ['pending', 'scheduled', 'live'] }
+  });
+
+  if (!remaining) {
+    await finalizeSeason(challenge.season);
+  }
+};
+
+const handleKickoff = async (job) => {
+  const season = await Season.findById(job.data.seasonId);
+  if (!season || season.status !== 'registration') return;
+
+  await kickoffSeason(season);
+};
+
+const handleEnd = async (job) => {
+  await finalizeSeason(job.data.seasonId);
+};
+
+/**
+ * Register season jobs and the fixture close handler (before the scheduler starts)
+ */
+const registerSeasonJobs = () => {
+  registerJobHandler(JOB_TYPES.KICKOFF, handleKickoff);
+  registerJobHandler(JOB_TYPES.END, handleEnd);
+  registerCloseHandler(handleChallengeClosed);
+};
+
+/**
+ * In-process jobs are lost on restart; re-arm them for open seasons
+ */
+const restoreSeasonJobs = async () => {
+  if (isPersistent()) return;
+
+  const seasons = await Season.find({ status: { $in: ['registration', 'active'] } });
+  for (const season of seasons) {
+    await scheduleSeasonJobs(season);
+  }
+};
+
+module.exports = {
+  JOB_TYPES,
+  buildDivisionTable,
+  getSeasonTables,
+  scheduleSeasonJobs,
+  kickoffSeason,
+  finalizeSeason,
+  cancelSeason,
+  registerSeasonJobs,
+  restoreSeasonJobs
+};
@@ -0,0 +1,119 @@
+// ============================================
+// FILE: controllers/series.controller.js
+// Challenge Series Controller (rematches & head-to-head)
+// ============================================
+
+const { Series, User } = require('../models');
+const { getSeriesScore, getHeadToHead } = require('../services/series.service');
+const asyncHandler = require('../middleware/asyncHandler');
+
+/**
+ * @desc    List a user's series, most recent first
+ * @route   GET /api/v1/series?user=:userId
+ * @access  Public
+ */
+exports.listSeries = asyncHandler(async (req, res, next) => {
+  const { user, opponent, category, page = 1, limit = 20 } = req.query;
+
+  // Build query
+  const query = { players: opponent ? { $all: [user, opponent] } : user };
+  if (category) query.category = category;
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const maxLimit = Math.min(parseInt(limit), 50);
+
+  const series = await Series.find(query)
+    .populate('players', 'username avatar')
+    .sort('-lastChallengeAt')
+    .skip(skip)
+    .limit(maxLimit);
+
+  const total = await Series.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      series: series.map(s => ({ ...s.toObject(), games: s.challenges.length })),
+      pagination: {
+        page: parseInt(page),
+        limit: maxLimit,
+        total,
+        pages: Math.ceil(total / maxLimit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Get a series with its games and cumulative score
+ * @route   GET /api/v1/series/:id
+ * @access  Public
+ */
+exports.getSeries = asyncHandler(async (req, res, next) => {
+  const series = await Series.findById(req.params.id)
+    .populate('players', 'username avatar overallRating')
+    .populate('challenges', 'title status scheduledTime startedAt endedAt seriesGame creator');
+
+  if (!series) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'SERIES_NOT_FOUND',
+        message: 'Series not found'
+      }
+    });
+  }
+
+  const [first, second] = series.players.map(p => p._id);
+
+  const [score, headToHead] = await Promise.all([
+    getSeriesScore(series),
+    getHeadToHead(first, second)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      series,
+      score,
+      headToHead
+    }
+  });
+});
+
+/**
+ * @desc    All-time head-to-head record of two users
+ * @route   GET /api/v1/series/head-to-head/:userId/:opponentId
+ * @access  Public
+ */
+exports.getHeadToHead = asyncHandler(async (req, res, next) => {
+  const { userId, opponentId } = req.params;
+  const { category } = req.query;
+
+  const users = await User.find({ _id: { $in: [userId, opponentId] } })
+    .select('username avatar overallRating');
+
+  if (userId === opponentId || users.length !== 2) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'USER_NOT_FOUND',
+        message: 'Two different existing users are required'
+      }
+    });
+  }
+
+  const record = await getHeadToHead(userId, opponentId, category);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      players: [userId, opponentId].map(id => users.find(u => u._id.toString() === id)),
+      category: category || null,
+      ...record
+    }
+  });
+});
+
+module.exports = exports;
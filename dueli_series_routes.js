@@ -0,0 +1,99 @@
+// ============================================
+// FILE: routes/series.routes.js
+// Challenge Series Routes
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  listSeries,
+  getSeries,
+  getHeadToHead
+} = require('../controllers/series.controller');
+
+const { validate } = require('../middleware/validate');
+const {
+  listSeriesValidation,
+  seriesIdValidation,
+  headToHeadValidation
+} = require('../validators/series.validator');
+
+// ============================================
+// PUBLIC ROUTES
+// ============================================
+
+router.get('/', listSeriesValidation, validate, listSeries);
+
+// Head-to-head record (must be before /:id)
+router.get('/head-to-head/:userId/:opponentId', headToHeadValidation, validate, getHeadToHead);
+
+// Series games and cumulative score
+router.get('/:id', seriesIdValidation, validate, getSeries);
+
+module.exports = router;
+
+// ============================================
+// FILE: validators/series.validator.js
+// Challenge Series Validation Rules
+// ============================================
+
+const { param, query } = require('express-validator');
+
+/**
+ * Series ID parameter validation
+ */
+exports.seriesIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid series ID')
+];
+
+/**
+ * List series validation
+ */
+exports.listSeriesValidation = [
+  query('user')
+    .notEmpty()
+    .withMessage('User is required')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  query('opponent')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid opponent ID'),
+
+  query('category')
+    .optional()
+    .isIn(['dialogue', 'science', 'talent'])
+    .withMessage('Invalid category'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+/**
+ * Head-to-head validation
+ */
+exports.headToHeadValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  param('opponentId')
+    .isMongoId()
+    .withMessage('Invalid opponent ID'),
+
+  query('category')
+    .optional()
+    .isIn(['dialogue', 'science', 'talent'])
+    .withMessage('Invalid category')
+];
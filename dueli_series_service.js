@@ -0,0 +1,196 @@
+// ============================================
+// FILE: services/series.service.js
+// Rematch Series & Head-to-Head Records
+// ============================================
+
+const mongoose = require('mongoose');
+const { Challenge, RatingHistory, Series } = require('../models');
+const { idOf } = require('../utils/helpers');
+
+// Games that are still to be played or in progress
+const OPEN_STATUSES = ['pending', 'scheduled', 'live'];
+
+/**
+ * Series a one-on-one challenge belongs to, created on its first rematch
+ * @param {object} challenge - Challenge document (two participants)
+ * @returns {Promise<object>} - Series document
+ */
+const ensureSeries = async (challenge) => {
+  if (challenge.series) {
+    return Series.findById(challenge.series);
+  }
+
+  const players = challenge.getParticipants().map(p => idOf(p.user));
+
+  const series = await Series.create({
+    players,
+    category: challenge.category,
+    field: challenge.field,
+    startedBy: players[0],
+    challenges: [challenge._id],
+    lastChallengeAt: challenge.endedAt || challenge.createdAt
+  });
+
+  // Both players may ask for a rematch at once: the first link wins
+  const result = await Challenge.updateOne(
+    { _id: challenge._id, series: { $exists: false } },
+    { $set: { series: series._id, seriesGame: 1 } }
+  );
+
+  if (result.modifiedCount === 0) {
+    await Series.deleteOne({ _id: series._id });
+    const linked = await Challenge.findById(challenge._id).select('series');
+    return Series.findById(linked.series);
+  }
+
+  challenge.series = series._id;
+  challenge.seriesGame = 1;
+  return series;
+};
+
+/**
+ * Check whether a series has a game that has not finished yet
+ * @param {object} series - Series document
+ * @returns {Promise<boolean>}
+ */
+const hasOpenGame = async (series) => Boolean(
+  await Challenge.exists({ series: series._id, status: { $in: OPEN_STATUSES } })
+);
+
+/**
+ * Claim the series' open game slot for a new rematch
+ * The slot is taken with a compare-and-swap on Series.openGame, so of two
+ * rematches asked for at once only one gets it. A slot whose game has
+ * finished is taken over.
+ * @param {object} series - Series document
+ * @returns {Promise<object|null>} - ID for the new challenge, or null when taken
+ */
+const claimOpenGame = async (series) => {
+  const { openGame } = await Series.findById(series._id).select('openGame');
+
+  // Claimed by a rematch whose challenge is still being created
+  if (openGame && !(await Challenge.exists({ _id: openGame }))) return null;
+  if (await hasOpenGame(series)) return null;
+
+  const challengeId = new mongoose.Types.ObjectId();
+  const claimed = await Series.findOneAndUpdate(
+    { _id: series._id, openGame: openGame || null },
+    { $set: { openGame: challengeId } }
+  );
+
+  return claimed ? challengeId : null;
+};
+
+/**
+ * Give the slot back when the claimed rematch could not be created
+ * @param {object} series - Series document
+ * @param {object} challengeId - ID returned by claimOpenGame()
+ */
+const releaseOpenGame = async (series, challengeId) => {
+  await Series.updateOne(
+    { _id: series._id, openGame: challengeId },
+    { $set: { openGame: null } }
+  );
+};
+
+/**
+ * Append a rematch to its series
+ * @param {object} series - Series document
+ * @param {object} challenge - The new challenge
+ */
+const addSeriesGame = async (series, challenge) => {
+  await Series.updateOne(
+    { _id: series._id },
+    {
+      $push: { challenges: challenge._id },
+      $set: { lastChallengeAt: new Date() }
+    }
+  );
+};
+
+/**
+ * Win/draw/loss record between two players over completed challenges
+ * Results come from the outcomes stored with each skill rating update: more
+ * than half of the final score is a win, exactly half a draw. Points count
+ * 1 per win and ½ per draw.
+ * @param {Array} players - [userId, userId]
+ * @param {Array} challengeIds - Challenges to count
+ * @returns {Promise<object>} - { played, draws, players: [...], results: [...] }
+ */
+const tallyResults = async (players, challengeIds) => {
+  const [first, second] = players.map(idOf);
+
+  const history = await RatingHistory.find({ user: first, challenge: { $in: challengeIds } })
+    .select('challenge outcome createdAt')
+    .sort('createdAt');
+
+  const record = {
+    played: 0,
+    draws: 0,
+    players: [first, second].map(user => ({ user, wins: 0, losses: 0, points: 0 })),
+    results: []
+  };
+  const [a, b] = record.players;
+
+  history.forEach(({ challenge, outcome, createdAt }) => {
+    let winner = null;
+
+    if (outcome > 0.5) {
+      a.wins += 1;
+      b.losses += 1;
+      a.points += 1;
+      winner = first;
+    } else if (outcome < 0.5) {
+      b.wins += 1;
+      a.losses += 1;
+      b.points += 1;
+      winner = second;
+    } else {
+      record.draws += 1;
+      a.points += 0.5;
+      b.points += 0.5;
+    }
+
+    record.played += 1;
+    record.results.push({ challenge, winner, share: Math.round(outcome * 10000) / 100, decidedAt: createdAt });
+  });
+
+  return record;
+};
+
+/**
+ * Cumulative score of a series
+ * @param {object} series - Series document
+ * @returns {Promise<object>} - tallyResults() record
+ */
+const getSeriesScore = (series) => tallyResults(series.players, series.challenges);
+
+/**
+ * All-time head-to-head record of two users in one-on-one challenges
+ * @param {string} userId - First user (shares are from this user's side)
+ * @param {string} opponentId - Second user
+ * @param {string} category - Optional category filter
+ * @returns {Promise<object>} - tallyResults() record
+ */
+const getHeadToHead = async (userId, opponentId, category = null) => {
+  const query = {
+    status: 'completed',
+    mode: 'individual',
+    'participants.user': { $all: [userId, opponentId] },
+    'participants.2': { $exists: false }
+  };
+  if (category) query.category = category;
+
+  const challengeIds = await Challenge.find(query).distinct('_id');
+  return tallyResults([userId, opponentId], challengeIds);
+};
+
+module.exports = {
+  ensureSeries,
+  hasOpenGame,
+  claimOpenGame,
+  releaseOpenGame,
+  addSeriesGame,
+  getSeriesScore,
+  getHeadToHead
+};
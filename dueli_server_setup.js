@@ -19,7 +19,17 @@ const { Server } = require('socket.io');
 // Import configurations
 const connectDB = require('./config/database');
 const { initializeSocketIO } = require('./config/socket');
+const { initRoundEngine } = require('./services/roundEngine.service');
+const { initChallengeScheduler } = require('./services/challengeLifecycle.service');
+const { registerInvitationJobs, scheduleInvitationSweep } = require('./services/invitation.service');
+const { registerMatchmakingJobs, scheduleMatchmakingSweep } = require('./services/matchmaking.service');
+const { registerTournamentHandlers } = require('./services/tournament.service');
+const { registerSeasonJobs, restoreSeasonJobs } = require('./services/season.service');
+const { stopScheduler } = require('./services/scheduler.service');
+const { initRealtime, stopRealtime } = require('./services/realtime.service');
+const { initPresence, stopPresence } = require('./services/presence.service');
 const logger = require('./config/logger');
+const { trustProxy } = require('./config/proxy');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
@@ -31,6 +41,12 @@ const messageRoutes = require('./routes/message.routes');
 const reportRoutes = require('./routes/report.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const adminRoutes = require('./routes/admin.routes');
+const matchmakingRoutes = require('./routes/matchmaking.routes');
+const leaderboardRoutes = require('./routes/leaderboard.routes');
+const tournamentRoutes = require('./routes/tournament.routes');
+const seasonRoutes = require('./routes/season.routes');
+const seriesRoutes = require('./routes/series.routes');
+const templateRoutes = require('./routes/template.routes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -40,6 +56,9 @@ const notFound = require('./middleware/notFound');
 const app = express();
 const server = http.createServer(app);
 
+// Client IP (rate limits, rating fingerprints) from X-Forwarded-For behind a proxy
+app.set('trust proxy', trustProxy);
+
 // Initialize Socket.IO
 const io = new Server(server, {
   cors: {
@@ -127,6 +146,19 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: true
 });
 
+// Guest token rate limit: 10 tokens per 15 minutes
+const guestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    error: {
+      code: 'GUEST_RATE_LIMIT_EXCEEDED',
+      message: 'Too many guest sessions from this IP, please try again later.'
+    }
+  }
+});
+
 // Comment/Rating rate limit: 50 requests per minute
 const interactionLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -163,6 +195,7 @@ app.get('/health', (req, res) => {
 const API_PREFIX = '/api/v1';
 
 // Mount routes with appropriate rate limiters
+app.use(`${API_PREFIX}/auth/guest`, guestLimiter);
 app.use(`${API_PREFIX}/auth`, authLimiter, authRoutes);
 app.use(`${API_PREFIX}/users`, apiLimiter, userRoutes);
 app.use(`${API_PREFIX}/challenges`, apiLimiter, challengeRoutes);
@@ -172,6 +205,12 @@ app.use(`${API_PREFIX}/messages`, apiLimiter, messageRoutes);
 app.use(`${API_PREFIX}/reports`, apiLimiter, reportRoutes);
 app.use(`${API_PREFIX}/notifications`, apiLimiter, notificationRoutes);
 app.use(`${API_PREFIX}/admin`, apiLimiter, adminRoutes);
+app.use(`${API_PREFIX}/matchmaking`, apiLimiter, matchmakingRoutes);
+app.use(`${API_PREFIX}/leaderboards`, apiLimiter, leaderboardRoutes);
+app.use(`${API_PREFIX}/tournaments`, apiLimiter, tournamentRoutes);
+app.use(`${API_PREFIX}/seasons`, apiLimiter, seasonRoutes);
+app.use(`${API_PREFIX}/series`, apiLimiter, seriesRoutes);
+app.use(`${API_PREFIX}/templates`, apiLimiter, templateRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -203,8 +242,31 @@ connectDB();
 // SOCKET.IO INITIALIZATION
 // ============================================
 
+// Socket.IO adapter and event replay (REALTIME_DRIVER);
+// sockets are held back until it is attached
+initRealtime(io).catch(err => {
+  logger.error('Error initializing realtime layer:', err);
+  process.exit(1);
+});
 initializeSocketIO(io);
 
+// Unique-viewer sessions: refresh this node's, close those of crashed nodes
+initPresence();
+
+// Re-arm round timers of challenges that were live before a restart
+initRoundEngine().catch(err => logger.error('Error initializing round engine:', err));
+
+// Reminders, auto-start/no-show checks and auto-end for scheduled challenges,
+// the periodic invitation expiry and matchmaking sweeps, tournament
+// advancement when a bracket match ends, and league season kickoff/end
+registerInvitationJobs();
+registerMatchmakingJobs();
+registerTournamentHandlers();
+registerSeasonJobs();
+initChallengeScheduler(io)
+  .then(() => Promise.all([scheduleInvitationSweep(), scheduleMatchmakingSweep(), restoreSeasonJobs()]))
+  .catch(err => logger.error('Error initializing scheduler:', err));
+
 // ============================================
 // GRACEFUL SHUTDOWN
 // ============================================
@@ -216,6 +278,9 @@ const gracefulShutdown = async (signal) => {
     logger.info('HTTP server closed');
     
     try {
+      await stopScheduler();
+      await stopPresence();
+      await stopRealtime();
       await mongoose.connection.close();
       logger.info('MongoDB connection closed');
       
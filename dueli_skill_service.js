@@ -0,0 +1,281 @@
+// ============================================
+// FILE: services/skill.service.js
+// Elo-style Skill Rating
+// ============================================
+
+const { Challenge, Rating, RatingHistory, User } = require('../models');
+const { computeResultScores } = require('./rating.service');
+
+const BASE_RATING = 1500;
+const K_FACTOR = 32;
+
+// Newcomers move faster until their rating settles
+const PROVISIONAL_MATCHES = 10;
+const PROVISIONAL_K_FACTOR = 48;
+
+/**
+ * K-factor for a competitor with the given number of rated matches
+ */
+const kFactorFor = (matches) =>
+  matches < PROVISIONAL_MATCHES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+
+/**
+ * Expected score of A against B (0..1)
+ * @param {number} ratingA - Rating of A
+ * @param {number} ratingB - Rating of B
+ * @returns {number} - Expected score
+ */
+const expectedScore = (ratingA, ratingB) =>
+  1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+
+/**
+ * Elo update for one pairing
+ * @param {number} rating - Current rating
+ * @param {number} opponentRating - Opponent's rating
+ * @param {number} score - Actual score (1 win, 0.5 draw, 0 loss, or in between)
+ * @param {number} k - K-factor
+ * @returns {number} - New rating
+ */
+const updateElo = (rating, opponentRating, score, k = K_FACTOR) =>
+  rating + k * (score - expectedScore(rating, opponentRating));
+
+/**
+ * Match outcome between two competitors from their rating totals
+ * The share of the combined score acts as the result (0.5 when nobody was rated).
+ */
+const outcomeFromScores = (ownScore, opponentScore) => {
+  const total = ownScore + opponentScore;
+  return total > 0 ? ownScore / total : 0.5;
+};
+
+/**
+ * Estimate a user's skill from the ratings of their completed challenges
+ * Replays the challenges in order against base-rated opponents, so it is a
+ * provisional estimate for users without a stored rating.
+ * @param {ObjectId} userId - User ID
+ * @param {string} category - Optional category filter
+ * @returns {object} - { rating, matches }
+ */
+const estimateSkillRating = async (userId, category = null) => {
+  const query = {
+    status: 'completed',
+    $or: [{ creator: userId }, { opponent: userId }, { 'participants.user': userId }]
+  };
+
+  if (category) {
+    query.category = category;
+  }
+
+  const challenges = await Challenge.find(query)
+    .select('creator opponent participants.user participants.role endedAt')
+    .sort('endedAt');
+
+  if (challenges.length === 0) {
+    return { rating: BASE_RATING, matches: 0 };
+  }
+
+  const totals = await Rating.aggregate([
+    {
+      $match: {
+        challenge: { $in: challenges.map(c => c._id) },
+        competitorRated: { $ne: null }
+      }
+    },
+    {
+      $group: {
+        _id: { challenge: '$challenge', competitor: '$competitorRated' },
+        sum: { $sum: '$score' }
+      }
+    }
+  ]);
+
+  const scoreOf = (challengeId, competitorId) => {
+    const row = totals.find(t =>
+      t._id.challenge.toString() === challengeId.toString() &&
+      t._id.competitor.toString() === competitorId.toString());
+    return row ? row.sum : 0;
+  };
+
+  let rating = BASE_RATING;
+
+  challenges.forEach(challenge => {
+    const ownScore = scoreOf(challenge._id, userId);
+
+    challenge.getParticipants()
+      .map(p => p.user._id || p.user)
+      .filter(id => id.toString() !== userId.toString())
+      .forEach(opponentId => {
+        const outcome = outcomeFromScores(ownScore, scoreOf(challenge._id, opponentId));
+        rating = updateElo(rating, BASE_RATING, outcome);
+      });
+  });
+
+  return { rating: Math.round(rating), matches: challenges.length };
+};
+
+/**
+ * Current skill rating of a user in a category
+ * Falls back to an estimate from past challenges when nothing is stored yet.
+ * @param {object|ObjectId} user - User document (with skillRatings) or ID
+ * @param {string} category - Challenge category
+ * @returns {object} - { rating, matches }
+ */
+const getSkillRating = async (user, category) => {
+  const doc = user.skillRatings ? user : await User.findById(user).select('skillRatings');
+  const entry = doc && doc.skillRatings.find(r => r.category === category);
+
+  if (entry) {
+    return { rating: entry.rating, matches: entry.matches };
+  }
+
+  return estimateSkillRating(user._id || user, category);
+};
+
+/**
+ * Recalculate a user's 0-5 overall rating from every score they received
+ */
+const refreshOverallRating = async (userId) => {
+  const [row] = await Rating.aggregate([
+    { $match: { competitorRated: userId } },
+    { $group: { _id: null, average: { $avg: '$score' } } }
+  ]);
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { overallRating: row ? Math.round(row.average * 100) / 100 : 0 } }
+  );
+};
+
+/**
+ * Move the participants' ratings and write their history entries
+ * @param {object} challenge - Completed challenge document
+ * @param {Function} onSaved - Called after each user's rating is saved
+ * @returns {Array} - History entries created
+ */
+const applySkillRatings = async (challenge, onSaved) => {
+  const participants = challenge.getParticipants();
+  if (participants.length < 2) return [];
+
+  const isTeam = challenge.mode === 'team';
+  const scoreMap = await computeResultScores(challenge, isTeam ? 'teamRated' : 'competitorRated');
+
+  const users = await User.find({ _id: { $in: participants.map(p => p.user._id || p.user) } })
+    .select('country language skillRatings');
+
+  const competitors = participants.map(p => {
+    const userId = (p.user._id || p.user).toString();
+    const user = users.find(u => u._id.toString() === userId);
+    const entry = user && user.skillRatings.find(r => r.category === challenge.category);
+
+    return {
+      userId,
+      user,
+      side: isTeam ? p.team : userId,
+      score: scoreMap.get(isTeam ? p.team : userId) || 0,
+      rating: entry ? entry.rating : BASE_RATING,
+      matches: entry ? entry.matches : 0
+    };
+  }).filter(c => c.user);
+
+  const history = [];
+  const now = new Date();
+
+  for (const competitor of competitors) {
+    const opponents = competitors.filter(c => c.side !== competitor.side);
+    if (opponents.length === 0) continue;
+
+    let surprise = 0;
+    let outcomeTotal = 0;
+
+    opponents.forEach(opponent => {
+      const outcome = outcomeFromScores(competitor.score, opponent.score);
+      surprise += outcome - expectedScore(competitor.rating, opponent.rating);
+      outcomeTotal += outcome;
+    });
+
+    const after = Math.round(competitor.rating + kFactorFor(competitor.matches) * (surprise / opponents.length));
+    const { user } = competitor;
+    let entry = user.skillRatings.find(r => r.category === challenge.category);
+
+    if (!entry) {
+      user.skillRatings.push({ category: challenge.category, rating: competitor.rating, peak: competitor.rating });
+      entry = user.skillRatings[user.skillRatings.length - 1];
+    }
+
+    entry.rating = after;
+    entry.peak = Math.max(entry.peak || 0, after);
+    entry.matches = competitor.matches + 1;
+    entry.updatedAt = now;
+    await user.save();
+    onSaved();
+
+    history.push({
+      user: user._id,
+      challenge: challenge._id,
+      category: challenge.category,
+      field: challenge.field,
+      language: challenge.language || user.language,
+      country: user.country,
+      before: competitor.rating,
+      after,
+      delta: after - competitor.rating,
+      outcome: outcomeTotal / opponents.length,
+      createdAt: now
+    });
+
+    await refreshOverallRating(user._id);
+  }
+
+  if (history.length > 0) {
+    await RatingHistory.insertMany(history, { ordered: false });
+  }
+
+  return history;
+};
+
+/**
+ * Update participants' category skill ratings after a challenge completes
+ * Every participant is paired with each competitor on another side; the share
+ * of the pair's final scores is the outcome. In team mode the sides' scores
+ * are used. Ratings move by the average of the pairings and a history entry
+ * is written per participant. Safe to call twice for the same challenge: the
+ * first call claims Challenge.skillRatingsApplied, and the claim is only given
+ * back when it fails before any rating moved.
+ * @param {object} challenge - Completed challenge document
+ * @returns {Array} - History entries created
+ */
+const updateSkillRatings = async (challenge) => {
+  const claimed = await Challenge.findOneAndUpdate(
+    { _id: challenge._id, skillRatingsApplied: { $ne: true } },
+    { $set: { skillRatingsApplied: true } }
+  );
+  if (!claimed) return [];
+
+  let saved = 0;
+  try {
+    // Challenges rated before the flag existed
+    if (await RatingHistory.exists({ challenge: challenge._id })) {
+      return [];
+    }
+
+    const history = await applySkillRatings(challenge, () => { saved += 1; });
+    challenge.skillRatingsApplied = true;
+    return history;
+  } catch (error) {
+    if (saved === 0) {
+      await Challenge.updateOne({ _id: challenge._id }, { $set: { skillRatingsApplied: false } });
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  BASE_RATING,
+  K_FACTOR,
+  expectedScore,
+  updateElo,
+  outcomeFromScores,
+  estimateSkillRating,
+  getSkillRating,
+  updateSkillRatings
+};
@@ -0,0 +1,270 @@
+// ============================================
+// FILE: controllers/template.controller.js
+// Challenge Template Controller
+// ============================================
+
+const { ChallengeTemplate } = require('../models');
+const {
+  canViewTemplate,
+  canEditTemplate,
+  pickRules,
+  checkRuleConsistency,
+  applyTemplateChanges
+} = require('../services/template.service');
+const { checkStructuredRules } = require('../services/ruleBook.service');
+const logger = require('../config/logger');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'TEMPLATE_NOT_FOUND',
+    message: 'Template not found'
+  }
+});
+
+const invalidRules = (res, message) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_RULES',
+    message
+  }
+});
+
+/**
+ * @desc    List templates: official presets, shared templates and your own
+ * @route   GET /api/v1/templates
+ * @access  Public (own personal templates need login)
+ */
+exports.listTemplates = asyncHandler(async (req, res, next) => {
+  const { category, scope, mine, search, page = 1, limit = 20 } = req.query;
+
+  // Build query
+  const visible = [{ scope: { $in: ['official', 'shared'] } }];
+  if (req.user) visible.push({ owner: req.user._id });
+
+  const query = { status: 'active', $or: visible };
+  if (category) query.category = category;
+  if (scope) query.scope = scope;
+  if (mine === 'true' && req.user) query.owner = req.user._id;
+  if (search) query.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const maxLimit = Math.min(parseInt(limit), 50);
+
+  const templates = await ChallengeTemplate.find(query)
+    .select('-versions')
+    .populate('owner', 'username avatar')
+    .sort('-usageCount -updatedAt')
+    .skip(skip)
+    .limit(maxLimit);
+
+  const total = await ChallengeTemplate.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      templates,
+      pagination: {
+        page: parseInt(page),
+        limit: maxLimit,
+        total,
+        pages: Math.ceil(total / maxLimit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Get template
+ * @route   GET /api/v1/templates/:id
+ * @access  Public (personal templates: owner only)
+ */
+exports.getTemplate = asyncHandler(async (req, res, next) => {
+  const template = await ChallengeTemplate.findById(req.params.id)
+    .select('-versions')
+    .populate('owner', 'username avatar');
+
+  if (!template || !canViewTemplate(template, req.user)) {
+    return notFound(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { template }
+  });
+});
+
+/**
+ * @desc    Get a template's version history
+ * @route   GET /api/v1/templates/:id/versions
+ * @access  Public (personal templates: owner only)
+ */
+exports.getTemplateVersions = asyncHandler(async (req, res, next) => {
+  const template = await ChallengeTemplate.findById(req.params.id)
+    .select('name scope owner version versions')
+    .populate('versions.changedBy', 'username');
+
+  if (!template || !canViewTemplate(template, req.user)) {
+    return notFound(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      currentVersion: template.version,
+      versions: [...template.versions].reverse()
+    }
+  });
+});
+
+/**
+ * @desc    Create template
+ * @route   POST /api/v1/templates
+ * @access  Private (official presets: admin only)
+ */
+exports.createTemplate = asyncHandler(async (req, res, next) => {
+  const { name, description, category, field, scope = 'personal', rules, lockedRules = [] } = req.body;
+
+  if (scope === 'official' && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Only admins can publish official presets'
+      }
+    });
+  }
+
+  const templateRules = pickRules(rules);
+  const inconsistency = checkRuleConsistency(templateRules) ||
+    checkStructuredRules(category, templateRules, null);
+  if (inconsistency) {
+    return invalidRules(res, inconsistency);
+  }
+
+  const locks = [...new Set(lockedRules)];
+
+  const template = await ChallengeTemplate.create({
+    name,
+    description,
+    category,
+    field,
+    scope,
+    owner: req.user._id,
+    rules: templateRules,
+    lockedRules: locks,
+    versions: [{
+      version: 1,
+      rules: templateRules,
+      lockedRules: locks,
+      note: 'Created',
+      changedBy: req.user._id
+    }]
+  });
+
+  logger.info(`Template created: ${template.name} (${scope}/${category}) by ${req.user.username}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Template created successfully',
+    data: { template }
+  });
+});
+
+/**
+ * @desc    Update template (a rule or lock change creates a new version)
+ * @route   PUT /api/v1/templates/:id
+ * @access  Private (owner; official presets: admin only)
+ */
+exports.updateTemplate = asyncHandler(async (req, res, next) => {
+  const template = await ChallengeTemplate.findById(req.params.id);
+
+  if (!template || !canViewTemplate(template, req.user)) {
+    return notFound(res);
+  }
+
+  if (!canEditTemplate(template, req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You cannot edit this template'
+      }
+    });
+  }
+
+  if (template.status === 'archived') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'TEMPLATE_ARCHIVED',
+        message: 'Archived templates cannot be edited'
+      }
+    });
+  }
+
+  if (req.body.scope === 'official' && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Only admins can publish official presets'
+      }
+    });
+  }
+
+  if (req.body.rules !== undefined) {
+    const rules = pickRules(req.body.rules);
+    const inconsistency = checkRuleConsistency(rules) ||
+      checkStructuredRules(template.category, rules, null);
+    if (inconsistency) {
+      return invalidRules(res, inconsistency);
+    }
+  }
+
+  const versioned = applyTemplateChanges(template, req.body, req.user);
+  await template.save();
+
+  logger.info(`Template updated: ${template.name}${versioned ? ` (v${template.version})` : ''}`);
+
+  res.status(200).json({
+    success: true,
+    message: versioned ? `Template updated to version ${template.version}` : 'Template updated successfully',
+    data: { template }
+  });
+});
+
+/**
+ * @desc    Archive template (challenges created from it keep their rules)
+ * @route   DELETE /api/v1/templates/:id
+ * @access  Private (owner; official presets: admin only)
+ */
+exports.archiveTemplate = asyncHandler(async (req, res, next) => {
+  const template = await ChallengeTemplate.findById(req.params.id);
+
+  if (!template || !canViewTemplate(template, req.user)) {
+    return notFound(res);
+  }
+
+  if (!canEditTemplate(template, req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You cannot archive this template'
+      }
+    });
+  }
+
+  template.status = 'archived';
+  await template.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Template archived successfully'
+  });
+});
+
+module.exports = exports;
@@ -0,0 +1,258 @@
+// ============================================
+// FILE: routes/template.routes.js
+// Challenge Template Routes
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  listTemplates,
+  getTemplate,
+  getTemplateVersions,
+  createTemplate,
+  updateTemplate,
+  archiveTemplate
+} = require('../controllers/template.controller');
+
+const { protect, optionalAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  listTemplatesValidation,
+  templateIdValidation,
+  createTemplateValidation,
+  updateTemplateValidation
+} = require('../validators/template.validator');
+
+// ============================================
+// PUBLIC ROUTES
+// ============================================
+
+// Official, shared and (when logged in) your own templates
+router.get('/', optionalAuth, listTemplatesValidation, validate, listTemplates);
+
+router.get('/:id', optionalAuth, templateIdValidation, validate, getTemplate);
+router.get('/:id/versions', optionalAuth, templateIdValidation, validate, getTemplateVersions);
+
+// ============================================
+// PROTECTED ROUTES
+// ============================================
+
+router.post('/', protect, createTemplateValidation, validate, createTemplate);
+router.put('/:id', protect, updateTemplateValidation, validate, updateTemplate);
+router.delete('/:id', protect, templateIdValidation, validate, archiveTemplate);
+
+module.exports = router;
+
+// ============================================
+// FILE: validators/template.validator.js
+// Challenge Template Validation Rules
+// ============================================
+
+const { body, param, query } = require('express-validator');
+const { structuredRulesValidation, ratingStrategyValidation } = require('./challenge.validator');
+
+const RULE_KEYS = [
+  'duration',
+  'rounds',
+  'roundDuration',
+  'customRules',
+  'teamRevenueSplit',
+  'turnScheme',
+  'scoringFormula',
+  'lastRoundWeight',
+  'ratingStrategy',
+  'watchTimeMinutes',
+  'motion',
+  'speakingTimeSeconds',
+  'rebuttals',
+  'allowedSources',
+  'maxSources',
+  'notesAllowed',
+  'judgeOnlyScoring',
+  'judgeWeight'
+];
+
+// Per-rule limits, shared by create and update
+const rulesValidation = [
+  body('rules')
+    .optional()
+    .isObject()
+    .withMessage('Rules must be an object'),
+
+  body('rules.duration')
+    .optional()
+    .isInt({ min: 5, max: 300 })
+    .withMessage('Duration must be between 5 and 300 minutes'),
+
+  body('rules.rounds')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Rounds must be between 1 and 10'),
+
+  body('rules.roundDuration')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Round duration must be between 1 and 60 minutes'),
+
+  body('rules.customRules')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Custom rules cannot exceed 2000 characters'),
+
+  body('rules.teamRevenueSplit')
+    .optional()
+    .isIn(['equal', 'rating'])
+    .withMessage('Team revenue split must be equal or rating'),
+
+  body('rules.turnScheme')
+    .optional()
+    .isIn(['alternate', 'fixed', 'free'])
+    .withMessage('Turn scheme must be alternate, fixed or free'),
+
+  body('rules.scoringFormula')
+    .optional()
+    .isIn(['sum', 'average', 'weighted_last'])
+    .withMessage('Scoring formula must be sum, average or weighted_last'),
+
+  body('rules.lastRoundWeight')
+    .optional()
+    .isFloat({ min: 1, max: 5 })
+    .withMessage('Last round weight must be between 1 and 5'),
+
+  ...ratingStrategyValidation,
+
+  ...structuredRulesValidation,
+
+  body('lockedRules')
+    .optional()
+    .isArray()
+    .withMessage('Locked rules must be an array'),
+
+  body('lockedRules.*')
+    .isIn(RULE_KEYS)
+    .withMessage(`Locked rules must be among: ${RULE_KEYS.join(', ')}`)
+];
+
+/**
+ * Template ID parameter validation
+ */
+exports.templateIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid template ID')
+];
+
+/**
+ * List templates validation
+ */
+exports.listTemplatesValidation = [
+  query('category')
+    .optional()
+    .isIn(['dialogue', 'science', 'talent'])
+    .withMessage('Invalid category'),
+
+  query('scope')
+    .optional()
+    .isIn(['personal', 'shared', 'official'])
+    .withMessage('Scope must be personal, shared or official'),
+
+  query('mine')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Mine must be true or false'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+/**
+ * Create template validation
+ */
+exports.createTemplateValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Name must be between 3 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('category')
+    .notEmpty()
+    .withMessage('Category is required')
+    .isIn(['dialogue', 'science', 'talent'])
+    .withMessage('Invalid category'),
+
+  body('field')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Field cannot exceed 100 characters'),
+
+  body('scope')
+    .optional()
+    .isIn(['personal', 'shared', 'official'])
+    .withMessage('Scope must be personal, shared or official'),
+
+  ...rulesValidation
+];
+
+/**
+ * Update template validation
+ */
+exports.updateTemplateValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Name must be between 3 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('field')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Field cannot exceed 100 characters'),
+
+  body('scope')
+    .optional()
+    .isIn(['personal', 'shared', 'official'])
+    .withMessage('Scope must be personal, shared or official'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Version note cannot exceed 200 characters'),
+
+  ...rulesValidation
+];
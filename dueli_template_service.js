@@ -0,0 +1,186 @@
+// ============================================
+// FILE: services/template.service.js
+// Challenge Templates: Access, Versions & Rule Resolution
+// ============================================
+
+const { ChallengeTemplate } = require('../models');
+
+const RULE_KEYS = [
+  'duration',
+  'rounds',
+  'roundDuration',
+  'customRules',
+  'teamRevenueSplit',
+  'turnScheme',
+  'scoringFormula',
+  'lastRoundWeight',
+  'ratingStrategy',
+  'watchTimeMinutes',
+  'motion',
+  'speakingTimeSeconds',
+  'rebuttals',
+  'allowedSources',
+  'maxSources',
+  'notesAllowed',
+  'judgeOnlyScoring',
+  'judgeWeight'
+];
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+const sameValue = (a, b) => String(a) === String(b);
+
+const isOwner = (template, user) =>
+  Boolean(user) && (template.owner._id || template.owner).toString() === user._id.toString();
+
+/**
+ * Personal templates are visible to their owner (and admins) only
+ */
+const canViewTemplate = (template, user) =>
+  template.scope !== 'personal' || isOwner(template, user) || Boolean(user && user.role === 'admin');
+
+/**
+ * Official presets are curated by admins; the rest by their owner
+ */
+const canEditTemplate = (template, user) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return template.scope !== 'official' && isOwner(template, user);
+};
+
+/**
+ * Only the rule keys a template or request actually sets
+ * @param {object} rules - Rules (plain object or subdocument)
+ * @returns {object}
+ */
+const pickRules = (rules) => {
+  const source = rules && typeof rules.toObject === 'function' ? rules.toObject() : (rules || {});
+  const picked = {};
+
+  RULE_KEYS.forEach(key => {
+    if (isSet(source[key])) picked[key] = source[key];
+  });
+
+  return picked;
+};
+
+/**
+ * Cross-field checks the per-field limits cannot express
+ * @param {object} rules - Effective rules
+ * @returns {string|null} - Error message or null
+ */
+const checkRuleConsistency = (rules) => {
+  const { duration, rounds, roundDuration } = rules;
+
+  if (isSet(duration) && isSet(rounds) && isSet(roundDuration) &&
+    Number(rounds) * Number(roundDuration) > Number(duration)) {
+    return 'Rounds multiplied by round duration cannot exceed the total duration';
+  }
+
+  return null;
+};
+
+/**
+ * Rules and locks of a given template version
+ * @param {object} template - ChallengeTemplate document
+ * @param {number} version - Version number (default: current)
+ * @returns {object|null} - { version, rules, lockedRules }
+ */
+const getTemplateVersion = (template, version = template.version) => {
+  if (version === template.version) {
+    return { version, rules: pickRules(template.rules), lockedRules: [...template.lockedRules] };
+  }
+
+  const entry = template.versions.find(v => v.version === version);
+  return entry
+    ? { version, rules: pickRules(entry.rules), lockedRules: [...entry.lockedRules] }
+    : null;
+};
+
+/**
+ * Pre-fill requested rules from a template version
+ * Requested rules override the template except for locked ones; every rule
+ * that differs from the template is reported as an override.
+ * @param {object} templateVersion - getTemplateVersion() result
+ * @param {object} requested - Rules from the request body
+ * @returns {object} - { rules, overrides, lockedViolations, error }
+ */
+const resolveTemplateRules = (templateVersion, requested = {}) => {
+  const requestedRules = pickRules(requested);
+  const rules = { ...templateVersion.rules, ...requestedRules };
+  const overrides = [];
+  const lockedViolations = [];
+
+  Object.entries(requestedRules).forEach(([rule, value]) => {
+    const templateValue = templateVersion.rules[rule];
+    if (isSet(templateValue) && sameValue(templateValue, value)) return;
+
+    if (templateVersion.lockedRules.includes(rule)) {
+      lockedViolations.push(rule);
+    } else {
+      overrides.push({ rule, templateValue: isSet(templateValue) ? templateValue : null, value });
+    }
+  });
+
+  return {
+    rules,
+    overrides,
+    lockedViolations,
+    error: checkRuleConsistency(rules)
+  };
+};
+
+/**
+ * Apply an edit to a template, adding a version when rules or locks change
+ * Does not save.
+ * @param {object} template - ChallengeTemplate document
+ * @param {object} changes - { name, description, field, scope, rules, lockedRules, note }
+ * @param {object} user - Editing user
+ * @returns {boolean} - Whether a new version was created
+ */
+const applyTemplateChanges = (template, changes, user) => {
+  ['name', 'description', 'field', 'scope'].forEach(key => {
+    if (changes[key] !== undefined) template[key] = changes[key];
+  });
+
+  const current = getTemplateVersion(template);
+  const nextRules = changes.rules !== undefined ? pickRules(changes.rules) : current.rules;
+  const nextLocks = changes.lockedRules !== undefined ? [...new Set(changes.lockedRules)] : current.lockedRules;
+
+  const rulesChanged = RULE_KEYS.some(key => String(current.rules[key]) !== String(nextRules[key]));
+  const locksChanged = nextLocks.length !== current.lockedRules.length ||
+    nextLocks.some(rule => !current.lockedRules.includes(rule));
+
+  if (!rulesChanged && !locksChanged) return false;
+
+  template.version += 1;
+  template.rules = nextRules;
+  template.lockedRules = nextLocks;
+  template.versions.push({
+    version: template.version,
+    rules: nextRules,
+    lockedRules: nextLocks,
+    note: changes.note,
+    changedBy: user._id
+  });
+
+  return true;
+};
+
+/**
+ * Count a challenge created from a template
+ */
+const recordTemplateUse = (templateId) =>
+  ChallengeTemplate.updateOne({ _id: templateId }, { $inc: { usageCount: 1 } });
+
+module.exports = {
+  RULE_KEYS,
+  canViewTemplate,
+  canEditTemplate,
+  pickRules,
+  checkRuleConsistency,
+  getTemplateVersion,
+  resolveTemplateRules,
+  applyTemplateChanges,
+  recordTemplateUse
+};
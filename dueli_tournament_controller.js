@@ -0,0 +1,418 @@
+// ============================================
+// FILE: controllers/tournament.controller.js
+// Tournament Controller
+// ============================================
+
+const { Tournament } = require('../models');
+const {
+  getStandings,
+  startTournament,
+  cancelTournament,
+  reportMatchResult
+} = require('../services/tournament.service');
+const logger = require('../config/logger');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'TOURNAMENT_NOT_FOUND',
+    message: 'Tournament not found'
+  }
+});
+
+const isOrganizerOrAdmin = (tournament, user) =>
+  tournament.organizer.toString() === user._id.toString() || user.role === 'admin';
+
+/**
+ * @desc    List tournaments
+ * @route   GET /api/v1/tournaments
+ * @access  Public
+ */
+exports.listTournaments = asyncHandler(async (req, res, next) => {
+  const { status, category, format, page = 1, limit = 20 } = req.query;
+
+  // Build query
+  const query = {};
+  if (status) query.status = status;
+  if (category) query.category = category;
+  if (format) query.format = format;
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const maxLimit = Math.min(parseInt(limit), 50);
+
+  const tournaments = await Tournament.find(query)
+    .select('-matches')
+    .populate('organizer', 'username avatar')
+    .populate('champion', 'username avatar')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(maxLimit);
+
+  const total = await Tournament.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tournaments,
+      pagination: {
+        page: parseInt(page),
+        limit: maxLimit,
+        total,
+        pages: Math.ceil(total / maxLimit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Get tournament with bracket and standings
+ * @route   GET /api/v1/tournaments/:id
+ * @access  Public
+ */
+exports.getTournament = asyncHandler(async (req, res, next) => {
+  const tournament = await Tournament.findById(req.params.id)
+    .populate('organizer', 'username avatar')
+    .populate('champion', 'username avatar')
+    .populate('entrants.user', 'username avatar country overallRating')
+    .populate('matches.slots.user', 'username avatar')
+    .populate('matches.challenge', 'status scheduledTime startedAt endedAt');
+
+  if (!tournament) {
+    return notFound(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tournament,
+      standings: getStandings(tournament)
+    }
+  });
+});
+
+/**
+ * @desc    Create tournament
+ * @route   POST /api/v1/tournaments
+ * @access  Private
+ */
+exports.createTournament = asyncHandler(async (req, res, next) => {
+  const {
+    name,
+    description,
+    category,
+    field,
+    language,
+    country,
+    format,
+    seeding,
+    maxEntrants,
+    swissRounds,
+    rules,
+    startTime,
+    matchLeadMinutes
+  } = req.body;
+
+  const tournament = await Tournament.create({
+    name,
+    description,
+    organizer: req.user._id,
+    category,
+    field,
+    language: language || req.user.language,
+    country: country || req.user.country,
+    format,
+    seeding,
+    maxEntrants,
+    swissRounds,
+    rules,
+    startTime,
+    matchLeadMinutes
+  });
+
+  logger.info(`Tournament created: ${tournament.name} (${format}) by ${req.user.username}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tournament created successfully',
+    data: { tournament }
+  });
+});
+
+/**
+ * @desc    Register for a tournament
+ * @route   POST /api/v1/tournaments/:id/register
+ * @access  Private
+ */
+exports.registerForTournament = asyncHandler(async (req, res, next) => {
+  const tournament = await Tournament.findById(req.params.id).select('-matches');
+
+  if (!tournament) {
+    return notFound(res);
+  }
+
+  if (tournament.status !== 'registration') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'REGISTRATION_CLOSED',
+        message: 'Registration for this tournament is closed'
+      }
+    });
+  }
+
+  if (tournament.findEntrant(req.user._id)) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'ALREADY_REGISTERED',
+        message: 'You are already registered for this tournament'
+      }
+    });
+  }
+
+  // Atomic so the last seat cannot be taken twice
+  const result = await Tournament.updateOne(
+    {
+      _id: tournament._id,
+      status: 'registration',
+      'entrants.user': { $ne: req.user._id },
+      [`entrants.${tournament.maxEntrants - 1}`]: { $exists: false }
+    },
+    {
+      $push: { entrants: { user: req.user._id } },
+      $inc: { __v: 1 }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'TOURNAMENT_FULL',
+        message: 'This tournament has no places left'
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Registered for tournament'
+  });
+});
+
+/**
+ * @desc    Withdraw from a tournament before it starts
+ * @route   DELETE /api/v1/tournaments/:id/register
+ * @access  Private
+ */
+exports.withdrawFromTournament = asyncHandler(async (req, res, next) => {
+  const result = await Tournament.updateOne(
+    { _id: req.params.id, status: 'registration', 'entrants.user': req.user._id },
+    {
+      $pull: { entrants: { user: req.user._id } },
+      $inc: { __v: 1 }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NOT_REGISTERED',
+        message: 'You are not registered for an open tournament with this ID'
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Withdrawn from tournament'
+  });
+});
+
+/**
+ * @desc    Close registration, seed entrants and generate the bracket
+ * @route   POST /api/v1/tournaments/:id/start
+ * @access  Private (organizer or admin)
+ */
+exports.startTournament = asyncHandler(async (req, res, next) => {
+  const tournament = await Tournament.findById(req.params.id);
+
+  if (!tournament) {
+    return notFound(res);
+  }
+
+  if (!isOrganizerOrAdmin(tournament, req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Only the organizer can start this tournament'
+      }
+    });
+  }
+
+  if (tournament.status !== 'registration') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'ALREADY_STARTED',
+        message: 'Tournament has already started'
+      }
+    });
+  }
+
+  if (tournament.entrants.length < 2) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'NOT_ENOUGH_ENTRANTS',
+        message: 'A tournament needs at least two entrants'
+      }
+    });
+  }
+
+  await startTournament(tournament);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tournament started',
+    data: {
+      tournament,
+      standings: getStandings(tournament)
+    }
+  });
+});
+
+/**
+ * @desc    Cancel tournament
+ * @route   POST /api/v1/tournaments/:id/cancel
+ * @access  Private (organizer or admin)
+ */
+exports.cancelTournament = asyncHandler(async (req, res, next) => {
+  const tournament = await Tournament.findById(req.params.id);
+
+  if (!tournament) {
+    return notFound(res);
+  }
+
+  if (!isOrganizerOrAdmin(tournament, req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Only the organizer can cancel this tournament'
+      }
+    });
+  }
+
+  if (['completed', 'cancelled'].includes(tournament.status)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'CANNOT_CANCEL',
+        message: `Tournament is already ${tournament.status}`
+      }
+    });
+  }
+
+  await cancelTournament(tournament);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tournament cancelled successfully'
+  });
+});
+
+/**
+ * @desc    Decide a match that could not be settled automatically
+ * @route   POST /api/v1/tournaments/:id/matches/:matchId/result
+ * @access  Private (organizer or admin)
+ */
+exports.reportMatchResult = asyncHandler(async (req, res, next) => {
+  const { winner, draw } = req.body;
+  const tournament = await Tournament.findById(req.params.id);
+
+  if (!tournament) {
+    return notFound(res);
+  }
+
+  if (!isOrganizerOrAdmin(tournament, req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Only the organizer can report results'
+      }
+    });
+  }
+
+  const match = tournament.findMatch(req.params.matchId);
+
+  if (!match) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'MATCH_NOT_FOUND',
+        message: 'Match not found in this tournament'
+      }
+    });
+  }
+
+  if (match.status !== 'awaiting_result') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'RESULT_NOT_EXPECTED',
+        message: 'This match is not waiting for an organizer decision'
+      }
+    });
+  }
+
+  if (draw && !['round_robin', 'swiss'].includes(tournament.format)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'DRAW_NOT_ALLOWED',
+        message: 'Elimination matches need a winner'
+      }
+    });
+  }
+
+  if (!draw && !match.slots.some(s => s.user && s.user.toString() === winner)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_WINNER',
+        message: 'Winner must be one of the two players in this match'
+      }
+    });
+  }
+
+  const updated = await reportMatchResult(tournament._id, match.matchId, { winner, draw });
+
+  if (!updated) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'RESULT_NOT_EXPECTED',
+        message: 'This match was settled in the meantime'
+      }
+    });
+  }
+
+  logger.info(`Tournament ${updated.name}: ${match.matchId} decided by ${req.user.username}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Result recorded',
+    data: {
+      tournament: updated,
+      standings: getStandings(updated)
+    }
+  });
+});
+
+module.exports = exports;
@@ -0,0 +1,223 @@
+// ============================================
+// FILE: routes/tournament.routes.js
+// Tournament Routes
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  listTournaments,
+  getTournament,
+  createTournament,
+  registerForTournament,
+  withdrawFromTournament,
+  startTournament,
+  cancelTournament,
+  reportMatchResult
+} = require('../controllers/tournament.controller');
+
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  listTournamentsValidation,
+  tournamentIdValidation,
+  createTournamentValidation,
+  matchResultValidation
+} = require('../validators/tournament.validator');
+
+// ============================================
+// PUBLIC ROUTES
+// ============================================
+
+router.get('/', listTournamentsValidation, validate, listTournaments);
+
+// Bracket and standings
+router.get('/:id', tournamentIdValidation, validate, getTournament);
+
+// ============================================
+// PROTECTED ROUTES
+// ============================================
+
+router.post('/', protect, createTournamentValidation, validate, createTournament);
+
+// Registration
+router.post('/:id/register', protect, tournamentIdValidation, validate, registerForTournament);
+router.delete('/:id/register', protect, tournamentIdValidation, validate, withdrawFromTournament);
+
+// Organizer
+router.post('/:id/start', protect, tournamentIdValidation, validate, startTournament);
+router.post('/:id/cancel', protect, tournamentIdValidation, validate, cancelTournament);
+router.post('/:id/matches/:matchId/result', protect, matchResultValidation, validate, reportMatchResult);
+
+module.exports = router;
+
+// ============================================
+// FILE: validators/tournament.validator.js
+// Tournament Validation Rules
+// ============================================
+
+const { body, param, query } = require('express-validator');
+
+/**
+ * Tournament ID parameter validation
+ */
+exports.tournamentIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid tournament ID')
+];
+
+/**
+ * List tournaments validation
+ */
+exports.listTournamentsValidation = [
+  query('status')
+    .optional()
+    .isIn(['registration', 'in_progress', 'completed', 'cancelled'])
+    .withMessage('Invalid status'),
+
+  query('category')
+    .optional()
+    .isIn(['dialogue', 'science', 'talent'])
+    .withMessage('Invalid category'),
+
+  query('format')
+    .optional()
+    .isIn(['single_elimination', 'double_elimination', 'round_robin', 'swiss'])
+    .withMessage('Invalid format'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+/**
+ * Create tournament validation
+ */
+exports.createTournamentValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Name must be between 5 and 200 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+
+  body('category')
+    .notEmpty()
+    .withMessage('Category is required')
+    .isIn(['dialogue', 'science', 'talent'])
+    .withMessage('Invalid category'),
+
+  body('field')
+    .trim()
+    .notEmpty()
+    .withMessage('Field is required')
+    .isLength({ max: 100 })
+    .withMessage('Field cannot exceed 100 characters'),
+
+  body('format')
+    .notEmpty()
+    .withMessage('Format is required')
+    .isIn(['single_elimination', 'double_elimination', 'round_robin', 'swiss'])
+    .withMessage('Format must be single_elimination, double_elimination, round_robin or swiss'),
+
+  body('seeding')
+    .optional()
+    .isIn(['rating', 'random'])
+    .withMessage('Seeding must be rating or random'),
+
+  body('maxEntrants')
+    .optional()
+    .isInt({ min: 2, max: 128 })
+    .withMessage('Max entrants must be between 2 and 128'),
+
+  body('swissRounds')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Swiss rounds must be between 1 and 12'),
+
+  body('rules.duration')
+    .optional()
+    .isInt({ min: 5, max: 300 })
+    .withMessage('Duration must be between 5 and 300 minutes'),
+
+  body('rules.rounds')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Rounds must be between 1 and 10'),
+
+  body('rules.roundDuration')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Round duration must be between 1 and 60 minutes'),
+
+  body('rules.scoringFormula')
+    .optional()
+    .isIn(['sum', 'average', 'weighted_last'])
+    .withMessage('Scoring formula must be sum, average or weighted_last'),
+
+  body('startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid date')
+    .custom((value) => {
+      if (new Date(value) < new Date()) {
+        throw new Error('Start time must be in the future');
+      }
+      return true;
+    }),
+
+  body('matchLeadMinutes')
+    .optional()
+    .isInt({ min: 5, max: 1440 })
+    .withMessage('Match lead time must be between 5 and 1440 minutes'),
+
+  body('language')
+    .optional()
+    .isIn(['ar', 'en', 'fr', 'es', 'de', 'tr', 'ur'])
+    .withMessage('Invalid language code'),
+
+  body('country')
+    .optional()
+    .isLength({ min: 2, max: 2 })
+    .withMessage('Country code must be 2 characters')
+    .isAlpha()
+    .withMessage('Country code must contain only letters')
+];
+
+/**
+ * Organizer match result validation
+ */
+exports.matchResultValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid tournament ID'),
+
+  param('matchId')
+    .matches(/^(WB|LB|RR|SW)\d+-\d+$|^GF$/)
+    .withMessage('Invalid match ID'),
+
+  body('draw')
+    .optional()
+    .isBoolean()
+    .withMessage('Draw must be true or false')
+    .toBoolean(),
+
+  body('winner')
+    .if((value, { req }) => req.body.draw !== true)
+    .isMongoId()
+    .withMessage('Winner must be a valid user ID')
+];
@@ -0,0 +1,750 @@
+// ============================================
+// FILE: services/tournament.service.js
+// Tournament Brackets, Pairings & Advancement
+// ============================================
+
+const { Tournament, Challenge } = require('../models');
+const { publish } = require('./eventBus.service');
+const { computeResultScores } = require('./rating.service');
+const { getSkillRating } = require('./skill.service');
+const { scheduleChallengeJobs, registerCloseHandler } = require('./challengeLifecycle.service');
+const { idOf, sameUser, notifyUser } = require('../utils/helpers');
+const logger = require('../config/logger');
+
+const ELIMINATION_FORMATS = ['single_elimination', 'double_elimination'];
+const ROUND_FORMATS = ['round_robin', 'swiss'];
+
+const POINTS = { win: 1, draw: 0.5 };
+
+// Retries when another match result was saved in between
+const MAX_SAVE_ATTEMPTS = 5;
+
+const isClosed = (match) => match.status === 'completed' || match.status === 'bye';
+
+const newMatch = (matchId, bracket, round, position, slots = [{}, {}]) => ({
+  matchId,
+  bracket,
+  round,
+  position,
+  slots,
+  status: 'waiting'
+});
+
+// ============================================
+// BRACKET GENERATION
+// ============================================
+
+/**
+ * Standard seed order, keeping top seeds apart until the late rounds
+ * e.g. 8 => [1, 8, 4, 5, 2, 7, 3, 6]
+ */
+const seedOrder = (size) => {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+};
+
+/**
+ * Winners bracket from seeded entrants; missing seeds become byes
+ * @returns {Array} - rounds[r - 1] = matches of round r
+ */
+const buildWinnersBracket = (entrantsBySeed, size) => {
+  const order = seedOrder(size);
+  const slotFor = (seed) => entrantsBySeed[seed - 1] ? { user: entrantsBySeed[seed - 1].user } : { bye: true };
+  const rounds = [];
+
+  for (let round = 1; round <= Math.log2(size); round++) {
+    const matches = [];
+
+    for (let position = 1; position <= size / Math.pow(2, round); position++) {
+      const slots = round === 1
+        ? [slotFor(order[position * 2 - 2]), slotFor(order[position * 2 - 1])]
+        : [{}, {}];
+      matches.push(newMatch(`WB${round}-${position}`, 'winners', round, position, slots));
+    }
+
+    if (round > 1) {
+      rounds[round - 2].forEach((match, index) => {
+        match.winnerTo = { match: matches[Math.floor(index / 2)].matchId, slot: index % 2 };
+      });
+    }
+
+    rounds.push(matches);
+  }
+
+  return rounds;
+};
+
+/**
+ * Losers bracket for double elimination
+ * Odd rounds halve the field; even rounds take the losers dropping down
+ * from the next winners round (in reverse order, to delay rematches).
+ * @param {Array} winners - Rounds from buildWinnersBracket (loserTo is set on them)
+ * @returns {Array} - rounds[r - 1] = matches of losers round r
+ */
+const buildLosersBracket = (winners) => {
+  const rounds = [];
+
+  for (let round = 1; round <= 2 * (winners.length - 1); round++) {
+    const count = winners[0].length / Math.pow(2, Math.ceil(round / 2));
+    const matches = [];
+
+    for (let position = 1; position <= count; position++) {
+      matches.push(newMatch(`LB${round}-${position}`, 'losers', round, position));
+    }
+
+    if (round === 1) {
+      winners[0].forEach((match, index) => {
+        match.loserTo = { match: matches[Math.floor(index / 2)].matchId, slot: index % 2 };
+      });
+    } else if (round % 2 === 0) {
+      rounds[round - 2].forEach((match, index) => {
+        match.winnerTo = { match: matches[index].matchId, slot: 0 };
+      });
+      winners[round / 2].forEach((match, index) => {
+        match.loserTo = { match: matches[count - 1 - index].matchId, slot: 1 };
+      });
+    } else {
+      rounds[round - 2].forEach((match, index) => {
+        match.winnerTo = { match: matches[Math.floor(index / 2)].matchId, slot: index % 2 };
+      });
+    }
+
+    rounds.push(matches);
+  }
+
+  return rounds;
+};
+
+/**
+ * Single or double elimination bracket (double ends in one grand final)
+ */
+const buildEliminationBracket = (tournament) => {
+  const entrantsBySeed = [...tournament.entrants].sort((a, b) => a.seed - b.seed);
+  const size = Math.max(2, Math.pow(2, Math.ceil(Math.log2(entrantsBySeed.length))));
+  const winners = buildWinnersBracket(entrantsBySeed, size);
+  const matches = winners.flat();
+
+  if (tournament.format === 'double_elimination') {
+    const losers = buildLosersBracket(winners);
+    const winnersFinal = winners[winners.length - 1][0];
+
+    winnersFinal.winnerTo = { match: 'GF', slot: 0 };
+    if (losers.length > 0) {
+      losers[losers.length - 1][0].winnerTo = { match: 'GF', slot: 1 };
+    } else {
+      winnersFinal.loserTo = { match: 'GF', slot: 1 };
+    }
+
+    matches.push(...losers.flat(), newMatch('GF', 'grand_final', winners.length + 1, 1));
+  }
+
+  return { matches, totalRounds: winners.length + (tournament.format === 'double_elimination' ? 1 : 0) };
+};
+
+/**
+ * Round robin pairings (circle method); odd fields sit one player out per round
+ * @param {Array} players - Players in seed order
+ * @returns {Array} - rounds[r - 1] = [[home, away], ...]
+ */
+const roundRobinRounds = (players) => {
+  let rotation = [...players];
+  if (rotation.length % 2 === 1) rotation.push(null);
+
+  const rounds = [];
+
+  for (let round = 1; round < rotation.length; round++) {
+    const pairs = [];
+
+    for (let i = 0; i < rotation.length / 2; i++) {
+      const home = rotation[i];
+      const away = rotation[rotation.length - 1 - i];
+      if (home && away) pairs.push([home, away]);
+    }
+
+    rounds.push(pairs);
+
+    // First player stays put, the rest rotate
+    rotation = [rotation[0], rotation[rotation.length - 1], ...rotation.slice(1, -1)];
+  }
+
+  return rounds;
+};
+
+/**
+ * Round robin schedule, one bracket round per pairing round
+ */
+const buildRoundRobin = (tournament) => {
+  const players = [...tournament.entrants].sort((a, b) => a.seed - b.seed).map(e => e.user);
+  const rounds = roundRobinRounds(players);
+
+  const matches = rounds.flatMap((pairs, index) => pairs.map(([home, away], position) =>
+    newMatch(`RR${index + 1}-${position + 1}`, 'round_robin', index + 1, position + 1, [{ user: home }, { user: away }])));
+
+  return { matches, totalRounds: rounds.length };
+};
+
+// ============================================
+// STANDINGS & SWISS PAIRING
+// ============================================
+
+/**
+ * Entrants ordered by points, then total score, then seed
+ */
+const rankEntrants = (tournament) => [...tournament.entrants].sort((a, b) =>
+  b.points - a.points || b.scoreFor - a.scoreFor || a.seed - b.seed);
+
+const havePlayed = (tournament, a, b) => tournament.matches.some(m =>
+  m.slots.some(s => sameUser(s.user, a)) && m.slots.some(s => sameUser(s.user, b)));
+
+/**
+ * Pair a Swiss round: neighbours in the standings who have not met yet
+ * An odd entrant out gets a bye (the lowest ranked without one so far).
+ */
+const pairSwissRound = (tournament, round) => {
+  const ranked = rankEntrants(tournament);
+  const matches = [];
+  let byeEntrant = null;
+
+  if (ranked.length % 2 === 1) {
+    const index = ranked.map(e => e.byes === 0).lastIndexOf(true);
+    [byeEntrant] = ranked.splice(index === -1 ? ranked.length - 1 : index, 1);
+  }
+
+  while (ranked.length > 0) {
+    const entrant = ranked.shift();
+    let index = ranked.findIndex(other => !havePlayed(tournament, entrant.user, other.user));
+    if (index === -1) index = 0;
+
+    const [opponent] = ranked.splice(index, 1);
+    matches.push(newMatch(`SW${round}-${matches.length + 1}`, 'swiss', round, matches.length + 1,
+      [{ user: entrant.user }, { user: opponent.user }]));
+  }
+
+  if (byeEntrant) {
+    matches.push(newMatch(`SW${round}-${matches.length + 1}`, 'swiss', round, matches.length + 1,
+      [{ user: byeEntrant.user }, { bye: true }]));
+  }
+
+  return matches;
+};
+
+/**
+ * Standings for the bracket view
+ * @param {object} tournament - Tournament document
+ * @returns {Array} - [{ rank, user, seed, points, wins, losses, draws, scoreFor, eliminated }]
+ */
+const getStandings = (tournament) => {
+  const ranked = ELIMINATION_FORMATS.includes(tournament.format)
+    ? [...tournament.entrants].sort((a, b) =>
+      (sameUser(a.user, tournament.champion) ? -1 : 0) - (sameUser(b.user, tournament.champion) ? -1 : 0) ||
+      Number(a.eliminated) - Number(b.eliminated) || b.wins - a.wins || a.seed - b.seed)
+    : rankEntrants(tournament);
+
+  return ranked.map((entrant, index) => ({
+    rank: index + 1,
+    user: entrant.user,
+    seed: entrant.seed,
+    points: entrant.points,
+    wins: entrant.wins,
+    losses: entrant.losses,
+    draws: entrant.draws,
+    scoreFor: entrant.scoreFor,
+    eliminated: entrant.eliminated
+  }));
+};
+
+// ============================================
+// ADVANCEMENT
+// ============================================
+
+/**
+ * Put a player (or a bye when user is null) into the slot a result feeds
+ */
+const fillSlot = (tournament, target, user) => {
+  if (!target || !target.match) return;
+
+  const slot = tournament.findMatch(target.match).slots[target.slot];
+  if (user) {
+    slot.user = user;
+  } else {
+    slot.bye = true;
+  }
+};
+
+/**
+ * Walk the bracket until it settles: byes pass through, full matches open
+ * Round-based formats only open matches of the current round.
+ */
+const resolveBracket = (tournament) => {
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+
+    for (const match of tournament.matches) {
+      if (match.status !== 'waiting') continue;
+      if (ROUND_FORMATS.includes(tournament.format) && match.round > tournament.currentRound) continue;
+      if (!match.slots.every(s => s.user || s.bye)) continue;
+
+      const players = match.slots.filter(s => s.user).map(s => s.user);
+
+      if (players.length === 2) {
+        match.status = 'ready';
+      } else {
+        match.status = 'bye';
+        match.decidedBy = 'bye';
+        match.winner = players[0];
+        match.completedAt = new Date();
+
+        // A Swiss bye counts as a win
+        if (players[0] && tournament.format === 'swiss') {
+          const entrant = tournament.findEntrant(players[0]);
+          entrant.byes += 1;
+          entrant.points += POINTS.win;
+        }
+
+        fillSlot(tournament, match.winnerTo, players[0] || null);
+        fillSlot(tournament, match.loserTo, null);
+      }
+
+      changed = true;
+    }
+  }
+};
+
+/**
+ * Record a match result, update entrant records and feed the next matches
+ * @param {object} tournament - Tournament document
+ * @param {object} match - Bracket match
+ * @param {object} result - { winner?, isDraw?, scores?, decidedBy }
+ */
+const applyResult = (tournament, match, { winner, isDraw, scores, decidedBy }) => {
+  const entrants = match.slots.map(s => tournament.findEntrant(s.user));
+
+  match.status = 'completed';
+  match.decidedBy = decidedBy;
+  match.completedAt = new Date();
+
+  if (scores) {
+    match.slots.forEach((slot, index) => {
+      slot.score = scores[index];
+      entrants[index].scoreFor += scores[index];
+    });
+  }
+
+  if (isDraw) {
+    match.isDraw = true;
+    entrants.forEach(entrant => {
+      entrant.draws += 1;
+      entrant.points += POINTS.draw;
+    });
+    return;
+  }
+
+  const winnerIndex = sameUser(match.slots[0].user, winner) ? 0 : 1;
+  const loser = match.slots[1 - winnerIndex].user;
+
+  match.winner = match.slots[winnerIndex].user;
+  match.loser = loser;
+  entrants[winnerIndex].wins += 1;
+  entrants[winnerIndex].points += POINTS.win;
+  entrants[1 - winnerIndex].losses += 1;
+
+  if (ELIMINATION_FORMATS.includes(tournament.format)) {
+    fillSlot(tournament, match.winnerTo, match.winner);
+
+    if (match.loserTo && match.loserTo.match) {
+      fillSlot(tournament, match.loserTo, loser);
+    } else {
+      entrants[1 - winnerIndex].eliminated = true;
+    }
+  }
+};
+
+/**
+ * Settle byes, move to the next round when one is done, and finish the
+ * tournament when its final (or last round) is over
+ * @param {object} tournament - Tournament document
+ * @returns {boolean} - Whether the tournament just completed
+ */
+const progressTournament = (tournament) => {
+  resolveBracket(tournament);
+
+  if (ROUND_FORMATS.includes(tournament.format)) {
+    while (tournament.currentRound < tournament.totalRounds &&
+      tournament.matches.filter(m => m.round === tournament.currentRound).every(isClosed)) {
+      tournament.currentRound += 1;
+
+      if (tournament.format === 'swiss') {
+        tournament.matches.push(...pairSwissRound(tournament, tournament.currentRound));
+      }
+
+      resolveBracket(tournament);
+    }
+  }
+
+  let champion;
+
+  if (ELIMINATION_FORMATS.includes(tournament.format)) {
+    const final = tournament.matches.find(m => m.bracket !== 'losers' && !(m.winnerTo && m.winnerTo.match));
+    if (!isClosed(final)) return false;
+    champion = final.winner;
+  } else {
+    if (tournament.currentRound < tournament.totalRounds || !tournament.matches.every(isClosed)) return false;
+    champion = rankEntrants(tournament)[0].user;
+  }
+
+  tournament.status = 'completed';
+  tournament.champion = champion;
+  tournament.completedAt = new Date();
+
+  return true;
+};
+
+/**
+ * Load, change and save a tournament, retrying on concurrent saves
+ * @param {ObjectId} tournamentId - Tournament ID
+ * @param {Function} mutate - (tournament) => boolean, false when nothing changed
+ * @returns {object|null} - Saved tournament, or null when nothing changed
+ */
+const updateTournament = async (tournamentId, mutate) => {
+  for (let attempt = 1; ; attempt++) {
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament || mutate(tournament) === false) return null;
+
+    try {
+      await tournament.save();
+      return tournament;
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// ============================================
+// MATCH CHALLENGES & EVENTS
+// ============================================
+
+/**
+ * Create the scheduled challenge for a playable match
+ */
+const createMatchChallenge = async (tournament, match) => {
+  const [creator, opponent] = match.slots.map(s => s.user);
+  const earliest = Date.now() + tournament.matchLeadMinutes * 60 * 1000;
+  const startTime = tournament.startTime ? tournament.startTime.getTime() : 0;
+
+  const challenge = await Challenge.create({
+    title: `${tournament.name} (${match.matchId})`.slice(0, 200),
+    description: tournament.description,
+    category: tournament.category,
+    field: tournament.field,
+    language: tournament.language,
+    country: tournament.country,
+    creator,
+    opponent,
+    participants: [
+      { user: creator, role: 'creator' },
+      { user: opponent, role: 'opponent' }
+    ],
+    rules: {
+      duration: tournament.rules.duration,
+      rounds: tournament.rules.rounds,
+      roundDuration: tournament.rules.roundDuration,
+      scoringFormula: tournament.rules.scoringFormula
+    },
+    scheduledTime: new Date(Math.max(earliest, startTime)),
+    status: 'scheduled',
+    origin: 'tournament',
+    tournament: tournament._id,
+    tournamentMatch: match.matchId
+  });
+
+  await scheduleChallengeJobs(challenge);
+
+  return challenge;
+};
+
+/**
+ * Create challenges for every match that just became playable
+ */
+const scheduleReadyMatches = async (tournament) => {
+  for (const match of tournament.matches.filter(m => m.status === 'ready')) {
+    // Claim the match so concurrent updates create a single challenge
+    const claim = await Tournament.updateOne(
+      { _id: tournament._id, matches: { $elemMatch: { matchId: match.matchId, status: 'ready' } } },
+      { $set: { 'matches.$.status': 'scheduled' }, $inc: { __v: 1 } }
+    );
+
+    if (claim.modifiedCount === 0) continue;
+
+    const challenge = await createMatchChallenge(tournament, match);
+
+    await Tournament.updateOne(
+      { _id: tournament._id, 'matches.matchId': match.matchId },
+      { $set: { 'matches.$.challenge': challenge._id }, $inc: { __v: 1 } }
+    );
+
+    match.status = 'scheduled';
+    match.challenge = challenge._id;
+
+    for (const [slot, other] of [[0, 1], [1, 0]]) {
+      await notifyUser(match.slots[slot].user, {
+        type: 'tournament_match_ready',
+        content: `مباراتك التالية في بطولة "${tournament.name}" جاهزة`,
+        link: `/challenges/${challenge._id}`,
+        priority: 'high',
+        metadata: { challengeId: challenge._id, userId: match.slots[other].user }
+      });
+    }
+  }
+};
+
+/**
+ * Push the bracket to everyone watching the tournament room
+ */
+const emitBracketUpdate = (tournament) => {
+  publish('tournament_updated', { tournamentId: tournament._id }, {
+    status: tournament.status,
+    currentRound: tournament.currentRound,
+    matches: tournament.matches,
+    standings: getStandings(tournament),
+    champion: tournament.champion
+  });
+};
+
+/**
+ * After a saved change: open ready matches, announce completion, push the bracket
+ */
+const afterUpdate = async (tournament, completed) => {
+  await scheduleReadyMatches(tournament);
+
+  if (completed) {
+    for (const entrant of tournament.entrants) {
+      await notifyUser(entrant.user, {
+        type: 'tournament_completed',
+        content: sameUser(entrant.user, tournament.champion)
+          ? `مبروك! فزت ببطولة "${tournament.name}"`
+          : `انتهت بطولة "${tournament.name}"`,
+        link: `/tournaments/${tournament._id}`,
+        metadata: { userId: tournament.champion }
+      });
+    }
+
+    logger.info(`Tournament completed: ${tournament.name}, champion ${tournament.champion}`);
+  }
+
+  emitBracketUpdate(tournament);
+};
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Seed entrants, generate the bracket and open the first matches (saves)
+ * @param {object} tournament - Tournament in registration
+ * @returns {object} - The started tournament
+ */
+const startTournament = async (tournament) => {
+  const entrants = [...tournament.entrants];
+
+  if (tournament.seeding === 'rating') {
+    for (const entrant of entrants) {
+      entrant.rating = (await getSkillRating(entrant.user, tournament.category)).rating;
+    }
+    entrants.sort((a, b) => b.rating - a.rating || a.registeredAt - b.registeredAt);
+  } else {
+    for (let i = entrants.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [entrants[i], entrants[j]] = [entrants[j], entrants[i]];
+    }
+  }
+
+  entrants.forEach((entrant, index) => { entrant.seed = index + 1; });
+
+  if (tournament.format === 'swiss') {
+    tournament.totalRounds = tournament.swissRounds || Math.max(1, Math.ceil(Math.log2(entrants.length)));
+    tournament.matches = pairSwissRound(tournament, 1);
+  } else {
+    const { matches, totalRounds } = tournament.format === 'round_robin'
+      ? buildRoundRobin(tournament)
+      : buildEliminationBracket(tournament);
+    tournament.matches = matches;
+    tournament.totalRounds = totalRounds;
+  }
+
+  tournament.currentRound = 1;
+  tournament.status = 'in_progress';
+  tournament.startedAt = new Date();
+
+  const completed = progressTournament(tournament);
+  await tournament.save();
+
+  await afterUpdate(tournament, completed);
+
+  logger.info(`Tournament started: ${tournament.name} (${tournament.format}, ${entrants.length} entrants)`);
+
+  return tournament;
+};
+
+/**
+ * Cancel a tournament and its matches that have not started (saves)
+ * Live matches play out but no longer count.
+ */
+const cancelTournament = async (tournament) => {
+  tournament.status = 'cancelled';
+  await tournament.save();
+
+  const challenges = await Challenge.find({
+    tournament: tournament._id,
+    status: { $in: ['pending', 'scheduled'] }
+  });
+
+  for (const challenge of challenges) {
+    challenge.status = 'cancelled';
+    challenge.cancellationReason = 'tournament_cancelled';
+    await challenge.save();
+    await scheduleChallengeJobs(challenge);
+  }
+
+  emitBracketUpdate(tournament);
+
+  logger.info(`Tournament cancelled: ${tournament.name} (${challenges.length} match(es) dropped)`);
+
+  return tournament;
+};
+
+/**
+ * Organizer decision for a match that could not be settled automatically
+ * @param {ObjectId} tournamentId - Tournament ID
+ * @param {string} matchId - Bracket match ID
+ * @param {object} result - { winner } or { draw: true }
+ * @returns {object|null} - Updated tournament, or null if the match was no longer open
+ */
+const reportMatchResult = async (tournamentId, matchId, { winner, draw }) => {
+  let completed = false;
+
+  const tournament = await updateTournament(tournamentId, (t) => {
+    const match = t.findMatch(matchId);
+    if (t.status !== 'in_progress' || !match || match.status !== 'awaiting_result') return false;
+
+    applyResult(t, match, draw ? { isDraw: true, decidedBy: 'organizer' } : { winner, decidedBy: 'organizer' });
+    completed = progressTournament(t);
+    return true;
+  });
+
+  if (tournament) {
+    await afterUpdate(tournament, completed);
+  }
+
+  return tournament;
+};
+
+/**
+ * Result of a completed match challenge from its final scores
+ * Ties are draws in round formats; in elimination the higher seed advances.
+ */
+const decideFromScores = (tournament, match, scoreMap) => {
+  const scores = match.slots.map(s => scoreMap.get(idOf(s.user).toString()) || 0);
+
+  if (scores[0] !== scores[1]) {
+    return { winner: match.slots[scores[0] > scores[1] ? 0 : 1].user, scores, decidedBy: 'score' };
+  }
+
+  if (ROUND_FORMATS.includes(tournament.format)) {
+    return { isDraw: true, scores, decidedBy: 'score' };
+  }
+
+  const seeds = match.slots.map(s => tournament.findEntrant(s.user).seed);
+  return { winner: match.slots[seeds[0] <= seeds[1] ? 0 : 1].user, scores, decidedBy: 'seed' };
+};
+
+/**
+ * Forfeit from a cancelled match challenge, or null when the organizer must decide
+ * (both sides missing, or cancelled by an admin)
+ */
+const decideFromCancellation = (match, challenge) => {
+  let forfeiting = null;
+
+  if (challenge.cancellationReason === 'no_show') {
+    const missing = match.slots.filter(s => {
+      const participant = challenge.findParticipant(s.user);
+      return participant && participant.noShow;
+    });
+    if (missing.length === 1) forfeiting = missing[0].user;
+  } else if (challenge.cancellationReason === 'creator') {
+    forfeiting = challenge.creator;
+  }
+
+  if (!forfeiting) return null;
+
+  return { winner: match.slots.find(s => !sameUser(s.user, forfeiting)).user, decidedBy: 'forfeit' };
+};
+
+/**
+ * Close handler: settle the bracket match a challenge was played for
+ */
+const handleChallengeClosed = async (challenge) => {
+  if (challenge.origin !== 'tournament' || !challenge.tournament) return;
+
+  const scoreMap = challenge.status === 'completed'
+    ? await computeResultScores(challenge, 'competitorRated')
+    : null;
+
+  let completed = false;
+  let needsDecision = false;
+
+  const tournament = await updateTournament(challenge.tournament, (t) => {
+    const match = t.findMatch(challenge.tournamentMatch);
+    if (t.status !== 'in_progress' || !match || match.status !== 'scheduled') return false;
+
+    const result = scoreMap
+      ? decideFromScores(t, match, scoreMap)
+      : decideFromCancellation(match, challenge);
+
+    needsDecision = !result;
+    if (result) {
+      applyResult(t, match, result);
+    } else {
+      match.status = 'awaiting_result';
+    }
+
+    completed = progressTournament(t);
+    return true;
+  });
+
+  if (!tournament) return;
+
+  if (needsDecision) {
+    await notifyUser(tournament.organizer, {
+      type: 'challenge_cancelled',
+      content: `ألغيت مباراة ${challenge.tournamentMatch} في بطولة "${tournament.name}"، يرجى تحديد النتيجة`,
+      link: `/tournaments/${tournament._id}`,
+      priority: 'high',
+      metadata: { challengeId: challenge._id }
+    });
+  }
+
+  await afterUpdate(tournament, completed);
+};
+
+/**
+ * Hook tournaments into challenge completion/cancellation (on server start)
+ */
+const registerTournamentHandlers = () => {
+  registerCloseHandler(handleChallengeClosed);
+};
+
+module.exports = {
+  seedOrder,
+  roundRobinRounds,
+  getStandings,
+  startTournament,
+  cancelTournament,
+  reportMatchResult,
+  registerTournamentHandlers
+};
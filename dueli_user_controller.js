@@ -3,7 +3,7 @@
 // User Controller - Complete
 // ============================================
 
-const { User, Challenge, Transaction } = require('../models');
+const { User, Challenge, Transaction, ChallengeInvitation, RatingHistory } = require('../models');
 const { encrypt, decrypt } = require('../config/encryption');
 const logger = require('../config/logger');
 const asyncHandler = require('../middleware/asyncHandler');
@@ -81,7 +81,7 @@ exports.getUserChallenges = asyncHandler(async (req, res, next) => {
 
   // Build query
   const query = {
-    $or: [{ creator: userId }, { opponent: userId }]
+    $or: [{ creator: userId }, { opponent: userId }, { 'participants.user': userId }]
   };
 
   if (status) {
@@ -119,6 +119,122 @@ exports.getUserChallenges = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get user's skill ratings and their history
+ * @route   GET /api/v1/users/:id/rating-history
+ * @access  Public
+ */
+exports.getRatingHistory = asyncHandler(async (req, res, next) => {
+  const { category, page = 1, limit = 20 } = req.query;
+
+  const user = await User.findById(req.params.id).select('username skillRatings overallRating');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      }
+    });
+  }
+
+  const query = { user: user._id };
+  if (category) {
+    query.category = category;
+  }
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const maxLimit = Math.min(parseInt(limit), 50);
+
+  const history = await RatingHistory.find(query)
+    .populate('challenge', 'title category field endedAt')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(maxLimit);
+
+  const total = await RatingHistory.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      skillRatings: category
+        ? user.skillRatings.filter(r => r.category === category)
+        : user.skillRatings,
+      overallRating: user.overallRating,
+      history,
+      pagination: {
+        page: parseInt(page),
+        limit: maxLimit,
+        total,
+        pages: Math.ceil(total / maxLimit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Get my join requests (received as creator, sent as requester)
+ * @route   GET /api/v1/users/me/invitations
+ * @access  Private
+ */
+exports.getMyInvitations = asyncHandler(async (req, res, next) => {
+  const { status, direction, kind, page = 1, limit = 20 } = req.query;
+  const userId = req.user._id;
+
+  // Build query
+  let query;
+  if (direction === 'received') {
+    query = { invitee: userId };
+  } else if (direction === 'sent') {
+    query = { inviter: userId };
+  } else {
+    query = { $or: [{ invitee: userId }, { inviter: userId }] };
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  // Invitations created before direct invites existed are join requests
+  if (kind) {
+    query.kind = kind === 'direct_invite' ? 'direct_invite' : { $ne: 'direct_invite' };
+  }
+
+  // Pending requests past expiresAt are treated as expired until the sweep runs
+  if (status === 'pending') {
+    query.expiresAt = { $gt: new Date() };
+  }
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const maxLimit = Math.min(parseInt(limit), 50);
+
+  const invitations = await ChallengeInvitation.find(query)
+    .populate('challenge', 'title category status scheduledTime')
+    .populate('inviter', 'username avatar')
+    .populate('invitee', 'username avatar')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(maxLimit);
+
+  const total = await ChallengeInvitation.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      invitations,
+      pagination: {
+        page: parseInt(page),
+        limit: maxLimit,
+        total,
+        pages: Math.ceil(total / maxLimit)
+      }
+    }
+  });
+});
+
 // ============================================
 // FOLLOW/UNFOLLOW CONTROLLERS
 // ============================================
@@ -9,6 +9,8 @@ const router = express.Router();
 const {
   getUserProfile,
   getUserChallenges,
+  getRatingHistory,
+  getMyInvitations,
   followUser,
   unfollowUser,
   blockUser,
@@ -27,8 +29,10 @@ const { validate } = require('../middleware/validate');
 const checkBlocked = require('../middleware/checkBlocked');
 const {
   updateBankDetailsValidation,
-  searchUsersValidation
+  searchUsersValidation,
+  ratingHistoryValidation
 } = require('../validators/user.validator');
+const { listInvitationsValidation } = require('../validators/challenge.validator');
 
 // ============================================
 // PUBLIC ROUTES
@@ -37,12 +41,18 @@ const {
 // Search users
 router.get('/search', searchUsersValidation, validate, searchUsers);
 
+// My join requests (registered before the /:id routes)
+router.get('/me/invitations', protect, listInvitationsValidation, validate, getMyInvitations);
+
 // Get user profile (optional auth for more details)
 router.get('/:id', optionalAuth, getUserProfile);
 
 // Get user's challenges
 router.get('/:id/challenges', getUserChallenges);
 
+// Skill rating history
+router.get('/:id/rating-history', ratingHistoryValidation, validate, getRatingHistory);
+
 // Get followers/following
 router.get('/:id/followers', getFollowers);
 router.get('/:id/following', getFollowing);
@@ -148,6 +158,30 @@ exports.searchUsersValidation = [
     .withMessage('Limit must be between 1 and 50')
 ];
 
+/**
+ * Rating history validation
+ */
+exports.ratingHistoryValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  query('category')
+    .optional()
+    .isIn(['dialogue', 'science', 'talent'])
+    .withMessage('Category must be dialogue, science, or talent'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
 /**
  * User ID parameter validation
  */
@@ -2,6 +2,7 @@
 
 const Message = require('../models/Message');
 const User = require('../models/User');
+const { publish } = require('../services/eventBus.service');
 const asyncHandler = require('../middleware/asyncHandler');
 
 /**
@@ -61,17 +62,14 @@ exports.sendMessage = asyncHandler(async (req, res) => {
   ]);
 
   // إرسال إشعار عبر WebSocket
-  const io = req.app.get('io');
-  if (io) {
-    io.to(`user_${receiver}`).emit('new_message', {
-      message: {
-        _id: message._id,
-        sender: message.sender,
-        content: message.content,
-        createdAt: message.createdAt
-      }
-    });
-  }
+  publish('new_message', { userId: receiver }, {
+    message: {
+      _id: message._id,
+      sender: message.sender,
+      content: message.content,
+      createdAt: message.createdAt
+    }
+  });
 
   res.status(201).json({
     success: true,
@@ -304,13 +302,10 @@ exports.markAsRead = asyncHandler(async (req, res) => {
   await message.save();
 
   // إرسال إشعار للمرسل
-  const io = req.app.get('io');
-  if (io) {
-    io.to(`user_${message.sender}`).emit('message_read', {
-      messageId: message._id,
-      readAt: message.readAt
-    });
-  }
+  publish('message_read', { userId: message.sender }, {
+    messageId: message._id,
+    readAt: message.readAt
+  });
 
   res.status(200).json({
     success: true,
@@ -3,6 +3,9 @@
 const Rating = require('../models/Rating');
 const Challenge = require('../models/Challenge');
 const User = require('../models/User');
+const { recordRating, removeRating } = require('../services/rating.service');
+const { ratingFingerprint } = require('../services/ratingIntegrity.service');
+const { getRatingEligibility } = require('../services/presence.service');
 const asyncHandler = require('../middleware/asyncHandler');
 
 /**
@@ -12,7 +15,7 @@ const asyncHandler = require('../middleware/asyncHandler');
  */
 exports.addRating = asyncHandler(async (req, res) => {
   const { challengeId } = req.params;
-  const { participant, score, comment } = req.body;
+  const { participant, team, score, comment } = req.body;
   const userId = req.user._id;
 
   // التحقق من وجود المنافسة
@@ -33,90 +36,68 @@ exports.addRating = asyncHandler(async (req, res) => {
   }
 
   // التحقق من أن المستخدم ليس أحد المتنافسين
-  const isParticipant = challenge.participants.some(
-    p => p.user.toString() === userId.toString()
-  );
-  
-  if (isParticipant) {
+  if (challenge.isParticipant(userId)) {
     return res.status(403).json({
       success: false,
       message: 'لا يمكن للمتنافسين تقييم أنفسهم'
     });
   }
 
-  // التحقق من أن participant موجود في المنافسة
-  const participantExists = challenge.participants.some(
-    p => p.user.toString() === participant.toString()
-  );
-
-  if (!participantExists) {
-    return res.status(400).json({
+  // التقييم للحكام فقط (rules.judgeOnlyScoring)
+  if (challenge.rules.judgeOnlyScoring && !challenge.isJudge(userId)) {
+    return res.status(403).json({
       success: false,
-      message: 'المشارك المحدد غير موجود في هذه المنافسة'
+      message: 'التقييم في هذه المنافسة مقتصر على لجنة الحكام'
     });
   }
 
-  // البحث عن تقييم سابق
-  let rating = await Rating.findOne({
-    challenge: challengeId,
-    rater: userId,
-    participant
-  });
+  // التحقق من مدة المشاهدة الفعلية للبث (RATING_MIN_WATCH_SECONDS)
+  const { eligible, ...watchTime } = await getRatingEligibility(challenge, userId);
+  if (!eligible) {
+    return res.status(403).json({
+      success: false,
+      code: 'NOT_ENOUGH_WATCH_TIME',
+      message: `يجب مشاهدة البث ${watchTime.remainingSeconds} ثانية إضافية قبل التقييم`,
+      data: watchTime
+    });
+  }
 
-  if (rating) {
-    // تحديث التقييم الموجود
-    rating.score = score;
-    if (comment) rating.comment = comment;
-    rating.updatedAt = Date.now();
-    await rating.save();
-  } else {
-    // إنشاء تقييم جديد
-    rating = await Rating.create({
-      challenge: challengeId,
-      rater: userId,
-      participant,
-      score,
-      comment
+  // تقييم الفريق (وضع الفرق) أو تقييم مشارك محدد
+  if (team) {
+    if (challenge.mode !== 'team' || !challenge.teams.some(t => t.name === team)) {
+      return res.status(400).json({
+        success: false,
+        message: 'الفريق المحدد غير موجود في هذه المنافسة'
+      });
+    }
+  } else if (!challenge.isParticipant(participant)) {
+    return res.status(400).json({
+      success: false,
+      message: 'المشارك المحدد غير موجود في هذه المنافسة'
     });
   }
 
-  // حساب متوسط التقييمات للمشارك
-  const ratings = await Rating.find({
-    challenge: challengeId,
-    participant
+  // حفظ التقييم للجولة الجارية، تسجيله في منحنى التقييمات وبث التحديثات
+  const { rating, round } = await recordRating(challenge, {
+    rater: userId,
+    competitorRated: participant,
+    team,
+    score,
+    comment,
+    // بصمة الشبكة والجهاز لحساب موثوقية التقييم
+    fingerprint: ratingFingerprint(req)
   });
 
-  const averageScore = ratings.reduce((acc, r) => acc + r.score, 0) / ratings.length;
-  const totalRatings = ratings.length;
-
-  // تحديث إحصائيات المشارك في المنافسة
-  const participantIndex = challenge.participants.findIndex(
-    p => p.user.toString() === participant.toString()
-  );
-
-  if (participantIndex !== -1) {
-    challenge.participants[participantIndex].ratings = totalRatings;
-    challenge.participants[participantIndex].averageRating = averageScore;
-    await challenge.save();
-  }
-
-  // إرسال تحديث عبر WebSocket
-  const io = req.app.get('io');
-  if (io) {
-    io.to(`challenge_${challengeId}`).emit('ratings_update', {
-      challengeId,
-      participant,
-      averageScore,
-      totalRatings,
-      timestamp: new Date()
-    });
-  }
+  const { averageRating: averageScore, ratingCount: totalRatings } = team
+    ? challenge.teams.find(t => t.name === team)
+    : challenge.findParticipant(participant);
 
   res.status(201).json({
     success: true,
     message: 'تم إضافة التقييم بنجاح',
     data: {
       rating,
+      round,
       averageScore,
       totalRatings
     }
@@ -144,7 +125,7 @@ exports.getChallengeRatings = asyncHandler(async (req, res) => {
   // بناء الاستعلام
   const query = { challenge: challengeId };
   if (participant) {
-    query.participant = participant;
+    query.competitorRated = participant;
   }
 
   // جلب التقييمات مع pagination
@@ -152,7 +133,7 @@ exports.getChallengeRatings = asyncHandler(async (req, res) => {
   
   const ratings = await Rating.find(query)
     .populate('rater', 'username avatar')
-    .populate('participant', 'username avatar')
+    .populate('competitorRated', 'username avatar')
     .sort('-createdAt')
     .skip(skip)
     .limit(parseInt(limit));
@@ -164,7 +145,7 @@ exports.getChallengeRatings = asyncHandler(async (req, res) => {
     { $match: { challenge: challenge._id } },
     {
       $group: {
-        _id: '$participant',
+        _id: '$competitorRated',
         averageScore: { $avg: '$score' },
         totalRatings: { $sum: 1 },
         maxScore: { $max: '$score' },
@@ -227,46 +208,18 @@ exports.deleteRating = asyncHandler(async (req, res) => {
     });
   }
 
-  const challengeId = rating.challenge;
-  const participant = rating.participant;
-
-  await rating.deleteOne();
-
-  // إعادة حساب المتوسط
-  const remainingRatings = await Rating.find({
-    challenge: challengeId,
-    participant
-  });
-
-  let averageScore = 0;
-  if (remainingRatings.length > 0) {
-    averageScore = remainingRatings.reduce((acc, r) => acc + r.score, 0) / remainingRatings.length;
-  }
-
-  // تحديث المنافسة
-  const challenge = await Challenge.findById(challengeId);
-  const participantIndex = challenge.participants.findIndex(
-    p => p.user.toString() === participant.toString()
-  );
-
-  if (participantIndex !== -1) {
-    challenge.participants[participantIndex].ratings = remainingRatings.length;
-    challenge.participants[participantIndex].averageRating = averageScore;
-    await challenge.save();
-  }
-
-  // إرسال تحديث عبر WebSocket
-  const io = req.app.get('io');
-  if (io) {
-    io.to(`challenge_${challengeId}`).emit('ratings_update', {
-      challengeId,
-      participant,
-      averageScore,
-      totalRatings: remainingRatings.length,
-      timestamp: new Date()
+  // بعد انتهاء البث تبقى التقييمات كما حُسبت بها النتائج النهائية
+  const challenge = await Challenge.findById(rating.challenge);
+  if (!challenge || challenge.status !== 'live') {
+    return res.status(400).json({
+      success: false,
+      message: 'لا يمكن حذف التقييم إلا أثناء البث المباشر'
     });
   }
 
+  // الحذف يُسجّل في منحنى التقييمات ثم تُعاد الإحصائيات وتُبث
+  await removeRating(challenge, rating);
+
   res.status(200).json({
     success: true,
     message: 'تم حذف التقييم بنجاح'
@@ -296,13 +249,13 @@ exports.getUserRatings = asyncHandler(async (req, res) => {
   // التقييمات التي قام بها المستخدم
   const ratingsGiven = await Rating.find({ rater: userId })
     .populate('challenge', 'title category')
-    .populate('participant', 'username avatar')
+    .populate('competitorRated', 'username avatar')
     .sort('-createdAt')
     .skip(skip)
     .limit(parseInt(limit));
 
   // التقييمات التي حصل عليها المستخدم
-  const ratingsReceived = await Rating.find({ participant: userId })
+  const ratingsReceived = await Rating.find({ competitorRated: userId })
     .populate('challenge', 'title category')
     .populate('rater', 'username avatar')
     .sort('-createdAt')
@@ -311,7 +264,7 @@ exports.getUserRatings = asyncHandler(async (req, res) => {
 
   // إحصائيات التقييمات المستلمة
   const receivedStats = await Rating.aggregate([
-    { $match: { participant: user._id } },
+    { $match: { competitorRated: user._id } },
     {
       $group: {
         _id: null,
@@ -324,7 +277,7 @@ exports.getUserRatings = asyncHandler(async (req, res) => {
   ]);
 
   const totalGiven = await Rating.countDocuments({ rater: userId });
-  const totalReceived = await Rating.countDocuments({ participant: userId });
+  const totalReceived = await Rating.countDocuments({ competitorRated: userId });
 
   res.status(200).json({
     success: true,
@@ -75,10 +75,19 @@ exports.addRatingValidator = [
     .withMessage('معرف المنافسة غير صحيح'),
   
   body('participant')
+    .if(body('team').not().exists())
     .notEmpty()
     .withMessage('معرف المشارك مطلوب')
     .isMongoId()
     .withMessage('معرف المشارك غير صحيح'),
+
+  body('team')
+    .optional()
+    .isString()
+    .withMessage('اسم الفريق يجب أن يكون نص')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('اسم الفريق يجب أن يكون بين 1 و 50 حرف'),
   
   body('score')
     .notEmpty()
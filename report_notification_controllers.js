@@ -5,6 +5,7 @@
 const Report = require('../models/Report');
 const User = require('../models/User');
 const Challenge = require('../models/Challenge');
+const { renderRuleSheet } = require('../services/ruleBook.service');
 const asyncHandler = require('../middleware/asyncHandler');
 
 /**
@@ -13,7 +14,7 @@ const asyncHandler = require('../middleware/asyncHandler');
  * @access  Private
  */
 exports.createReport = asyncHandler(async (req, res) => {
-  const { reportedItem, itemType, reason, description } = req.body;
+  const { reportedItem, itemType, reason, description, violatedRules = [] } = req.body;
   const reporterId = req.user._id;
 
   // التحقق من وجود العنصر المُبلغ عنه
@@ -48,6 +49,30 @@ exports.createReport = asyncHandler(async (req, res) => {
     });
   }
 
+  // مخالفة القواعد: تحديد القواعد المخالفة من القواعد المنظمة للمنافسة
+  let citedRules = [];
+  if (reason === 'rules_violation') {
+    if (itemType !== 'challenge') {
+      return res.status(400).json({
+        success: false,
+        message: 'بلاغ مخالفة القواعد يخص المنافسات فقط'
+      });
+    }
+
+    const { items } = renderRuleSheet(itemDetails);
+    citedRules = violatedRules
+      .map(rule => items.find(item => item.rule === rule))
+      .filter(Boolean)
+      .map(({ rule, text }) => ({ rule, text }));
+
+    if (citedRules.length === 0 || citedRules.length !== violatedRules.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'يجب تحديد القواعد المخالفة من بين قواعد هذه المنافسة'
+      });
+    }
+  }
+
   // التحقق من عدم الإبلاغ عن نفسه (للمستخدمين)
   if (itemType === 'user' && reportedItem.toString() === reporterId.toString()) {
     return res.status(400).json({
@@ -77,7 +102,8 @@ exports.createReport = asyncHandler(async (req, res) => {
     reportedItem,
     itemType,
     reason,
-    description
+    description,
+    violatedRules: citedRules
   });
 
   await report.populate('reporter', 'username email');
@@ -138,6 +138,7 @@ module.exports = router;
 // ============================================
 
 const { param, body, query } = require('express-validator');
+const { STRUCTURED_RULE_KEYS } = require('../services/ruleBook.service');
 
 /**
  * Validator: إنشاء بلاغ
@@ -167,6 +168,7 @@ exports.createReportValidator = [
       'copyright',
       'misinformation',
       'impersonation',
+      'rules_violation',
       'other'
     ])
     .withMessage('سبب البلاغ غير صحيح'),
@@ -177,7 +179,17 @@ exports.createReportValidator = [
     .withMessage('الوصف يجب أن يكون نص')
     .isLength({ max: 1000 })
     .withMessage('الوصف يجب ألا يتجاوز 1000 حرف')
-    .trim()
+    .trim(),
+
+  // مخالفة القواعد: القواعد المنظمة التي تمت مخالفتها
+  body('violatedRules')
+    .if(body('reason').equals('rules_violation'))
+    .isArray({ min: 1 })
+    .withMessage('يجب تحديد قاعدة مخالفة واحدة على الأقل'),
+
+  body('violatedRules.*')
+    .isIn(STRUCTURED_RULE_KEYS)
+    .withMessage('قاعدة غير معروفة')
 ];
 
 /**
@@ -205,6 +217,7 @@ exports.getAllReportsValidator = [
       'copyright',
       'misinformation',
       'impersonation',
+      'rules_violation',
       'other'
     ])
     .withMessage('سبب البلاغ غير صحيح'),
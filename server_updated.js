@@ -15,7 +15,17 @@ dotenv.config();
 // Import configurations
 const connectDB = require('./config/database');
 const logger = require('./config/logger');
+const { trustProxy } = require('./config/proxy');
 const { initializeSocket } = require('./config/socket');
+const { initRoundEngine } = require('./services/roundEngine.service');
+const { initChallengeScheduler } = require('./services/challengeLifecycle.service');
+const { registerInvitationJobs, scheduleInvitationSweep } = require('./services/invitation.service');
+const { registerMatchmakingJobs, scheduleMatchmakingSweep } = require('./services/matchmaking.service');
+const { registerTournamentHandlers } = require('./services/tournament.service');
+const { registerSeasonJobs, restoreSeasonJobs } = require('./services/season.service');
+const { stopScheduler } = require('./services/scheduler.service');
+const { initRealtime, stopRealtime } = require('./services/realtime.service');
+const { initPresence, stopPresence } = require('./services/presence.service');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -32,10 +42,19 @@ const messageRoutes = require('./routes/message.routes');
 const reportRoutes = require('./routes/report.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const adminRoutes = require('./routes/admin.routes');
+const matchmakingRoutes = require('./routes/matchmaking.routes');
+const leaderboardRoutes = require('./routes/leaderboard.routes');
+const tournamentRoutes = require('./routes/tournament.routes');
+const seasonRoutes = require('./routes/season.routes');
+const seriesRoutes = require('./routes/series.routes');
+const templateRoutes = require('./routes/template.routes');
 
 // Initialize express app
 const app = express();
 
+// Client IP (rate limits, rating fingerprints) from X-Forwarded-For behind a proxy
+app.set('trust proxy', trustProxy);
+
 // Connect to database
 connectDB();
 
@@ -83,6 +102,15 @@ const authLimiter = rateLimit({
 app.use('/api/v1/auth/login', authLimiter);
 app.use('/api/v1/auth/register', authLimiter);
 
+// Guest spectator tokens
+const guestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'تم تجاوز عدد جلسات الزوار المسموح بها. الرجاء المحاولة لاحقاً',
+});
+
+app.use('/api/v1/auth/guest', guestLimiter);
+
 // Sanitize data (NoSQL injection prevention)
 app.use(mongoSanitize());
 
@@ -117,6 +145,12 @@ app.use(`${API_VERSION}/messages`, messageRoutes);
 app.use(`${API_VERSION}/reports`, reportRoutes);
 app.use(`${API_VERSION}/notifications`, notificationRoutes);
 app.use(`${API_VERSION}/admin`, adminRoutes);
+app.use(`${API_VERSION}/matchmaking`, matchmakingRoutes);
+app.use(`${API_VERSION}/leaderboards`, leaderboardRoutes);
+app.use(`${API_VERSION}/tournaments`, tournamentRoutes);
+app.use(`${API_VERSION}/seasons`, seasonRoutes);
+app.use(`${API_VERSION}/series`, seriesRoutes);
+app.use(`${API_VERSION}/templates`, templateRoutes);
 
 // ============================================
 // Health Check Endpoint
@@ -185,6 +219,28 @@ const io = initializeSocket(server);
 // Make io accessible to routes
 app.set('io', io);
 
+// Cross-node broadcasts and event replay (REALTIME_DRIVER)
+initRealtime(io).catch((err) => {
+  logger.error(`Realtime init failed: ${err.message}`);
+  process.exit(1);
+});
+
+// Per-viewer watch sessions (unique viewers, timeline)
+initPresence();
+
+// Re-arm round timers of live challenges
+initRoundEngine().catch((err) => logger.error(`Round engine init failed: ${err.message}`));
+
+// Scheduled challenge reminders, auto-start and auto-end; invitation and matchmaking sweeps;
+// tournament advancement when a bracket match ends; league season kickoff and end
+registerInvitationJobs();
+registerMatchmakingJobs();
+registerTournamentHandlers();
+registerSeasonJobs();
+initChallengeScheduler(io)
+  .then(() => Promise.all([scheduleInvitationSweep(), scheduleMatchmakingSweep(), restoreSeasonJobs()]))
+  .catch((err) => logger.error(`Scheduler init failed: ${err.message}`));
+
 // Start server
 server.listen(PORT, () => {
   logger.info(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
@@ -198,6 +254,9 @@ server.listen(PORT, () => {
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
+  stopScheduler();
+  stopPresence();
+  stopRealtime();
   server.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);
@@ -206,6 +265,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT signal received: closing HTTP server');
+  stopScheduler();
+  stopPresence();
+  stopRealtime();
   server.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);